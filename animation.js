@@ -0,0 +1,171 @@
+// Keyframe tracks for layer layout properties, evaluated against the composition timeline.
+export const ANIMATABLE_PROPERTIES = ['x', 'y', 'width', 'height', 'crop', 'zoom', 'rotationDegrees', 'alpha'];
+
+const NAMED_BEZIERS = {
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+function linear(t) {
+  return t;
+}
+
+function hold() {
+  return 0;
+}
+
+// Same curve definition as CSS cubic-bezier(): P0 = (0, 0), P3 = (1, 1).
+export function cubicBezier(x1, y1, x2, y2) {
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+  const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+  const sampleDerivativeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+  function solveX(x) {
+    // Newton-Raphson first, bisection as a fallback for flat regions of the curve.
+    let s = x;
+    for (let i = 0; i < 8; i += 1) {
+      const error = sampleX(s) - x;
+      if (Math.abs(error) < 1e-6) {
+        return s;
+      }
+      const slope = sampleDerivativeX(s);
+      if (Math.abs(slope) < 1e-6) {
+        break;
+      }
+      s -= error / slope;
+    }
+    let lo = 0;
+    let hi = 1;
+    s = x;
+    while (lo < hi) {
+      const value = sampleX(s);
+      if (Math.abs(value - x) < 1e-6) {
+        return s;
+      }
+      if (x > value) {
+        lo = s;
+      } else {
+        hi = s;
+      }
+      if (hi - lo < 1e-7) {
+        break;
+      }
+      s = (lo + hi) / 2;
+    }
+    return s;
+  }
+
+  return (t) => {
+    if (t <= 0) {
+      return 0;
+    }
+    if (t >= 1) {
+      return 1;
+    }
+    return sampleY(solveX(t));
+  };
+}
+
+export function parseEasing(spec) {
+  if (spec === undefined || spec === null || spec === 'linear') {
+    return linear;
+  }
+  if (spec === 'hold' || spec === 'step') {
+    return hold;
+  }
+  if (Array.isArray(spec) && spec.length === 4) {
+    return cubicBezier(...spec.map(Number));
+  }
+  if (typeof spec === 'string') {
+    if (NAMED_BEZIERS[spec]) {
+      return cubicBezier(...NAMED_BEZIERS[spec]);
+    }
+    const match = spec.match(/^cubic-bezier\(([^)]*)\)$/);
+    if (match) {
+      const points = match[1].split(',').map((part) => parseFloat(part));
+      if (points.length === 4 && points.every(Number.isFinite)) {
+        return cubicBezier(...points);
+      }
+    }
+  }
+  throw new Error(`Unknown easing ${JSON.stringify(spec)}`);
+}
+
+function interpolate(from, to, t) {
+  if (typeof from === 'number') {
+    return from + (to - from) * t;
+  }
+  if (Array.isArray(from)) {
+    return from.map((value, index) => interpolate(value, to[index], t));
+  }
+  const result = {};
+  for (const key of Object.keys(from)) {
+    result[key] = interpolate(from[key], to[key], t);
+  }
+  return result;
+}
+
+// Easing on a keyframe shapes the segment that starts at it (CSS semantics); "hold" keeps the
+// keyframe value until the next one.
+export function normalizeTrack(keyframes, normalizeValue = (value) => value) {
+  if (!Array.isArray(keyframes) || !keyframes.length) {
+    return null;
+  }
+  return keyframes
+    .map((keyframe) => ({
+      time: Math.max(0, keyframe.time ?? 0),
+      value: normalizeValue(keyframe.value),
+      ease: parseEasing(keyframe.easing),
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+export function evaluateTrack(track, timeSeconds) {
+  const first = track[0];
+  if (timeSeconds <= first.time) {
+    return first.value;
+  }
+  for (let i = 0; i < track.length - 1; i += 1) {
+    const from = track[i];
+    const to = track[i + 1];
+    if (timeSeconds < to.time) {
+      const progress = (timeSeconds - from.time) / (to.time - from.time);
+      return interpolate(from.value, to.value, from.ease(progress));
+    }
+  }
+  return track[track.length - 1].value;
+}
+
+export function normalizeAnimation(keyframes, valueNormalizers = {}) {
+  if (!keyframes) {
+    return null;
+  }
+  const tracks = {};
+  for (const property of ANIMATABLE_PROPERTIES) {
+    const track = normalizeTrack(keyframes[property], valueNormalizers[property]);
+    if (track) {
+      tracks[property] = track;
+    }
+  }
+  return Object.keys(tracks).length ? tracks : null;
+}
+
+export function evaluateAnimation(layout, animation, timeSeconds) {
+  if (!animation) {
+    return layout;
+  }
+  const animated = { ...layout };
+  for (const [property, track] of Object.entries(animation)) {
+    animated[property] = evaluateTrack(track, timeSeconds);
+  }
+  return animated;
+}
@@ -0,0 +1,341 @@
+// Web Audio program bus. Each audible layer gets a channel strip fed from its source's captured
+// audio track: fader (gainDb, muted) → pan → follow-video gain → meter → program bus. The program bus
+// feeds local monitoring, the meters and recordings.
+const SILENCE_DB = -96;
+const FOLLOW_TIME_CONSTANT = 0.015;
+
+export const DEFAULT_LAYER_AUDIO = { gainDb: 0, muted: false, pan: 0, followVideo: true };
+
+export function dbToGain(db) {
+  return db <= SILENCE_DB ? 0 : 10 ** (db / 20);
+}
+
+export function gainToDb(gain) {
+  return gain > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(gain)) : SILENCE_DB;
+}
+
+export function normalizeLayerAudio(audio) {
+  const settings = { ...DEFAULT_LAYER_AUDIO, ...(audio ?? {}) };
+  return {
+    gainDb: Number(settings.gainDb) || 0,
+    muted: Boolean(settings.muted),
+    pan: Math.min(1, Math.max(-1, Number(settings.pan) || 0)),
+    followVideo: settings.followVideo !== false,
+  };
+}
+
+function faderGain(settings) {
+  return settings.muted ? 0 : dbToGain(settings.gainDb);
+}
+
+function createMeter(context) {
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  return { analyser, samples: new Float32Array(analyser.fftSize) };
+}
+
+function readPeakDb(meter) {
+  meter.analyser.getFloatTimeDomainData(meter.samples);
+  let peak = 0;
+  for (const sample of meter.samples) {
+    peak = Math.max(peak, Math.abs(sample));
+  }
+  return gainToDb(peak);
+}
+
+export class AudioMixer {
+  constructor({ masterGainDb = 0, monitor = true, context = new AudioContext() } = {}) {
+    this.context = context;
+    this.program = context.createGain();
+    this.program.gain.value = dbToGain(masterGainDb);
+    this.programMeter = createMeter(context);
+    this.recordingDestination = context.createMediaStreamDestination();
+    this.program.connect(this.programMeter.analyser);
+    this.program.connect(this.recordingDestination);
+    if (monitor) {
+      this.program.connect(context.destination);
+    }
+    // One MediaStreamAudioSourceNode per source; several strips can hang off the same input.
+    this.inputs = new Map();
+    this.strips = new Map();
+  }
+
+  // Audio for recordings; stays silent until the context is resumed by a user gesture.
+  get stream() {
+    return this.recordingDestination.stream;
+  }
+
+  get running() {
+    return this.context.state === 'running';
+  }
+
+  resume() {
+    return this.context.state === 'suspended' ? this.context.resume() : Promise.resolve();
+  }
+
+  #acquireInput(source) {
+    let input = this.inputs.get(source);
+    if (!input) {
+      input = { node: null, track: null, stream: null, strips: new Set(), onAddTrack: null };
+      this.inputs.set(source, input);
+      this.#connectInput(source, input);
+    }
+    return input;
+  }
+
+  // captureStream() only exposes the audio track once the element starts decoding audio, so a
+  // source without a track yet is connected when the track shows up.
+  #connectInput(source, input) {
+    const track = source.getAudioTrack?.();
+    const stream = source.stream;
+    input.track = track ?? null;
+    input.stream = stream ?? null;
+    if (track) {
+      input.node = this.context.createMediaStreamSource(new MediaStream([track]));
+      input.strips.forEach((strip) => input.node.connect(strip.fader));
+      return;
+    }
+    if (stream && !input.onAddTrack) {
+      input.onAddTrack = () => {
+        if (!input.node && this.inputs.get(source) === input) {
+          this.#connectInput(source, input);
+        }
+      };
+      stream.addEventListener('addtrack', input.onAddTrack);
+    }
+  }
+
+  #releaseInput(source, strip) {
+    const input = this.inputs.get(source);
+    if (!input) {
+      return;
+    }
+    input.strips.delete(strip);
+    input.node?.disconnect(strip.fader);
+    if (input.strips.size) {
+      return;
+    }
+    input.node?.disconnect();
+    if (input.onAddTrack) {
+      input.stream?.removeEventListener('addtrack', input.onAddTrack);
+    }
+    this.inputs.delete(source);
+  }
+
+  // Health monitoring recreates failed sources behind the same object, so an input whose track or
+  // stream changed is rewired from scratch.
+  #refreshInput(source, input) {
+    const track = source.getAudioTrack?.() ?? null;
+    if (track === input.track && (track || (source.stream ?? null) === input.stream)) {
+      return;
+    }
+    input.node?.disconnect();
+    input.node = null;
+    if (input.onAddTrack) {
+      input.stream?.removeEventListener('addtrack', input.onAddTrack);
+      input.onAddTrack = null;
+    }
+    this.#connectInput(source, input);
+  }
+
+  #createStrip(layer) {
+    const fader = this.context.createGain();
+    const panner = this.context.createStereoPanner();
+    const follow = this.context.createGain();
+    const meter = createMeter(this.context);
+    fader.connect(panner).connect(follow).connect(meter.analyser);
+    follow.connect(this.program);
+    follow.gain.value = 0;
+    const strip = { layer, source: layer.source, fader, panner, follow, meter, settings: null, level: 0 };
+    const input = this.#acquireInput(layer.source);
+    input.strips.add(strip);
+    input.node?.connect(fader);
+    return strip;
+  }
+
+  #removeStrip(strip) {
+    this.#releaseInput(strip.source, strip);
+    strip.follow.disconnect();
+    strip.meter.analyser.disconnect();
+    this.strips.delete(strip.layer);
+  }
+
+  #applySettings(strip, settings) {
+    const now = this.context.currentTime;
+    strip.fader.gain.setTargetAtTime(faderGain(settings), now, FOLLOW_TIME_CONSTANT);
+    strip.panner.pan.setTargetAtTime(settings.pan, now, FOLLOW_TIME_CONSTANT);
+    strip.settings = settings;
+  }
+
+  // Brings the strips in line with `layers` (every layer of every layout and page): new layers get
+  // a strip, removed ones lose it and layers whose source changed are rewired.
+  sync(layers) {
+    const audible = layers.filter((layer) => typeof layer.source?.getAudioTrack === 'function');
+    const keep = new Set(audible);
+    for (const strip of [...this.strips.values()]) {
+      if (!keep.has(strip.layer) || strip.source !== strip.layer.source) {
+        this.#removeStrip(strip);
+      }
+    }
+    for (const layer of audible) {
+      let strip = this.strips.get(layer);
+      if (!strip) {
+        strip = this.#createStrip(layer);
+        this.strips.set(layer, strip);
+      }
+      const settings = layer.audio ?? normalizeLayerAudio(null);
+      if (JSON.stringify(settings) !== JSON.stringify(strip.settings)) {
+        this.#applySettings(strip, settings);
+      }
+    }
+    this.inputs.forEach((input, source) => this.#refreshInput(source, input));
+  }
+
+  // levels: Map(layer → 0..1) of how much of each layer is on air this frame. Layers with
+  // followVideo off stay at their fader level regardless.
+  follow(levels) {
+    const now = this.context.currentTime;
+    for (const strip of this.strips.values()) {
+      const level = strip.settings.followVideo ? levels.get(strip.layer) ?? 0 : 1;
+      if (level !== strip.level) {
+        strip.follow.gain.setTargetAtTime(level, now, FOLLOW_TIME_CONSTANT);
+        strip.level = level;
+      }
+    }
+  }
+
+  setMasterGainDb(db) {
+    this.program.gain.setTargetAtTime(dbToGain(db), this.context.currentTime, FOLLOW_TIME_CONSTANT);
+  }
+
+  // Post-fader peak levels in dBFS.
+  levels() {
+    return {
+      program: readPeakDb(this.programMeter),
+      inputs: [...this.strips.values()].map((strip) => ({ id: strip.layer.id, peakDb: readPeakDb(strip.meter) })),
+    };
+  }
+
+  dispose() {
+    [...this.strips.values()].forEach((strip) => this.#removeStrip(strip));
+    this.context.close();
+  }
+}
+
+// Draws peak meters for the program bus and every strip into a 2D canvas.
+export class AudioMeters {
+  constructor(canvas, mixer) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.mixer = mixer;
+    this.held = new Map();
+    this.frameHandle = null;
+  }
+
+  start() {
+    const draw = () => {
+      this.draw();
+      this.frameHandle = requestAnimationFrame(draw);
+    };
+    this.frameHandle = requestAnimationFrame(draw);
+  }
+
+  stop() {
+    cancelAnimationFrame(this.frameHandle);
+    this.frameHandle = null;
+  }
+
+  // Peaks fall back at ~20 dB/s so short transients stay readable.
+  #hold(id, peakDb) {
+    const previous = this.held.get(id) ?? SILENCE_DB;
+    const value = Math.max(peakDb, previous - 20 / 60);
+    this.held.set(id, value);
+    return value;
+  }
+
+  draw() {
+    const { canvas, context } = this;
+    const { program, inputs } = this.mixer.levels();
+    const rows = [{ id: 'PGM', peakDb: program }, ...inputs];
+    const rowHeight = 14;
+    canvas.height = rows.length * rowHeight + 4;
+    const labelWidth = 120;
+    const barWidth = canvas.width - labelWidth - 8;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = '11px system-ui, sans-serif';
+    context.textBaseline = 'middle';
+    rows.forEach(({ id, peakDb }, index) => {
+      const y = 2 + index * rowHeight;
+      const held = this.#hold(id, peakDb);
+      const fraction = Math.max(0, (held - SILENCE_DB / 2) / (-SILENCE_DB / 2));
+      context.fillStyle = '#94a3b8';
+      context.fillText(String(id).slice(0, 18), 4, y + rowHeight / 2);
+      context.fillStyle = '#1e293b';
+      context.fillRect(labelWidth, y + 2, barWidth, rowHeight - 4);
+      context.fillStyle = held > -1 ? '#ef4444' : held > -9 ? '#eab308' : '#22c55e';
+      context.fillRect(labelWidth, y + 2, barWidth * fraction, rowHeight - 4);
+    });
+  }
+}
+
+// Renders the program mix for offline export. inputs: [{ url, loop, audio, envelope }], where
+// envelope is a list of { time, level } follow-video changes. Media is fetched and decoded whole;
+// inputs without a decodable audio track are skipped.
+export async function renderMixdown({
+  durationSeconds,
+  sampleRate = 48_000,
+  channels = 2,
+  masterGainDb = 0,
+  inputs,
+  onWarning = null,
+}) {
+  const length = Math.max(1, Math.round(durationSeconds * sampleRate));
+  const context = new OfflineAudioContext({ numberOfChannels: channels, length, sampleRate });
+  const program = context.createGain();
+  program.gain.value = dbToGain(masterGainDb);
+  program.connect(context.destination);
+
+  const decoded = new Map();
+  const decode = (url) => {
+    if (!decoded.has(url)) {
+      decoded.set(
+        url,
+        fetch(url)
+          .then((res) => res.arrayBuffer())
+          .then((bytes) => context.decodeAudioData(bytes))
+          .catch((error) => {
+            onWarning?.(`No audio from ${url}: ${error.message}`);
+            return null;
+          })
+      );
+    }
+    return decoded.get(url);
+  };
+
+  for (const input of inputs) {
+    const settings = normalizeLayerAudio(input.audio);
+    const buffer = await decode(input.url);
+    if (!buffer || settings.muted) {
+      continue;
+    }
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = input.loop ?? true;
+    const fader = context.createGain();
+    fader.gain.value = faderGain(settings);
+    const panner = context.createStereoPanner();
+    panner.pan.value = settings.pan;
+    const follow = context.createGain();
+    follow.gain.value = 0;
+    if (settings.followVideo) {
+      for (const { time, level } of input.envelope ?? []) {
+        follow.gain.setTargetAtTime(level, time, FOLLOW_TIME_CONSTANT);
+      }
+    } else {
+      follow.gain.value = 1;
+    }
+    source.connect(fader).connect(panner).connect(follow).connect(program);
+    source.start(0);
+  }
+  return context.startRendering();
+}
@@ -0,0 +1,65 @@
+// Gaussian blur for the `blur` layer effect (see LayerEffects in layer-effects.js): fsBlurSource
+// copies a source frame, premultiplied, into a working texture that fsBlur then blurs once
+// horizontally and once vertically.
+
+struct BlurUniform {
+    // One texel along the blur direction, in UV units.
+    direction: vec2<f32>,
+    // Standard deviation and taps on each side, in texels.
+    sigma: f32,
+    taps: f32,
+}
+
+@group(0) @binding(0)
+var<uniform> blur: BlurUniform;
+
+@group(0) @binding(1)
+var blur_sampler: sampler;
+
+@group(0) @binding(2)
+var blur_input: texture_2d<f32>;
+
+@group(0) @binding(3)
+var blur_source: texture_external;
+
+struct VertexOutput {
+    @builtin(position) clip_position: vec4<f32>,
+    @location(0) uv: vec2<f32>,
+};
+
+@vertex
+fn vsBlur(@builtin(vertex_index) index: u32) -> VertexOutput {
+    // One oversized triangle covers the whole target.
+    var positions = array<vec2<f32>, 3>(
+        vec2<f32>(-1.0, -1.0),
+        vec2<f32>(3.0, -1.0),
+        vec2<f32>(-1.0, 3.0),
+    );
+    let pos = positions[index];
+    var output: VertexOutput;
+    output.clip_position = vec4<f32>(pos, 0.0, 1.0);
+    output.uv = vec2<f32>(pos.x * 0.5 + 0.5, 0.5 - pos.y * 0.5);
+    return output;
+}
+
+// Premultiplied so transparent pixels do not bleed their color into the blur.
+@fragment
+fn fsBlurSource(input: VertexOutput) -> @location(0) vec4<f32> {
+    let sample = textureSampleBaseClampToEdge(blur_source, blur_sampler, input.uv);
+    return vec4<f32>(sample.rgb * sample.a, sample.a);
+}
+
+@fragment
+fn fsBlur(input: VertexOutput) -> @location(0) vec4<f32> {
+    var sum = textureSampleLevel(blur_input, blur_sampler, input.uv, 0.0);
+    var total = 1.0;
+    let variance = max(blur.sigma * blur.sigma, 1e-4);
+    for (var i = 1; i <= i32(blur.taps); i++) {
+        let offset = blur.direction * f32(i);
+        let weight = exp(-0.5 * f32(i * i) / variance);
+        sum += textureSampleLevel(blur_input, blur_sampler, input.uv + offset, 0.0) * weight;
+        sum += textureSampleLevel(blur_input, blur_sampler, input.uv - offset, 0.0) * weight;
+        total += 2.0 * weight;
+    }
+    return sum / total;
+}
@@ -0,0 +1,121 @@
+// Parses "#rgb", "#rgba", "#rrggbb" or "#rrggbbaa" (or an [r, g, b, a?] array in 0..1) into 0..1 components.
+export function parseColor(value, fallback = { r: 0, g: 0, b: 0, a: 1 }) {
+  if (Array.isArray(value)) {
+    const [r = 0, g = 0, b = 0, a = 1] = value;
+    return { r, g, b, a };
+  }
+  if (typeof value !== 'string') {
+    return fallback;
+  }
+  let hex = value.trim().replace(/^#/, '');
+  if (hex.length === 3 || hex.length === 4) {
+    hex = [...hex].map((digit) => digit + digit).join('');
+  }
+  if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) {
+    return fallback;
+  }
+  const channel = (offset) => parseInt(hex.slice(offset, offset + 2), 16) / 255;
+  return {
+    r: channel(0),
+    g: channel(2),
+    b: channel(4),
+    a: hex.length === 8 ? channel(6) : 1,
+  };
+}
+
+// Scene color → CSS color string for Canvas 2D drawing (multiviewer furniture, text layers).
+export function cssColor(value) {
+  const { r, g, b, a } = parseColor(value);
+  return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${a})`;
+}
+
+export function srgbToLinear(value) {
+  return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+}
+
+// Scene colors are written in sRGB; the compositor blends in linear light.
+export function linearizeColor({ r, g, b, a }) {
+  return { r: srgbToLinear(r), g: srgbToLinear(g), b: srgbToLinear(b), a };
+}
+
+// Codes must match the MATRIX_* / RANGE_* / TRANSFER_* constants in color.wgsl.
+export const COLOR_MATRICES = { rgb: 0, bt601: 1, bt709: 2, bt2020: 3 };
+export const COLOR_RANGES = { full: 0, limited: 1 };
+export const COLOR_TRANSFERS = { linear: 0, srgb: 1, bt1886: 2, pq: 3, hlg: 4 };
+export const TONE_MAPPINGS = { clip: 0, knee: 1 };
+
+const FRAME_MATRICES = {
+  rgb: 'rgb',
+  bt709: 'bt709',
+  bt470bg: 'bt601',
+  smpte170m: 'bt601',
+  'bt2020-ncl': 'bt2020',
+};
+const FRAME_TRANSFERS = {
+  bt709: 'bt1886',
+  smpte170m: 'bt1886',
+  'iec61966-2-1': 'srgb',
+  linear: 'linear',
+  pq: 'pq',
+  hlg: 'hlg',
+};
+
+// What the browser used when it converted a frame for importExternalTexture. Missing metadata is
+// treated the way Chromium does for untagged video: BT.709, limited range.
+export function frameColorSpace(colorSpace, { rgb = false } = {}) {
+  const matrix = FRAME_MATRICES[colorSpace?.matrix] ?? (rgb ? 'rgb' : 'bt709');
+  return {
+    matrix,
+    range: matrix === 'rgb' || colorSpace?.fullRange ? 'full' : 'limited',
+    transfer: FRAME_TRANSFERS[colorSpace?.transfer] ?? (matrix === 'rgb' ? 'srgb' : 'bt1886'),
+  };
+}
+
+export function normalizeInputColor(settings) {
+  const pick = (value, table) => (value && value !== 'auto' && value in table ? value : 'auto');
+  return {
+    matrix: pick(settings?.matrix, COLOR_MATRICES),
+    range: pick(settings?.range, COLOR_RANGES),
+    transfer: pick(settings?.transfer, COLOR_TRANSFERS),
+  };
+}
+
+// Scene overrides win over frame metadata. When they agree with what the browser already applied
+// the sampled sRGB value is used as-is; otherwise the shader undoes the browser's conversion and
+// redoes it with the corrected parameters.
+export function resolveInputColor(settings, decoded) {
+  const source = {
+    matrix: decoded.matrix === 'rgb' || settings.matrix === 'auto' ? decoded.matrix : settings.matrix,
+    range: decoded.matrix === 'rgb' || settings.range === 'auto' ? decoded.range : settings.range,
+    transfer: settings.transfer === 'auto' ? decoded.transfer : settings.transfer,
+  };
+  const reinterpret =
+    source.matrix !== decoded.matrix || source.range !== decoded.range || source.transfer !== decoded.transfer;
+  return { source, decoded, reinterpret };
+}
+
+export function normalizeOutputColor(settings) {
+  return {
+    transfer: settings?.transfer === 'bt1886' ? 'bt1886' : 'srgb',
+    toneMapping: settings?.toneMapping === 'clip' ? 'clip' : 'knee',
+    referenceWhiteNits: settings?.referenceWhiteNits ?? 203,
+  };
+}
+
+// The 12 floats after the layout part of a layer's uniform block (see LayoutUniform in shaders_v2.wgsl).
+export function buildColorBlock({ source, decoded, reinterpret }, output) {
+  return new Float32Array([
+    COLOR_MATRICES[source.matrix],
+    COLOR_RANGES[source.range],
+    COLOR_TRANSFERS[source.transfer],
+    reinterpret ? 1 : 0,
+    COLOR_MATRICES[decoded.matrix],
+    COLOR_RANGES[decoded.range],
+    COLOR_TRANSFERS[decoded.transfer],
+    0,
+    output.referenceWhiteNits,
+    TONE_MAPPINGS[output.toneMapping],
+    0,
+    0,
+  ]);
+}
@@ -0,0 +1,233 @@
+// Shared color math. WGSL has no includes, so main.js prepends this file to shaders_v2.wgsl and
+// output.wgsl. Codes must match COLOR_MATRICES / COLOR_RANGES / COLOR_TRANSFERS in color.js.
+//
+// Working space: linear light, BT.709 primaries, premultiplied alpha, 1.0 = SDR reference white.
+
+const MATRIX_RGB: u32 = 0u;
+const MATRIX_BT601: u32 = 1u;
+const MATRIX_BT709: u32 = 2u;
+const MATRIX_BT2020: u32 = 3u;
+
+const RANGE_FULL: u32 = 0u;
+const RANGE_LIMITED: u32 = 1u;
+
+const TRANSFER_LINEAR: u32 = 0u;
+const TRANSFER_SRGB: u32 = 1u;
+const TRANSFER_BT1886: u32 = 2u;
+const TRANSFER_PQ: u32 = 3u;
+const TRANSFER_HLG: u32 = 4u;
+
+const TONE_MAPPING_KNEE: u32 = 1u;
+
+const PQ_M1: f32 = 0.1593017578125;
+const PQ_M2: f32 = 78.84375;
+const PQ_C1: f32 = 0.8359375;
+const PQ_C2: f32 = 18.8515625;
+const PQ_C3: f32 = 18.6875;
+const PQ_PEAK_NITS: f32 = 10000.0;
+
+const HLG_A: f32 = 0.17883277;
+const HLG_B: f32 = 0.28466892;
+const HLG_C: f32 = 0.55991073;
+const HLG_PEAK_NITS: f32 = 1000.0;
+const HLG_SYSTEM_GAMMA: f32 = 1.2;
+
+const LUMA_BT2020: vec3<f32> = vec3<f32>(0.2627, 0.6780, 0.0593);
+
+// Where tone mapping starts to compress highlights, relative to reference white.
+const TONE_KNEE: f32 = 0.8;
+
+fn srgb_to_linear(value: vec3<f32>) -> vec3<f32> {
+    let v = max(value, vec3<f32>(0.0));
+    return select(pow((v + 0.055) / 1.055, vec3<f32>(2.4)), v / 12.92, v <= vec3<f32>(0.04045));
+}
+
+fn linear_to_srgb(value: vec3<f32>) -> vec3<f32> {
+    let v = max(value, vec3<f32>(0.0));
+    return select(1.055 * pow(v, vec3<f32>(1.0 / 2.4)) - 0.055, v * 12.92, v <= vec3<f32>(0.0031308));
+}
+
+fn pq_to_nits(value: vec3<f32>) -> vec3<f32> {
+    let p = pow(clamp(value, vec3<f32>(0.0), vec3<f32>(1.0)), vec3<f32>(1.0 / PQ_M2));
+    let num = max(p - PQ_C1, vec3<f32>(0.0));
+    return PQ_PEAK_NITS * pow(num / (PQ_C2 - PQ_C3 * p), vec3<f32>(1.0 / PQ_M1));
+}
+
+fn nits_to_pq(nits: vec3<f32>) -> vec3<f32> {
+    let y = pow(clamp(nits / PQ_PEAK_NITS, vec3<f32>(0.0), vec3<f32>(1.0)), vec3<f32>(PQ_M1));
+    return pow((PQ_C1 + PQ_C2 * y) / (1.0 + PQ_C3 * y), vec3<f32>(PQ_M2));
+}
+
+fn hlg_inverse_oetf(value: vec3<f32>) -> vec3<f32> {
+    let v = clamp(value, vec3<f32>(0.0), vec3<f32>(1.0));
+    return select((exp((v - HLG_C) / HLG_A) + HLG_B) / 12.0, v * v / 3.0, v <= vec3<f32>(0.5));
+}
+
+fn hlg_oetf(scene: vec3<f32>) -> vec3<f32> {
+    let e = clamp(scene, vec3<f32>(0.0), vec3<f32>(1.0));
+    return select(HLG_A * log(max(12.0 * e - HLG_B, vec3<f32>(1e-6))) + HLG_C, sqrt(3.0 * e), e <= vec3<f32>(1.0 / 12.0));
+}
+
+// HLG display light for a 1000 nit display (BT.2100 OOTF with system gamma 1.2).
+fn hlg_to_nits(value: vec3<f32>) -> vec3<f32> {
+    let scene = hlg_inverse_oetf(value);
+    let luminance = dot(scene, LUMA_BT2020);
+    return HLG_PEAK_NITS * pow(max(luminance, 1e-6), HLG_SYSTEM_GAMMA - 1.0) * scene;
+}
+
+fn nits_to_hlg(nits: vec3<f32>) -> vec3<f32> {
+    let display = nits / HLG_PEAK_NITS;
+    let luminance = max(dot(display, LUMA_BT2020), 1e-6);
+    return hlg_oetf(display * pow(luminance, (1.0 - HLG_SYSTEM_GAMMA) / HLG_SYSTEM_GAMMA));
+}
+
+// Signal → linear light relative to reference white.
+fn decode_transfer(value: vec3<f32>, transfer: u32, reference_white_nits: f32) -> vec3<f32> {
+    switch transfer {
+        case TRANSFER_LINEAR: {
+            return value;
+        }
+        case TRANSFER_BT1886: {
+            return pow(max(value, vec3<f32>(0.0)), vec3<f32>(2.4));
+        }
+        case TRANSFER_PQ: {
+            return pq_to_nits(value) / reference_white_nits;
+        }
+        case TRANSFER_HLG: {
+            return hlg_to_nits(value) / reference_white_nits;
+        }
+        default: {
+            return srgb_to_linear(value);
+        }
+    }
+}
+
+fn encode_transfer(linear: vec3<f32>, transfer: u32, reference_white_nits: f32) -> vec3<f32> {
+    switch transfer {
+        case TRANSFER_LINEAR: {
+            return linear;
+        }
+        case TRANSFER_BT1886: {
+            return pow(max(linear, vec3<f32>(0.0)), vec3<f32>(1.0 / 2.4));
+        }
+        case TRANSFER_PQ: {
+            return nits_to_pq(linear * reference_white_nits);
+        }
+        case TRANSFER_HLG: {
+            return nits_to_hlg(linear * reference_white_nits);
+        }
+        default: {
+            return linear_to_srgb(linear);
+        }
+    }
+}
+
+fn is_hdr_transfer(transfer: u32) -> bool {
+    return transfer == TRANSFER_PQ || transfer == TRANSFER_HLG;
+}
+
+// (Kr, Kb) luma coefficients of each Y'CbCr matrix.
+fn luma_coefficients(matrix: u32) -> vec2<f32> {
+    switch matrix {
+        case MATRIX_BT601: {
+            return vec2<f32>(0.299, 0.114);
+        }
+        case MATRIX_BT2020: {
+            return vec2<f32>(0.2627, 0.0593);
+        }
+        default: {
+            return vec2<f32>(0.2126, 0.0722);
+        }
+    }
+}
+
+// R'G'B' → Y'CbCr with Y' in 0..1 and Cb/Cr in -0.5..0.5.
+fn rgb_to_ycbcr(rgb: vec3<f32>, matrix: u32) -> vec3<f32> {
+    let k = luma_coefficients(matrix);
+    let y = k.x * rgb.r + (1.0 - k.x - k.y) * rgb.g + k.y * rgb.b;
+    return vec3<f32>(y, (rgb.b - y) / (2.0 * (1.0 - k.y)), (rgb.r - y) / (2.0 * (1.0 - k.x)));
+}
+
+fn ycbcr_to_rgb(ycbcr: vec3<f32>, matrix: u32) -> vec3<f32> {
+    let k = luma_coefficients(matrix);
+    let r = ycbcr.x + 2.0 * (1.0 - k.x) * ycbcr.z;
+    let b = ycbcr.x + 2.0 * (1.0 - k.y) * ycbcr.y;
+    let g = (ycbcr.x - k.x * r - k.y * b) / (1.0 - k.x - k.y);
+    return vec3<f32>(r, g, b);
+}
+
+// Y'CbCr → normalized code values (what the decoder handed to the browser) and back.
+fn ycbcr_to_code(ycbcr: vec3<f32>, range: u32) -> vec3<f32> {
+    if (range == RANGE_LIMITED) {
+        return vec3<f32>(16.0 / 255.0 + ycbcr.x * 219.0 / 255.0, vec2<f32>(128.0 / 255.0) + ycbcr.yz * 224.0 / 255.0);
+    }
+    return vec3<f32>(ycbcr.x, ycbcr.yz + 0.5);
+}
+
+fn code_to_ycbcr(code: vec3<f32>, range: u32) -> vec3<f32> {
+    if (range == RANGE_LIMITED) {
+        return vec3<f32>((code.x - 16.0 / 255.0) * 255.0 / 219.0, (code.yz - vec2<f32>(128.0 / 255.0)) * 255.0 / 224.0);
+    }
+    return vec3<f32>(code.x, code.yz - 0.5);
+}
+
+fn bt2020_to_bt709(rgb: vec3<f32>) -> vec3<f32> {
+    return vec3<f32>(
+        dot(vec3<f32>(1.6605, -0.5876, -0.0728), rgb),
+        dot(vec3<f32>(-0.1246, 1.1329, -0.0083), rgb),
+        dot(vec3<f32>(-0.0182, -0.1006, 1.1187), rgb),
+    );
+}
+
+fn bt709_to_bt2020(rgb: vec3<f32>) -> vec3<f32> {
+    return vec3<f32>(
+        dot(vec3<f32>(0.6274, 0.3293, 0.0433), rgb),
+        dot(vec3<f32>(0.0691, 0.9195, 0.0114), rgb),
+        dot(vec3<f32>(0.0164, 0.0880, 0.8956), rgb),
+    );
+}
+
+// Rolls highlights above TONE_KNEE off towards 1.0 with unit slope at the knee; applied to the
+// max channel so hue is kept.
+fn tone_map(linear: vec3<f32>) -> vec3<f32> {
+    let peak = max(max(linear.r, linear.g), linear.b);
+    if (peak <= TONE_KNEE) {
+        return linear;
+    }
+    let over = peak - TONE_KNEE;
+    let range = 1.0 - TONE_KNEE;
+    let mapped = TONE_KNEE + range * over / (over + range);
+    return linear * (mapped / peak);
+}
+
+// sampled: what texture_external returns, i.e. the browser's conversion of the frame into sRGB
+// using `decoded` (matrix, range, transfer). When the scene overrides any of those (source.w = 1),
+// that conversion is undone back to the original code values and redone with `source`.
+fn input_to_working(sampled: vec3<f32>, source: vec4<f32>, decoded: vec4<f32>, tone: vec4<f32>) -> vec3<f32> {
+    var linear = srgb_to_linear(sampled);
+    if (source.w < 0.5) {
+        return linear;
+    }
+    let reference_white = tone.x;
+    let source_matrix = u32(source.x);
+    let source_transfer = u32(source.z);
+    let decoded_matrix = u32(decoded.x);
+
+    if (decoded_matrix == MATRIX_BT2020) {
+        linear = bt709_to_bt2020(linear);
+    }
+    var code = encode_transfer(linear, u32(decoded.z), reference_white);
+    if (decoded_matrix != MATRIX_RGB) {
+        let original = ycbcr_to_code(rgb_to_ycbcr(code, decoded_matrix), u32(decoded.y));
+        code = ycbcr_to_rgb(code_to_ycbcr(original, u32(source.y)), source_matrix);
+    }
+    linear = decode_transfer(code, source_transfer, reference_white);
+    if (source_matrix == MATRIX_BT2020) {
+        linear = bt2020_to_bt709(linear);
+    }
+    linear = max(linear, vec3<f32>(0.0));
+    if (is_hdr_transfer(source_transfer) && u32(tone.y) == TONE_MAPPING_KNEE) {
+        linear = tone_map(linear);
+    }
+    return linear;
+}
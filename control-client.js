@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Reference client for the remote control protocol, through control-server.js:
+//   node control-client.js [--url ws://127.0.0.1:8093/control] <method> ['<params JSON>']
+//   node control-client.js [--url ...] --watch [event ...]
+// The first form sends one request and prints its result (errors go to stderr, exit code 1); the
+// second subscribes to events (all of them by default) and prints one JSON line per event until
+// interrupted. Examples:
+//   node control-client.js getState
+//   node control-client.js transitionTo '{"target": "lower-third", "type": "mix", "durationFrames": 30}'
+//   node control-client.js setLayerText '{"id": "headline", "text": "Breaking"}'
+import { connectWebSocket } from './ws-server.js';
+
+const DEFAULT_URL = 'ws://127.0.0.1:8093/control';
+
+function parseArgs(args) {
+  const options = { url: DEFAULT_URL, watch: null, method: null, params: {} };
+  const rest = [...args];
+  while (rest.length) {
+    const arg = rest.shift();
+    if (arg === '--url') {
+      options.url = rest.shift();
+    } else if (arg === '--watch') {
+      options.watch = rest.splice(0);
+    } else if (!options.method) {
+      options.method = arg;
+    } else if (rest.length === 0) {
+      options.params = JSON.parse(arg);
+    } else {
+      throw new Error(`unexpected argument ${arg}`);
+    }
+  }
+  if (!options.method && !options.watch) {
+    throw new Error('missing method');
+  }
+  return options;
+}
+
+// Resolves with the answer to one request; events are handed to onEvent.
+function request(ws, message, onEvent = () => {}) {
+  return new Promise((resolve, reject) => {
+    ws.on('message', (text) => {
+      const answer = JSON.parse(text);
+      if (answer.event !== undefined) {
+        onEvent(answer);
+      } else if (answer.id === message.id) {
+        resolve(answer);
+      }
+    });
+    ws.on('close', () => reject(new Error('connection closed')));
+    ws.send(JSON.stringify(message));
+  });
+}
+
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(
+      `${error.message}\nusage: node control-client.js [--url ${DEFAULT_URL}] <method> ['<params JSON>']\n` +
+        `       node control-client.js [--url ${DEFAULT_URL}] --watch [event ...]`
+    );
+    return 2;
+  }
+  let ws;
+  try {
+    ws = await connectWebSocket(options.url);
+  } catch (error) {
+    console.error(`${error.message}; is control-server.js running?`);
+    return 1;
+  }
+
+  if (options.watch) {
+    const events = options.watch.length ? options.watch : undefined;
+    const printEvent = (event) => console.log(JSON.stringify(event));
+    const answer = await request(ws, { id: 1, method: 'subscribe', params: { events } }, printEvent);
+    if (answer.error) {
+      console.error(answer.error);
+      ws.close();
+      return 1;
+    }
+    process.once('SIGINT', () => ws.close());
+    await new Promise((resolve) => ws.on('close', resolve));
+    return 0;
+  }
+
+  const answer = await request(ws, { id: 1, method: options.method, params: options.params });
+  ws.close();
+  if (answer.error) {
+    console.error(answer.error);
+    return 1;
+  }
+  console.log(JSON.stringify(answer.result, null, 2));
+  return 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// Reference relay for the remote control protocol (see remote-control.js), for automation and
+// panels on this machine or the local network:
+//   node control-server.js [--port 8093] [--host 127.0.0.1]
+// The renderer page connects to ws://host:port/renderer (scene `control.url` or ?control=<url>);
+// panels connect to ws://host:port/control and talk { id, method, params } / { id, result | error }
+// / { event, data } JSON as if they were connected to the renderer directly. The relay tags each
+// panel's messages with a `client` id on the renderer side. It answers requests itself with an
+// error while no renderer is connected, and sends panels { event: 'renderer', data: { connected } }
+// when one comes or goes.
+import http from 'node:http';
+import { acceptWebSocket } from './ws-server.js';
+
+const DEFAULT_PORT = 8093;
+const DEFAULT_HOST = '127.0.0.1';
+
+let renderer = null;
+let nextClient = 1;
+// client id -> { ws, pending: Set(request id) }
+const panels = new Map();
+
+function broadcast(message) {
+  const text = JSON.stringify(message);
+  panels.forEach(({ ws }) => ws.send(text));
+}
+
+function acceptRenderer(ws) {
+  if (renderer) {
+    ws.close(1008, 'a renderer is already connected');
+    return;
+  }
+  renderer = ws;
+  console.log('renderer connected');
+  broadcast({ event: 'renderer', data: { connected: true } });
+  ws.on('message', (text) => {
+    if (typeof text !== 'string') {
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Without a client tag there is no panel to answer.
+      console.error(`renderer sent a message that is not JSON: ${error.message}`);
+      return;
+    }
+    const { client, ...message } = parsed ?? {};
+    const panel = panels.get(client);
+    if (!panel) {
+      return;
+    }
+    if (message.id !== undefined) {
+      panel.pending.delete(message.id);
+    }
+    panel.ws.send(JSON.stringify(message));
+  });
+  ws.on('close', () => {
+    renderer = null;
+    console.log('renderer disconnected');
+    for (const { ws: panel, pending } of panels.values()) {
+      pending.forEach((id) => panel.send(JSON.stringify({ id, error: 'renderer disconnected' })));
+      pending.clear();
+    }
+    broadcast({ event: 'renderer', data: { connected: false } });
+  });
+}
+
+function acceptPanel(ws) {
+  const client = `panel-${nextClient++}`;
+  const panel = { ws, pending: new Set() };
+  panels.set(client, panel);
+  console.log(`${client} connected`);
+  ws.on('message', (text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      ws.send(JSON.stringify({ error: `not JSON: ${error.message}` }));
+      return;
+    }
+    if (!message || typeof message !== 'object') {
+      ws.send(JSON.stringify({ error: 'messages are JSON objects' }));
+      return;
+    }
+    if (!renderer) {
+      ws.send(JSON.stringify({ id: message.id, error: 'no renderer connected' }));
+      return;
+    }
+    if (message.id !== undefined) {
+      panel.pending.add(message.id);
+    }
+    renderer.send(JSON.stringify({ ...message, client }));
+  });
+  ws.on('close', () => {
+    panels.delete(client);
+    renderer?.send(JSON.stringify({ client, closed: true }));
+    console.log(`${client} disconnected`);
+  });
+}
+
+function parseArgs(args) {
+  const options = { port: DEFAULT_PORT, host: DEFAULT_HOST };
+  for (let index = 0; index < args.length; index += 2) {
+    if (args[index] === '--port') {
+      options.port = Number(args[index + 1]);
+    } else if (args[index] === '--host') {
+      options.host = args[index + 1];
+    } else {
+      throw new Error(`unknown argument ${args[index]}`);
+    }
+  }
+  return options;
+}
+
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\nusage: node control-server.js [--port ${DEFAULT_PORT}] [--host ${DEFAULT_HOST}]`);
+    return 2;
+  }
+
+  const server = http.createServer((request, response) => {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('routes: ws /renderer (the page), ws /control (panels)\n');
+  });
+  server.on('upgrade', (request, socket) => {
+    const route = new URL(request.url, 'http://localhost').pathname;
+    if (!['/renderer', '/control'].includes(route)) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    const ws = acceptWebSocket(request, socket);
+    if (!ws) {
+      return;
+    }
+    if (route === '/renderer') {
+      acceptRenderer(ws);
+    } else {
+      acceptPanel(ws);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+  const base = `${options.host}:${server.address().port}`;
+  console.log(`control-server on ${base}: open the page with ?control=ws://${base}/renderer, panels use ws://${base}/control`);
+  // Open WebSockets would keep the server alive after close(), so just exit.
+  process.once('SIGINT', () => process.exit(0));
+  process.once('SIGTERM', () => process.exit(0));
+  return 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,368 @@
+// File inputs decoded in the page instead of by a <video> element (layers with decoder
+// "webcodecs"): the whole file is fetched, indexed by the MP4 or WebM demuxer and its first video
+// track is fed to VideoDecoder chunk by chunk. Frames keep the media timestamps of the file, and
+// the composition clock maps straight onto them: composition time 0 shows the frame at
+// mediaStart seconds. Looping files count on past their end, so the frames of the second pass
+// carry timestamps one file duration later and never jump backwards.
+//
+// Decoding is driven by getFrame(): only DECODE_AHEAD_FRAMES are decoded past the presented frame,
+// a jump backwards or past the next key frame resets the decoder to the key frame before the
+// target, and frames before the target are dropped as they come out. seekFrame() decodes up to the
+// exact frame, which is what offline renders use. The picture only; the file's audio is not played.
+import { demuxMp4File } from './mp4-demuxer.js';
+import { demuxWebMFile } from './webm-demuxer.js';
+
+export const FILE_DECODERS = ['element', 'webcodecs'];
+
+// Decoded frames kept ready past the presented one, on top of the decoder's own queue.
+const DECODE_AHEAD_FRAMES = 6;
+// Without a getFrame() call for this long nobody is watching, so not decoding is no stall.
+const IDLE_AFTER_MS = 500;
+const EBML_MAGIC = [0x1a, 0x45, 0xdf, 0xa3];
+
+// The first decodable video track of an MP4 or WebM file, with its samples in decode order.
+export function demuxFile(bytes) {
+  const isWebM = EBML_MAGIC.every((byte, index) => bytes[index] === byte);
+  const tracks = isWebM ? demuxWebMFile(bytes) : demuxMp4File(bytes);
+  const video = tracks.filter((track) => track.kind === 'video');
+  const track = video.find((candidate) => candidate.codec && candidate.samples.length);
+  if (!track) {
+    const found = video.map((candidate) => candidate.sampleEntry ?? candidate.codecId).join(', ') || 'none';
+    throw new Error(`No decodable video track (found: ${found})`);
+  }
+  return track;
+}
+
+// Frames in presentation order: [{ timestampUs, durationUs, decodeIndex, keyIndex }] where
+// keyIndex is the decode index of the key frame decoding has to start from. startUs is the first
+// frame's timestamp and durationUs the length of one pass through the file.
+export function buildFrameIndex(samples) {
+  if (!samples.length) {
+    throw new Error('Track has no samples');
+  }
+  let keyIndex = 0;
+  const frames = samples.map((sample, decodeIndex) => {
+    if (sample.key) {
+      keyIndex = decodeIndex;
+    }
+    return { timestampUs: sample.timestampUs, durationUs: sample.durationUs, decodeIndex, keyIndex };
+  });
+  frames.sort((a, b) => a.timestampUs - b.timestampUs);
+  const startUs = frames[0].timestampUs;
+  const last = frames.at(-1);
+  return {
+    frames,
+    startUs,
+    durationUs: Math.max(1, last.timestampUs + last.durationUs - startUs),
+    sampleCount: samples.length,
+  };
+}
+
+// The frame shown at media position `positionUs` (on the continuous scale, so a looping file's
+// second pass starts at startUs + durationUs): { iteration, frame, timestampUs } with timestampUs
+// the frame's start on the same scale. Files that do not loop hold their first and last frame.
+export function locateFrame(index, positionUs, { loop = true } = {}) {
+  const iteration = loop ? Math.max(0, Math.floor((positionUs - index.startUs) / index.durationUs)) : 0;
+  const localUs = positionUs - iteration * index.durationUs;
+  let low = 0;
+  let high = index.frames.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (index.frames[middle].timestampUs <= localUs) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  const frame = index.frames[low];
+  return { iteration, frame, timestampUs: frame.timestampUs + iteration * index.durationUs };
+}
+
+// Decode-order position across passes, as fed to the decoder: pass * sampleCount + decode index.
+export function decodeCursor(index, iteration, decodeIndex) {
+  return iteration * index.sampleCount + decodeIndex;
+}
+
+// Timestamp an EncodedVideoChunk gets for a sample fed on pass `iteration`.
+export function chunkTimestamp(index, sample, iteration) {
+  return sample.timestampUs + iteration * index.durationUs;
+}
+
+export class FileSource {
+  // descriptor: the layer entry; reads url, loop and mediaStart (seconds).
+  constructor(descriptor) {
+    this.descriptor = descriptor;
+    this.loop = descriptor.loop ?? true;
+    this.mediaStartUs = Math.round((descriptor.mediaStart ?? 0) * 1_000_000);
+    this.bytes = null;
+    this.track = null;
+    this.config = null;
+    this.index = null;
+    this.decoder = null;
+    // Decode cursor of the next sample to feed; null until the first seek.
+    this.cursor = null;
+    this.flushing = null;
+    // Decoded frames not presented yet, by timestamp.
+    this.buffer = [];
+    this.presented = null;
+    // Timestamp of the frame wanted now, and the earliest one the current decode run can deliver.
+    this.targetUs = null;
+    this.floorUs = -Infinity;
+    this.ended = false;
+    // Telemetry (see render-stats.js): when each pending chunk went in, by timestamp.
+    this.decodeStarts = new Map();
+    this.decodeLatencyMs = null;
+    this.evicted = 0;
+    this.lastRequestAt = 0;
+    this.offline = false;
+    this.failure = null;
+    this.wake = null;
+    this.disposed = false;
+  }
+
+  // Resolves once the frame for composition time 0 is decoded.
+  async init() {
+    if (!window.VideoDecoder) {
+      throw new Error('WebCodecs VideoDecoder is required for decoder "webcodecs"');
+    }
+    const { url } = this.descriptor;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+    }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const track = demuxFile(bytes);
+    const config = {
+      codec: track.codec,
+      codedWidth: track.codedWidth || undefined,
+      codedHeight: track.codedHeight || undefined,
+      description: track.description ?? undefined,
+    };
+    const { supported } = await VideoDecoder.isConfigSupported(config);
+    if (!supported) {
+      throw new Error(`${url}: codec ${track.codec} is not supported by this browser`);
+    }
+    if (this.disposed) {
+      return;
+    }
+    Object.assign(this, { bytes, track, config, index: buildFrameIndex(track.samples) });
+    this.decoder = new VideoDecoder({
+      output: (frame) => this.#receive(frame),
+      error: (error) => {
+        this.failure ??= error;
+        this.#wakeUp();
+      },
+    });
+    this.decoder.addEventListener('dequeue', () => {
+      this.#wakeUp();
+      this.#pump();
+    });
+    this.decoder.configure(config);
+    await this.#decodeUntil(this.#locate(0));
+  }
+
+  isReady() {
+    return Boolean(this.presented);
+  }
+
+  #locate(targetPtsUs) {
+    const positionUs = this.index.startUs + this.mediaStartUs + targetPtsUs;
+    this.ended = !this.loop && positionUs >= this.index.startUs + this.index.durationUs;
+    return locateFrame(this.index, positionUs, { loop: this.loop });
+  }
+
+  #wakeUp() {
+    const wake = this.wake;
+    this.wake = null;
+    wake?.();
+  }
+
+  // Resolves on the decoder's next output, dequeue or error.
+  #nextEvent() {
+    return new Promise((resolve) => {
+      this.wake = resolve;
+    });
+  }
+
+  #receive(frame) {
+    const started = this.decodeStarts.get(frame.timestamp);
+    if (started !== undefined) {
+      this.decodeLatencyMs = performance.now() - started;
+      this.decodeStarts.delete(frame.timestamp);
+    }
+    if (this.disposed || frame.timestamp < this.floorUs) {
+      frame.close();
+      return;
+    }
+    const at = this.buffer.findIndex((slot) => slot.timestamp > frame.timestamp);
+    this.buffer.splice(at === -1 ? this.buffer.length : at, 0, frame);
+    this.#trim();
+    this.#wakeUp();
+  }
+
+  // Drops buffered frames that a newer frame at or before the target has replaced.
+  #trim() {
+    while (this.buffer.length > 1 && this.buffer[1].timestamp <= this.targetUs) {
+      this.buffer.shift().close();
+      this.evicted += 1;
+    }
+  }
+
+  // Points decoding at `target`, resetting the decoder when the frames in flight cannot reach it.
+  #follow(target) {
+    this.targetUs = target.timestampUs;
+    const keyCursor = decodeCursor(this.index, target.iteration, target.frame.keyIndex);
+    if (this.cursor === null || target.timestampUs < this.floorUs || keyCursor > this.cursor) {
+      if (this.cursor !== null) {
+        this.decoder.reset();
+        this.decoder.configure(this.config);
+      }
+      this.buffer.forEach((frame) => frame.close());
+      this.buffer = [];
+      this.decodeStarts.clear();
+      this.cursor = keyCursor;
+      this.floorUs = target.timestampUs;
+      this.flushing = null;
+    }
+    this.#trim();
+    this.#pump();
+  }
+
+  // Feeds the decoder until enough frames past the target are decoded or queued.
+  #pump() {
+    if (this.decoder?.state !== 'configured' || this.cursor === null) {
+      return;
+    }
+    const ahead = () => this.buffer.filter((frame) => frame.timestamp > this.targetUs).length;
+    while (this.decoder.decodeQueueSize + ahead() < DECODE_AHEAD_FRAMES && this.#feed()) {
+      // #feed() advances the cursor.
+    }
+  }
+
+  // Decodes the sample at the cursor; false at the end of a file that does not loop, where the
+  // decoder is flushed for the frames it still holds back.
+  #feed() {
+    const iteration = Math.floor(this.cursor / this.index.sampleCount);
+    if (!this.loop && iteration > 0) {
+      this.flushing ??= this.decoder.flush().catch(() => {});
+      return false;
+    }
+    const sample = this.track.samples[this.cursor % this.index.sampleCount];
+    const timestamp = chunkTimestamp(this.index, sample, iteration);
+    this.decodeStarts.set(timestamp, performance.now());
+    this.decoder.decode(
+      new EncodedVideoChunk({
+        type: sample.key ? 'key' : 'delta',
+        timestamp,
+        duration: sample.durationUs,
+        data: this.bytes.subarray(sample.offset, sample.offset + sample.size),
+      })
+    );
+    this.cursor += 1;
+    return true;
+  }
+
+  // Presents the newest decoded frame at or before timestampUs, if there is one yet.
+  #present(timestampUs) {
+    let index = -1;
+    while (index + 1 < this.buffer.length && this.buffer[index + 1].timestamp <= timestampUs) {
+      index += 1;
+    }
+    if (index < 0) {
+      return;
+    }
+    const passed = this.buffer.splice(0, index + 1);
+    const frame = passed.pop();
+    passed.forEach((skipped) => skipped.close());
+    this.evicted += passed.length;
+    this.presented?.close();
+    this.presented = frame;
+    this.floorUs = Math.max(this.floorUs, frame.timestamp);
+  }
+
+  async #decodeUntil(target) {
+    this.#follow(target);
+    const decoded = () =>
+      this.presented?.timestamp === target.timestampUs || this.buffer.some((frame) => frame.timestamp === target.timestampUs);
+    while (!decoded() && !this.failure && !this.disposed) {
+      if (this.decoder.decodeQueueSize > 0) {
+        await this.#nextEvent();
+      } else if (!this.#feed()) {
+        await this.flushing;
+        break;
+      }
+    }
+    if (this.failure) {
+      throw this.failure;
+    }
+    this.#present(target.timestampUs);
+  }
+
+  getFrame(targetPtsUs) {
+    // A decoder error closes the decoder; the health monitor replaces the whole source.
+    if (this.offline || this.failure) {
+      return this.presented;
+    }
+    this.lastRequestAt = performance.now();
+    const target = this.#locate(targetPtsUs);
+    this.#follow(target);
+    this.#present(target.timestampUs);
+    return this.presented;
+  }
+
+  // Health hooks (see source-health.js).
+  peekFrame() {
+    return this.buffer.at(-1) ?? this.presented;
+  }
+
+  getFailure() {
+    return this.failure;
+  }
+
+  isEnded() {
+    return this.ended;
+  }
+
+  // Render telemetry (see render-stats.js); presentedPtsUs is on the composition clock.
+  getStats() {
+    return {
+      bufferDepth: this.buffer.length + (this.decoder?.decodeQueueSize ?? 0),
+      evicted: this.evicted,
+      decodeLatencyMs: this.decodeLatencyMs,
+      presentedPtsUs: this.presented ? this.presented.timestamp - this.index.startUs - this.mediaStartUs : null,
+    };
+  }
+
+  isIdle() {
+    return performance.now() - this.lastRequestAt > IDLE_AFTER_MS;
+  }
+
+  // Offline renders call seekFrame() for every frame; there is no playback to pause.
+  enterOffline() {
+    this.offline = true;
+  }
+
+  leaveOffline() {
+    this.offline = false;
+  }
+
+  async seekFrame(targetPtsUs) {
+    if (this.index) {
+      await this.#decodeUntil(this.#locate(targetPtsUs));
+    }
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.#wakeUp();
+    if (this.decoder && this.decoder.state !== 'closed') {
+      this.decoder.close();
+    }
+    this.decoder = null;
+    this.buffer.forEach((frame) => frame.close());
+    this.buffer = [];
+    this.presented?.close();
+    this.presented = null;
+    this.bytes = null;
+  }
+}
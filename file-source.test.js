@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+
+import { buildFrameIndex, chunkTimestamp, decodeCursor, demuxFile, locateFrame } from './file-source.js';
+
+// See mp4-demuxer.test.js: 10 frames of 40 ms, decode order 0 3 1 2 6 4 5 | 7 9 8, keys at 0 and 7.
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+const bframes = demuxFile(fixture('bframes.mp4'));
+const index = buildFrameIndex(bframes.samples);
+
+test('the frame index is in presentation order and knows where decoding starts', () => {
+  assert.deepEqual(
+    index.frames.map((frame) => frame.timestampUs),
+    Array.from({ length: 10 }, (_, frame) => frame * 40_000)
+  );
+  assert.deepEqual(
+    index.frames.map((frame) => frame.decodeIndex),
+    [0, 2, 3, 1, 5, 6, 4, 7, 9, 8]
+  );
+  assert.deepEqual(
+    index.frames.map((frame) => frame.keyIndex),
+    [0, 0, 0, 0, 0, 0, 0, 7, 7, 7]
+  );
+  assert.equal(index.startUs, 0);
+  assert.equal(index.durationUs, 400_000);
+});
+
+test('a media time maps to the frame on screen at that time', () => {
+  const at = (positionUs, options) => {
+    const { iteration, frame, timestampUs } = locateFrame(index, positionUs, options);
+    return [iteration, frame.decodeIndex, timestampUs];
+  };
+  assert.deepEqual(at(0), [0, 0, 0]);
+  assert.deepEqual(at(39_999), [0, 0, 0]);
+  assert.deepEqual(at(130_000), [0, 1, 120_000]);
+  assert.deepEqual(at(335_000), [0, 9, 320_000]);
+});
+
+test('looping counts on past the end instead of jumping back', () => {
+  const located = [];
+  for (let positionUs = 0; positionUs < 3 * index.durationUs; positionUs += 40_000) {
+    located.push(locateFrame(index, positionUs));
+  }
+  located.forEach(({ timestampUs }, frame) => assert.equal(timestampUs, frame * 40_000));
+  const wrapped = locateFrame(index, 410_000);
+  assert.equal(wrapped.iteration, 1);
+  assert.equal(wrapped.frame.timestampUs, 0);
+  // The decoder restarts at the first key frame of the second pass, with timestamps to match.
+  assert.equal(decodeCursor(index, wrapped.iteration, wrapped.frame.keyIndex), 10);
+  assert.equal(chunkTimestamp(index, bframes.samples[1], wrapped.iteration), 520_000);
+});
+
+test('files that do not loop hold their last frame', () => {
+  const held = locateFrame(index, 1_000_000, { loop: false });
+  assert.equal(held.iteration, 0);
+  assert.equal(held.timestampUs, 360_000);
+});
+
+test('media timestamps that do not start at zero are kept', () => {
+  const fragmented = buildFrameIndex(demuxFile(fixture('fragmented.mp4')).samples);
+  assert.equal(fragmented.startUs, 1_000_000);
+  assert.equal(locateFrame(fragmented, 1_140_000).frame.keyIndex, 4);
+  assert.equal(locateFrame(fragmented, fragmented.startUs + fragmented.durationUs).timestampUs, 1_000_000 + fragmented.durationUs);
+});
+
+test('the first decodable video track is picked', () => {
+  const track = demuxFile(fixture('recorded.webm'));
+  assert.equal(track.codec, 'vp8');
+  assert.equal(track.samples.length, 12);
+});
@@ -0,0 +1,357 @@
+// Built-in synthetic sources (`type: "generator"` layers and fallbacks) and the SMPTE timecode
+// burn-in. Both are drawn by generators.wgsl: a generator renders its pattern into a canvas of its
+// own and hands it to the compositor as a VideoFrame like any other source; a burn-in is a box of
+// seven-segment digits drawn straight into the composite, over a layer or over the program.
+import { linearizeColor, parseColor } from './color.js';
+import { blendState } from './layer-effects.js';
+import { layerToCanvas } from './layout.js';
+import { WORKING_FORMAT } from './output-transform.js';
+import { isDropFrameRate, smpteTimecode } from './timecode.js';
+
+export const GENERATOR_PATTERNS = [
+  'smpte-bars',
+  'ebu-bars',
+  'solid',
+  'gradient',
+  'zoneplate',
+  'sweep',
+  'counter',
+  'timecode',
+];
+export const GRADIENT_DIRECTIONS = ['horizontal', 'vertical', 'diagonal', 'radial'];
+export const BURN_IN_POSITIONS = ['top-left', 'top', 'top-right', 'bottom-left', 'bottom', 'bottom-right'];
+
+// Codes must match the PATTERN_* / DIRECTION_* / GLYPH_* constants in generators.wgsl.
+const PATTERN_CODES = {
+  'smpte-bars': 0,
+  'ebu-bars': 1,
+  solid: 2,
+  gradient: 3,
+  zoneplate: 4,
+  sweep: 5,
+  counter: 6,
+  timecode: 7,
+};
+const DIRECTION_CODES = { horizontal: 0, vertical: 1, diagonal: 2, radial: 3 };
+const GLYPH_CODES = { ':': 10, ';': 11, ' ': 12 };
+// Patterns that change every frame; the others are rendered once.
+const ANIMATED_PATTERNS = ['zoneplate', 'sweep', 'counter', 'timecode'];
+const MAX_GLYPHS = 16;
+export const GENERATOR_BLOCK_BYTES = 176;
+
+// Burn-in box proportions, in box heights: digits are 0.7 tall with 0.3 of padding either side.
+const BURN_IN_TEXT_HEIGHT = 0.7;
+const BURN_IN_PADDING = 0.3;
+const BURN_IN_MARGIN = 0.5;
+
+export function normalizeGenerator(entry) {
+  const pattern = GENERATOR_PATTERNS.includes(entry.pattern) ? entry.pattern : 'smpte-bars';
+  const isText = pattern === 'counter' || pattern === 'timecode';
+  const [from = '#000000', to = '#ffffff'] = entry.colors ?? [];
+  return {
+    pattern,
+    animated: ANIMATED_PATTERNS.includes(pattern),
+    // The fill of `solid`, the digits of `counter` and `timecode`.
+    color: entry.color ?? (isText ? '#ffffff' : '#000000'),
+    colors: [from, to],
+    direction: GRADIENT_DIRECTIONS.includes(entry.direction) ? entry.direction : 'horizontal',
+    // Highest spatial frequency of `zoneplate` and `sweep`, as a fraction of Nyquist.
+    frequency: Math.min(1, Math.max(0.01, entry.frequency ?? 1)),
+    // Phase drift of `zoneplate` and `sweep`, in cycles per second.
+    speed: entry.speed ?? 1,
+    resolution: entry.resolution ?? null,
+    dropFrame: entry.dropFrame ?? 'auto',
+  };
+}
+
+// The raster a generator renders: `resolution`, or the layer's rect in canvas pixels (the whole
+// canvas for fallbacks, which have no rect of their own).
+export function generatorSize(entry, { canvasWidth, canvasHeight }) {
+  const { width, height } = entry.resolution ?? {};
+  return {
+    width: Math.max(1, Math.round(width ?? (entry.width ?? 1) * canvasWidth)),
+    height: Math.max(1, Math.round(height ?? (entry.height ?? 1) * canvasHeight)),
+  };
+}
+
+// timecode: true, or { position, size, dropFrame, color, background }. size is the box height as a
+// fraction of the layer (or program) height; dropFrame "auto" follows the frame rate.
+export function normalizeBurnIn(value) {
+  if (!value) {
+    return null;
+  }
+  const settings = value === true ? {} : value;
+  return {
+    position: BURN_IN_POSITIONS.includes(settings.position) ? settings.position : 'bottom',
+    size: Math.min(1, Math.max(0.01, settings.size ?? 0.06)),
+    dropFrame: settings.dropFrame ?? 'auto',
+    color: settings.color ?? '#ffffff',
+    background: settings.background ?? '#000000b3',
+  };
+}
+
+// Drop-frame only exists at 29.97 and 59.94; "auto" turns it on there, false keeps it off.
+export function resolveDropFrame(dropFrame, fps) {
+  return dropFrame !== false && isDropFrameRate(fps);
+}
+
+export function timecodeText(frameIndex, fps, dropFrame) {
+  return smpteTimecode(frameIndex, fps, { dropFrame: resolveDropFrame(dropFrame, fps) });
+}
+
+// Width of a string of glyphs, in text heights; matches glyph_advance() in generators.wgsl.
+export function textAdvance(text) {
+  return [...text].reduce((sum, char) => sum + (/\d/.test(char) ? 0.75 : 0.35), 0);
+}
+
+function glyphCodes(text) {
+  return [...text].slice(0, MAX_GLYPHS).map((char) => (/\d/.test(char) ? Number(char) : GLYPH_CODES[char] ?? GLYPH_CODES[' ']));
+}
+
+// Corners of the burn-in box for `text` in canvas pixels (top-left, top-right, bottom-right,
+// bottom-left), placed inside the layer and turned with it.
+export function burnInCorners(geometry, burnIn, text) {
+  const [halfWidth, halfHeight] = geometry.halfSize;
+  const boxHeight = burnIn.size * halfHeight * 2;
+  const boxWidth = (textAdvance(text) * BURN_IN_TEXT_HEIGHT + BURN_IN_PADDING * 2) * boxHeight;
+  const margin = BURN_IN_MARGIN * boxHeight;
+  const [vertical, horizontal = 'center'] = burnIn.position.split('-');
+  const left = {
+    left: -halfWidth + margin,
+    center: -boxWidth / 2,
+    right: halfWidth - margin - boxWidth,
+  }[horizontal];
+  const top = vertical === 'top' ? -halfHeight + margin : halfHeight - margin - boxHeight;
+  return [
+    [left, top],
+    [left + boxWidth, top],
+    [left + boxWidth, top + boxHeight],
+    [left, top + boxHeight],
+  ].map((point) => layerToCanvas(geometry, point));
+}
+
+const rgba = ({ r, g, b, a }) => [r, g, b, a];
+
+// The uniform block (Generator in generators.wgsl). Colors are written as given: sRGB straight
+// alpha for patterns, linear premultiplied for burn-ins.
+export function buildGeneratorBlock({
+  size,
+  timeSeconds = 0,
+  pattern = 'smpte-bars',
+  color0 = { r: 0, g: 0, b: 0, a: 1 },
+  color1 = { r: 0, g: 0, b: 0, a: 1 },
+  options = [0, 0, 0, 0],
+  corners = [],
+  text = '',
+  frame = 0,
+}) {
+  const buffer = new ArrayBuffer(GENERATOR_BLOCK_BYTES);
+  const floats = new Float32Array(buffer);
+  const uints = new Uint32Array(buffer);
+  floats.set(size, 0);
+  floats[2] = timeSeconds;
+  uints[3] = PATTERN_CODES[pattern];
+  floats.set(rgba(color0), 4);
+  floats.set(rgba(color1), 8);
+  floats.set(options, 12);
+  floats.set(corners.flat(), 16);
+  const glyphs = glyphCodes(text);
+  uints.set(glyphs, 24);
+  uints[40] = glyphs.length;
+  uints[41] = frame;
+  return floats;
+}
+
+// The block for one frame of a generator; frameIndex counts frames of the composition clock.
+export function generatorBlock(settings, { width, height }, frameIndex, fps) {
+  const text = {
+    counter: String(frameIndex),
+    timecode: timecodeText(frameIndex, fps, settings.dropFrame),
+  }[settings.pattern];
+  const isText = text !== undefined;
+  // color0/color1: the fill, the gradient's two ends, or digits over a background.
+  return buildGeneratorBlock({
+    size: [width, height],
+    timeSeconds: frameIndex / fps,
+    pattern: settings.pattern,
+    color0: parseColor(isText || settings.pattern === 'solid' ? settings.color : settings.colors[0]),
+    color1: parseColor(isText ? settings.colors[0] : settings.colors[1]),
+    options: [settings.frequency, settings.speed, DIRECTION_CODES[settings.direction], Math.max(1, Math.round(fps))],
+    text,
+    frame: frameIndex,
+  });
+}
+
+// The block for a burn-in over `geometry` (see computeLayerGeometry in layout.js).
+export function burnInBlock(burnIn, geometry, frameIndex, fps) {
+  const text = timecodeText(frameIndex, fps, burnIn.dropFrame);
+  const premultiplied = (value) => {
+    const { r, g, b, a } = linearizeColor(parseColor(value));
+    const alpha = a * geometry.alpha;
+    return { r: r * alpha, g: g * alpha, b: b * alpha, a: alpha };
+  };
+  return buildGeneratorBlock({
+    size: geometry.canvas,
+    color0: premultiplied(burnIn.color),
+    color1: premultiplied(burnIn.background),
+    corners: burnInCorners(geometry, burnIn, text),
+    text,
+    frame: frameIndex,
+  });
+}
+
+// GPU side: one pattern pipeline per canvas format, and the burn-in pipeline that draws into the
+// composite (WORKING_FORMAT, at the composite's sample count).
+export class GeneratorRenderer {
+  constructor(device, { shaderCode, sampleCount = 1 }) {
+    this.device = device;
+    this.module = device.createShaderModule({ code: shaderCode });
+    this.bindGroupLayout = device.createBindGroupLayout({
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+          buffer: { type: 'uniform' },
+        },
+      ],
+    });
+    this.layout = device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] });
+    this.patternPipelines = new Map();
+    this.burnInPipeline = device.createRenderPipeline({
+      layout: this.layout,
+      vertex: { module: this.module, entryPoint: 'vsBurnIn' },
+      fragment: {
+        module: this.module,
+        entryPoint: 'fsBurnIn',
+        targets: [{ format: WORKING_FORMAT, blend: blendState('normal') }],
+      },
+      primitive: { topology: 'triangle-list' },
+      multisample: { count: sampleCount },
+    });
+    this.burnInUniforms = [];
+    this.burnInUniformsUsed = 0;
+  }
+
+  // Burn-in uniforms are written per draw, so the slots are handed out again every frame.
+  beginFrame() {
+    this.burnInUniformsUsed = 0;
+  }
+
+  createUniform() {
+    const buffer = this.device.createBuffer({
+      size: GENERATOR_BLOCK_BYTES,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    const bindGroup = this.device.createBindGroup({
+      layout: this.bindGroupLayout,
+      entries: [{ binding: 0, resource: { buffer } }],
+    });
+    return { buffer, bindGroup };
+  }
+
+  #patternPipeline(format) {
+    if (!this.patternPipelines.has(format)) {
+      this.patternPipelines.set(
+        format,
+        this.device.createRenderPipeline({
+          layout: this.layout,
+          vertex: { module: this.module, entryPoint: 'vsPattern' },
+          fragment: { module: this.module, entryPoint: 'fsPattern', targets: [{ format }] },
+          primitive: { topology: 'triangle-list' },
+        })
+      );
+    }
+    return this.patternPipelines.get(format);
+  }
+
+  // Renders a pattern into `texture` (a canvas texture) with its own submit.
+  renderPattern(texture, uniform, block) {
+    this.device.queue.writeBuffer(uniform.buffer, 0, block.buffer, block.byteOffset, block.byteLength);
+    const encoder = this.device.createCommandEncoder();
+    const pass = encoder.beginRenderPass({
+      colorAttachments: [{ view: texture.createView(), loadOp: 'clear', storeOp: 'store', clearValue: { r: 0, g: 0, b: 0, a: 1 } }],
+    });
+    pass.setPipeline(this.#patternPipeline(texture.format));
+    pass.setBindGroup(0, uniform.bindGroup);
+    pass.draw(3);
+    pass.end();
+    this.device.queue.submit([encoder.finish()]);
+  }
+
+  // Draws a burn-in (see burnInBlock) into the composite pass.
+  drawBurnIn(pass, block) {
+    if (this.burnInUniformsUsed === this.burnInUniforms.length) {
+      this.burnInUniforms.push(this.createUniform());
+    }
+    const uniform = this.burnInUniforms[this.burnInUniformsUsed];
+    this.burnInUniformsUsed += 1;
+    this.device.queue.writeBuffer(uniform.buffer, 0, block.buffer, block.byteOffset, block.byteLength);
+    pass.setPipeline(this.burnInPipeline);
+    pass.setBindGroup(0, uniform.bindGroup);
+    pass.draw(6);
+  }
+}
+
+// A generator layer or fallback. output is the source pool's { canvasWidth, canvasHeight, fps,
+// generators }. Frames are stamped with the composition time of the frame they show, so a
+// counter or timecode pattern reads the frame it is composited into; static patterns keep one
+// frame at timestamp 0.
+export class GeneratorSource {
+  constructor(descriptor, output) {
+    this.descriptor = descriptor;
+    this.settings = normalizeGenerator(descriptor);
+    this.size = generatorSize(descriptor, output);
+    this.fps = output.fps;
+    this.renderer = output.generators;
+    this.canvas = null;
+    this.context = null;
+    this.uniform = null;
+    this.frame = null;
+    this.frameIndex = null;
+  }
+
+  async init() {
+    this.canvas = new OffscreenCanvas(this.size.width, this.size.height);
+    const context = this.canvas.getContext('webgpu');
+    context.configure({
+      device: this.renderer.device,
+      format: navigator.gpu.getPreferredCanvasFormat(),
+      alphaMode: 'opaque',
+    });
+    this.uniform = this.renderer.createUniform();
+    this.context = context;
+  }
+
+  isReady() {
+    return Boolean(this.context);
+  }
+
+  getFrame(targetPtsUs) {
+    const frameIndex = this.settings.animated ? Math.max(0, Math.round((targetPtsUs * this.fps) / 1_000_000)) : 0;
+    if (this.frame && frameIndex === this.frameIndex) {
+      return this.frame;
+    }
+    const block = generatorBlock(this.settings, this.size, frameIndex, this.fps);
+    this.renderer.renderPattern(this.context.getCurrentTexture(), this.uniform, block);
+    this.frame?.close();
+    this.frame = new VideoFrame(this.canvas, { timestamp: Math.round((frameIndex * 1_000_000) / this.fps) });
+    this.frameIndex = frameIndex;
+    return this.frame;
+  }
+
+  // Frames are a function of time alone, so there is nothing to seek.
+  async seekFrame() {}
+
+  // Static patterns have no clock to drift from.
+  getStats() {
+    return { presentedPtsUs: this.settings.animated ? this.frame?.timestamp ?? null : null };
+  }
+
+  dispose() {
+    this.frame?.close();
+    this.frame = null;
+    this.uniform?.buffer.destroy();
+    this.context?.unconfigure();
+    this.context = null;
+  }
+}
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  GENERATOR_BLOCK_BYTES,
+  burnInBlock,
+  burnInCorners,
+  buildGeneratorBlock,
+  generatorBlock,
+  generatorSize,
+  normalizeBurnIn,
+  normalizeGenerator,
+  textAdvance,
+  timecodeText,
+} from './generators.js';
+import { computeLayerGeometry } from './layout.js';
+
+const output = { canvasWidth: 1920, canvasHeight: 1080 };
+const close = (actual, expected) =>
+  actual.forEach((value, index) => assert.ok(Math.abs(value - expected[index]) < 1e-3, `${actual} != ${expected}`));
+
+test('generators default by pattern and render at the layer size', () => {
+  const bars = normalizeGenerator({ type: 'generator' });
+  assert.equal(bars.pattern, 'smpte-bars');
+  assert.equal(bars.animated, false);
+  assert.equal(normalizeGenerator({ pattern: 'solid' }).color, '#000000');
+  const timecode = normalizeGenerator({ pattern: 'timecode' });
+  assert.equal(timecode.animated, true);
+  assert.equal(timecode.color, '#ffffff');
+  assert.deepEqual(timecode.colors, ['#000000', '#ffffff']);
+  assert.equal(normalizeGenerator({ pattern: 'sweep', frequency: 4 }).frequency, 1);
+
+  assert.deepEqual(generatorSize({ width: 0.5, height: 0.25 }, output), { width: 960, height: 270 });
+  assert.deepEqual(generatorSize({}, output), { width: 1920, height: 1080 });
+  assert.deepEqual(generatorSize({ width: 0.5, resolution: { width: 64, height: 32 } }, output), { width: 64, height: 32 });
+});
+
+test('the uniform block matches the Generator struct in generators.wgsl', () => {
+  const block = buildGeneratorBlock({
+    size: [320, 180],
+    timeSeconds: 2,
+    pattern: 'counter',
+    color0: { r: 1, g: 0.5, b: 0.25, a: 1 },
+    options: [1, 0.5, 3, 30],
+    corners: [[1, 2], [3, 4], [5, 6], [7, 8]],
+    text: '12:3;4 ',
+    frame: 61,
+  });
+  assert.equal(block.byteLength, GENERATOR_BLOCK_BYTES);
+  const uints = new Uint32Array(block.buffer);
+  assert.deepEqual(Array.from(block.subarray(0, 3)), [320, 180, 2]);
+  assert.equal(uints[3], 6);
+  assert.deepEqual(Array.from(block.subarray(4, 8)), [1, 0.5, 0.25, 1]);
+  assert.deepEqual(Array.from(block.subarray(12, 24)), [1, 0.5, 3, 30, 1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.deepEqual(Array.from(uints.subarray(24, 31)), [1, 2, 10, 3, 11, 4, 12]);
+  assert.equal(uints[40], 7);
+  assert.equal(uints[41], 61);
+});
+
+test('counter and timecode patterns show the composition frame', () => {
+  const counter = generatorBlock(normalizeGenerator({ pattern: 'counter' }), { width: 64, height: 36 }, 1250, 25);
+  assert.equal(new Uint32Array(counter.buffer)[40], 4);
+  assert.equal(counter[2], 50);
+  assert.equal(counter[15], 25);
+  assert.equal(timecodeText(1800, 30000 / 1001, 'auto'), '00:01:00;02');
+  assert.equal(timecodeText(1800, 30000 / 1001, false), '00:01:00:00');
+  assert.equal(timecodeText(1500, 25, 'auto'), '00:01:00:00');
+  assert.equal(timecodeText(1500, 25, true), '00:01:00:00');
+  assert.equal(timecodeText(1800, 30, true), '00:01:00:00');
+});
+
+test('burn-ins sit inside the layer and turn with it', () => {
+  assert.equal(normalizeBurnIn(false), null);
+  const burnIn = normalizeBurnIn({ position: 'top-left', size: 0.1 });
+  assert.equal(burnIn.dropFrame, 'auto');
+  assert.equal(normalizeBurnIn(true).position, 'bottom');
+
+  const text = '00:00:00:00';
+  const boxHeight = 0.1 * 540;
+  const boxWidth = (textAdvance(text) * 0.7 + 0.6) * boxHeight;
+  const geometry = computeLayerGeometry({ x: 0.5, y: 0.5, width: 0.5, height: 0.5 }, output);
+  const [topLeft, topRight, bottomRight, bottomLeft] = burnInCorners(geometry, burnIn, text);
+  close(topLeft, [960 + boxHeight / 2, 540 + boxHeight / 2]);
+  close(topRight, [topLeft[0] + boxWidth, topLeft[1]]);
+  close(bottomRight, [topRight[0], topLeft[1] + boxHeight]);
+  close(bottomLeft, [topLeft[0], bottomRight[1]]);
+
+  const centered = burnInCorners(geometry, normalizeBurnIn({ position: 'bottom', size: 0.1 }), text);
+  close([(centered[0][0] + centered[1][0]) / 2, centered[2][1]], [1440, 1080 - boxHeight / 2]);
+
+  // Half a turn about the layer center puts the top-left box at the bottom right, upside down.
+  const turned = computeLayerGeometry({ x: 0.5, y: 0.5, width: 0.5, height: 0.5, rotationDegrees: 180 }, output);
+  close(burnInCorners(turned, burnIn, text)[0], [1920 - boxHeight / 2, 1080 - boxHeight / 2]);
+});
+
+test('burn-in colors are linear, premultiplied and faded with the layer', () => {
+  const geometry = computeLayerGeometry({ alpha: 0.5 }, output);
+  const block = burnInBlock(normalizeBurnIn({ color: '#ffffff', background: '#00000080' }), geometry, 0, 25);
+  assert.deepEqual(Array.from(block.subarray(0, 2)), [1920, 1080]);
+  close(Array.from(block.subarray(4, 8)), [0.5, 0.5, 0.5, 0.5]);
+  close(Array.from(block.subarray(8, 12)), [0, 0, 0, (128 / 255) * 0.5]);
+});
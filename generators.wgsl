@@ -0,0 +1,331 @@
+// Generator patterns and the timecode burn-in (see generators.js). vsPattern/fsPattern fill a
+// generator's canvas with one pattern; vsBurnIn/fsBurnIn draw a box of seven-segment digits into
+// the composite, premultiplied in linear light like every other layer.
+
+// Must match PATTERN_CODES / DIRECTION_CODES / GLYPH_CODES in generators.js.
+const PATTERN_SMPTE_BARS: u32 = 0u;
+const PATTERN_EBU_BARS: u32 = 1u;
+const PATTERN_SOLID: u32 = 2u;
+const PATTERN_GRADIENT: u32 = 3u;
+const PATTERN_ZONEPLATE: u32 = 4u;
+const PATTERN_SWEEP: u32 = 5u;
+const PATTERN_COUNTER: u32 = 6u;
+const PATTERN_TIMECODE: u32 = 7u;
+
+const DIRECTION_HORIZONTAL: u32 = 0u;
+const DIRECTION_VERTICAL: u32 = 1u;
+const DIRECTION_DIAGONAL: u32 = 2u;
+
+const GLYPH_COLON: u32 = 10u;
+const GLYPH_SEMICOLON: u32 = 11u;
+
+// Burn-in box proportions, in box heights; BURN_IN_* in generators.js.
+const BURN_IN_TEXT_HEIGHT: f32 = 0.7;
+const BURN_IN_PADDING: f32 = 0.3;
+
+const PI: f32 = 3.14159265;
+
+struct Generator {
+    // Pattern size, or for burn-ins the composite size, in pixels.
+    size: vec2<f32>,
+    time: f32,
+    pattern: u32,
+    // sRGB straight alpha for patterns; linear premultiplied for burn-ins (text, background).
+    color0: vec4<f32>,
+    color1: vec4<f32>,
+    // frequency (fraction of Nyquist), speed (cycles per second), direction, counter cells.
+    options: vec4<f32>,
+    // Burn-in box corners in composite pixels: (top-left, top-right), (bottom-right, bottom-left).
+    corners: array<vec4<f32>, 2>,
+    // Up to 16 glyph codes, four per element.
+    glyphs: array<vec4<u32>, 4>,
+    glyph_count: u32,
+    frame: u32,
+}
+
+@group(0) @binding(0)
+var<uniform> generator: Generator;
+
+@vertex
+fn vsPattern(@builtin(vertex_index) index: u32) -> @builtin(position) vec4<f32> {
+    // One oversized triangle covers the whole canvas.
+    var positions = array<vec2<f32>, 3>(
+        vec2<f32>(-1.0, -1.0),
+        vec2<f32>(3.0, -1.0),
+        vec2<f32>(-1.0, 3.0),
+    );
+    return vec4<f32>(positions[index], 0.0, 1.0);
+}
+
+fn box_distance(p: vec2<f32>, center: vec2<f32>, half_size: vec2<f32>) -> f32 {
+    let d = abs(p - center) - half_size;
+    return length(max(d, vec2<f32>(0.0))) + min(max(d.x, d.y), 0.0);
+}
+
+fn glyph_at(index: u32) -> u32 {
+    return generator.glyphs[index / 4u][index % 4u];
+}
+
+// Digits are 0.6 wide with a 0.15 gap; punctuation is narrow. Matches textAdvance() in generators.js.
+fn glyph_advance(code: u32) -> f32 {
+    return select(0.35, 0.75, code < 10u);
+}
+
+// Signed distance to a glyph, with p in text heights from the glyph's top-left corner.
+fn glyph_distance(code: u32, p: vec2<f32>) -> f32 {
+    if (code == GLYPH_COLON || code == GLYPH_SEMICOLON) {
+        let top = length(p - vec2<f32>(0.175, 0.3)) - 0.07;
+        if (code == GLYPH_COLON) {
+            return min(top, length(p - vec2<f32>(0.175, 0.7)) - 0.07);
+        }
+        return min(top, box_distance(p, vec2<f32>(0.175, 0.75), vec2<f32>(0.05, 0.1)));
+    }
+    if (code >= 10u) {
+        return 1.0;
+    }
+    // Seven segments, bit 0 to 6: top, top right, bottom right, bottom, bottom left, top left, middle.
+    var masks = array<u32, 10>(0x3Fu, 0x06u, 0x5Bu, 0x4Fu, 0x66u, 0x6Du, 0x7Du, 0x07u, 0x7Fu, 0x6Fu);
+    let t = 0.06;
+    var centers = array<vec2<f32>, 7>(
+        vec2<f32>(0.3, t),
+        vec2<f32>(0.6 - t, 0.275),
+        vec2<f32>(0.6 - t, 0.725),
+        vec2<f32>(0.3, 1.0 - t),
+        vec2<f32>(t, 0.725),
+        vec2<f32>(t, 0.275),
+        vec2<f32>(0.3, 0.5),
+    );
+    let mask = masks[code];
+    var nearest = 1.0;
+    for (var segment = 0u; segment < 7u; segment++) {
+        if ((mask & (1u << segment)) != 0u) {
+            let horizontal = segment == 0u || segment == 3u || segment == 6u;
+            let half_size = select(vec2<f32>(t, 0.17), vec2<f32>(0.17, t), horizontal);
+            nearest = min(nearest, box_distance(p, centers[segment], half_size));
+        }
+    }
+    return nearest;
+}
+
+// Coverage of the glyph string at p, in text heights from the top-left of the first glyph; aa is
+// one pixel in the same units.
+fn text_coverage(p: vec2<f32>, aa: f32) -> f32 {
+    if (p.y < -aa || p.y > 1.0 + aa) {
+        return 0.0;
+    }
+    var x = p.x;
+    var nearest = 1.0;
+    for (var index = 0u; index < generator.glyph_count; index++) {
+        let code = glyph_at(index);
+        nearest = min(nearest, glyph_distance(code, vec2<f32>(x, p.y)));
+        x -= glyph_advance(code);
+    }
+    return clamp(0.5 - nearest / aa, 0.0, 1.0);
+}
+
+fn text_width() -> f32 {
+    var width = 0.0;
+    for (var index = 0u; index < generator.glyph_count; index++) {
+        width += glyph_advance(glyph_at(index));
+    }
+    return width;
+}
+
+// The glyph string centered on `center`, `height` pixels tall.
+fn centered_text(pixel: vec2<f32>, center: vec2<f32>, height: f32) -> f32 {
+    let origin = center - vec2<f32>(text_width() * 0.5, 0.5) * height;
+    return text_coverage((pixel - origin) / height, 1.0 / height);
+}
+
+// 75% bars over the reverse-blue row, then -I, 100% white, +Q and the PLUGE. Full-range output has
+// nothing below black, so the PLUGE steps are black, +2% and +4%.
+fn smpte_bars(uv: vec2<f32>) -> vec3<f32> {
+    let column = min(u32(uv.x * 7.0), 6u);
+    if (uv.y < 2.0 / 3.0) {
+        var bars = array<vec3<f32>, 7>(
+            vec3<f32>(0.75, 0.75, 0.75),
+            vec3<f32>(0.75, 0.75, 0.0),
+            vec3<f32>(0.0, 0.75, 0.75),
+            vec3<f32>(0.0, 0.75, 0.0),
+            vec3<f32>(0.75, 0.0, 0.75),
+            vec3<f32>(0.75, 0.0, 0.0),
+            vec3<f32>(0.0, 0.0, 0.75),
+        );
+        return bars[column];
+    }
+    if (uv.y < 0.75) {
+        var bars = array<vec3<f32>, 7>(
+            vec3<f32>(0.0, 0.0, 0.75),
+            vec3<f32>(0.0),
+            vec3<f32>(0.75, 0.0, 0.75),
+            vec3<f32>(0.0),
+            vec3<f32>(0.0, 0.75, 0.75),
+            vec3<f32>(0.0),
+            vec3<f32>(0.75, 0.75, 0.75),
+        );
+        return bars[column];
+    }
+    let x = uv.x * 7.0;
+    if (x < 1.25) {
+        return vec3<f32>(0.0, 33.0, 76.0) / 255.0;
+    }
+    if (x < 2.5) {
+        return vec3<f32>(1.0);
+    }
+    if (x < 3.75) {
+        return vec3<f32>(50.0, 0.0, 106.0) / 255.0;
+    }
+    if (x >= 5.0 + 1.0 / 3.0 && x < 5.0 + 2.0 / 3.0) {
+        return vec3<f32>(0.02);
+    }
+    if (x >= 5.0 + 2.0 / 3.0 && x < 6.0) {
+        return vec3<f32>(0.04);
+    }
+    return vec3<f32>(0.0);
+}
+
+// 100/0/75/0 bars: white, then yellow, cyan, green, magenta, red and blue at 75%, then black.
+fn ebu_bars(uv: vec2<f32>) -> vec3<f32> {
+    var bars = array<vec3<f32>, 8>(
+        vec3<f32>(1.0),
+        vec3<f32>(0.75, 0.75, 0.0),
+        vec3<f32>(0.0, 0.75, 0.75),
+        vec3<f32>(0.0, 0.75, 0.0),
+        vec3<f32>(0.75, 0.0, 0.75),
+        vec3<f32>(0.75, 0.0, 0.0),
+        vec3<f32>(0.0, 0.0, 0.75),
+        vec3<f32>(0.0),
+    );
+    return bars[min(u32(uv.x * 8.0), 7u)];
+}
+
+fn gradient(pixel: vec2<f32>, uv: vec2<f32>) -> vec3<f32> {
+    let direction = u32(generator.options.z);
+    var t: f32;
+    if (direction == DIRECTION_HORIZONTAL) {
+        t = uv.x;
+    } else if (direction == DIRECTION_VERTICAL) {
+        t = uv.y;
+    } else if (direction == DIRECTION_DIAGONAL) {
+        t = (uv.x + uv.y) * 0.5;
+    } else {
+        t = distance(pixel, generator.size * 0.5) / length(generator.size * 0.5);
+    }
+    return mix(generator.color0.rgb, generator.color1.rgb, t);
+}
+
+// Cosine whose phase grows with the square of `position`, so its local frequency rises linearly to
+// `frequency` of Nyquist at `extent`, drifting by `speed` cycles per second.
+fn chirp(position: f32, extent: f32) -> vec3<f32> {
+    let k = 0.5 * PI * generator.options.x / extent;
+    let phase = k * position * position - 2.0 * PI * generator.options.y * generator.time;
+    return vec3<f32>(0.5 + 0.5 * cos(phase));
+}
+
+// The frame number over a row of one cell per frame of a second, the current one lit, so dropped
+// or repeated frames stand out.
+fn counter(pixel: vec2<f32>) -> vec3<f32> {
+    let size = generator.size;
+    let height = min(size.y * 0.3, size.x * 0.9 / max(text_width(), 0.75));
+    let digits = centered_text(pixel, vec2<f32>(size.x * 0.5, size.y * 0.4), height);
+    var color = mix(generator.color1.rgb, generator.color0.rgb, digits);
+    let cells = max(generator.options.w, 1.0);
+    let row = vec4<f32>(size.x * 0.05, size.y * 0.75, size.x * 0.9, size.y * 0.08);
+    let cell = floor((pixel.x - row.x) / row.z * cells);
+    if (pixel.y >= row.y && pixel.y < row.y + row.w && cell >= 0.0 && cell < cells) {
+        let inset = fract((pixel.x - row.x) / row.z * cells);
+        if (inset > 0.1 && inset < 0.9) {
+            let lit = cell == f32(generator.frame % u32(cells));
+            color = mix(generator.color1.rgb, generator.color0.rgb, select(0.25, 1.0, lit));
+        }
+    }
+    return color;
+}
+
+@fragment
+fn fsPattern(@builtin(position) position: vec4<f32>) -> @location(0) vec4<f32> {
+    let pixel = position.xy;
+    let size = generator.size;
+    let uv = pixel / size;
+    var color: vec3<f32>;
+    switch generator.pattern {
+        case PATTERN_SMPTE_BARS: {
+            color = smpte_bars(uv);
+        }
+        case PATTERN_EBU_BARS: {
+            color = ebu_bars(uv);
+        }
+        case PATTERN_SOLID: {
+            color = generator.color0.rgb;
+        }
+        case PATTERN_GRADIENT: {
+            color = gradient(pixel, uv);
+        }
+        case PATTERN_ZONEPLATE: {
+            color = chirp(distance(pixel, size * 0.5), min(size.x, size.y) * 0.5);
+        }
+        case PATTERN_SWEEP: {
+            if (u32(generator.options.z) == DIRECTION_VERTICAL) {
+                color = chirp(pixel.y, size.y);
+            } else {
+                color = chirp(pixel.x, size.x);
+            }
+        }
+        case PATTERN_COUNTER: {
+            color = counter(pixel);
+        }
+        case PATTERN_TIMECODE: {
+            let height = min(size.y * 0.25, size.x * 0.9 / max(text_width(), 0.75));
+            let digits = centered_text(pixel, size * 0.5, height);
+            color = mix(generator.color1.rgb, generator.color0.rgb, digits);
+        }
+        default: {
+            color = vec3<f32>(0.0);
+        }
+    }
+    return vec4<f32>(color, 1.0);
+}
+
+struct BurnInOutput {
+    @builtin(position) position: vec4<f32>,
+    // Position inside the box, in box heights from its top-left corner.
+    @location(0) local: vec2<f32>,
+    // Box height in pixels.
+    @location(1) @interpolate(flat) box_height: f32,
+}
+
+@vertex
+fn vsBurnIn(@builtin(vertex_index) index: u32) -> BurnInOutput {
+    var corners = array<vec2<f32>, 4>(
+        generator.corners[0].xy,
+        generator.corners[0].zw,
+        generator.corners[1].xy,
+        generator.corners[1].zw,
+    );
+    var unit = array<vec2<f32>, 4>(
+        vec2<f32>(0.0, 0.0),
+        vec2<f32>(1.0, 0.0),
+        vec2<f32>(1.0, 1.0),
+        vec2<f32>(0.0, 1.0),
+    );
+    var order = array<u32, 6>(0u, 1u, 2u, 0u, 2u, 3u);
+    let corner = order[index];
+    let point = corners[corner];
+    let box_width = distance(corners[0], corners[1]);
+    let box_height = max(distance(corners[0], corners[3]), 1e-3);
+    var output: BurnInOutput;
+    output.position = vec4<f32>(point.x / generator.size.x * 2.0 - 1.0, 1.0 - point.y / generator.size.y * 2.0, 0.0, 1.0);
+    output.local = unit[corner] * vec2<f32>(box_width / box_height, 1.0);
+    output.box_height = box_height;
+    return output;
+}
+
+@fragment
+fn fsBurnIn(input: BurnInOutput) -> @location(0) vec4<f32> {
+    let inset = vec2<f32>(BURN_IN_PADDING, (1.0 - BURN_IN_TEXT_HEIGHT) * 0.5);
+    let coverage = text_coverage(
+        (input.local - inset) / BURN_IN_TEXT_HEIGHT,
+        1.0 / (input.box_height * BURN_IN_TEXT_HEIGHT),
+    );
+    return generator.color0 * coverage + generator.color1 * (1.0 - coverage);
+}
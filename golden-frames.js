@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+// Golden-frame regression tests for the compositor. Renders the frames listed in
+// fixtures/golden/golden.json through the real pipeline (golden.html + main.js) in headless Chrome on
+// its SwiftShader WebGPU adapter, so neither a GPU nor the network is needed, and compares them with
+// the reference PNGs in fixtures/golden/reference/:
+//   node golden-frames.js [--update] [--chrome /path/to/chrome] [--out <dir>] [scene.json ...]
+// --update writes the references instead of comparing. Frames that fail are saved to --out (a temp
+// directory by default) as <scene>-<frame>.actual.png and .diff.png.
+import { createReadStream } from 'node:fs';
+import { mkdir, mkdtemp, readFile, stat, writeFile } from 'node:fs/promises';
+import http from 'node:http';
+import { tmpdir } from 'node:os';
+import { basename, dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { launchChrome } from './headless-chrome.js';
+import { compareImages, decodePng, encodePng } from './png.js';
+import { formatProblems, validateScene } from './scene-schema.js';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = join(ROOT, 'fixtures', 'golden');
+const REFERENCE_DIR = join(GOLDEN_DIR, 'reference');
+const LOAD_TIMEOUT_MS = 30_000;
+const CONTENT_TYPES = {
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.wgsl': 'text/plain',
+  '.png': 'image/png',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.cube': 'text/plain',
+};
+// Software WebGPU, and the same color handling on every machine.
+const CHROME_ARGS = [
+  '--enable-unsafe-webgpu',
+  '--enable-features=Vulkan',
+  '--use-vulkan=swiftshader',
+  '--use-webgpu-adapter=swiftshader',
+  '--use-angle=swiftshader',
+  '--force-color-profile=srgb',
+  '--mute-audio',
+  '--hide-scrollbars',
+  // Chrome will not start as root (CI containers) with its sandbox on.
+  ...(process.getuid?.() === 0 ? ['--no-sandbox'] : []),
+];
+
+function parseArgs(args) {
+  const options = { update: false, chrome: process.env.CHROME_PATH ?? null, out: null, scenes: [] };
+  for (let index = 0; index < args.length; index += 1) {
+    const value = args[index + 1];
+    if (args[index] === '--update') {
+      options.update = true;
+    } else if (args[index] === '--chrome') {
+      options.chrome = value;
+      index += 1;
+    } else if (args[index] === '--out') {
+      options.out = value;
+      index += 1;
+    } else if (args[index].startsWith('--')) {
+      throw new Error(`unknown argument ${args[index]}`);
+    } else {
+      options.scenes.push(basename(args[index]));
+    }
+  }
+  return options;
+}
+
+// Serves the repository read-only, so the page loads main.js, the shaders and the fixtures.
+function serveRepository() {
+  const server = http.createServer(async (request, response) => {
+    const path = resolve(ROOT, `.${decodeURIComponent(new URL(request.url, 'http://localhost').pathname)}`);
+    const info = path.startsWith(`${ROOT}${sep}`) ? await stat(path).catch(() => null) : null;
+    if (request.method !== 'GET' || !info?.isFile()) {
+      response.writeHead(404, { 'content-type': 'text/plain' });
+      response.end('not found\n');
+      return;
+    }
+    response.writeHead(200, {
+      'content-type': CONTENT_TYPES[extname(path)] ?? 'application/octet-stream',
+      'content-length': info.size,
+      'cache-control': 'no-store',
+    });
+    createReadStream(path).pipe(response);
+  });
+  return new Promise((resolvePromise, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolvePromise(server));
+  });
+}
+
+async function evaluate(cdp, sessionId, expression) {
+  const { result, exceptionDetails } = await cdp.send(
+    'Runtime.evaluate',
+    { expression, awaitPromise: true, returnByValue: true },
+    sessionId
+  );
+  if (exceptionDetails) {
+    throw new Error(exceptionDetails.exception?.description ?? exceptionDetails.text);
+  }
+  return result.value;
+}
+
+// Opens the scene in a fresh tab and returns the requested frames as RGBA images.
+async function renderScene(cdp, baseUrl, scene, frames) {
+  const { targetId } = await cdp.send('Target.createTarget', { url: 'about:blank' });
+  const { sessionId } = await cdp.send('Target.attachToTarget', { targetId, flatten: true });
+  try {
+    const sceneUrl = `./${relative(ROOT, join(GOLDEN_DIR, scene)).split(sep).join('/')}`;
+    const query = new URLSearchParams({ scene: sceneUrl, audio: '0', htmlOverlay: '0' });
+    const { errorText } = await cdp.send('Page.navigate', { url: `${baseUrl}/golden.html?${query}` }, sessionId);
+    if (errorText) {
+      throw new Error(errorText);
+    }
+    const deadline = Date.now() + LOAD_TIMEOUT_MS;
+    while (!(await evaluate(cdp, sessionId, "typeof window.captureFrames === 'function'"))) {
+      if (Date.now() > deadline) {
+        const log = await evaluate(cdp, sessionId, "document.getElementById('log')?.textContent ?? ''");
+        throw new Error(`the scene did not load within ${LOAD_TIMEOUT_MS / 1000} s\n${log.trim()}`);
+      }
+      await new Promise((resolvePromise) => setTimeout(resolvePromise, 100));
+    }
+    const dataUrls = await evaluate(cdp, sessionId, `window.captureFrames(${JSON.stringify(frames)})`);
+    return dataUrls.map((dataUrl) => decodePng(Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64')));
+  } finally {
+    await cdp.send('Target.closeTarget', { targetId }).catch(() => {});
+  }
+}
+
+// Compares (or with --update, stores) one rendered frame; returns a failure message or null.
+async function checkFrame(image, name, limits, options) {
+  const referencePath = join(REFERENCE_DIR, `${name}.png`);
+  if (options.update) {
+    await mkdir(REFERENCE_DIR, { recursive: true });
+    await writeFile(referencePath, encodePng(image));
+    return null;
+  }
+  const reference = await readFile(referencePath).catch(() => null);
+  if (!reference) {
+    return `no reference ${relative(ROOT, referencePath)}; run with --update to create it`;
+  }
+  let result;
+  try {
+    result = compareImages(decodePng(reference), image, { tolerance: limits.tolerance });
+  } catch (error) {
+    return error.message;
+  }
+  if (result.mismatched <= result.total * limits.maxMismatch) {
+    return null;
+  }
+  await writeFile(join(options.out, `${name}.actual.png`), encodePng(image));
+  await writeFile(join(options.out, `${name}.diff.png`), encodePng(result.diff));
+  return (
+    `${result.mismatched} of ${result.total} pixels differ by more than ${limits.tolerance} ` +
+    `(largest difference ${result.maxDifference}); see ${join(options.out, name)}.{actual,diff}.png`
+  );
+}
+
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\nusage: node golden-frames.js [--update] [--chrome <path>] [--out <dir>] [scene.json ...]`);
+    return 2;
+  }
+  const manifest = JSON.parse(await readFile(join(GOLDEN_DIR, 'golden.json'), 'utf8'));
+  const cases = manifest.cases.filter(({ scene }) => !options.scenes.length || options.scenes.includes(scene));
+  if (!cases.length) {
+    console.error(`no golden cases match ${options.scenes.join(', ')}`);
+    return 2;
+  }
+  for (const { scene } of cases) {
+    const { errors } = validateScene(JSON.parse(await readFile(join(GOLDEN_DIR, scene), 'utf8')));
+    if (errors.length) {
+      formatProblems(errors).forEach((line) => console.error(`${scene}: error: ${line}`));
+      return 1;
+    }
+  }
+  options.out ??= await mkdtemp(join(tmpdir(), 'golden-frames-'));
+  await mkdir(options.out, { recursive: true });
+
+  const server = await serveRepository();
+  let chrome;
+  try {
+    chrome = await launchChrome(options.chrome, CHROME_ARGS);
+  } catch (error) {
+    server.close();
+    console.error(error.message);
+    return 1;
+  }
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  let failures = 0;
+  try {
+    for (const { scene, frames, ...overrides } of cases) {
+      const limits = {
+        tolerance: overrides.tolerance ?? manifest.tolerance ?? 0,
+        maxMismatch: overrides.maxMismatch ?? manifest.maxMismatch ?? 0,
+      };
+      const ordered = [...frames].sort((a, b) => a - b);
+      let images;
+      try {
+        images = await renderScene(chrome.cdp, baseUrl, scene, ordered);
+      } catch (error) {
+        console.error(`FAIL ${scene}: ${error.message}`);
+        failures += ordered.length;
+        continue;
+      }
+      for (const [index, frame] of ordered.entries()) {
+        const name = `${basename(scene, '.json')}-${String(frame).padStart(4, '0')}`;
+        const failure = await checkFrame(images[index], name, limits, options);
+        if (failure) {
+          failures += 1;
+          console.error(`FAIL ${scene} frame ${frame}: ${failure}`);
+        } else {
+          console.log(`${options.update ? 'wrote' : 'ok  '} ${scene} frame ${frame}`);
+        }
+      }
+    }
+  } finally {
+    const { child } = chrome;
+    if (child.exitCode === null && child.signalCode === null) {
+      const exited = new Promise((resolvePromise) => child.once('exit', resolvePromise));
+      child.kill();
+      await exited;
+    }
+    server.close();
+  }
+  if (failures) {
+    console.error(`${failures} golden frame(s) failed`);
+  }
+  return failures ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,90 @@
+// Headless Chrome driven over the DevTools protocol on a pipe, with no npm dependency. Shared by
+// html-renderer.js and the golden-frame tests (golden-frames.js).
+import { spawn } from 'node:child_process';
+import { EventEmitter } from 'node:events';
+import { rmSync } from 'node:fs';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const CHROME_CANDIDATES = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser'];
+
+// DevTools protocol over --remote-debugging-pipe: NUL-terminated JSON on fds 3 (in) and 4 (out).
+// Events are re-emitted as (method, params, sessionId). Once Chrome closes the pipe, pending and
+// later requests are rejected.
+export class CdpPipe extends EventEmitter {
+  constructor(input, output) {
+    super();
+    this.input = input;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.closed = false;
+    let buffered = '';
+    // Writes after Chrome has gone fail with EPIPE; the close handler below reports it instead.
+    input.on('error', () => {});
+    output.on('close', () => {
+      this.closed = true;
+      this.pending.forEach(({ method, reject }) => reject(new Error(`${method}: Chrome closed the DevTools pipe`)));
+      this.pending.clear();
+    });
+    output.setEncoding('utf8');
+    output.on('data', (chunk) => {
+      buffered += chunk;
+      let end;
+      while ((end = buffered.indexOf('\0')) !== -1) {
+        this.#dispatch(JSON.parse(buffered.slice(0, end)));
+        buffered = buffered.slice(end + 1);
+      }
+    });
+  }
+
+  send(method, params = {}, sessionId = undefined) {
+    if (this.closed) {
+      return Promise.reject(new Error(`${method}: Chrome closed the DevTools pipe`));
+    }
+    const id = this.nextId++;
+    this.input.write(`${JSON.stringify({ id, method, params, sessionId })}\0`);
+    return new Promise((resolve, reject) => this.pending.set(id, { method, resolve, reject }));
+  }
+
+  #dispatch(message) {
+    if (message.id === undefined) {
+      this.emit('event', message.method, message.params, message.sessionId);
+      return;
+    }
+    const request = this.pending.get(message.id);
+    this.pending.delete(message.id);
+    if (message.error) {
+      request?.reject(new Error(`${request.method}: ${message.error.message}`));
+    } else {
+      request?.resolve(message.result);
+    }
+  }
+}
+
+// Starts headless Chrome (`executable`, or the first of CHROME_CANDIDATES on PATH) with a throwaway
+// profile and `extraArgs`. Returns { child, cdp }; the profile is removed when Chrome exits.
+export async function launchChrome(executable, extraArgs = []) {
+  const userDataDir = await mkdtemp(join(tmpdir(), 'headless-chrome-'));
+  const chromeArgs = [
+    '--headless=new',
+    '--remote-debugging-pipe',
+    ...extraArgs,
+    `--user-data-dir=${userDataDir}`,
+    'about:blank',
+  ];
+  for (const candidate of executable ? [executable] : CHROME_CANDIDATES) {
+    const child = spawn(candidate, chromeArgs, { stdio: ['ignore', 'ignore', 'pipe', 'pipe', 'pipe'] });
+    const started = await new Promise((resolve) => {
+      child.once('spawn', () => resolve(true));
+      child.once('error', () => resolve(false));
+    });
+    if (started) {
+      child.stderr.resume();
+      child.once('exit', () => rmSync(userDataDir, { recursive: true, force: true }));
+      return { child, cdp: new CdpPipe(child.stdio[3], child.stdio[4]) };
+    }
+  }
+  await rm(userDataDir, { recursive: true, force: true });
+  throw new Error('Chrome not found; pass --chrome <path> or set CHROME_PATH');
+}
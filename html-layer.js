@@ -0,0 +1,201 @@
+// HTML graphics pages as layer sources. The page is turned into VideoFrames and goes through
+// importExternalTexture like any other layer, so it is recorded and obeys zIndex, layout,
+// keyframes, timelines and keys. Two capture paths:
+//   'renderer' (default): html-renderer.js renders the page in headless Chrome with a transparent
+//     background and streams PNG frames over a WebSocket; alpha is preserved.
+//   'element': the page is loaded into a hidden iframe and captured with Element Capture
+//     (getDisplayMedia + RestrictionTarget). Needs a click to grant capture, and the frames are
+//     opaque, so pair it with a chroma `key` on the layer.
+export const HTML_CAPTURE_MODES = ['renderer', 'element'];
+export const DEFAULT_HTML_RENDERER = 'ws://localhost:8091';
+
+const RECONNECT_DELAY_MS = 2000;
+
+export class HtmlLayerSource {
+  // The page viewport matches the layer's rect in canvas pixels.
+  constructor(descriptor, { canvasWidth, canvasHeight, fps }) {
+    this.descriptor = descriptor;
+    this.url = new URL(descriptor.url, document.baseURI).href;
+    this.capture = descriptor.capture ?? 'renderer';
+    this.width = Math.max(1, Math.round((descriptor.width ?? 1) * canvasWidth));
+    this.height = Math.max(1, Math.round((descriptor.height ?? 1) * canvasHeight));
+    this.fps = fps;
+    this.frame = null;
+    this.disposed = false;
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.pendingPng = null;
+    this.decoding = false;
+    this.iframe = null;
+    this.track = null;
+    this.reader = null;
+    this.startCapture = null;
+    this.warned = false;
+  }
+
+  // Resolves as soon as capture is under way; the layer stays blank until the first frame arrives.
+  async init() {
+    if (this.capture === 'element') {
+      this.#startElementCapture();
+    } else {
+      this.#connect();
+    }
+  }
+
+  isReady() {
+    return Boolean(this.frame);
+  }
+
+  getFrame() {
+    return this.frame;
+  }
+
+  async seekFrame() {}
+
+  #warn(message) {
+    if (!this.warned) {
+      console.warn(`HTML layer ${this.url}: ${message}`);
+      this.warned = true;
+    }
+  }
+
+  #present(frame) {
+    this.frame?.close();
+    this.frame = frame;
+  }
+
+  #connect() {
+    const endpoint = new URL(this.descriptor.renderer ?? DEFAULT_HTML_RENDERER);
+    endpoint.searchParams.set('url', this.url);
+    endpoint.searchParams.set('width', String(this.width));
+    endpoint.searchParams.set('height', String(this.height));
+    const socket = new WebSocket(endpoint);
+    socket.binaryType = 'arraybuffer';
+    socket.addEventListener('message', (event) => {
+      if (typeof event.data === 'string') {
+        const { error } = JSON.parse(event.data);
+        if (error) {
+          this.#warn(error);
+        }
+        return;
+      }
+      this.warned = false;
+      // Only the newest frame matters; frames that arrive while one is decoding replace each other.
+      this.pendingPng = event.data;
+      this.#decodePending();
+    });
+    socket.addEventListener('close', () => {
+      this.socket = null;
+      if (this.disposed) {
+        return;
+      }
+      this.#warn(`no renderer at ${endpoint.origin}; start it with \`node html-renderer.js\`. Retrying.`);
+      this.reconnectTimer = setTimeout(() => this.#connect(), RECONNECT_DELAY_MS);
+    });
+    this.socket = socket;
+  }
+
+  async #decodePending() {
+    if (this.decoding) {
+      return;
+    }
+    this.decoding = true;
+    while (this.pendingPng && !this.disposed) {
+      const png = this.pendingPng;
+      this.pendingPng = null;
+      try {
+        const bitmap = await createImageBitmap(new Blob([png], { type: 'image/png' }));
+        if (!this.disposed) {
+          this.#present(new VideoFrame(bitmap, { timestamp: 0 }));
+        }
+        bitmap.close();
+      } catch (error) {
+        this.#warn(`bad frame (${error.message})`);
+      }
+    }
+    this.decoding = false;
+  }
+
+  // getDisplayMedia needs transient user activation, so capture starts on the first click or key.
+  #startElementCapture() {
+    if (!window.RestrictionTarget || !navigator.mediaDevices?.getDisplayMedia) {
+      this.#warn('Element Capture (RestrictionTarget) is not supported in this browser');
+      return;
+    }
+    const iframe = document.createElement('iframe');
+    iframe.src = this.url;
+    // Element Capture records the iframe's own pixels even while the page covers it.
+    Object.assign(iframe.style, {
+      position: 'fixed',
+      left: '0',
+      top: '0',
+      width: `${this.width}px`,
+      height: `${this.height}px`,
+      border: 'none',
+      pointerEvents: 'none',
+      zIndex: '-1',
+    });
+    document.body.appendChild(iframe);
+    this.iframe = iframe;
+
+    const start = async () => {
+      window.removeEventListener('pointerdown', start);
+      window.removeEventListener('keydown', start);
+      try {
+        const stream = await navigator.mediaDevices.getDisplayMedia({
+          video: { frameRate: this.fps },
+          audio: false,
+          preferCurrentTab: true,
+        });
+        const [track] = stream.getVideoTracks();
+        if (this.disposed) {
+          track.stop();
+          return;
+        }
+        await track.restrictTo(await RestrictionTarget.fromElement(iframe));
+        this.track = track;
+        this.reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+        this.#pump();
+      } catch (error) {
+        this.#warn(`element capture failed (${error.message})`);
+      }
+    };
+    window.addEventListener('pointerdown', start);
+    window.addEventListener('keydown', start);
+    this.startCapture = start;
+  }
+
+  async #pump() {
+    for (;;) {
+      const { value, done } = (await this.reader?.read()) ?? { done: true };
+      if (done || !value) {
+        return;
+      }
+      if (this.disposed) {
+        value.close();
+        return;
+      }
+      this.#present(value);
+    }
+  }
+
+  dispose() {
+    this.disposed = true;
+    clearTimeout(this.reconnectTimer);
+    this.socket?.close();
+    this.socket = null;
+    if (this.startCapture) {
+      window.removeEventListener('pointerdown', this.startCapture);
+      window.removeEventListener('keydown', this.startCapture);
+    }
+    // cancel() also ends a read() that is still pending in #pump.
+    this.reader?.cancel().catch(() => {});
+    this.reader = null;
+    this.track?.stop();
+    this.track = null;
+    this.iframe?.remove();
+    this.iframe = null;
+    this.frame?.close();
+    this.frame = null;
+  }
+}
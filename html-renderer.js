@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// Renders HTML graphics pages in headless Chrome and streams them to the compositor as PNG frames
+// with alpha, so `type: "html"` layers go through the same GPU path as image and video layers:
+//   node html-renderer.js [--port 8091] [--host 127.0.0.1] [--chrome /path/to/chrome]
+// Each WebSocket client gets its own tab: ws://host:port/?url=<page>&width=<px>&height=<px>.
+// Chrome is driven over the DevTools protocol on a pipe (see headless-chrome.js), so there is no npm
+// dependency.
+import http from 'node:http';
+import { launchChrome } from './headless-chrome.js';
+import { acceptWebSocket } from './ws-server.js';
+
+const DEFAULT_PORT = 8091;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_VIEWPORT = 7680;
+
+function parseArgs(args) {
+  const options = { port: DEFAULT_PORT, host: DEFAULT_HOST, chrome: process.env.CHROME_PATH ?? null };
+  for (let index = 0; index < args.length; index += 1) {
+    const value = args[index + 1];
+    if (args[index] === '--port') {
+      options.port = Number(value);
+      index += 1;
+    } else if (args[index] === '--host') {
+      options.host = value;
+      index += 1;
+    } else if (args[index] === '--chrome') {
+      options.chrome = value;
+      index += 1;
+    } else {
+      throw new Error(`unknown argument ${args[index]}`);
+    }
+  }
+  return options;
+}
+
+function viewportSize(value, fallback) {
+  const size = Math.round(Number(value));
+  return Number.isFinite(size) && size > 0 ? Math.min(size, MAX_VIEWPORT) : fallback;
+}
+
+// One transparent tab per client. Screencast frames only arrive when the page repaints, so a static
+// page costs nothing after its first frame.
+async function openSession(cdp, ws, { url, width, height }) {
+  const { targetId } = await cdp.send('Target.createTarget', { url: 'about:blank' });
+  const { sessionId } = await cdp.send('Target.attachToTarget', { targetId, flatten: true });
+  const onEvent = (method, params, eventSessionId) => {
+    if (eventSessionId !== sessionId) {
+      return;
+    }
+    if (method === 'Page.screencastFrame') {
+      ws.send(Buffer.from(params.data, 'base64'));
+      cdp.send('Page.screencastFrameAck', { sessionId: params.sessionId }, sessionId).catch(() => {});
+    } else if (method === 'Inspector.targetCrashed') {
+      ws.close(1011, 'renderer crashed');
+    }
+  };
+  cdp.on('event', onEvent);
+  const close = () => {
+    cdp.off('event', onEvent);
+    cdp.send('Target.closeTarget', { targetId }).catch(() => {});
+  };
+  try {
+    await cdp.send('Emulation.setDeviceMetricsOverride', { width, height, deviceScaleFactor: 1, mobile: false }, sessionId);
+    await cdp.send('Emulation.setDefaultBackgroundColorOverride', { color: { r: 0, g: 0, b: 0, a: 0 } }, sessionId);
+    await cdp.send('Page.enable', {}, sessionId);
+    await cdp.send('Inspector.enable', {}, sessionId);
+    const { errorText } = await cdp.send('Page.navigate', { url }, sessionId);
+    if (errorText) {
+      throw new Error(`${url}: ${errorText}`);
+    }
+    await cdp.send('Page.startScreencast', { format: 'png', maxWidth: width, maxHeight: height, everyNthFrame: 1 }, sessionId);
+  } catch (error) {
+    close();
+    throw error;
+  }
+  return close;
+}
+
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\nusage: node html-renderer.js [--port ${DEFAULT_PORT}] [--host ${DEFAULT_HOST}] [--chrome <path>]`);
+    return 2;
+  }
+  let chrome;
+  try {
+    chrome = await launchChrome(options.chrome, [
+      '--hide-scrollbars',
+      '--mute-audio',
+      '--autoplay-policy=no-user-gesture-required',
+    ]);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+  const { child, cdp } = chrome;
+
+  const server = http.createServer((request, response) => {
+    response.writeHead(426, { 'content-type': 'text/plain' });
+    response.end('html-renderer: connect with a WebSocket\n');
+  });
+  server.on('upgrade', async (request, socket) => {
+    const ws = acceptWebSocket(request, socket);
+    if (!ws) {
+      return;
+    }
+    const query = new URL(request.url, 'http://localhost').searchParams;
+    const page = {
+      url: query.get('url'),
+      width: viewportSize(query.get('width'), 1920),
+      height: viewportSize(query.get('height'), 1080),
+    };
+    if (!page.url) {
+      ws.send(JSON.stringify({ error: 'missing ?url=' }));
+      ws.close(1008, 'missing url');
+      return;
+    }
+    let closeSession = null;
+    ws.on('close', () => closeSession?.());
+    try {
+      const close = await openSession(cdp, ws, page);
+      if (ws.open) {
+        closeSession = close;
+        console.log(`rendering ${page.url} at ${page.width}x${page.height}`);
+      } else {
+        close();
+      }
+    } catch (error) {
+      console.error(error.message);
+      ws.send(JSON.stringify({ error: error.message }));
+      ws.close(1011, 'page failed to load');
+    }
+  });
+
+  // Open WebSockets would keep the process alive, so exit once Chrome is gone.
+  let stopping = false;
+  const shutdown = () => {
+    stopping = true;
+    child.once('exit', () => process.exit(0));
+    child.kill();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+  child.once('exit', (code) => {
+    if (stopping) {
+      return;
+    }
+    console.error(`Chrome exited (${code ?? 'signal'})`);
+    server.close();
+    process.exitCode = 1;
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+  if (!['127.0.0.1', '::1', 'localhost'].includes(options.host)) {
+    console.warn(`Listening on ${options.host}: any client that reaches this port can make Chrome load any URL.`);
+  }
+  console.log(`html-renderer on ws://${options.host}:${options.port}/?url=<page>&width=<px>&height=<px>`);
+  return 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
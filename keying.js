@@ -0,0 +1,49 @@
+import { parseColor } from './color.js';
+
+export const KEY_TYPES = ['chroma', 'luma'];
+// Must match KEY_* in shaders_v2.wgsl.
+const KEY_MODE_CODES = { none: 0, chroma: 1, luma: 2 };
+
+export const CHROMA_KEY_DEFAULTS = { color: '#00ff00', similarity: 0.4, smoothness: 0.08, spill: 0.1, choke: 0 };
+export const LUMA_KEY_DEFAULTS = { clip: 0.1, gain: 5, invert: false, choke: 0 };
+export const CHROMA_ONLY_KEYS = ['color', 'similarity', 'smoothness', 'spill'];
+export const LUMA_ONLY_KEYS = ['clip', 'gain', 'invert'];
+export const KEY_SIGNAL_DEFAULTS = { clip: 0, gain: 1, invert: false };
+
+export function normalizeKey(key) {
+  if (!key || !KEY_TYPES.includes(key.type)) {
+    return null;
+  }
+  const defaults = key.type === 'chroma' ? CHROMA_KEY_DEFAULTS : LUMA_KEY_DEFAULTS;
+  const merged = { ...defaults, ...key };
+  return {
+    ...merged,
+    color: parseColor(merged.color ?? CHROMA_KEY_DEFAULTS.color),
+    choke: Math.max(0, merged.choke ?? 0),
+    showMatte: Boolean(key.showMatte),
+  };
+}
+
+// How the key input of a fill + key pair becomes alpha: saturate((luma - clip) * gain), optionally
+// inverted. The defaults use the key's luminance as-is.
+export function normalizeKeySignal(signal) {
+  const merged = { ...KEY_SIGNAL_DEFAULTS, ...(signal ?? {}) };
+  return { clip: merged.clip, gain: Math.max(0, merged.gain), invert: Boolean(merged.invert) };
+}
+
+// The 16 floats after the color part of a layer's uniform block (see LayoutUniform in shaders_v2.wgsl).
+// Keying works on the sampled (sRGB-encoded) values, so the key color is not linearized.
+export function buildKeyBlock(key, { showMatte = false, keySignal = null } = {}) {
+  const block = new Float32Array(16);
+  if (key?.type === 'chroma') {
+    const { r, g, b } = key.color;
+    block.set([r, g, b, KEY_MODE_CODES.chroma, key.similarity, key.smoothness, key.spill, key.choke], 0);
+  } else if (key?.type === 'luma') {
+    block.set([0, 0, 0, KEY_MODE_CODES.luma, key.clip, key.gain, key.invert ? 1 : 0, key.choke], 0);
+  }
+  block[8] = showMatte || key?.showMatte ? 1 : 0;
+  if (keySignal) {
+    block.set([1, keySignal.clip, keySignal.gain, keySignal.invert ? 1 : 0], 12);
+  }
+  return block;
+}
@@ -0,0 +1,422 @@
+// Per-layer compositing settings beyond alpha: blend mode, shape mask, border, drop shadow and the
+// effect stack (adjust, blur, lut). Sizes are canvas pixels except the blur radius, which is in
+// source pixels like the key choke. Most of it runs in fsMain from the layer's uniform block; the
+// rest needs passes of its own:
+//   blend modes   one pipeline each (blendState); overlay also reads a copy of the backdrop
+//   drop shadows  vsShadow/fsShadow, drawn under the layer
+//   blur          copied out of the source frame and blurred in two passes (blur.wgsl)
+//   lut           .cube files loaded into a 3D texture
+import { linearizeColor, parseColor } from './color.js';
+
+export const BLEND_MODES = ['normal', 'add', 'multiply', 'screen', 'overlay'];
+export const MASK_SHAPES = ['rect', 'roundedRect', 'ellipse'];
+export const EFFECT_TYPES = ['adjust', 'blur', 'lut'];
+// Must match MASK_* / BLEND_* in shaders_v2.wgsl.
+const MASK_CODES = { none: 0, rect: 1, roundedRect: 2, ellipse: 3 };
+const BLEND_CODES = { normal: 0, add: 1, multiply: 2, screen: 3, overlay: 4 };
+export const EFFECTS_BLOCK_FLOATS = 24;
+
+export const ADJUST_DEFAULTS = { brightness: 0, contrast: 1, saturation: 1 };
+export const DROP_SHADOW_DEFAULTS = { color: '#00000099', blur: 16, offsetX: 0, offsetY: 6 };
+// Larger radii are blurred at a lower resolution so no pass takes more taps than this.
+const MAX_BLUR_TAPS = 16;
+const MAX_LUT_SIZE = 256;
+
+const OVER = { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' };
+// Layers are premultiplied; alpha always composites "over" so the target stays a valid coverage.
+const BLEND_STATES = {
+  normal: { color: OVER, alpha: OVER },
+  add: { color: { srcFactor: 'one', dstFactor: 'one', operation: 'add' }, alpha: OVER },
+  // dst * src + dst * (1 - alpha): the backdrop multiplied by the layer where it covers it.
+  multiply: { color: { srcFactor: 'dst', dstFactor: 'one-minus-src-alpha', operation: 'add' }, alpha: OVER },
+  screen: { color: { srcFactor: 'one', dstFactor: 'one-minus-src', operation: 'add' }, alpha: OVER },
+  // Needs the backdrop itself, so fsMain does the blend and hands over a normal color.
+  overlay: { color: OVER, alpha: OVER },
+};
+
+export function blendState(mode) {
+  return BLEND_STATES[mode] ?? BLEND_STATES.normal;
+}
+
+function premultipliedLinear(color) {
+  const { r, g, b, a } = linearizeColor(parseColor(color));
+  return [r * a, g * a, b * a, a];
+}
+
+export function normalizeLayerEffects(entry) {
+  const shape = entry.mask?.shape;
+  const mask = MASK_SHAPES.includes(shape)
+    ? {
+        shape,
+        radius: shape === 'roundedRect' ? Math.max(0, entry.mask.radius ?? 0) : 0,
+        feather: Math.max(0, entry.mask.feather ?? 0),
+      }
+    : null;
+  const border = entry.border?.width > 0 ? { width: entry.border.width, color: entry.border.color ?? '#ffffff' } : null;
+  const dropShadow = entry.dropShadow ? { ...DROP_SHADOW_DEFAULTS, ...(entry.dropShadow === true ? {} : entry.dropShadow) } : null;
+  const stack = (entry.effects ?? []).filter((effect) => EFFECT_TYPES.includes(effect?.type));
+  const find = (type) => stack.find((effect) => effect.type === type) ?? null;
+  const adjust = find('adjust');
+  const lut = find('lut');
+  return {
+    blendMode: BLEND_MODES.includes(entry.blendMode) ? entry.blendMode : 'normal',
+    mask,
+    border,
+    dropShadow,
+    adjust: adjust ? { ...ADJUST_DEFAULTS, ...adjust } : null,
+    blur: Math.max(0, find('blur')?.radius ?? 0),
+    lut: lut?.url ? { url: lut.url, intensity: Math.min(1, Math.max(0, lut.intensity ?? 1)) } : null,
+    // adjust and lut run in stack order; blur always works on the source first.
+    lutFirst: Boolean(lut && adjust && stack.indexOf(lut) < stack.indexOf(adjust)),
+  };
+}
+
+// The 24 floats after the key part of a layer's uniform block (see LayoutUniform in
+// shaders_v2.wgsl).
+export function buildEffectsBlock(effects) {
+  const block = new Float32Array(EFFECTS_BLOCK_FLOATS);
+  const { mask, border, dropShadow, adjust, lut } = effects;
+  block.set([MASK_CODES[mask?.shape ?? 'none'], mask?.radius ?? 0, mask?.feather ?? 0, BLEND_CODES[effects.blendMode]], 0);
+  if (border) {
+    block.set(premultipliedLinear(border.color), 4);
+  }
+  if (dropShadow) {
+    block.set(premultipliedLinear(dropShadow.color), 8);
+  }
+  block.set([dropShadow?.offsetX ?? 0, dropShadow?.offsetY ?? 0, dropShadow?.blur ?? 0, border?.width ?? 0], 12);
+  block.set([effects.blur > 0 ? 1 : 0, effects.lutFirst ? 1 : 0, 0, 0], 16);
+  const { brightness, contrast, saturation } = adjust ?? ADJUST_DEFAULTS;
+  block.set([brightness, contrast, saturation, lut?.intensity ?? 0], 20);
+  return block;
+}
+
+// Adobe/Resolve .cube files with a 3D table over the 0..1 domain; red varies fastest, which is
+// also the x axis of the texture.
+export function parseCubeLut(text) {
+  let title = null;
+  let size = null;
+  const values = [];
+  for (const [index, rawLine] of text.split(/\r?\n/).entries()) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    if (!line) {
+      continue;
+    }
+    const [keyword, ...args] = line.split(/\s+/);
+    const where = `line ${index + 1}`;
+    if (keyword === 'TITLE') {
+      title = line.slice(5).trim().replace(/^"(.*)"$/, '$1');
+    } else if (keyword === 'LUT_3D_SIZE') {
+      size = Number(args[0]);
+      if (!Number.isInteger(size) || size < 2 || size > MAX_LUT_SIZE) {
+        throw new Error(`${where}: LUT_3D_SIZE must be an integer from 2 to ${MAX_LUT_SIZE}`);
+      }
+    } else if (keyword === 'LUT_1D_SIZE') {
+      throw new Error(`${where}: 1D LUTs are not supported`);
+    } else if (keyword === 'DOMAIN_MIN' || keyword === 'DOMAIN_MAX' || keyword === 'LUT_3D_INPUT_RANGE') {
+      const expected = { DOMAIN_MIN: [0, 0, 0], DOMAIN_MAX: [1, 1, 1], LUT_3D_INPUT_RANGE: [0, 1] }[keyword];
+      if (args.length !== expected.length || args.some((value, axis) => Number(value) !== expected[axis])) {
+        throw new Error(`${where}: only the 0..1 input domain is supported`);
+      }
+    } else if (/^[-+.\d]/.test(keyword)) {
+      const triple = [keyword, ...args].map(Number);
+      if (triple.length !== 3 || triple.some((value) => !Number.isFinite(value))) {
+        throw new Error(`${where}: expected three numbers`);
+      }
+      values.push(...triple);
+    } else {
+      throw new Error(`${where}: unknown keyword ${keyword}`);
+    }
+  }
+  if (size === null) {
+    throw new Error('LUT_3D_SIZE is missing');
+  }
+  if (values.length !== size ** 3 * 3) {
+    throw new Error(`expected ${size ** 3} entries for LUT_3D_SIZE ${size}, found ${values.length / 3}`);
+  }
+  return { title, size, data: Float32Array.from(values) };
+}
+
+const floatBits = new Float32Array(1);
+const intBits = new Uint32Array(floatBits.buffer);
+
+// Round-to-nearest float16; values below the normal range flush to zero, which a LUT never needs.
+function toHalf(value) {
+  floatBits[0] = value;
+  const bits = intBits[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 112;
+  const mantissa = bits & 0x7fffff;
+  if (exponent <= 0) {
+    return sign;
+  }
+  if (exponent >= 31) {
+    return sign | 0x7c00;
+  }
+  return (sign | (exponent << 10) | (mantissa >>> 13)) + ((mantissa >>> 12) & 1);
+}
+
+function halfTexels(size, rgb) {
+  const texels = new Uint16Array(size ** 3 * 4);
+  for (let index = 0; index < size ** 3; index += 1) {
+    texels[index * 4] = toHalf(rgb[index * 3]);
+    texels[index * 4 + 1] = toHalf(rgb[index * 3 + 1]);
+    texels[index * 4 + 2] = toHalf(rgb[index * 3 + 2]);
+    texels[index * 4 + 3] = toHalf(1);
+  }
+  return texels;
+}
+
+// A render pass into a composite target that can be interrupted: blur passes and backdrop copies
+// have to be encoded outside of it, after which drawing resumes on top of what is already there.
+// `texture` is the single-sampled texture that holds the result (the resolve target with MSAA).
+export class CompositeTarget {
+  constructor(encoder, { view, resolveTarget = null, texture, clearValue }) {
+    this.encoder = encoder;
+    this.view = view;
+    this.resolveTarget = resolveTarget;
+    this.texture = texture;
+    this.pass = null;
+    this.#begin('clear', clearValue);
+  }
+
+  #begin(loadOp, clearValue) {
+    const colorAttachment = { view: this.view, loadOp, storeOp: 'store', clearValue };
+    if (this.resolveTarget) {
+      colorAttachment.resolveTarget = this.resolveTarget;
+    }
+    this.pass = this.encoder.beginRenderPass({ colorAttachments: [colorAttachment] });
+  }
+
+  interrupt(encode) {
+    this.pass.end();
+    encode(this.encoder);
+    this.#begin('load');
+  }
+
+  end() {
+    this.pass.end();
+  }
+}
+
+// GPU side of the blur, LUT and overlay effects. prepare() returns bindings 3-5 of a layer's
+// texture bind group, with placeholders for whatever the layer does not use.
+export class LayerEffects {
+  constructor(device, { shaderCode, width, height, log }) {
+    this.device = device;
+    this.width = width;
+    this.height = height;
+    this.log = log;
+    this.luts = new Map();
+    this.blurTargets = new Map();
+    this.blurUniforms = [];
+    this.blurUniformsUsed = 0;
+    this.backdrop = null;
+
+    const module = device.createShaderModule({ code: shaderCode });
+    this.sampler = device.createSampler({ magFilter: 'linear', minFilter: 'linear' });
+    this.copyBindGroupLayout = device.createBindGroupLayout({
+      entries: [
+        { binding: 1, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } },
+        { binding: 3, visibility: GPUShaderStage.FRAGMENT, externalTexture: {} },
+      ],
+    });
+    this.blurBindGroupLayout = device.createBindGroupLayout({
+      entries: [
+        { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } },
+        { binding: 1, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } },
+        { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+      ],
+    });
+    const pipeline = (layout, entryPoint) =>
+      device.createRenderPipeline({
+        layout: device.createPipelineLayout({ bindGroupLayouts: [layout] }),
+        vertex: { module, entryPoint: 'vsBlur' },
+        fragment: { module, entryPoint, targets: [{ format: 'rgba16float' }] },
+        primitive: { topology: 'triangle-list' },
+      });
+    this.copyPipeline = pipeline(this.copyBindGroupLayout, 'fsBlurSource');
+    this.blurPipeline = pipeline(this.blurBindGroupLayout, 'fsBlur');
+
+    const texture = (dimension, size, data) => {
+      const created = device.createTexture({
+        dimension,
+        size,
+        format: 'rgba16float',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+      });
+      device.queue.writeTexture(
+        { texture: created },
+        data,
+        { bytesPerRow: size[0] * 8, rowsPerImage: size[1] },
+        size
+      );
+      return created.createView({ dimension });
+    };
+    const identity = [];
+    for (let b = 0; b < 2; b += 1) {
+      for (let g = 0; g < 2; g += 1) {
+        for (let r = 0; r < 2; r += 1) {
+          identity.push(r, g, b);
+        }
+      }
+    }
+    this.placeholder2d = texture('2d', [1, 1, 1], halfTexels(1, [0, 0, 0]));
+    // An identity LUT, so a layer whose .cube is still loading looks ungraded rather than broken.
+    this.placeholderLut = texture('3d', [2, 2, 2], halfTexels(2, identity));
+  }
+
+  // Blur uniforms are written per use, so the slots are handed out again every frame.
+  beginFrame() {
+    this.blurUniformsUsed = 0;
+  }
+
+  // Starts loading on first use and returns null until the texture is ready; a LUT that fails to
+  // load is reported once and the layer stays ungraded.
+  lutView(url) {
+    let entry = this.luts.get(url);
+    if (!entry) {
+      entry = { view: null };
+      this.luts.set(url, entry);
+      fetch(url)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.text();
+        })
+        .then((text) => {
+          const { size, data } = parseCubeLut(text);
+          const texture = this.device.createTexture({
+            dimension: '3d',
+            size: [size, size, size],
+            format: 'rgba16float',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+          });
+          this.device.queue.writeTexture(
+            { texture },
+            halfTexels(size, data),
+            { bytesPerRow: size * 8, rowsPerImage: size },
+            [size, size, size]
+          );
+          entry.view = texture.createView({ dimension: '3d' });
+        })
+        .catch((error) => this.log(`LUT ${url} could not be loaded: ${error.message}`));
+    }
+    return entry.view;
+  }
+
+  #blurTarget(width, height) {
+    const key = `${width}x${height}`;
+    if (!this.blurTargets.has(key)) {
+      const create = () =>
+        this.device
+          .createTexture({
+            size: { width, height },
+            format: 'rgba16float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+          })
+          .createView();
+      this.blurTargets.set(key, { a: create(), b: create() });
+    }
+    return this.blurTargets.get(key);
+  }
+
+  #blurUniform(values) {
+    if (this.blurUniformsUsed === this.blurUniforms.length) {
+      this.blurUniforms.push(
+        this.device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST })
+      );
+    }
+    const buffer = this.blurUniforms[this.blurUniformsUsed];
+    this.blurUniformsUsed += 1;
+    this.device.queue.writeBuffer(buffer, 0, new Float32Array(values));
+    return buffer;
+  }
+
+  // Copies the frame at a resolution where `radius` source pixels are at most MAX_BLUR_TAPS texels,
+  // then blurs it horizontally (a -> b) and vertically (b -> a). Layers are drawn right after
+  // their blur, so layers of the same size can share the targets.
+  #blur(encoder, externalTexture, frame, radius) {
+    const frameWidth = frame.displayWidth ?? frame.width;
+    const frameHeight = frame.displayHeight ?? frame.height;
+    const scale = Math.min(1, MAX_BLUR_TAPS / radius);
+    const width = Math.max(1, Math.round(frameWidth * scale));
+    const height = Math.max(1, Math.round(frameHeight * scale));
+    const target = this.#blurTarget(width, height);
+    const radiusTexels = radius * (width / frameWidth);
+    const run = (view, pipeline, bindGroup) => {
+      const pass = encoder.beginRenderPass({
+        colorAttachments: [{ view, loadOp: 'clear', storeOp: 'store', clearValue: { r: 0, g: 0, b: 0, a: 0 } }],
+      });
+      pass.setPipeline(pipeline);
+      pass.setBindGroup(0, bindGroup);
+      pass.draw(3);
+      pass.end();
+    };
+    run(
+      target.a,
+      this.copyPipeline,
+      this.device.createBindGroup({
+        layout: this.copyBindGroupLayout,
+        entries: [
+          { binding: 1, resource: this.sampler },
+          { binding: 3, resource: externalTexture },
+        ],
+      })
+    );
+    const taps = Math.ceil(radiusTexels);
+    for (const [input, output, direction] of [
+      [target.a, target.b, [1 / width, 0]],
+      [target.b, target.a, [0, 1 / height]],
+    ]) {
+      const uniform = this.#blurUniform([...direction, radiusTexels / 3, taps]);
+      run(
+        output,
+        this.blurPipeline,
+        this.device.createBindGroup({
+          layout: this.blurBindGroupLayout,
+          entries: [
+            { binding: 0, resource: { buffer: uniform } },
+            { binding: 1, resource: this.sampler },
+            { binding: 2, resource: input },
+          ],
+        })
+      );
+    }
+    return target.a;
+  }
+
+  #copyBackdrop(encoder, texture) {
+    if (!this.backdrop) {
+      this.backdrop = this.device.createTexture({
+        size: { width: this.width, height: this.height },
+        format: texture.format,
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+      });
+      this.backdropView = this.backdrop.createView();
+    }
+    encoder.copyTextureToTexture({ texture }, { texture: this.backdrop }, { width: this.width, height: this.height });
+  }
+
+  // Encodes the layer's blur passes and, for overlay blending, a copy of what is under it; both
+  // interrupt `target`'s pass. Returns the texture bindings for fsMain.
+  prepare(target, layer, frame, externalTexture) {
+    const { blur, lut, blendMode } = layer.effects;
+    let blurred = this.placeholder2d;
+    if (blur > 0) {
+      target.interrupt((encoder) => {
+        blurred = this.#blur(encoder, externalTexture, frame, blur);
+      });
+    }
+    let backdrop = this.placeholder2d;
+    if (blendMode === 'overlay') {
+      target.interrupt((encoder) => this.#copyBackdrop(encoder, target.texture));
+      backdrop = this.backdropView;
+    }
+    return [
+      { binding: 3, resource: blurred },
+      { binding: 4, resource: (lut && this.lutView(lut.url)) || this.placeholderLut },
+      { binding: 5, resource: backdrop },
+    ];
+  }
+}
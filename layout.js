@@ -0,0 +1,126 @@
+// Layer geometry: where a layer's rect sits on the canvas, which part of its source shows inside
+// it (crop, zoom, fit mode, pixel aspect) and how it rotates. Plain math on numbers, so it runs
+// and is tested without a GPU (layout.test.js); buildLayoutBlock packs it for shaders_v2.wgsl.
+//
+// Fit modes, all centered in the rect:
+//   stretch  the crop window fills the rect, ignoring aspect (the default)
+//   contain  the whole window fits inside; the bars show `letterbox` (transparent by default)
+//   cover    the window fills the rect; whatever sticks out is cut off
+//   none     one source pixel per canvas pixel, cut off or letterboxed as needed
+import { linearizeColor, parseColor } from './color.js';
+
+export const FIT_MODES = ['stretch', 'contain', 'cover', 'none'];
+export const LAYOUT_BLOCK_FLOATS = 24;
+
+export function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+export function normalizeCrop(crop) {
+  if (!crop) {
+    return { x: 0, y: 0, width: 1, height: 1 };
+  }
+  if (Array.isArray(crop)) {
+    const [x0, y0, x1, y1] = crop;
+    return {
+      x: clamp01(x0),
+      y: clamp01(y0),
+      width: Math.max(clamp01((x1 ?? 1) - (x0 ?? 0)), 0.0001),
+      height: Math.max(clamp01((y1 ?? 1) - (y0 ?? 0)), 0.0001),
+    };
+  }
+  return {
+    x: clamp01(crop.x ?? 0),
+    y: clamp01(crop.y ?? 0),
+    width: Math.max(clamp01(crop.width ?? 1), 0.0001),
+    height: Math.max(clamp01(crop.height ?? 1), 0.0001),
+  };
+}
+
+// zoom > 1 zooms in around the crop center (2 = 200%).
+export function zoomCrop(crop, zoom = 1) {
+  const zoomClamped = Math.max(zoom, 0.0001);
+  if (zoomClamped === 1) {
+    return crop;
+  }
+  const centerU = crop.x + crop.width / 2;
+  const centerV = crop.y + crop.height / 2;
+  const width = crop.width / zoomClamped;
+  const height = crop.height / zoomClamped;
+  return { width, height, x: clamp01(centerU - width / 2), y: clamp01(centerV - height / 2) };
+}
+
+// Size of a frame in square pixels. VideoFrame display sizes already include the pixel aspect
+// ratio the stream signals; pixelAspect overrides it for sources that signal it wrongly.
+export function frameDisplaySize(frame, pixelAspect = null) {
+  if (pixelAspect) {
+    const visible = frame.visibleRect ?? { width: frame.codedWidth ?? frame.width, height: frame.codedHeight ?? frame.height };
+    return { width: visible.width * pixelAspect, height: visible.height };
+  }
+  return { width: frame.displayWidth ?? frame.width, height: frame.displayHeight ?? frame.height };
+}
+
+// layout holds the (animated) layer fields: x, y, width, height, crop, zoom, rotationDegrees,
+// alpha, fit and anchor. content is the source size from frameDisplaySize(), or null while it is
+// unknown (the layer is then stretched). Positions are canvas pixels with y down; rotation is
+// counter-clockwise on screen around the anchor (rect-relative, center by default).
+export function computeLayerGeometry(layout, { canvasWidth, canvasHeight, content = null }) {
+  const width = (layout.width ?? 1) * canvasWidth;
+  const height = (layout.height ?? 1) * canvasHeight;
+  const left = (layout.x ?? 0) * canvasWidth;
+  const top = (layout.y ?? 0) * canvasHeight;
+  const crop = zoomCrop(normalizeCrop(layout.crop), layout.zoom ?? 1);
+  const anchor = layout.anchor ?? { x: 0.5, y: 0.5 };
+
+  // Picture size relative to the rect: 1 fills it, below 1 leaves bars, above 1 is cut off.
+  let fill = [1, 1];
+  const fit = layout.fit ?? 'stretch';
+  if (fit !== 'stretch' && content?.width > 0 && content?.height > 0) {
+    const windowWidth = content.width * crop.width;
+    const windowHeight = content.height * crop.height;
+    const scales = { contain: Math.min, cover: Math.max };
+    const scale = fit === 'none' ? 1 : scales[fit](width / windowWidth, height / windowHeight);
+    fill = [(windowWidth * scale) / width, (windowHeight * scale) / height];
+  }
+  const uvScale = [crop.width / fill[0], crop.height / fill[1]];
+  const uvOffset = [crop.x + crop.width / 2 - uvScale[0] / 2, crop.y + crop.height / 2 - uvScale[1] / 2];
+
+  return {
+    center: [left + width / 2, top + height / 2],
+    halfSize: [width / 2, height / 2],
+    pivot: [((anchor.x ?? 0.5) - 0.5) * width, ((anchor.y ?? 0.5) - 0.5) * height],
+    rotation: ((layout.rotationDegrees ?? 0) * Math.PI) / 180,
+    alpha: clamp01(layout.alpha ?? 1),
+    canvas: [canvasWidth, canvasHeight],
+    uvScale,
+    uvOffset,
+    picture: [crop.x, crop.y, crop.x + crop.width, crop.y + crop.height],
+  };
+}
+
+// Canvas position of a point given relative to the layer center (unrotated pixels, y down);
+// the same transform as place() in shaders_v2.wgsl.
+export function layerToCanvas(geometry, [x, y]) {
+  const [pivotX, pivotY] = geometry.pivot;
+  const s = Math.sin(geometry.rotation);
+  const c = Math.cos(geometry.rotation);
+  const dx = x - pivotX;
+  const dy = y - pivotY;
+  return [geometry.center[0] + pivotX + dx * c + dy * s, geometry.center[1] + pivotY - dx * s + dy * c];
+}
+
+// The 24 floats at the start of a layer's uniform block (see LayoutUniform in shaders_v2.wgsl).
+// letterbox is a color string; the shader wants it linear and premultiplied.
+export function buildLayoutBlock(geometry, letterbox = null) {
+  const block = new Float32Array(LAYOUT_BLOCK_FLOATS);
+  block.set([...geometry.center, ...geometry.halfSize], 0);
+  block.set([...geometry.pivot, geometry.rotation, geometry.alpha], 4);
+  block.set([...geometry.canvas, 0, 0], 8);
+  block.set([...geometry.uvScale, ...geometry.uvOffset], 12);
+  block.set(geometry.picture, 16);
+  if (letterbox) {
+    const { r, g, b, a } = linearizeColor(parseColor(letterbox));
+    block.set([r * a, g * a, b * a, a], 20);
+  }
+  return block;
+}
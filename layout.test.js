@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildLayoutBlock, computeLayerGeometry, frameDisplaySize, layerToCanvas, normalizeCrop } from './layout.js';
+
+const CANVAS = { canvasWidth: 1920, canvasHeight: 1080 };
+const EPSILON = 1e-6;
+
+function assertClose(actual, expected, message) {
+  assert.equal(actual.length, expected.length, message);
+  actual.forEach((value, index) => {
+    assert.ok(Math.abs(value - expected[index]) < EPSILON, `${message ?? ''} [${index}]: ${value} != ${expected[index]}`);
+  });
+}
+
+// Source UV shown at a point in the rect given as 0..1 (the shader's uv_transform).
+function sourceUv(geometry, [u, v]) {
+  return [geometry.uvOffset[0] + u * geometry.uvScale[0], geometry.uvOffset[1] + v * geometry.uvScale[1]];
+}
+
+test('crops are clamped to the frame and never collapse to nothing', () => {
+  assert.deepEqual(normalizeCrop(undefined), { x: 0, y: 0, width: 1, height: 1 });
+  assert.deepEqual(normalizeCrop({ x: 0.25, width: 0.5 }), { x: 0.25, y: 0, width: 0.5, height: 1 });
+  assert.deepEqual(normalizeCrop([0.25, 0.5, 0.75, 1]), { x: 0.25, y: 0.5, width: 0.5, height: 0.5 });
+  assert.deepEqual(normalizeCrop({ x: -1, y: 2, width: 3, height: 0 }), { x: 0, y: 1, width: 1, height: 0.0001 });
+  assert.deepEqual(normalizeCrop([0.5, 0, 0.25, 1]), { x: 0.5, y: 0, width: 0.0001, height: 1 });
+});
+
+test('stretch maps the crop window onto the rect whatever the content shape', () => {
+  const layout = { x: 0.5, y: 0, width: 0.5, height: 0.5, crop: { x: 0.25, y: 0, width: 0.5, height: 1 } };
+  const geometry = computeLayerGeometry(layout, { ...CANVAS, content: { width: 640, height: 480 } });
+  assertClose(geometry.center, [1440, 270]);
+  assertClose(geometry.halfSize, [480, 270]);
+  assertClose(sourceUv(geometry, [0, 0]), [0.25, 0]);
+  assertClose(sourceUv(geometry, [1, 1]), [0.75, 1]);
+  assertClose(geometry.picture, [0.25, 0, 0.75, 1]);
+});
+
+test('contain letterboxes a 4:3 source in a 16:9 rect', () => {
+  const geometry = computeLayerGeometry({ fit: 'contain' }, { ...CANVAS, content: { width: 640, height: 480 } });
+  // 1440 of 1920 pixels are picture: 240 pixel bars left and right.
+  assertClose(geometry.uvScale, [1920 / 1440, 1]);
+  assertClose(sourceUv(geometry, [240 / 1920, 0.5]), [0, 0.5]);
+  assertClose(sourceUv(geometry, [1680 / 1920, 0.5]), [1, 0.5]);
+  assert.ok(sourceUv(geometry, [0.05, 0.5])[0] < 0, 'the bar lies outside the picture');
+});
+
+test('cover fills the rect and cuts off the overhang', () => {
+  const geometry = computeLayerGeometry({ fit: 'cover' }, { ...CANVAS, content: { width: 640, height: 480 } });
+  // Scaled to 1920 × 1440, so 180 source-scaled pixels are lost above and below.
+  assertClose(geometry.uvScale, [1, 1080 / 1440]);
+  assertClose(sourceUv(geometry, [0.5, 0]), [0.5, 0.125]);
+  assertClose(sourceUv(geometry, [0.5, 1]), [0.5, 0.875]);
+});
+
+test('none shows one source pixel per canvas pixel', () => {
+  const layout = { x: 0.25, y: 0.25, width: 0.5, height: 0.5, fit: 'none' };
+  const geometry = computeLayerGeometry(layout, { ...CANVAS, content: { width: 1280, height: 720 } });
+  // 960 × 540 rect: the middle 960 × 540 pixels of the 1280 × 720 source.
+  assertClose(geometry.uvScale, [960 / 1280, 540 / 720]);
+  assertClose(sourceUv(geometry, [0, 0]), [160 / 1280, 90 / 720]);
+  const small = computeLayerGeometry({ ...layout, fit: 'none' }, { ...CANVAS, content: { width: 480, height: 270 } });
+  assertClose(small.uvScale, [2, 2]);
+  assertClose(sourceUv(small, [0.25, 0.25]), [0, 0]);
+});
+
+test('fit works on the cropped and zoomed window', () => {
+  const layout = { fit: 'contain', crop: [0, 0, 0.5, 1], zoom: 2 };
+  const geometry = computeLayerGeometry(layout, { ...CANVAS, content: { width: 1920, height: 1080 } });
+  // The window is 480 × 540 source pixels around (0.25, 0.5): contained at 2×, 960 wide.
+  assertClose(geometry.picture, [0.125, 0.25, 0.375, 0.75]);
+  assertClose(sourceUv(geometry, [0.25, 0]), [0.125, 0.25]);
+  assertClose(sourceUv(geometry, [0.75, 1]), [0.375, 0.75]);
+});
+
+test('an unknown content size stretches', () => {
+  const geometry = computeLayerGeometry({ fit: 'contain' }, { ...CANVAS, content: null });
+  assertClose(geometry.uvScale, [1, 1]);
+  assertClose(geometry.uvOffset, [0, 0]);
+});
+
+test('frameDisplaySize applies the pixel aspect ratio', () => {
+  const frame = {
+    codedWidth: 720,
+    codedHeight: 576,
+    visibleRect: { width: 720, height: 576 },
+    displayWidth: 1024,
+    displayHeight: 576,
+  };
+  assert.deepEqual(frameDisplaySize(frame), { width: 1024, height: 576 });
+  assert.deepEqual(frameDisplaySize(frame, 16 / 15), { width: 768, height: 576 });
+  assert.deepEqual(frameDisplaySize({ width: 300, height: 150 }), { width: 300, height: 150 });
+
+  const anamorphic = computeLayerGeometry({ fit: 'contain' }, { ...CANVAS, content: frameDisplaySize(frame) });
+  assertClose(anamorphic.uvScale, [1, 1080 / (1920 * (576 / 1024))]);
+});
+
+test('rotation happens in canvas pixels, so a rotated rect stays a rectangle', () => {
+  const layout = { x: 0.25, y: 0.25, width: 0.5, height: 0.5, rotationDegrees: 30 };
+  const geometry = computeLayerGeometry(layout, CANVAS);
+  const [hw, hh] = geometry.halfSize;
+  const corners = [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]].map((point) => layerToCanvas(geometry, point));
+  const side = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+  assert.ok(Math.abs(side(corners[0], corners[1]) - 960) < EPSILON);
+  assert.ok(Math.abs(side(corners[1], corners[2]) - 540) < EPSILON);
+  const dot = (corners[1][0] - corners[0][0]) * (corners[2][0] - corners[1][0])
+    + (corners[1][1] - corners[0][1]) * (corners[2][1] - corners[1][1]);
+  assert.ok(Math.abs(dot) < 1e-6, 'corners are square');
+  // Counter-clockwise on screen: the right edge's midpoint moves up.
+  const right = layerToCanvas(geometry, [hw, 0]);
+  assert.ok(right[1] < geometry.center[1]);
+  assertClose(right, [960 + 480 * Math.cos(Math.PI / 6), 540 - 480 * Math.sin(Math.PI / 6)]);
+});
+
+test('the anchor stays put while the layer rotates around it', () => {
+  const layout = { x: 0.25, y: 0.25, width: 0.5, height: 0.5, rotationDegrees: 90, anchor: { x: 0, y: 0 } };
+  const geometry = computeLayerGeometry(layout, CANVAS);
+  assertClose(geometry.pivot, [-480, -270]);
+  assertClose(layerToCanvas(geometry, [-480, -270]), [480, 270]);
+  // The top-right corner swings up to straight above the anchor.
+  assertClose(layerToCanvas(geometry, [480, -270]), [480, 270 - 960]);
+});
+
+test('buildLayoutBlock packs the geometry and a premultiplied letterbox', () => {
+  const geometry = computeLayerGeometry({ alpha: 0.5, rotationDegrees: 180 }, CANVAS);
+  const block = buildLayoutBlock(geometry, '#ffffff80');
+  assert.equal(block.length, 24);
+  assertClose(Array.from(block.subarray(0, 12)), [960, 540, 960, 540, 0, 0, Math.fround(Math.PI), 0.5, 1920, 1080, 0, 0]);
+  assertClose(Array.from(block.subarray(12, 20)), [1, 1, 0, 0, 0, 0, 1, 1]);
+  const alpha = block[23];
+  assert.ok(Math.abs(alpha - 128 / 255) < 1e-3);
+  assertClose(Array.from(block.subarray(20, 23)), [alpha, alpha, alpha]);
+  assertClose(Array.from(buildLayoutBlock(geometry).subarray(20)), [0, 0, 0, 0]);
+});
@@ -0,0 +1,458 @@
+// Live program output: the canvas and the program audio bus leave the browser as a stream.
+// `output.protocol` picks the transport:
+//   whip  WebRTC ingest (WHIP): one POST of the SDP offer, the answer comes back with a Location
+//         for the session, which is deleted again on stop.
+//   cmaf  WebCodecs-encoded fragmented MP4 (CMAF) pushed to `url`. ws:// / wss:// sends the init
+//         segment and then one chunk (moof + mdat) per frame, so latency stays at a frame;
+//         http:// / https:// PUTs whole segments to <url>/init.mp4 and <url>/segment-<n>.m4s.
+// Both reconnect `reconnectDelay` seconds after the endpoint goes away, starting again on a key frame.
+import { Mp4Muxer } from './mp4-muxer.js';
+import { resolveRecordingCodec } from './offline-render.js';
+
+export const OUTPUT_PROTOCOLS = ['whip', 'cmaf'];
+// recording.codec style short names, mapped to the RTP payload types WebRTC negotiates.
+export const WHIP_CODECS = { h264: 'video/H264', vp8: 'video/VP8', vp9: 'video/VP9', av1: 'video/AV1' };
+
+const DEFAULT_RECONNECT_DELAY_S = 2;
+const DEFAULT_SEGMENT_DURATION_S = 2;
+const ICE_GATHERING_TIMEOUT_MS = 2000;
+// Past this much unsent data on the WebSocket, chunks are dropped until the next key frame.
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+const MAX_QUEUED_FRAMES = 2;
+const MAX_PENDING_UPLOADS = 3;
+
+export function normalizeOutput(output, { fps }) {
+  const outputFps = output.fps ?? fps;
+  return {
+    protocol: output.protocol,
+    url: output.url,
+    token: output.token ?? null,
+    iceServers: output.iceServers ?? [],
+    codec: output.codec ? output.codec.toLowerCase() : null,
+    fps: outputFps,
+    videoBitsPerSecond: output.videoBitsPerSecond ?? null,
+    audioBitsPerSecond: output.audioBitsPerSecond ?? null,
+    keyframeInterval: output.keyframeInterval ?? Math.round(outputFps * 2),
+    segmentDurationUs: (output.segmentDuration ?? DEFAULT_SEGMENT_DURATION_S) * 1_000_000,
+    reconnectDelayMs: (output.reconnectDelay ?? DEFAULT_RECONNECT_DELAY_S) * 1000,
+    autoStart: output.autoStart ?? false,
+  };
+}
+
+// canvas is captured at settings.fps; audioTrack (the program bus) is optional and never stopped here.
+export function createLiveOutput(settings, { canvas, audioTrack = null, log }) {
+  const Output = settings.protocol === 'whip' ? WhipOutput : CmafOutput;
+  return new Output(settings, { canvas, audioTrack, log });
+}
+
+function authHeaders(token, contentType) {
+  const headers = contentType ? { 'Content-Type': contentType } : {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return headers;
+}
+
+class LiveOutput {
+  constructor(settings, { canvas, audioTrack, log }) {
+    this.settings = settings;
+    this.canvas = canvas;
+    this.audioTrack = audioTrack;
+    this.log = log;
+    this.videoTrack = null;
+    this.stopped = true;
+    this.retryTimer = null;
+    this.warned = false;
+  }
+
+  get running() {
+    return !this.stopped;
+  }
+
+  async start() {
+    this.stopped = false;
+    [this.videoTrack] = this.canvas.captureStream(this.settings.fps).getVideoTracks();
+    await this.connect();
+  }
+
+  // Logs the first failure of a streak, so a dead endpoint doesn't flood the log every retry.
+  warn(message) {
+    if (!this.warned) {
+      this.log(`Output ${this.settings.url}: ${message}`);
+      this.warned = true;
+    }
+  }
+
+  connected(message) {
+    this.warned = false;
+    this.log(`Output ${this.settings.url}: ${message}`);
+  }
+
+  retry(message) {
+    this.warn(`${message}; retrying every ${this.settings.reconnectDelayMs / 1000} s`);
+    this.disconnect();
+    clearTimeout(this.retryTimer);
+    if (!this.stopped) {
+      this.retryTimer = setTimeout(() => this.connect(), this.settings.reconnectDelayMs);
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.disconnect();
+    this.videoTrack?.stop();
+    this.videoTrack = null;
+  }
+}
+
+// Bitrate and frame rate are applied as sender encoding limits; WebRTC picks key frames itself
+// (mostly when the receiver asks for one), so keyframeInterval does not apply.
+export class WhipOutput extends LiveOutput {
+  constructor(settings, options) {
+    super(settings, options);
+    this.connection = null;
+    this.sessionUrl = null;
+  }
+
+  async connect() {
+    const { url, token, iceServers, codec } = this.settings;
+    const connection = new RTCPeerConnection({ iceServers });
+    this.connection = connection;
+    const stream = new MediaStream([this.videoTrack, this.audioTrack].filter(Boolean));
+    for (const track of stream.getTracks()) {
+      const transceiver = connection.addTransceiver(track, { direction: 'sendonly', streams: [stream] });
+      if (track.kind === 'video' && codec) {
+        preferCodec(transceiver, WHIP_CODECS[codec]);
+      }
+    }
+    connection.addEventListener('connectionstatechange', () => {
+      if (connection !== this.connection) {
+        return;
+      }
+      if (connection.connectionState === 'connected') {
+        this.connected('WHIP session connected');
+      } else if (connection.connectionState === 'failed') {
+        this.retry('WHIP connection failed');
+      }
+    });
+
+    try {
+      await connection.setLocalDescription(await connection.createOffer());
+      await iceGatheringComplete(connection);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: authHeaders(token, 'application/sdp'),
+        body: connection.localDescription.sdp,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${await response.text()}`);
+      }
+      const location = response.headers.get('Location');
+      const sessionUrl = location ? new URL(location, url).href : null;
+      if (connection !== this.connection) {
+        // Stopped while the offer was in flight.
+        if (sessionUrl) {
+          fetch(sessionUrl, { method: 'DELETE', headers: authHeaders(token) }).catch(() => {});
+        }
+        return;
+      }
+      this.sessionUrl = sessionUrl;
+      await connection.setRemoteDescription({ type: 'answer', sdp: await response.text() });
+      await this.#applyLimits(connection);
+    } catch (error) {
+      if (connection === this.connection) {
+        this.retry(`WHIP ${error.message}`);
+      }
+    }
+  }
+
+  async #applyLimits(connection) {
+    const { videoBitsPerSecond, audioBitsPerSecond, fps } = this.settings;
+    for (const sender of connection.getSenders()) {
+      const parameters = sender.getParameters();
+      const [encoding] = parameters.encodings ?? [];
+      if (!encoding) {
+        continue;
+      }
+      const maxBitrate = sender.track?.kind === 'video' ? videoBitsPerSecond : audioBitsPerSecond;
+      if (maxBitrate) {
+        encoding.maxBitrate = maxBitrate;
+      }
+      if (sender.track?.kind === 'video') {
+        encoding.maxFramerate = fps;
+      }
+      await sender.setParameters(parameters);
+    }
+  }
+
+  disconnect() {
+    if (this.sessionUrl) {
+      fetch(this.sessionUrl, { method: 'DELETE', headers: authHeaders(this.settings.token) }).catch(() => {});
+      this.sessionUrl = null;
+    }
+    this.connection?.close();
+    this.connection = null;
+  }
+}
+
+function preferCodec(transceiver, mimeType) {
+  const codecs = RTCRtpSender.getCapabilities?.('video')?.codecs ?? [];
+  const preferred = codecs.filter((codec) => codec.mimeType.toLowerCase() === mimeType.toLowerCase());
+  if (preferred.length && transceiver.setCodecPreferences) {
+    transceiver.setCodecPreferences([...preferred, ...codecs.filter((codec) => !preferred.includes(codec))]);
+  }
+}
+
+function iceGatheringComplete(connection) {
+  return new Promise((resolve) => {
+    if (connection.iceGatheringState === 'complete') {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ICE_GATHERING_TIMEOUT_MS);
+    connection.addEventListener('icegatheringstatechange', () => {
+      if (connection.iceGatheringState === 'complete') {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+}
+
+// Encoders keep running across reconnects; while the endpoint is away chunks are dropped, and
+// after it comes back the init segment is sent again and delivery resumes on a forced key frame.
+// Timestamps are rebased to the first video frame (canvas and audio tracks share the capture clock).
+export class CmafOutput extends LiveOutput {
+  constructor(settings, options) {
+    super(settings, options);
+    this.transport = /^wss?:/i.test(settings.url) ? 'websocket' : 'http';
+    this.socket = null;
+    this.muxer = null;
+    this.videoEncoder = null;
+    this.audioEncoder = null;
+    this.readers = [];
+    this.originUs = null;
+    this.frameIndex = 0;
+    this.forceKey = false;
+    this.needsInit = true;
+    this.waitForKey = true;
+    this.segment = 0;
+    this.uploads = Promise.resolve();
+    this.pendingUploads = 0;
+    this.uploading = false;
+    this.retryAt = 0;
+  }
+
+  async start() {
+    if (!window.VideoEncoder) {
+      throw new Error('WebCodecs VideoEncoder is required for CMAF output.');
+    }
+    this.stopped = false;
+    [this.videoTrack] = this.canvas.captureStream(this.settings.fps).getVideoTracks();
+    const { width, height } = this.canvas;
+    const { name, codecString } = resolveRecordingCodec(this.settings.codec, 'mp4');
+    const videoConfig = { codec: codecString, width, height, framerate: this.settings.fps, latencyMode: 'realtime' };
+    if (this.settings.videoBitsPerSecond) {
+      videoConfig.bitrate = this.settings.videoBitsPerSecond;
+    }
+    if (name === 'h264') {
+      videoConfig.avc = { format: 'avc' };
+    }
+    const { supported } = await VideoEncoder.isConfigSupported(videoConfig);
+    if (!supported) {
+      throw new Error(`VideoEncoder cannot encode ${codecString} at ${width}x${height}.`);
+    }
+    const audio = this.audioTrack && window.AudioEncoder ? this.#audioConfig() : null;
+    this.muxer = new Mp4Muxer({
+      video: { name, codecString, width, height, frameRate: this.settings.fps },
+      audio: audio && { codecString: 'opus', sampleRate: audio.sampleRate, channels: audio.numberOfChannels },
+      fragmentDurationUs: this.settings.segmentDurationUs,
+      retainFragments: false,
+      // Over HTTP the muxer cuts segments at the first key frame past segmentDuration; over a
+      // WebSocket every frame is flushed as its own chunk instead (see #encodeVideo).
+      onFragment: this.transport === 'http' ? (fragment) => this.#upload(fragment) : null,
+    });
+
+    this.videoEncoder = new VideoEncoder({
+      output: (chunk, metadata) => {
+        this.muxer.addVideoChunk(this.#rebase(chunk), metadata);
+        if (this.transport === 'websocket') {
+          this.#sendChunk(this.muxer.flush(), chunk.type === 'key');
+        }
+      },
+      error: (error) => this.log(`Output video encoder error: ${error.message}`),
+    });
+    this.videoEncoder.configure(videoConfig);
+    this.#pump(this.videoTrack, (frame) => this.#encodeVideo(frame));
+    if (audio) {
+      this.audioEncoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+          if (this.originUs !== null && chunk.timestamp >= this.originUs) {
+            this.muxer.addAudioChunk(this.#rebase(chunk), metadata);
+          }
+        },
+        error: (error) => this.log(`Output audio encoder error: ${error.message}`),
+      });
+      this.audioEncoder.configure(audio);
+      this.#pump(this.audioTrack, (data) => this.audioEncoder.encode(data));
+    }
+    this.log(`Output: ${codecString}${audio ? ' + Opus' : ''} at ${width}x${height}@${this.settings.fps} as CMAF to ${this.settings.url}`);
+    await this.connect();
+  }
+
+  #audioConfig() {
+    const { sampleRate = 48_000, channelCount = 2 } = this.audioTrack.getSettings();
+    return {
+      codec: 'opus',
+      sampleRate,
+      numberOfChannels: channelCount,
+      bitrate: this.settings.audioBitsPerSecond ?? 128_000,
+    };
+  }
+
+  async #pump(track, handle) {
+    const reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+    this.readers.push(reader);
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done || !value) {
+        return;
+      }
+      if (!this.stopped) {
+        handle(value);
+      }
+      value.close();
+    }
+  }
+
+  #encodeVideo(frame) {
+    this.originUs ??= frame.timestamp;
+    // Drop frames rather than queue them when the encoder falls behind.
+    if (this.videoEncoder.encodeQueueSize >= MAX_QUEUED_FRAMES) {
+      return;
+    }
+    const keyFrame = this.forceKey || this.frameIndex % this.settings.keyframeInterval === 0;
+    this.videoEncoder.encode(frame, { keyFrame });
+    this.forceKey = false;
+    this.frameIndex = keyFrame ? 1 : this.frameIndex + 1;
+  }
+
+  #rebase(chunk) {
+    return {
+      type: chunk.type,
+      timestamp: chunk.timestamp - this.originUs,
+      duration: chunk.duration,
+      byteLength: chunk.byteLength,
+      copyTo: (destination) => chunk.copyTo(destination),
+    };
+  }
+
+  // Joins (or rejoins) on the next key frame with a fresh init segment.
+  #resync() {
+    this.needsInit = true;
+    this.waitForKey = true;
+    this.forceKey = true;
+  }
+
+  connect() {
+    this.#resync();
+    if (this.transport === 'http') {
+      return;
+    }
+    const socket = new WebSocket(this.settings.url);
+    socket.binaryType = 'arraybuffer';
+    socket.addEventListener('open', () => {
+      this.#resync();
+      this.connected('WebSocket connected');
+    });
+    socket.addEventListener('close', (event) => {
+      if (socket === this.socket && !this.stopped) {
+        this.retry(`WebSocket closed (${event.code}${event.reason ? ` ${event.reason}` : ''})`);
+      }
+    });
+    this.socket = socket;
+  }
+
+  #sendChunk(fragment, key) {
+    const socket = this.socket;
+    if (!fragment || socket?.readyState !== WebSocket.OPEN || (this.waitForKey && !key)) {
+      return;
+    }
+    if (socket.bufferedAmount > MAX_BUFFERED_BYTES) {
+      this.warn('endpoint is not keeping up; dropping to the next key frame');
+      this.#resync();
+      return;
+    }
+    if (this.needsInit) {
+      socket.send(this.muxer.initSegment());
+      this.needsInit = false;
+    }
+    this.waitForKey = false;
+    socket.send(fragment);
+  }
+
+  // Segments always start on a key frame, so after a failure delivery simply resumes with the
+  // first segment once the retry delay has passed.
+  #upload(fragment) {
+    if (performance.now() < this.retryAt || this.pendingUploads >= MAX_PENDING_UPLOADS) {
+      return;
+    }
+    const init = this.needsInit ? this.muxer.initSegment() : null;
+    this.needsInit = false;
+    this.segment += 1;
+    const name = `segment-${this.segment}.m4s`;
+    this.pendingUploads += 1;
+    this.uploads = this.uploads
+      .then(async () => {
+        if (init) {
+          await this.#put('init.mp4', init);
+        }
+        await this.#put(name, fragment);
+        if (!this.uploading) {
+          this.uploading = true;
+          this.connected(`uploading segments from ${name}`);
+        }
+      })
+      .catch((error) => {
+        this.uploading = false;
+        this.warn(`upload failed (${error.message}); retrying every ${this.settings.reconnectDelayMs / 1000} s`);
+        this.needsInit = true;
+        this.retryAt = performance.now() + this.settings.reconnectDelayMs;
+      })
+      .finally(() => {
+        this.pendingUploads -= 1;
+      });
+  }
+
+  async #put(name, bytes) {
+    const base = this.settings.url.endsWith('/') ? this.settings.url : `${this.settings.url}/`;
+    const response = await fetch(new URL(name, base), {
+      method: 'PUT',
+      headers: authHeaders(this.settings.token, 'video/mp4'),
+      body: bytes,
+    });
+    if (!response.ok) {
+      throw new Error(`PUT ${name}: HTTP ${response.status}`);
+    }
+  }
+
+  disconnect() {
+    const socket = this.socket;
+    this.socket = null;
+    socket?.close();
+  }
+
+  stop() {
+    super.stop();
+    this.readers.forEach((reader) => reader.cancel().catch(() => {}));
+    this.readers = [];
+    for (const encoder of [this.videoEncoder, this.audioEncoder]) {
+      if (encoder && encoder.state !== 'closed') {
+        encoder.close();
+      }
+    }
+    this.videoEncoder = null;
+    this.audioEncoder = null;
+  }
+}
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+// Loopback stand-in for live inputs, for testing without a media server:
+//   node live-server.js [--port 8092] [--host 127.0.0.1]
+// A publisher (loopback.html, or a scene's cmaf `output`) connects to ws://host:port/publish/<name>
+// and this server relays:
+//   ws://host:port/fmp4/<name>       its fragmented MP4 stream (type "fmp4" layers)
+//   http://host:port/whep/<name>     WHEP: offers are passed to the publisher, which answers with a
+//                                    peer connection of its own (type "whep" layers, whep:// URLs)
+// Signaling with the publisher is JSON text ({type: 'offer' | 'answer' | 'close' | 'error', id,
+// sdp, message}); binary messages are fMP4 (the init segment first, then moof + mdat fragments).
+import { randomUUID } from 'node:crypto';
+import http from 'node:http';
+import { acceptWebSocket } from './ws-server.js';
+import { parseMoof, parseMoov, readBoxHeader } from './mp4-demuxer.js';
+
+const DEFAULT_PORT = 8092;
+const DEFAULT_HOST = '127.0.0.1';
+const ANSWER_TIMEOUT_MS = 10_000;
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Expose-Headers': 'Location',
+};
+
+// name -> { publisher, init, tracks, viewers: Map(ws -> { waitForKey }), pending: Map(id -> resolve) }
+const channels = new Map();
+
+function channel(name) {
+  if (!channels.has(name)) {
+    channels.set(name, { publisher: null, init: null, tracks: [], viewers: new Map(), pending: new Map() });
+  }
+  return channels.get(name);
+}
+
+// Whether a moof + mdat fragment starts with a sync sample, so a viewer can join on it.
+function startsWithKey(fragment, tracks) {
+  const moof = readBoxHeader(fragment, 0);
+  if (moof?.type !== 'moof') {
+    return false;
+  }
+  const video = tracks.find((track) => track.kind === 'video');
+  const samples = parseMoof(fragment, moof, tracks);
+  return samples.find((sample) => sample.trackId === video?.id)?.key ?? false;
+}
+
+function relayMedia(state, data) {
+  const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  const first = readBoxHeader(bytes, 0);
+  if (first?.type === 'ftyp') {
+    // A new init segment (publisher restarted): every viewer starts over from it.
+    const moov = readBoxHeader(bytes, first.end);
+    state.tracks = moov?.type === 'moov' ? parseMoov(bytes, moov) : [];
+    state.init = data;
+    for (const [viewer, view] of state.viewers) {
+      viewer.send(data);
+      view.waitForKey = true;
+    }
+    return;
+  }
+  let key = null;
+  for (const [viewer, view] of state.viewers) {
+    if (view.waitForKey) {
+      key ??= startsWithKey(bytes, state.tracks);
+      if (!key) {
+        continue;
+      }
+      view.waitForKey = false;
+    }
+    viewer.send(data);
+  }
+}
+
+function acceptPublisher(name, ws) {
+  const state = channel(name);
+  if (state.publisher) {
+    ws.close(1008, `"${name}" already has a publisher`);
+    return;
+  }
+  state.publisher = ws;
+  console.log(`publisher connected: ${name}`);
+  ws.on('message', (message) => {
+    if (typeof message !== 'string') {
+      try {
+        relayMedia(state, message);
+      } catch (error) {
+        // The relay outlives a bad segment; viewers pick up again at the next good one.
+        console.error(`publisher ${name} sent a segment that does not parse: ${error.message}`);
+      }
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(message);
+    } catch (error) {
+      console.error(`publisher ${name} sent a message that is not JSON: ${error.message}`);
+      return;
+    }
+    const { type, id, sdp, message: error } = parsed ?? {};
+    const resolve = state.pending.get(id);
+    if (resolve && (type === 'answer' || type === 'error')) {
+      state.pending.delete(id);
+      resolve({ sdp, error });
+    }
+  });
+  ws.on('close', () => {
+    state.publisher = null;
+    state.init = null;
+    state.pending.forEach((resolve) => resolve({ error: 'publisher went away' }));
+    state.pending.clear();
+    console.log(`publisher disconnected: ${name}`);
+  });
+}
+
+function acceptViewer(name, ws) {
+  const state = channel(name);
+  state.viewers.set(ws, { waitForKey: true });
+  if (state.init) {
+    ws.send(state.init);
+  }
+  ws.on('close', () => state.viewers.delete(ws));
+}
+
+// Channel name from its URL path segment, or null when the percent-encoding is malformed.
+function channelName(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function reply(response, status, body = '', headers = {}) {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'text/plain', ...headers });
+  response.end(body);
+}
+
+async function handleWhep(request, response, name, sessionId) {
+  const state = channel(name);
+  if (request.method === 'OPTIONS') {
+    reply(response, 204);
+    return;
+  }
+  if (request.method === 'DELETE' && sessionId) {
+    state.publisher?.send(JSON.stringify({ type: 'close', id: sessionId }));
+    reply(response, 200);
+    return;
+  }
+  if (request.method !== 'POST' || sessionId) {
+    reply(response, 405, 'use POST to start a session and DELETE to end it\n');
+    return;
+  }
+  if (!state.publisher) {
+    reply(response, 404, `no publisher for "${name}"; open loopback.html\n`);
+    return;
+  }
+  const offer = await readBody(request);
+  const id = randomUUID();
+  const answer = await new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      state.pending.delete(id);
+      resolve({ error: 'publisher did not answer' });
+    }, ANSWER_TIMEOUT_MS);
+    state.pending.set(id, (result) => {
+      clearTimeout(timer);
+      resolve(result);
+    });
+    state.publisher.send(JSON.stringify({ type: 'offer', id, sdp: offer }));
+  });
+  if (answer.error) {
+    reply(response, 502, `${answer.error}\n`);
+    return;
+  }
+  reply(response, 201, answer.sdp, { 'Content-Type': 'application/sdp', Location: `/whep/${name}/${id}` });
+}
+
+function parseArgs(args) {
+  const options = { port: DEFAULT_PORT, host: DEFAULT_HOST };
+  for (let index = 0; index < args.length; index += 2) {
+    if (args[index] === '--port') {
+      options.port = Number(args[index + 1]);
+    } else if (args[index] === '--host') {
+      options.host = args[index + 1];
+    } else {
+      throw new Error(`unknown argument ${args[index]}`);
+    }
+  }
+  return options;
+}
+
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\nusage: node live-server.js [--port ${DEFAULT_PORT}] [--host ${DEFAULT_HOST}]`);
+    return 2;
+  }
+
+  const server = http.createServer((request, response) => {
+    const [, route, name, sessionId] = new URL(request.url, 'http://localhost').pathname.split('/');
+    if (route !== 'whep' || !name) {
+      reply(response, 404, 'routes: POST /whep/<name>, ws /fmp4/<name>, ws /publish/<name>\n');
+      return;
+    }
+    const channelId = channelName(name);
+    if (channelId === null) {
+      reply(response, 400, `malformed channel name "${name}"\n`);
+      return;
+    }
+    handleWhep(request, response, channelId, sessionId).catch((error) => {
+      console.error(error);
+      reply(response, 500, `${error.message}\n`);
+    });
+  });
+  server.on('upgrade', (request, socket) => {
+    const [, route, name] = new URL(request.url, 'http://localhost').pathname.split('/');
+    if (!['publish', 'fmp4'].includes(route) || !name) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    const channelId = channelName(name);
+    if (channelId === null) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const ws = acceptWebSocket(request, socket);
+    if (!ws) {
+      return;
+    }
+    if (route === 'publish') {
+      acceptPublisher(channelId, ws);
+    } else {
+      acceptViewer(channelId, ws);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+  const base = `${options.host}:${options.port}`;
+  console.log(`live-server on ${base}: publish with loopback.html, then use ws://${base}/fmp4/<name> or whep://${base}/whep/<name>`);
+  // Open WebSockets would keep the server alive after close(), so just exit.
+  process.once('SIGINT', () => process.exit(0));
+  process.once('SIGTERM', () => process.exit(0));
+  return 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
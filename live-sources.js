@@ -0,0 +1,451 @@
+// Live inputs behind the same source contract as FrameResampler (init/isReady/getFrame/getAudioTrack/
+// seekFrame/dispose). A layer picks one with `type`, or by URL scheme:
+//   camera   getUserMedia camera or capture card       camera: / camera:<label or deviceId>
+//   whep     WebRTC pull (WHEP)                        whep://host/path (http), wheps:// (https)
+//   fmp4     fragmented MP4 decoded with VideoDecoder  ws:// / wss:// (WebSocket),
+//                                                      webtransport://host/path (WebTransport, https)
+// Live sources always present their newest frame; there is nothing to seek, so offline renders
+// just use whatever frame is current.
+import { Mp4StreamDemuxer } from './mp4-demuxer.js';
+
+export const LIVE_SOURCE_TYPES = ['camera', 'whep', 'fmp4'];
+
+const SCHEME_TYPES = {
+  'camera:': 'camera',
+  'whep:': 'whep',
+  'wheps:': 'whep',
+  'ws:': 'fmp4',
+  'wss:': 'fmp4',
+  'webtransport:': 'fmp4',
+};
+const RECONNECT_DELAY_MS = 2000;
+const ICE_GATHERING_TIMEOUT_MS = 2000;
+// Decoder queue depth past which the fMP4 source drops to the next key frame to catch up.
+const MAX_DECODE_QUEUE = 8;
+
+// Live source type for a layer entry, or null for a plain media URL. The scheme only counts for
+// layers without a type or with type "video".
+export function liveSourceType(entry) {
+  if (LIVE_SOURCE_TYPES.includes(entry.type)) {
+    return entry.type;
+  }
+  if (entry.type && entry.type !== 'video') {
+    return null;
+  }
+  const scheme = /^[a-z][a-z0-9+.-]*:/i.exec(entry.url ?? '')?.[0].toLowerCase();
+  return SCHEME_TYPES[scheme] ?? null;
+}
+
+export function createLiveSource(entry, type) {
+  if (type === 'camera') {
+    return new CameraSource(entry);
+  }
+  if (type === 'whep') {
+    return new WhepSource(entry);
+  }
+  return new Fmp4StreamSource(entry);
+}
+
+// Swaps a custom scheme for the transport one, e.g. wheps://host/x -> https://host/x.
+function withScheme(url, scheme) {
+  return url.replace(/^[a-z][a-z0-9+.-]*:/i, scheme);
+}
+
+// Shared by the MediaStream inputs: reads the video track through MediaStreamTrackProcessor and
+// keeps only the newest frame.
+class MediaStreamSource {
+  constructor(descriptor) {
+    this.descriptor = descriptor;
+    this.stream = null;
+    this.reader = null;
+    this.frame = null;
+    this.disposed = false;
+    this.failure = null;
+  }
+
+  attach(stream) {
+    this.stream = stream;
+    const [track] = stream.getVideoTracks();
+    if (!track) {
+      throw new Error(`${this.descriptor.url ?? this.descriptor.type}: stream has no video track`);
+    }
+    this.reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+    this.#pump();
+  }
+
+  async #pump() {
+    for (;;) {
+      const { value, done } = await this.reader.read();
+      if (done || !value) {
+        // The track ends when a camera is unplugged or the remote peer goes away.
+        if (!this.disposed) {
+          this.failure ??= new Error('video track ended');
+        }
+        return;
+      }
+      if (this.disposed) {
+        value.close();
+        return;
+      }
+      this.frame?.close();
+      this.frame = value;
+    }
+  }
+
+  // Health hooks (see source-health.js); frames are always the newest, so peeking is getFrame().
+  peekFrame() {
+    return this.frame;
+  }
+
+  getFailure() {
+    return this.failure;
+  }
+
+  isReady() {
+    return Boolean(this.frame);
+  }
+
+  getAudioTrack() {
+    return this.stream?.getAudioTracks()[0] ?? null;
+  }
+
+  getFrame() {
+    return this.frame;
+  }
+
+  async seekFrame() {}
+
+  dispose() {
+    this.disposed = true;
+    this.reader?.cancel().catch(() => {});
+    this.reader = null;
+    this.frame?.close();
+    this.frame = null;
+    this.stream = null;
+  }
+}
+
+// device: { deviceId, label, width, height, frameRate, audio }. `label` matches a substring of the
+// device label (capture cards have stable names, device ids differ per origin); the part of a
+// camera: URL after the colon is tried as both.
+export class CameraSource extends MediaStreamSource {
+  async init() {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      throw new Error('getUserMedia is not available (camera inputs need a secure context)');
+    }
+    const device = this.descriptor.device ?? {};
+    const selector = device.deviceId ?? device.label ?? decodeURIComponent((this.descriptor.url ?? '').replace(/^camera:/i, ''));
+    const video = {
+      width: device.width ? { ideal: device.width } : undefined,
+      height: device.height ? { ideal: device.height } : undefined,
+      frameRate: device.frameRate ? { ideal: device.frameRate } : undefined,
+    };
+    if (selector) {
+      video.deviceId = { exact: await this.#resolveDevice(selector) };
+    }
+    const stream = await navigator.mediaDevices.getUserMedia({ video, audio: Boolean(device.audio) });
+    if (this.disposed) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+    this.attach(stream);
+  }
+
+  // Labels are only exposed after permission is granted, so ask once with any camera first.
+  async #resolveDevice(selector) {
+    let devices = await navigator.mediaDevices.enumerateDevices();
+    if (devices.some((device) => device.kind === 'videoinput' && !device.label)) {
+      const probe = await navigator.mediaDevices.getUserMedia({ video: true });
+      probe.getTracks().forEach((track) => track.stop());
+      devices = await navigator.mediaDevices.enumerateDevices();
+    }
+    const inputs = devices.filter((device) => device.kind === 'videoinput');
+    const needle = selector.toLowerCase();
+    const match =
+      inputs.find((device) => device.deviceId === selector) ??
+      inputs.find((device) => device.label.toLowerCase().includes(needle));
+    if (!match) {
+      throw new Error(`No camera matches "${selector}" (have: ${inputs.map((device) => device.label).join(', ') || 'none'})`);
+    }
+    return match.deviceId;
+  }
+
+  dispose() {
+    this.stream?.getTracks().forEach((track) => track.stop());
+    super.dispose();
+  }
+}
+
+// WHEP: POST an SDP offer, get the answer back (201 + Location for the session). ICE candidates
+// are gathered before the offer is sent, so servers without trickle ICE work too. `token` is sent
+// as a bearer token.
+export class WhepSource extends MediaStreamSource {
+  constructor(descriptor) {
+    super(descriptor);
+    this.endpoint = /^wheps?:/i.test(descriptor.url)
+      ? withScheme(descriptor.url, /^wheps:/i.test(descriptor.url) ? 'https:' : 'http:')
+      : descriptor.url;
+    this.connection = null;
+    this.sessionUrl = null;
+  }
+
+  #headers(contentType) {
+    const headers = contentType ? { 'Content-Type': contentType } : {};
+    if (this.descriptor.token) {
+      headers.Authorization = `Bearer ${this.descriptor.token}`;
+    }
+    return headers;
+  }
+
+  async init() {
+    const connection = new RTCPeerConnection({ iceServers: this.descriptor.iceServers ?? [] });
+    this.connection = connection;
+    connection.addEventListener('connectionstatechange', () => {
+      if (connection.connectionState === 'failed') {
+        this.failure ??= new Error('WHEP connection failed');
+      }
+    });
+    connection.addTransceiver('video', { direction: 'recvonly' });
+    connection.addTransceiver('audio', { direction: 'recvonly' });
+    const stream = new MediaStream();
+    const gotVideo = new Promise((resolve) => {
+      connection.addEventListener('track', (event) => {
+        // Ask the jitter buffer for the lowest latency it will give us.
+        if ('jitterBufferTarget' in event.receiver) {
+          event.receiver.jitterBufferTarget = 0;
+        }
+        stream.addTrack(event.track);
+        if (event.track.kind === 'video') {
+          resolve();
+        }
+      });
+    });
+
+    await connection.setLocalDescription(await connection.createOffer());
+    await new Promise((resolve) => {
+      if (connection.iceGatheringState === 'complete') {
+        resolve();
+        return;
+      }
+      const timer = setTimeout(resolve, ICE_GATHERING_TIMEOUT_MS);
+      connection.addEventListener('icegatheringstatechange', () => {
+        if (connection.iceGatheringState === 'complete') {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+    });
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: this.#headers('application/sdp'),
+      body: connection.localDescription.sdp,
+    });
+    if (!response.ok) {
+      throw new Error(`WHEP ${this.endpoint}: HTTP ${response.status} ${await response.text()}`);
+    }
+    const location = response.headers.get('Location');
+    this.sessionUrl = location ? new URL(location, this.endpoint).href : null;
+    await connection.setRemoteDescription({ type: 'answer', sdp: await response.text() });
+    await gotVideo;
+    if (!this.disposed) {
+      this.attach(stream);
+    }
+  }
+
+  dispose() {
+    if (this.sessionUrl) {
+      fetch(this.sessionUrl, { method: 'DELETE', headers: this.#headers() }).catch(() => {});
+    }
+    this.connection?.close();
+    this.connection = null;
+    super.dispose();
+  }
+}
+
+// Fragmented MP4 (init segment, then moof + mdat fragments) over a WebSocket, or over WebTransport
+// where every incoming unidirectional stream carries whole boxes and streams are read in the
+// order they arrive. Only the first video track is decoded; the stream is reopened after a drop.
+export class Fmp4StreamSource {
+  constructor(descriptor) {
+    this.descriptor = descriptor;
+    this.url = /^webtransport:/i.test(descriptor.url) ? withScheme(descriptor.url, 'https:') : descriptor.url;
+    this.transport = /^wss?:/i.test(this.url) ? 'websocket' : 'webtransport';
+    this.frame = null;
+    this.decoder = null;
+    this.track = null;
+    this.waitForKey = true;
+    this.connection = null;
+    this.reconnectTimer = null;
+    this.disposed = false;
+    this.warned = false;
+    this.demuxer = new Mp4StreamDemuxer({
+      onTracks: (tracks) => this.#configure(tracks),
+      onSample: (track, sample) => this.#decode(track, sample),
+    });
+  }
+
+  // Resolves once the connection attempt is under way; frames show up after the first key frame.
+  async init() {
+    if (!window.VideoDecoder) {
+      throw new Error('WebCodecs VideoDecoder is required for fMP4 inputs');
+    }
+    if (this.transport === 'webtransport' && !window.WebTransport) {
+      throw new Error('WebTransport is not available in this browser');
+    }
+    this.#connect();
+  }
+
+  #warn(message) {
+    if (!this.warned) {
+      console.warn(`fMP4 input ${this.url}: ${message}`);
+      this.warned = true;
+    }
+  }
+
+  #scheduleReconnect() {
+    this.connection = null;
+    if (!this.disposed) {
+      this.#warn(`connection lost; retrying every ${RECONNECT_DELAY_MS / 1000} s`);
+      this.reconnectTimer = setTimeout(() => this.#connect(), RECONNECT_DELAY_MS);
+    }
+  }
+
+  #push(bytes) {
+    try {
+      this.demuxer.push(bytes);
+      this.warned = false;
+    } catch (error) {
+      this.#warn(error.message);
+      this.connection?.close();
+    }
+  }
+
+  #connect() {
+    this.demuxer.reset();
+    this.waitForKey = true;
+    if (this.transport === 'websocket') {
+      const socket = new WebSocket(this.url);
+      socket.binaryType = 'arraybuffer';
+      socket.addEventListener('message', (event) => {
+        if (typeof event.data !== 'string') {
+          this.#push(event.data);
+        }
+      });
+      socket.addEventListener('close', () => this.#scheduleReconnect());
+      this.connection = socket;
+      return;
+    }
+    const transport = new WebTransport(this.url);
+    this.connection = transport;
+    (async () => {
+      await transport.ready;
+      const streams = transport.incomingUnidirectionalStreams.getReader();
+      for (;;) {
+        const { value: stream, done } = await streams.read();
+        if (done) {
+          break;
+        }
+        const reader = stream.getReader();
+        for (;;) {
+          const { value, done: streamDone } = await reader.read();
+          if (streamDone) {
+            break;
+          }
+          this.#push(value);
+        }
+      }
+    })()
+      .catch((error) => this.#warn(error.message))
+      .finally(() => {
+        if (this.connection === transport) {
+          this.#scheduleReconnect();
+        }
+      });
+  }
+
+  #configure(tracks) {
+    const track = tracks.find((candidate) => candidate.kind === 'video');
+    if (!track?.codec) {
+      this.#warn(`no decodable video track (sample entry ${track?.sampleEntry ?? 'none'})`);
+      this.track = null;
+      return;
+    }
+    this.track = track;
+    this.decoder?.close();
+    this.decoder = new VideoDecoder({
+      output: (frame) => {
+        if (this.disposed) {
+          frame.close();
+          return;
+        }
+        this.frame?.close();
+        this.frame = frame;
+      },
+      error: (error) => {
+        this.#warn(`decode error: ${error.message}`);
+        this.decoder = null;
+        this.connection?.close();
+      },
+    });
+    this.decoder.configure({
+      codec: track.codec,
+      codedWidth: track.codedWidth,
+      codedHeight: track.codedHeight,
+      description: track.description ?? undefined,
+      optimizeForLatency: true,
+    });
+    this.waitForKey = true;
+  }
+
+  #decode(track, sample) {
+    if (track !== this.track || this.decoder?.state !== 'configured') {
+      return;
+    }
+    // Falling behind: skip to the next key frame instead of letting latency build up.
+    if (this.decoder.decodeQueueSize > MAX_DECODE_QUEUE) {
+      this.waitForKey = true;
+    }
+    if (this.waitForKey && !sample.key) {
+      return;
+    }
+    this.waitForKey = false;
+    this.decoder.decode(
+      new EncodedVideoChunk({
+        type: sample.key ? 'key' : 'delta',
+        timestamp: sample.timestampUs,
+        duration: sample.durationUs,
+        data: sample.data,
+      })
+    );
+  }
+
+  isReady() {
+    return Boolean(this.frame);
+  }
+
+  getFrame() {
+    return this.frame;
+  }
+
+  // Health hook (see source-health.js). Dropped connections are retried here already.
+  peekFrame() {
+    return this.frame;
+  }
+
+  async seekFrame() {}
+
+  dispose() {
+    this.disposed = true;
+    clearTimeout(this.reconnectTimer);
+    const connection = this.connection;
+    this.connection = null;
+    connection?.close();
+    if (this.decoder?.state !== 'closed') {
+      this.decoder?.close();
+    }
+    this.decoder = null;
+    this.frame?.close();
+    this.frame = null;
+  }
+}
@@ -0,0 +1,193 @@
+// Publisher for live-server.js: sends a test pattern (or ?source=camera) to the server as fMP4 and
+// answers WHEP offers relayed by it, so `fmp4` and `whep` layers can be tried without a media server.
+//   loopback.html?server=ws://localhost:8092&name=loopback&source=pattern
+import { Mp4Muxer } from './mp4-muxer.js';
+
+const params = new URLSearchParams(window.location.search);
+const SERVER = params.get('server') ?? 'ws://localhost:8092';
+const NAME = params.get('name') ?? 'loopback';
+const SOURCE = params.get('source') ?? 'pattern';
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FPS = 30;
+const KEYFRAME_INTERVAL = FPS;
+const ICE_GATHERING_TIMEOUT_MS = 2000;
+const CODEC_CANDIDATES = [
+  { codec: 'avc1.42e01f', avc: { format: 'avc' } },
+  { codec: 'vp09.00.10.08' },
+];
+
+const logEl = document.getElementById('log');
+const preview = document.getElementById('preview');
+
+function log(message) {
+  logEl.textContent += `[${new Date().toISOString()}] ${message}\n`;
+}
+
+// Colour bars, a moving block and a clock, plus a beep at the top of every second, so latency
+// and A/V sync are easy to judge on the receiving side.
+function testPatternStream() {
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const context = canvas.getContext('2d');
+  const colors = ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'];
+  let frame = 0;
+  const draw = () => {
+    const barWidth = WIDTH / colors.length;
+    colors.forEach((color, index) => {
+      context.fillStyle = color;
+      context.fillRect(index * barWidth, 0, barWidth, HEIGHT);
+    });
+    context.fillStyle = '#000000';
+    context.fillRect(((frame * 8) % (WIDTH + 40)) - 40, HEIGHT * 0.7, 40, HEIGHT * 0.3);
+    context.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    context.fillRect(WIDTH / 2 - 260, HEIGHT / 2 - 60, 520, 120);
+    context.fillStyle = '#ffffff';
+    context.font = '600 56px ui-monospace, monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(`${NAME} ${new Date().toISOString().slice(11, 23)}`, WIDTH / 2, HEIGHT / 2);
+    frame += 1;
+    requestAnimationFrame(draw);
+  };
+  draw();
+  const stream = canvas.captureStream(FPS);
+
+  const audio = new AudioContext();
+  const tone = audio.createOscillator();
+  const gate = audio.createGain();
+  const destination = audio.createMediaStreamDestination();
+  tone.frequency.value = 1000;
+  gate.gain.value = 0;
+  tone.connect(gate).connect(destination);
+  tone.start();
+  const scheduleBeeps = () => {
+    const next = Math.ceil(audio.currentTime);
+    for (let second = next; second < next + 2; second += 1) {
+      gate.gain.setValueAtTime(0.1, second);
+      gate.gain.setValueAtTime(0, second + 0.05);
+    }
+  };
+  setInterval(scheduleBeeps, 1000);
+  scheduleBeeps();
+  // Autoplay policy: audio starts with the first click.
+  window.addEventListener('pointerdown', () => audio.resume(), { once: true });
+  destination.stream.getAudioTracks().forEach((track) => stream.addTrack(track));
+  return stream;
+}
+
+async function pickEncoderConfig() {
+  for (const candidate of CODEC_CANDIDATES) {
+    const config = { ...candidate, width: WIDTH, height: HEIGHT, framerate: FPS, bitrate: 4_000_000, latencyMode: 'realtime' };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) {
+      return config;
+    }
+  }
+  throw new Error('No H.264 or VP9 encoder available');
+}
+
+// One fragment per frame keeps the added latency to a single frame; viewers join on key frames.
+async function publishFmp4(socket, track) {
+  const config = await pickEncoderConfig();
+  let sentInit = false;
+  const muxer = new Mp4Muxer({
+    video: { codecString: config.codec, width: WIDTH, height: HEIGHT, frameRate: FPS },
+    retainFragments: false,
+    onFragment: (fragment) => {
+      if (socket.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      if (!sentInit) {
+        socket.send(muxer.initSegment());
+        sentInit = true;
+      }
+      socket.send(fragment);
+    },
+  });
+  const encoder = new VideoEncoder({
+    output: (chunk, metadata) => {
+      muxer.addVideoChunk(chunk, metadata);
+      muxer.flush();
+    },
+    error: (error) => log(`Encoder error: ${error.message}`),
+  });
+  encoder.configure(config);
+  log(`fMP4: encoding ${config.codec} at ${WIDTH}x${HEIGHT}@${FPS}`);
+
+  const reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+  let index = 0;
+  for (;;) {
+    const { value: frame, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    // Drop frames rather than queue them when the encoder falls behind.
+    if (encoder.encodeQueueSize < 2) {
+      encoder.encode(frame, { keyFrame: index % KEYFRAME_INTERVAL === 0 });
+      index += 1;
+    }
+    frame.close();
+  }
+}
+
+async function answerOffer(socket, stream, sessions, { id, sdp }) {
+  const connection = new RTCPeerConnection();
+  sessions.set(id, connection);
+  stream.getTracks().forEach((track) => connection.addTrack(track, stream));
+  await connection.setRemoteDescription({ type: 'offer', sdp });
+  await connection.setLocalDescription(await connection.createAnswer());
+  await new Promise((resolve) => {
+    if (connection.iceGatheringState === 'complete') {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ICE_GATHERING_TIMEOUT_MS);
+    connection.addEventListener('icegatheringstatechange', () => {
+      if (connection.iceGatheringState === 'complete') {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+  socket.send(JSON.stringify({ type: 'answer', id, sdp: connection.localDescription.sdp }));
+  log(`WHEP: session ${id.slice(0, 8)} started (${sessions.size} open)`);
+}
+
+async function main() {
+  const stream =
+    SOURCE === 'camera'
+      ? await navigator.mediaDevices.getUserMedia({ video: { width: WIDTH, height: HEIGHT, frameRate: FPS }, audio: true })
+      : testPatternStream();
+  preview.srcObject = stream;
+
+  const socket = new WebSocket(`${SERVER}/publish/${encodeURIComponent(NAME)}`);
+  socket.binaryType = 'arraybuffer';
+  const sessions = new Map();
+  socket.addEventListener('open', () => {
+    log(`Publishing "${NAME}" to ${SERVER}`);
+    log(`fmp4 layer: {"url": "${SERVER}/fmp4/${NAME}"}`);
+    log(`whep layer: {"url": "${SERVER.replace(/^ws/, 'whep')}/whep/${NAME}"}`);
+    publishFmp4(socket, stream.getVideoTracks()[0]).catch((error) => log(`fMP4 stopped: ${error.message}`));
+  });
+  socket.addEventListener('message', (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'offer') {
+      answerOffer(socket, stream, sessions, message).catch((error) => {
+        log(`WHEP: ${error.message}`);
+        socket.send(JSON.stringify({ type: 'error', id: message.id, message: error.message }));
+      });
+    } else if (message.type === 'close') {
+      sessions.get(message.id)?.close();
+      sessions.delete(message.id);
+      log(`WHEP: session ${message.id.slice(0, 8)} closed (${sessions.size} open)`);
+    }
+  });
+  socket.addEventListener('close', (event) => log(`Server connection closed (${event.code} ${event.reason}); reload to retry.`));
+}
+
+main().catch((error) => {
+  console.error(error);
+  log(`Fatal error: ${error.message}`);
+});
@@ -1,10 +1,53 @@
+import { evaluateAnimation } from './animation.js';
+import { AudioMeters, AudioMixer, renderMixdown } from './audio-mixer.js';
+import {
+  buildColorBlock,
+  frameColorSpace,
+  linearizeColor,
+  normalizeOutputColor,
+  parseColor,
+  resolveInputColor,
+} from './color.js';
+import { FileSource } from './file-source.js';
+import { GeneratorRenderer, GeneratorSource, burnInBlock, normalizeBurnIn } from './generators.js';
+import { HtmlLayerSource } from './html-layer.js';
+import { encodeAudioBuffer, renderOffline } from './offline-render.js';
+import { buildKeyBlock } from './keying.js';
+import { CompositeTarget, LayerEffects, BLEND_MODES, blendState, buildEffectsBlock } from './layer-effects.js';
+import { buildLayoutBlock, computeLayerGeometry, frameDisplaySize } from './layout.js';
+import { createLiveOutput, normalizeOutput } from './live-output.js';
+import { LIVE_SOURCE_TYPES, createLiveSource } from './live-sources.js';
+import { MultiviewerOverlay, TALLY_STATES, applyGridLayout, normalizeMultiviewer } from './multiviewer.js';
+import { OutputTransform, WORKING_FORMAT } from './output-transform.js';
+import { PlaylistSource } from './playlist.js';
+import { RemoteControl, normalizeControl } from './remote-control.js';
+import { ReplayManager, ReplaySource } from './replay.js';
+import { GpuTimer, RenderStats, StatsHud } from './render-stats.js';
+import {
+  composeLayers,
+  describeLayer,
+  fallbackKind,
+  isLayerActive,
+  layerIdFor,
+  layerKind,
+  sourceKeyFor,
+} from './scene-layers.js';
+import { Scheduler } from './schedule.js';
+import { MONITORED_SOURCE_KINDS, MonitoredSource, normalizeHealth } from './source-health.js';
+import { formatProblems, validateLayer, validateScene } from './scene-schema.js';
+import { TextSource } from './text-layer.js';
+import { TransitionRenderer, normalizeTransition, transitionProgress } from './transitions.js';
+
 const CONFIG_URL = window.__WEBGPU_CONFIG_URL__ || './compose.json';
-const LAYOUT_STRIDE = 256; // conservatively matches minUniformBufferOffsetAlignment for most GPUs
-const LAYOUT_FLOAT_BYTES = 48; // 12 floats per layout block (see shaders_v2.wgsl)
+const LAYOUT_STRIDE = 512; // a multiple of minUniformBufferOffsetAlignment (at most 256) that fits a block
+const LAYOUT_FLOAT_BYTES = 304; // 24 layout + 12 color + 16 key + 24 effects floats per block (see LayoutUniform in shaders_v2.wgsl)
+const LAYOUT_COLOR_OFFSET = 96;
+const LAYOUT_KEY_OFFSET = 144;
+const LAYOUT_EFFECTS_OFFSET = 208;
 const DEFAULT_MSAA_SAMPLE_COUNT = 4;
 
 // Simple A/B switches controllable via URL params, e.g.:
-//   ?msaa=0&maxVideos=4&overlays=0&htmlOverlay=0
+//   ?msaa=0&maxVideos=4&overlays=0&htmlOverlay=0&audio=0
 const urlParams = new URLSearchParams(window.location.search);
 const DEBUG_FLAGS = {
   msaa: (urlParams.get('msaa') ?? '1') !== '0',
@@ -12,75 +55,43 @@ const DEBUG_FLAGS = {
   maxVideoLayers: parseInt(urlParams.get('maxVideos') || '0', 10) || 0,
   enableOverlays: (urlParams.get('overlays') ?? '1') !== '0',
   enableHtmlOverlay: (urlParams.get('htmlOverlay') ?? '1') !== '0',
+  enableAudio: (urlParams.get('audio') ?? '1') !== '0',
 };
 const MSAA_SAMPLE_COUNT = DEBUG_FLAGS.msaa ? DEFAULT_MSAA_SAMPLE_COUNT : 1;
 
 console.log('WebGPU debug flags', DEBUG_FLAGS);
 
 const recordButton = document.getElementById('record-button');
+const outputButton = document.getElementById('output-button');
 
 const canvas = document.getElementById('viewport');
-const htmlOverlayFrame = document.getElementById('html-overlay-frame');
+const previewCanvas = document.getElementById('preview-viewport');
 const logEl = document.getElementById('log');
+const audioMetersCanvas = document.getElementById('audio-meters');
 
 function log(message) {
   const now = new Date().toISOString();
   logEl.textContent += `[${now}] ${message}\n`;
 }
 
-function clamp01(value) {
-  return Math.min(1, Math.max(0, value));
-}
-
-function normalizeCrop(crop) {
-  if (!crop) {
-    return { x: 0, y: 0, width: 1, height: 1 };
-  }
-  if (Array.isArray(crop)) {
-    const [x0, y0, x1, y1] = crop;
-    return {
-      x: clamp01(x0),
-      y: clamp01(y0),
-      width: Math.max(clamp01((x1 ?? 1) - (x0 ?? 0)), 0.0001),
-      height: Math.max(clamp01((y1 ?? 1) - (y0 ?? 0)), 0.0001),
-    };
-  }
-  return {
-    x: clamp01(crop.x ?? 0),
-    y: clamp01(crop.y ?? 0),
-    width: Math.max(clamp01(crop.width ?? 1), 0.0001),
-    height: Math.max(clamp01(crop.height ?? 1), 0.0001),
-  };
-}
-
-function normalizeTimeline(time, defaultDuration) {
-  const defaultOut = defaultDuration ?? 30;
-  if (!time) {
-    return { in: 0, out: defaultOut };
-  }
-  const start = Math.max(0, time.in ?? 0);
-  const stop = Math.max(start, time.out ?? defaultOut);
-  return { in: start, out: stop };
-}
-
-function isLayerActive(layer, timelineSeconds) {
-  if (!layer.timeline) {
-    return true;
-  }
-  return timelineSeconds >= layer.timeline.in && timelineSeconds <= layer.timeline.out;
-}
-
 class FrameResampler {
-  constructor(descriptor) {
+  // clock: { offsetUs } shared by resamplers whose PTS must line up (fill + key pairs).
+  constructor(descriptor, { clock = { offsetUs: undefined } } = {}) {
     this.descriptor = descriptor;
     this.video = null;
     this.reader = null;
     this.buffer = [];
-    this.offsetUs = undefined;
+    this.clock = clock;
     this.maxBufferLength = 4;
     this.lastPresented = null;
     this.readyPromise = null;
-    this.aspect = null;
+    this.offline = false;
+    this.offlineFrame = null;
+    this.offlineMediaTime = null;
+    this.stream = null;
+    this.failure = null;
+    // Frames pushed out of the buffer before they were ever presented.
+    this.evictedCount = 0;
   }
 
   async init() {
@@ -92,10 +103,16 @@ class FrameResampler {
     this.video.src = this.descriptor.url;
     this.video.crossOrigin = 'anonymous';
     this.video.loop = this.descriptor.loop ?? true;
+    // Stays muted so autoplay is allowed; captureStream() still carries the audio, which the mixer
+    // routes through Web Audio.
     this.video.muted = true;
     this.video.playsInline = true;
     this.video.preload = 'auto';
 
+    // Also covers network and decode errors after loading, which stop playback for good.
+    this.video.addEventListener('error', () => {
+      this.failure ??= new Error(`Failed to load ${this.descriptor.url}`);
+    });
     this.readyPromise = new Promise((resolve, reject) => {
       const onError = (event) => reject(event?.error || new Error(`Failed to load ${this.descriptor.url}`));
       this.video.addEventListener('error', onError, { once: true });
@@ -104,12 +121,8 @@ class FrameResampler {
         async () => {
           try {
             await this.video.play();
-            const vw = this.video.videoWidth || 0;
-            const vh = this.video.videoHeight || 0;
-            if (vw > 0 && vh > 0) {
-              this.aspect = vw / vh;
-            }
             const stream = this.video.captureStream();
+            this.stream = stream;
             const [track] = stream.getVideoTracks();
             if (!track) {
               throw new Error('captureStream() did not provide a video track');
@@ -133,28 +146,59 @@ class FrameResampler {
     return this.reader !== null;
   }
 
-  getAspect() {
-    return this.aspect;
+  getAudioTrack() {
+    return this.stream?.getAudioTracks()[0] ?? null;
   }
 
   async #pump() {
-    if (!this.reader) {
+    const reader = this.reader;
+    if (!reader) {
       return;
     }
-    const { value, done } = await this.reader.read();
+    let result;
+    try {
+      result = await reader.read();
+    } catch (error) {
+      if (this.reader === reader) {
+        this.failure ??= error;
+      }
+      return;
+    }
+    const { value, done } = result;
     if (done || !value) {
+      if (this.reader === reader) {
+        this.failure ??= new Error('captureStream() track ended');
+      }
       return;
     }
     this.#enqueue(value);
     this.#pump();
   }
 
+  // Health hooks (see source-health.js).
+  peekFrame() {
+    return this.offline ? this.offlineFrame : this.buffer.at(-1)?.frame ?? null;
+  }
+
+  getFailure() {
+    return this.failure;
+  }
+
+  isEnded() {
+    return Boolean(this.video?.ended) && !this.video.loop;
+  }
+
   #enqueue(frame) {
-    if (this.offsetUs === undefined) {
-      this.offsetUs = -frame.timestamp;
+    if (this.offline) {
+      // Seeks during offline rendering still push frames through captureStream; they carry no usable timing.
+      frame.close();
+      return;
+    }
+    if (this.clock.offsetUs === undefined) {
+      this.clock.offsetUs = -frame.timestamp;
     }
 
-    const pts = frame.timestamp + this.offsetUs;
+    const pts = frame.timestamp + this.clock.offsetUs;
     this.buffer.push({ frame, pts });
 
     while (this.buffer.length > this.maxBufferLength) {
@@ -168,10 +212,88 @@ class FrameResampler {
         break;
       }
       evicted.frame.close();
+      this.evictedCount += 1;
     }
   }
 
+  #dropBuffered() {
+    this.buffer.forEach(({ frame }) => frame.close());
+    this.buffer = [];
+    this.lastPresented = null;
+  }
+
+  // Offline rendering pauses playback and seeks the element to the exact media time of every output
+  // frame instead of relying on captureStream timing.
+  enterOffline() {
+    this.offline = true;
+    this.video.pause();
+    this.#dropBuffered();
+  }
+
+  leaveOffline() {
+    this.offline = false;
+    this.offlineFrame?.close();
+    this.offlineFrame = null;
+    this.offlineMediaTime = null;
+    this.clock.offsetUs = undefined;
+    this.video.currentTime = 0;
+    this.video.play().catch((error) => console.warn('Failed to resume playback', error));
+  }
+
+  async seekFrame(targetPtsUs) {
+    const duration = this.video.duration;
+    let mediaTime = targetPtsUs / 1_000_000;
+    if (Number.isFinite(duration) && duration > 0) {
+      mediaTime = this.video.loop ? mediaTime % duration : Math.min(mediaTime, duration);
+    }
+    if (this.offlineFrame && mediaTime === this.offlineMediaTime) {
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      const onError = () => reject(new Error(`Seek failed for ${this.descriptor.url}`));
+      this.video.addEventListener('error', onError, { once: true });
+      this.video.addEventListener(
+        'seeked',
+        () => {
+          this.video.removeEventListener('error', onError);
+          resolve();
+        },
+        { once: true }
+      );
+      this.video.currentTime = mediaTime;
+    });
+    this.offlineFrame?.close();
+    this.offlineFrame = new VideoFrame(this.video, { timestamp: targetPtsUs });
+    this.offlineMediaTime = mediaTime;
+  }
+
+  // Restarts playback from the top with an empty buffer, e.g. to bring paired sources back in step.
+  async restart() {
+    this.video.pause();
+    this.#dropBuffered();
+    this.clock.offsetUs = undefined;
+    this.video.currentTime = 0;
+    await this.video.play();
+  }
+
+  getPresentedPts() {
+    return this.offline ? this.offlineMediaTime * 1_000_000 : this.lastPresented?.pts ?? null;
+  }
+
+  // Render telemetry (see render-stats.js). captureStream() hides decoding, so there is no latency.
+  getStats() {
+    return {
+      bufferDepth: this.buffer.length,
+      evicted: this.evictedCount,
+      decodeLatencyMs: null,
+      presentedPtsUs: this.getPresentedPts(),
+    };
+  }
+
   getFrame(targetPtsUs) {
+    if (this.offline) {
+      return this.offlineFrame;
+    }
     if (!this.buffer.length) {
       return null;
     }
@@ -198,6 +320,9 @@ class FrameResampler {
     }
     this.buffer.forEach(({ frame }) => frame.close());
     this.buffer = [];
+    this.offlineFrame?.close();
+    this.offlineFrame = null;
+    this.stream = null;
     if (this.video) {
       this.video.pause();
       this.video.src = '';
@@ -207,6 +332,101 @@ class FrameResampler {
   }
 }
 
+// A fill video plus a separate key video whose luminance is the fill's alpha. Both resamplers share
+// one PTS clock and are started together; the key frame is picked to match the presented fill frame.
+const PAIR_TOLERANCE_US = 8_000;
+const PAIR_MAX_DRIFT_SECONDS = 0.02;
+
+class FillKeySource {
+  constructor(descriptor) {
+    this.descriptor = descriptor;
+    const clock = { offsetUs: undefined };
+    const loop = descriptor.loop ?? true;
+    this.fill = new FrameResampler({ url: descriptor.fillUrl, loop }, { clock });
+    this.key = new FrameResampler({ url: descriptor.keyUrl, loop }, { clock });
+    this.onTimeUpdate = null;
+  }
+
+  async init() {
+    await Promise.all([this.fill.init(), this.key.init()]);
+    await Promise.all([this.fill.restart(), this.key.restart()]);
+    // Elements drift apart over long runs (and on every loop); resync the key to the fill.
+    this.onTimeUpdate = () => {
+      const fillVideo = this.fill.video;
+      const keyVideo = this.key.video;
+      if (this.fill.offline || !keyVideo || keyVideo.seeking) {
+        return;
+      }
+      if (Math.abs(fillVideo.currentTime - keyVideo.currentTime) > PAIR_MAX_DRIFT_SECONDS) {
+        keyVideo.currentTime = fillVideo.currentTime;
+      }
+    };
+    this.fill.video.addEventListener('timeupdate', this.onTimeUpdate);
+  }
+
+  get stream() {
+    return this.fill.stream;
+  }
+
+  isReady() {
+    return this.fill.isReady() && this.key.isReady();
+  }
+
+  getAudioTrack() {
+    return this.fill.getAudioTrack();
+  }
+
+  peekFrame() {
+    return this.fill.peekFrame();
+  }
+
+  getFailure() {
+    return this.fill.getFailure() ?? this.key.getFailure();
+  }
+
+  isEnded() {
+    return this.fill.isEnded();
+  }
+
+  enterOffline() {
+    this.fill.enterOffline();
+    this.key.enterOffline();
+  }
+
+  leaveOffline() {
+    this.fill.leaveOffline();
+    this.key.leaveOffline();
+  }
+
+  async seekFrame(targetPtsUs) {
+    await Promise.all([this.fill.seekFrame(targetPtsUs), this.key.seekFrame(targetPtsUs)]);
+  }
+
+  getFrame(targetPtsUs) {
+    return this.fill.getFrame(targetPtsUs);
+  }
+
+  getStats() {
+    return this.fill.getStats();
+  }
+
+  // Called after getFrame() so the key follows the fill frame actually presented; null while the key
+  // has nothing buffered.
+  getKeyFrame(targetPtsUs) {
+    if (this.fill.offline) {
+      return this.key.getFrame(targetPtsUs);
+    }
+    const fillPts = this.fill.getPresentedPts() ?? targetPtsUs;
+    return this.key.getFrame(fillPts + PAIR_TOLERANCE_US);
+  }
+
+  dispose() {
+    this.fill.video?.removeEventListener('timeupdate', this.onTimeUpdate);
+    this.fill.dispose();
+    this.key.dispose();
+  }
+}
+
 class ImageOverlaySource {
   constructor(descriptor) {
     this.descriptor = descriptor;
@@ -232,165 +452,301 @@ class ImageOverlaySource {
     return this.frame;
   }
 
+  async seekFrame() {}
+
   dispose() {
     this.frame?.close();
     this.frame = null;
   }
 }
 
-function buildLayoutBlock(entry, canvasWidth, canvasHeight) {
-  const widthNorm = entry.width ?? 1;
-  const heightNorm = entry.height ?? 1;
-  const xNorm = entry.x ?? 0;
-  const yNorm = entry.y ?? 0;
-
-  const widthPx = widthNorm * canvasWidth;
-  const heightPx = heightNorm * canvasHeight;
-  const centerX = xNorm * canvasWidth + widthPx / 2;
-  const centerY = yNorm * canvasHeight + heightPx / 2;
-
-  const translateX = (centerX / canvasWidth) * 2 - 1;
-  const translateY = 1 - (centerY / canvasHeight) * 2;
-  const scaleX = widthPx / canvasWidth;
-  const scaleY = heightPx / canvasHeight;
-
-  // Base crop window in normalized UVs.
-  const baseCrop = normalizeCrop(entry.crop);
-
-  // Optional content zoom: zoom > 1.0 zooms in around the crop center (e.g. 2.0 = 200%).
-  const zoom =
-    entry.zoom ?? entry.contentZoom ?? entry.contentScale ?? entry.scale ?? 1;
-  const zoomClamped = Math.max(zoom, 0.0001);
-  let crop = baseCrop;
-  if (zoomClamped !== 1) {
-    const centerU = baseCrop.x + baseCrop.width / 2;
-    const centerV = baseCrop.y + baseCrop.height / 2;
-    const zoomedWidth = baseCrop.width / zoomClamped;
-    const zoomedHeight = baseCrop.height / zoomClamped;
-    crop = {
-      width: zoomedWidth,
-      height: zoomedHeight,
-      x: clamp01(centerU - zoomedWidth / 2),
-      y: clamp01(centerV - zoomedHeight / 2),
-    };
+// A flat color, e.g. as a layer fallback; the frame is tiny and stretched to the layer rect.
+class ColorSource {
+  constructor(descriptor) {
+    this.descriptor = descriptor;
+    this.frame = null;
+  }
+
+  async init() {
+    const canvas = new OffscreenCanvas(16, 16);
+    const context = canvas.getContext('2d');
+    context.fillStyle = this.descriptor.color;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    this.frame = new VideoFrame(canvas, { timestamp: 0 });
+  }
+
+  isReady() {
+    return Boolean(this.frame);
+  }
+
+  getFrame() {
+    return this.frame;
+  }
+
+  async seekFrame() {}
+
+  dispose() {
+    this.frame?.close();
+    this.frame = null;
   }
-  const rotationDegrees =
-    entry.rotationDegrees ?? entry.rotate ?? entry.rotation ?? 0;
-  const rotationRadians = (rotationDegrees * Math.PI) / 180;
-  const data = new Float32Array(12);
-  data.set(
-    [
-      scaleX,
-      scaleY,
-      translateX,
-      translateY,
-      crop.width,
-      crop.height,
-      crop.x,
-      crop.y,
-      clamp01(entry.alpha ?? 1),
-      rotationRadians,
-      0,
-      0,
-    ],
-    0
-  );
-  return data;
 }
 
-function applyLayoutBlocks(device, buffer, layers, canvasWidth, canvasHeight) {
+// Rewritten every frame for animated layers, and whenever the source size changes since fit
+// modes depend on it.
+function writeLayoutBlock(device, buffer, layer, canvasWidth, canvasHeight, timelineSeconds) {
+  const geometry = computeLayerGeometry(evaluateAnimation(layer.layout, layer.animation, timelineSeconds), {
+    canvasWidth,
+    canvasHeight,
+    content: layer.contentSize,
+  });
+  const layout = buildLayoutBlock(geometry, layer.layout.letterbox);
+  device.queue.writeBuffer(buffer, layer.dynamicOffset, layout.buffer, layout.byteOffset, layout.byteLength);
+}
+
+// The color part of a block depends on each frame's colorSpace, so it is rewritten only when the
+// resolved conversion changes.
+function writeColorBlock(device, buffer, layer, frame, output) {
+  const isRgb = /^(RGB|BGR)/.test(frame.format ?? '');
+  const resolved = resolveInputColor(layer.colorSpace, frameColorSpace(frame.colorSpace, { rgb: isRgb }));
+  const key = JSON.stringify(resolved);
+  if (key === layer.colorKey) {
+    return;
+  }
+  layer.colorKey = key;
+  const block = buildColorBlock(resolved, output);
+  device.queue.writeBuffer(buffer, layer.dynamicOffset + LAYOUT_COLOR_OFFSET, block.buffer, block.byteOffset, block.byteLength);
+}
+
+function applyLayoutBlocks(device, buffer, layers, canvasWidth, canvasHeight, timelineSeconds = 0) {
   if (!layers.length) {
     return;
   }
   layers.forEach((layer, index) => {
     layer.dynamicOffset = index * LAYOUT_STRIDE;
-    const layout = buildLayoutBlock(layer.layout, canvasWidth, canvasHeight);
-    device.queue.writeBuffer(buffer, layer.dynamicOffset, layout.buffer, layout.byteOffset, layout.byteLength);
+    layer.colorKey = null;
+    writeLayoutBlock(device, buffer, layer, canvasWidth, canvasHeight, timelineSeconds);
+    const key = buildKeyBlock(layer.key, { showMatte: layer.showMatte, keySignal: layer.keySignal });
+    device.queue.writeBuffer(buffer, layer.dynamicOffset + LAYOUT_KEY_OFFSET, key.buffer, key.byteOffset, key.byteLength);
+    const effects = buildEffectsBlock(layer.effects);
+    device.queue.writeBuffer(buffer, layer.dynamicOffset + LAYOUT_EFFECTS_OFFSET, effects.buffer, effects.byteOffset, effects.byteLength);
   });
 }
 
-async function createVideoLayers(entries, defaultDurationSeconds) {
-  const layers = [];
-  const sourceCache = new Map();
+function createMediaSource(entry, kind) {
+  if (kind === 'fill-key') {
+    return new FillKeySource(entry);
+  }
+  if (LIVE_SOURCE_TYPES.includes(kind)) {
+    return createLiveSource(entry, kind);
+  }
+  if (entry.decoder === 'webcodecs') {
+    return new FileSource(entry);
+  }
+  return new FrameResampler(entry);
+}
 
-  for (const entry of entries) {
-    const key = JSON.stringify({
-      url: entry.url,
-      loop: entry.loop ?? true,
+// onHealthChange(source, health, previous) is handed to monitored sources (see source-health.js).
+function createSource(entry, kind, output, onHealthChange) {
+  if (kind === 'text') {
+    return new TextSource(entry, output);
+  }
+  if (kind === 'image') {
+    return new ImageOverlaySource(entry);
+  }
+  if (kind === 'color') {
+    return new ColorSource(entry);
+  }
+  if (kind === 'generator') {
+    return new GeneratorSource(entry, output);
+  }
+  if (kind === 'replay') {
+    return new ReplaySource(entry, output);
+  }
+  if (kind === 'playlist') {
+    return new PlaylistSource(entry);
+  }
+  if (kind === 'html') {
+    return new HtmlLayerSource(entry, output);
+  }
+  if (MONITORED_SOURCE_KINDS.includes(kind)) {
+    return new MonitoredSource(() => createMediaSource(entry, kind), normalizeHealth(entry.health), {
+      label: entry.url ?? entry.fillUrl ?? kind,
+      onChange: onHealthChange,
     });
+  }
+  return new FrameResampler(entry);
+}
+
+// Shares one open source per URL across layers, layouts and pages. A source is disposed once the
+// last layer using it is removed. output: { canvasWidth, canvasHeight, fps, generators, replays }
+// for generated sources.
+// Health changes are held back until setHealthHandler() is called, so none are lost while the
+// scene is still loading.
+class SourcePool {
+  constructor(output) {
+    this.output = output;
+    this.entries = new Map();
+    this.healthHandler = null;
+    this.healthBacklog = [];
+  }
+
+  setHealthHandler(handler) {
+    this.healthHandler = handler;
+    this.healthBacklog.splice(0).forEach((change) => handler(...change));
+  }
+
+  #healthChanged(...change) {
+    if (this.healthHandler) {
+      this.healthHandler(...change);
+    } else {
+      this.healthBacklog.push(change);
+    }
+  }
 
-    let cached = sourceCache.get(key);
+  async acquire(entry, kind) {
+    const key = sourceKeyFor(entry, kind) ?? `${kind}#${crypto.randomUUID()}`;
+    let cached = this.entries.get(key);
     if (!cached) {
-      const source = new FrameResampler(entry);
-      const initPromise = source.init();
-      cached = { source, initPromise };
-      sourceCache.set(key, cached);
+      const source = createSource(entry, kind, this.output, (...change) => this.#healthChanged(...change));
+      cached = { source, initPromise: source.init(), refs: 0 };
+      this.entries.set(key, cached);
+    }
+    cached.refs += 1;
+    try {
+      await cached.initPromise;
+    } catch (error) {
+      this.release(cached.source);
+      throw error;
+    }
+    return { source: cached.source, key };
+  }
+
+  release(source) {
+    for (const [key, cached] of this.entries) {
+      if (cached.source !== source) {
+        continue;
+      }
+      cached.refs -= 1;
+      if (cached.refs <= 0) {
+        cached.source.dispose();
+        this.entries.delete(key);
+      }
+      return;
     }
+  }
+
+  sources() {
+    return [...this.entries.values()].map((cached) => cached.source);
+  }
+}
 
-    await cached.initPromise;
-    const source = cached.source;
-    const aspect = typeof source.getAspect === 'function' ? source.getAspect() : null;
+// A fallback that fails to load only costs the fallback, never the layer.
+async function acquireFallback(entry, layerId, pool) {
+  if (!entry.fallback) {
+    return { fallbackSource: null, fallbackKey: null };
+  }
+  try {
+    const { source, key } = await pool.acquire(entry.fallback, fallbackKind(entry.fallback));
+    return { fallbackSource: source, fallbackKey: key };
+  } catch (error) {
+    log(`Fallback for layer ${layerId} is unavailable: ${error.message}`);
+    return { fallbackSource: null, fallbackKey: null };
+  }
+}
 
-    layers.push({
-      id: entry.id ?? crypto.randomUUID(),
-      kind: 'video',
-      source,
-      layout: {
-        x: entry.x,
-        y: entry.y,
-        width: entry.width,
-        height: entry.height,
-        crop: entry.crop,
-        alpha: entry.alpha ?? 1,
-        zoom: entry.zoom ?? entry.contentZoom ?? entry.contentScale ?? entry.scale ?? 1,
-        rotationDegrees: entry.rotationDegrees ?? entry.rotate ?? entry.rotation ?? 0,
-        contentAspect: aspect ?? null,
-      },
-      zIndex: entry.zIndex ?? 0,
-      timeline: normalizeTimeline(entry.time, defaultDurationSeconds),
-    });
+function releaseLayer(pool, layer) {
+  pool.release(layer.source);
+  if (layer.fallbackSource) {
+    pool.release(layer.fallbackSource);
   }
+}
+
+async function createLayer(entry, { id, role, pool, defaultDurationSeconds }) {
+  const { source, key } = await pool.acquire(entry, layerKind(entry, role));
+  return {
+    id,
+    role,
+    descriptor: entry,
+    source,
+    sourceKey: key,
+    ...(await acquireFallback(entry, id, pool)),
+    dynamicOffset: 0,
+    contentSize: null,
+    ...describeLayer(entry, role, defaultDurationSeconds),
+  };
+}
+
+// Opens the sources a new descriptor needs without touching the live layer; the source is only
+// swapped when its URL/type/loop changed. apply() puts the update on the layer and releases what it
+// replaced; discard() releases the new sources again when the update is abandoned.
+async function prepareLayerUpdate(layer, entry, { pool, defaultDurationSeconds }) {
+  const kind = layerKind(entry, layer.role);
+  const textUpdate = kind === 'text' && layer.kind === 'text';
+  const swap = !textUpdate && sourceKeyFor(entry, kind) !== layer.sourceKey ? await pool.acquire(entry, kind) : null;
+  const fallbackKey = entry.fallback ? sourceKeyFor(entry.fallback, fallbackKind(entry.fallback)) : null;
+  const fallback = fallbackKey !== layer.fallbackKey ? await acquireFallback(entry, layer.id, pool) : null;
+  return {
+    apply() {
+      if (textUpdate) {
+        layer.source.setDescriptor(entry);
+      }
+      if (swap) {
+        pool.release(layer.source);
+        layer.source = swap.source;
+        layer.sourceKey = swap.key;
+      }
+      if (fallback) {
+        const previous = layer.fallbackSource;
+        Object.assign(layer, fallback);
+        if (previous) {
+          pool.release(previous);
+        }
+      }
+      Object.assign(layer, { descriptor: entry }, describeLayer(entry, layer.role, defaultDurationSeconds));
+    },
+    discard() {
+      if (swap) {
+        pool.release(swap.source);
+      }
+      if (fallback?.fallbackSource) {
+        pool.release(fallback.fallbackSource);
+      }
+    },
+  };
+}
 
+// Applies a new descriptor to a live layer right away.
+async function updateLayerDescriptor(layer, entry, options) {
+  (await prepareLayerUpdate(layer, entry, options)).apply();
+}
+
+async function createVideoLayers(entries, defaultDurationSeconds, pool, layoutId = 'default') {
+  const layers = [];
+  for (const [index, entry] of entries.entries()) {
+    const id = layerIdFor(entry, layoutId, index);
+    layers.push(await createLayer(entry, { id, role: 'base', pool, defaultDurationSeconds }));
+  }
   return layers;
 }
 
-async function createOverlayPage(page, defaultDurationSeconds) {
+async function createOverlayPage(page, defaultDurationSeconds, pool) {
   const layers = [];
-  for (const layer of page.layers ?? []) {
-    let source = null;
-    if (layer.type === 'image') {
-      source = new ImageOverlaySource(layer);
-      await source.init();
-    } else {
-      source = new FrameResampler(layer);
-      await source.init();
-    }
-    layers.push({
-      id: layer.id ?? crypto.randomUUID(),
-      kind: layer.type ?? 'video',
-      source,
-      layout: {
-        x: layer.x,
-        y: layer.y,
-        width: layer.width,
-        height: layer.height,
-        crop: layer.crop,
-        alpha: layer.alpha ?? 1,
-        zoom: layer.zoom ?? layer.contentZoom ?? layer.contentScale ?? layer.scale ?? 1,
-        rotationDegrees: layer.rotationDegrees ?? layer.rotate ?? layer.rotation ?? 0,
-      },
-      zIndex: layer.zIndex ?? 10,
-      timeline: normalizeTimeline(layer.time, defaultDurationSeconds),
-    });
+  for (const [index, entry] of (page.layers ?? []).entries()) {
+    const id = layerIdFor(entry, page.id, index);
+    layers.push(await createLayer(entry, { id, role: 'overlay', pool, defaultDurationSeconds }));
   }
   return { id: page.id, layers };
 }
 
-function composeLayers(videoLayers, overlayPages, activePageId) {
-  const activePage =
-    overlayPages.find((page) => page.id === activePageId) ??
-    (overlayPages.length ? overlayPages[0] : { layers: [] });
-  return [...videoLayers, ...(activePage.layers ?? [])].sort((a, b) => (a.zIndex ?? 0) - (b.zIndex ?? 0));
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
 }
 
 async function main() {
@@ -404,6 +760,14 @@ async function main() {
   }
 
   const config = await fetch(CONFIG_URL).then((res) => res.json());
+  // Validate before any source is created, so typos never silently fall back to defaults.
+  const validation = validateScene(config);
+  formatProblems(validation.warnings).forEach((line) => log(`Scene warning: ${line}`));
+  if (!validation.valid) {
+    formatProblems(validation.errors).forEach((line) => log(`Scene error: ${line}`));
+    log(`${CONFIG_URL} has ${validation.errors.length} error(s); fix them and reload.`);
+    return;
+  }
   const canvasWidth = config.canvas?.width ?? 1920;
   const canvasHeight = config.canvas?.height ?? 1080;
   const targetFps = config.canvas?.fps ?? 60;
@@ -417,7 +781,13 @@ async function main() {
     recordingConfig.videoBitrate ??
     null;
   const recordingCodec = (recordingConfig.codec || '').toLowerCase() || null;
+  const recordingContainer = (recordingConfig.container || 'webm').toLowerCase();
+  const recordingMode = urlParams.get('offline') === '1' ? 'offline' : recordingConfig.mode ?? 'realtime';
   const frameIntervalMs = 1000 / targetFps;
+  const outputColor = normalizeOutputColor(config.canvas?.colorSpace);
+  const backgroundColor = config.canvas?.background
+    ? linearizeColor(parseColor(config.canvas.background))
+    : { r: 0.015, g: 0.015, b: 0.025, a: 1 };
   canvas.width = canvasWidth;
   canvas.height = canvasHeight;
 
@@ -426,7 +796,9 @@ async function main() {
     log('Failed to acquire GPU adapter.');
     return;
   }
-  const device = await adapter.requestDevice();
+  // Timestamp queries only feed the render stats, so devices without them still work.
+  const requiredFeatures = adapter.features.has('timestamp-query') ? ['timestamp-query'] : [];
+  const device = await adapter.requestDevice({ requiredFeatures });
   const context = canvas.getContext('webgpu');
   const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
   context.configure({
@@ -435,6 +807,11 @@ async function main() {
     alphaMode: 'opaque',
   });
 
+  // Render telemetry (see render-stats.js), recorded for every frame; ?stats=1 shows the HUD.
+  const renderStats = new RenderStats();
+  const gpuTimer = GpuTimer.isSupported(device) ? new GpuTimer(device) : null;
+  let statsHud = null;
+
   // Multisampled color buffer for anti-aliased geometry (e.g., rotated quads).
   let msaaColorTexture = null;
   let msaaColorView = null;
@@ -442,90 +819,140 @@ async function main() {
     msaaColorTexture = device.createTexture({
       size: { width: canvasWidth, height: canvasHeight },
       sampleCount: MSAA_SAMPLE_COUNT,
-      format: presentationFormat,
+      format: WORKING_FORMAT,
       usage: GPUTextureUsage.RENDER_ATTACHMENT,
     });
     msaaColorView = msaaColorTexture.createView();
   }
 
+  // Created once the layers exist; the record button only reads it when clicked.
+  let audioMixer = null;
+  // Created last, once everything it controls exists (see publishState).
+  let remoteControl = null;
+
+  // Replaced once the scene is loaded; offline rendering needs the layers and the renderer.
+  let startOfflineRecording = () => log('Scene is still loading; offline render not available yet.');
+
   // Recording: capture the canvas stream and dump a WebM matching the configured duration.
-  if (recordButton) {
-    recordButton.disabled = false;
-    recordButton.addEventListener('click', () => {
-      if (recordButton.disabled) {
-        return;
-      }
+  // In offline mode the timeline is stepped frame by frame instead (see renderOffline below).
+  let recorder = null;
+  const setRecordButton = (busy, label) => {
+    if (recordButton) {
+      recordButton.disabled = busy;
+      recordButton.textContent = label;
+    }
+  };
+  const idleRecordLabel = recordingMode === 'offline' ? `Render ${recordingContainer === 'mp4' ? 'MP4' : 'WebM'}` : 'Record WebM';
 
-      let mimeTypes;
-      if (recordingCodec === 'vp9') {
-        mimeTypes = ['video/webm;codecs=vp9'];
-      } else if (recordingCodec === 'vp8') {
-        mimeTypes = ['video/webm;codecs=vp8'];
-      } else {
-        mimeTypes = [
-          'video/webm;codecs=vp9',
-          'video/webm;codecs=vp8',
-          'video/webm',
-        ];
-      }
-      const supportedMime = mimeTypes.find((type) =>
-        window.MediaRecorder && MediaRecorder.isTypeSupported(type)
-      );
-      if (!supportedMime) {
-        log('MediaRecorder WebM is not supported in this browser.');
-        return;
-      }
+  // Realtime recordings stop by themselves after recording.duration; offline renders download
+  // their file when done.
+  window.startRecording = () => {
+    if (recordingMode === 'offline') {
+      startOfflineRecording();
+      return;
+    }
+    if (recorder) {
+      throw new Error('Already recording');
+    }
+
+    let mimeTypes;
+    if (recordingCodec === 'vp9') {
+      mimeTypes = ['video/webm;codecs=vp9'];
+    } else if (recordingCodec === 'vp8') {
+      mimeTypes = ['video/webm;codecs=vp8'];
+    } else {
+      mimeTypes = [
+        'video/webm;codecs=vp9',
+        'video/webm;codecs=vp8',
+        'video/webm',
+      ];
+    }
+    const audioTracks = audioMixer?.stream.getAudioTracks() ?? [];
+    if (audioTracks.length) {
+      mimeTypes = mimeTypes.map((type) => (type.includes('codecs=') ? `${type},opus` : type));
+      audioMixer.resume();
+    }
+    const supportedMime = mimeTypes.find((type) =>
+      window.MediaRecorder && MediaRecorder.isTypeSupported(type)
+    );
+    if (!supportedMime) {
+      throw new Error('MediaRecorder WebM is not supported in this browser.');
+    }
+
+    const stream = canvas.captureStream(recordingFps);
+    audioTracks.forEach((track) => stream.addTrack(track));
+    const recorderOptions = { mimeType: supportedMime };
+    if (recordingBitsPerSecond) {
+      recorderOptions.videoBitsPerSecond = recordingBitsPerSecond;
+    }
+    if (audioTracks.length && recordingConfig.audioBitsPerSecond) {
+      recorderOptions.audioBitsPerSecond = recordingConfig.audioBitsPerSecond;
+    }
+    const mediaRecorder = new MediaRecorder(stream, recorderOptions);
+    const chunks = [];
+    let stopTimer = null;
+    const finish = () => {
+      clearTimeout(stopTimer);
+      recorder = null;
+      setRecordButton(false, idleRecordLabel);
+      publishState();
+    };
 
-      const stream = canvas.captureStream(recordingFps);
-      const recorderOptions = { mimeType: supportedMime };
-      if (recordingBitsPerSecond) {
-        recorderOptions.videoBitsPerSecond = recordingBitsPerSecond;
+    mediaRecorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        chunks.push(event.data);
       }
-      const recorder = new MediaRecorder(stream, recorderOptions);
-      const chunks = [];
+    };
 
-      recorder.ondataavailable = (event) => {
-        if (event.data && event.data.size > 0) {
-          chunks.push(event.data);
-        }
-      };
+    mediaRecorder.onstop = () => {
+      const blob = new Blob(chunks, { type: supportedMime });
+      downloadBlob(blob, 'webgpu-composition.webm');
+      finish();
+      log(`Saved WebM recording (${(blob.size / (1024 * 1024)).toFixed(2)} MiB).`);
+    };
 
-      recorder.onstop = () => {
-        const blob = new Blob(chunks, { type: supportedMime });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'webgpu-composition.webm';
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        URL.revokeObjectURL(url);
-        recordButton.disabled = false;
-        recordButton.textContent = 'Record WebM';
-        log(`Saved WebM recording (${(blob.size / (1024 * 1024)).toFixed(2)} MiB).`);
-      };
+    mediaRecorder.onerror = (event) => {
+      console.error('MediaRecorder error', event.error);
+      log(`MediaRecorder error: ${event.error?.message ?? String(event.error)}`);
+      finish();
+    };
 
-      recorder.onerror = (event) => {
-        console.error('MediaRecorder error', event.error);
-        log(`MediaRecorder error: ${event.error?.message ?? String(event.error)}`);
-        recordButton.disabled = false;
-        recordButton.textContent = 'Record WebM';
-      };
+    const durationMs = recordingDurationSeconds * 1000;
+    setRecordButton(true, 'Recording…');
+    mediaRecorder.start();
+    recorder = mediaRecorder;
+    publishState();
+    log(`Started WebM recording for ${(durationMs / 1000).toFixed(1)}s at ${recordingFps} fps${recordingBitsPerSecond ? `, ~${(recordingBitsPerSecond / 1_000_000).toFixed(1)} Mbps` : ''}.`);
+    stopTimer = setTimeout(() => window.stopRecording(), durationMs);
+  };
 
-      const durationMs = recordingDurationSeconds * 1000;
-      recordButton.disabled = true;
-      recordButton.textContent = 'Recording…';
-      recorder.start();
-      log(`Started WebM recording for ${(durationMs / 1000).toFixed(1)}s at ${recordingFps} fps${recordingBitsPerSecond ? `, ~${(recordingBitsPerSecond / 1_000_000).toFixed(1)} Mbps` : ''}.`);
-      setTimeout(() => {
-        if (recorder.state === 'recording') {
-          recorder.stop();
-        }
-      }, durationMs);
+  // Ends a realtime recording early; the file is saved as usual.
+  window.stopRecording = () => {
+    if (recordingMode === 'offline') {
+      throw new Error('Offline renders cannot be stopped');
+    }
+    if (recorder?.state === 'recording') {
+      recorder.stop();
+    }
+  };
+
+  if (recordButton) {
+    setRecordButton(false, idleRecordLabel);
+    recordButton.addEventListener('click', () => {
+      if (recordButton.disabled) {
+        return;
+      }
+      try {
+        window.startRecording();
+      } catch (error) {
+        log(error.message);
+      }
     });
   }
 
-  const shaderCode = await fetch(`./shaders_v2.wgsl?v=${crypto.randomUUID()}`).then((res) => res.text());
+  const fetchShader = (url) => fetch(`${url}?v=${crypto.randomUUID()}`).then((res) => res.text());
+  const colorShaderCode = await fetchShader('./color.wgsl');
+  const shaderCode = colorShaderCode + (await fetchShader('./shaders_v2.wgsl'));
   const shaderModule = device.createShaderModule({ code: shaderCode });
 
   const vertexData = new Float32Array([
@@ -538,71 +965,560 @@ async function main() {
   device.queue.writeBuffer(vertexBuffer, 0, vertexData.buffer);
 
   log('Loading video grid via WebCodecs…');
-  let videoEntries = config.videos ?? [];
+  const limitVideoEntries = (entries) => {
+    if (!DEBUG_FLAGS.enableVideos) {
+      return [];
+    }
+    if (DEBUG_FLAGS.maxVideoLayers > 0 && entries.length > DEBUG_FLAGS.maxVideoLayers) {
+      return entries.slice(0, DEBUG_FLAGS.maxVideoLayers);
+    }
+    return entries;
+  };
   if (!DEBUG_FLAGS.enableVideos) {
-    videoEntries = [];
     log('DEBUG: Video layers disabled via ?videos=0');
-  } else if (DEBUG_FLAGS.maxVideoLayers > 0 && videoEntries.length > DEBUG_FLAGS.maxVideoLayers) {
-    videoEntries = videoEntries.slice(0, DEBUG_FLAGS.maxVideoLayers);
+  } else if (DEBUG_FLAGS.maxVideoLayers > 0) {
     log(`DEBUG: Limiting video layers to first ${DEBUG_FLAGS.maxVideoLayers}`);
   }
-  const videoLayers = await createVideoLayers(videoEntries, defaultTimelineSeconds);
-  log('Base video layers ready.');
+  // Every layout and page draws from one pool, so switching layouts or reloading the scene never
+  // reopens a stream that is still in use.
+  const generatorRenderer = new GeneratorRenderer(device, {
+    shaderCode: await fetchShader('./generators.wgsl'),
+    sampleCount: MSAA_SAMPLE_COUNT,
+  });
+  const replays = new ReplayManager(device, { shaderCode: await fetchShader('./replay.wgsl'), fps: targetFps, log });
+  const sourcePool = new SourcePool({
+    canvasWidth,
+    canvasHeight,
+    fps: targetFps,
+    generators: generatorRenderer,
+    replays,
+  });
+  const videoLayoutEntries = (scene) => {
+    // A multiviewer grid fills in x/y/width/height for tiles that do not set their own.
+    const multiviewer = normalizeMultiviewer(scene.multiviewer);
+    const place = (entries) => applyGridLayout(limitVideoEntries(entries), multiviewer, canvasWidth, canvasHeight);
+    return [
+      { id: scene.videoLayoutId ?? 'default', entries: place(scene.videos ?? []) },
+      ...(scene.videoLayouts ?? []).map((layout) => ({ id: layout.id, entries: place(layout.videos ?? []) })),
+    ];
+  };
+  const overlayPageEntries = (scene) =>
+    DEBUG_FLAGS.enableOverlays ? (scene.overlayPages ?? []).map((page) => ({ id: page.id, entries: page.layers ?? [] })) : [];
 
-  const htmlOverlayConfig =
-    DEBUG_FLAGS.enableHtmlOverlay && config.htmlOverlay
-      ? {
-          ...config.htmlOverlay,
-          timeline: normalizeTimeline(config.htmlOverlay.time, defaultTimelineSeconds),
-        }
-      : null;
-
-  if (htmlOverlayConfig && htmlOverlayFrame) {
-    htmlOverlayFrame.src = htmlOverlayConfig.url;
-    htmlOverlayFrame.style.opacity = '0';
+  const videoLayouts = [];
+  for (const { id, entries } of videoLayoutEntries(config)) {
+    videoLayouts.push({ id, layers: await createVideoLayers(entries, defaultTimelineSeconds, sourcePool, id) });
+  }
+  log('Base video layers ready.');
+  if (videoLayouts.length > 1) {
+    log(`Video layouts loaded: ${videoLayouts.map((l) => l.id).join(', ')}`);
   }
 
   const overlayPages = [];
-  if (DEBUG_FLAGS.enableOverlays) {
-    for (const page of config.overlayPages ?? []) {
-      overlayPages.push(await createOverlayPage(page, defaultTimelineSeconds));
-    }
+  for (const { id, entries } of overlayPageEntries(config)) {
+    overlayPages.push(await createOverlayPage({ id, layers: entries }, defaultTimelineSeconds, sourcePool));
   }
   if (overlayPages.length) {
     log(`Overlay pages loaded: ${overlayPages.map((p) => p.id).join(', ')}`);
   }
 
-  const overlayParam = new URLSearchParams(window.location.search).get('overlay');
-  let activeOverlayPageId = overlayParam ?? overlayPages[0]?.id ?? null;
+  // The top-level htmlOverlay is an html layer that stays on air above every overlay page (and
+  // through their transitions). It is kept as a one-layer container so scene reloads can diff it.
+  const htmlOverlayEntries = (scene) =>
+    DEBUG_FLAGS.enableHtmlOverlay && scene.htmlOverlay
+      ? [{ id: 'htmlOverlay', entries: [{ ...scene.htmlOverlay, type: 'html' }] }]
+      : [];
+  const htmlOverlays = [];
+  for (const { id, entries } of htmlOverlayEntries(config)) {
+    htmlOverlays.push(await createOverlayPage({ id, layers: entries }, defaultTimelineSeconds, sourcePool));
+  }
+  const htmlOverlayLayers = () => htmlOverlays.flatMap((container) => container.layers);
 
-  let layers = composeLayers(videoLayers, overlayPages, activeOverlayPageId);
-  let layoutBufferSize = Math.max(1, layers.length) * LAYOUT_STRIDE;
-  const layoutBuffer = device.createBuffer({
-    size: layoutBufferSize,
+  const overlayParam = new URLSearchParams(window.location.search).get('overlay');
+  const programConfig = config.switcher?.program ?? {};
+  let activeOverlayPageId =
+    overlayParam ?? (programConfig.pageId !== undefined ? programConfig.pageId : overlayPages[0]?.id ?? null);
+  let activeVideoLayoutId = programConfig.layoutId ?? videoLayouts[0].id;
+
+  const findVideoLayout = (layoutId) => videoLayouts.find((layout) => layout.id === layoutId) ?? videoLayouts[0];
+  // A null page id means no overlay page on air (the switcher can take overlays off).
+  const findOverlayPage = (pageId) =>
+    pageId === null ? { layers: [] } : overlayPages.find((page) => page.id === pageId) ?? overlayPages[0] ?? { layers: [] };
+
+  let layers = composeLayers(findVideoLayout(activeVideoLayoutId).layers, overlayPages, activeOverlayPageId);
+
+  // The scene's top-level `timecode` burns the composition timecode into the program output, above
+  // everything including the multiviewer.
+  let programBurnIn = normalizeBurnIn(config.timecode);
+  const programGeometry = computeLayerGeometry({}, { canvasWidth, canvasHeight });
+
+  // Multiviewer furniture is one full-canvas layer drawn above everything else; its source is
+  // redrawn every frame from the on-air layout's tiles.
+  let multiviewerLayer = null;
+  const setMultiviewer = (settings) => {
+    if (!settings) {
+      multiviewerLayer?.source.dispose();
+      multiviewerLayer = null;
+      return;
+    }
+    if (multiviewerLayer) {
+      multiviewerLayer.source.setSettings(settings);
+      return;
+    }
+    const source = new MultiviewerOverlay(settings, { width: canvasWidth, height: canvasHeight, fps: targetFps });
+    multiviewerLayer = {
+      id: 'multiviewer',
+      role: 'overlay',
+      descriptor: {},
+      source,
+      sourceKey: null,
+      dynamicOffset: 0,
+      contentSize: null,
+      ...describeLayer({ type: 'image' }, 'overlay', defaultTimelineSeconds),
+      timeline: null,
+    };
+  };
+  setMultiviewer(normalizeMultiviewer(config.multiviewer));
+
+  // Every layer of every layout and page owns a slot, so transitions can draw both sets at once.
+  const allLayers = () => [
+    ...videoLayouts.flatMap((layout) => layout.layers),
+    ...overlayPages.flatMap((page) => page.layers),
+    ...htmlOverlayLayers(),
+    ...(multiviewerLayer ? [multiviewerLayer] : []),
+  ];
+  replays.sync(allLayers());
+  let layoutCapacity = Math.max(1, allLayers().length);
+  let layoutBuffer = device.createBuffer({
+    size: layoutCapacity * LAYOUT_STRIDE,
     usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
   });
-  applyLayoutBlocks(device, layoutBuffer, layers, canvasWidth, canvasHeight);
+  let currentTimelineSeconds = 0;
+  const matteParam = urlParams.get('matte');
+  if (matteParam) {
+    allLayers()
+      .filter((layer) => layer.id === matteParam)
+      .forEach((layer) => {
+        layer.showMatte = true;
+      });
+  }
+  applyLayoutBlocks(device, layoutBuffer, allLayers(), canvasWidth, canvasHeight, currentTimelineSeconds);
+
+  let audioConfig = config.audio ?? {};
+  if (DEBUG_FLAGS.enableAudio && window.AudioContext) {
+    audioMixer = new AudioMixer({ masterGainDb: audioConfig.masterGainDb ?? 0, monitor: audioConfig.monitor ?? true });
+    audioMixer.sync(allLayers());
+    if (!audioMixer.running) {
+      // Autoplay policy: the context only starts after a user gesture.
+      log('Audio starts on the first click or key press.');
+      const resume = () => audioMixer.resume();
+      window.addEventListener('pointerdown', resume, { once: true });
+      window.addEventListener('keydown', resume, { once: true });
+    }
+    if (audioMetersCanvas && (audioConfig.meters || urlParams.get('meters') === '1')) {
+      audioMetersCanvas.hidden = false;
+      new AudioMeters(audioMetersCanvas, audioMixer).start();
+    }
+  } else if (!DEBUG_FLAGS.enableAudio) {
+    log('DEBUG: Audio disabled via ?audio=0');
+  }
+  window.getAudioLevels = () => audioMixer?.levels() ?? null;
+
+  // Source health (see source-health.js): every change is logged and passed to onSourceHealth()
+  // listeners as { layerIds, source, state, previousState, picture, reason, fallback }. A source
+  // that comes back live may have been recreated, so the audio mixer picks up its new track.
+  const healthListeners = new Set();
+  sourcePool.setHealthHandler((source, health, previous) => {
+    if (previous.state === null) {
+      return;
+    }
+    const affected = allLayers().filter((layer) => layer.source === source);
+    const backing = allLayers().filter((layer) => layer.fallbackSource === source);
+    const event = {
+      layerIds: [...affected.map((layer) => layer.id), ...backing.map((layer) => `${layer.id} (fallback)`)],
+      source: source.label,
+      state: health.state,
+      previousState: previous.state,
+      picture: health.picture,
+      reason: health.reason,
+      fallback: !source.isHealthy() && affected.some((layer) => layer.fallbackSource),
+    };
+    const picture = health.picture === 'ok' ? '' : ` (${health.picture} picture)`;
+    log(
+      `Source ${event.source} [${event.layerIds.join(', ') || 'unused'}]: ${previous.state} → ${health.state}${picture}` +
+        `${health.reason ? `: ${health.reason}` : ''}${event.fallback ? '; showing fallback' : ''}`
+    );
+    if (health.state === 'live') {
+      audioMixer?.sync(allLayers());
+    }
+    remoteControl?.publish('health', event);
+    healthListeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('onSourceHealth listener failed', error);
+      }
+    });
+  });
+  // Returns a function that removes the listener again.
+  window.onSourceHealth = (listener) => {
+    healthListeners.add(listener);
+    return () => healthListeners.delete(listener);
+  };
+  window.getSourceHealth = () =>
+    allLayers()
+      .filter((layer) => layer.source?.health)
+      .map((layer) => ({
+        layerId: layer.id,
+        source: layer.source.label,
+        ...layer.source.health,
+        fallback: !layer.source.isHealthy() && Boolean(layer.fallbackSource),
+      }));
+
+  // Render stats: onRenderStats() listeners get every frame record, getRenderStats() summarises the
+  // last `frames` (default one second) and exportRenderStats() returns the history as JSON or CSV.
+  window.onRenderStats = (listener) => renderStats.subscribe(listener);
+  window.getRenderStats = (frames = Math.round(targetFps)) => renderStats.summary(frames);
+  window.exportRenderStats = (format = 'json') => renderStats.export(format);
+  window.showRenderStats = (enabled = true) => {
+    statsHud ??= enabled ? new StatsHud(canvas, renderStats, { fps: targetFps }) : null;
+    if (enabled) {
+      statsHud.start();
+    } else {
+      statsHud?.stop();
+    }
+  };
+  if (urlParams.get('stats') === '1') {
+    window.showRenderStats(true);
+  }
 
-  function rebuildLayers(pageId) {
-    layers = composeLayers(videoLayers, overlayPages, pageId);
-    const requiredSize = Math.max(1, layers.length) * LAYOUT_STRIDE;
-    if (layoutBufferSize < requiredSize) {
-      log('Overlay switch requires reallocation; reload page to take effect.');
+  // Instant replay (see replay.js). Marks are timeline seconds and default to the frame on air;
+  // playReplay(inputId, { speed, mode, channel }) plays the marked clip on the replay layers.
+  window.markIn = (inputId, seconds = currentTimelineSeconds) => replays.markIn(inputId, seconds * 1_000_000);
+  window.markOut = (inputId, seconds = currentTimelineSeconds) => replays.markOut(inputId, seconds * 1_000_000);
+  window.playReplay = (inputId, options = {}) => replays.play(inputId, options);
+  window.stopReplay = (channel) => replays.stop(channel);
+  window.getReplayStatus = () => replays.status();
+
+  // Live output: the program canvas and audio bus streamed out via WHIP or CMAF (see live-output.js).
+  const outputSettings = config.output ? normalizeOutput(config.output, { fps: targetFps }) : null;
+  let liveOutput = null;
+  const updateOutputButton = () => {
+    if (outputButton) {
+      outputButton.textContent = liveOutput ? 'Stop stream' : `Go live (${outputSettings.protocol.toUpperCase()})`;
+    }
+  };
+  window.startOutput = async () => {
+    if (!outputSettings) {
+      throw new Error('The scene has no output section');
+    }
+    if (liveOutput) {
+      return;
+    }
+    audioMixer?.resume();
+    liveOutput = createLiveOutput(outputSettings, {
+      canvas,
+      audioTrack: audioMixer?.stream.getAudioTracks()[0] ?? null,
+      log,
+    });
+    updateOutputButton();
+    publishState();
+    try {
+      await liveOutput.start();
+    } catch (error) {
+      log(`Output failed to start: ${error.message}`);
+      window.stopOutput();
+    }
+  };
+  window.stopOutput = () => {
+    if (!liveOutput) {
       return;
     }
-    applyLayoutBlocks(device, layoutBuffer, layers, canvasWidth, canvasHeight);
+    liveOutput.stop();
+    liveOutput = null;
+    updateOutputButton();
+    publishState();
+    log('Output stopped.');
+  };
+  if (outputSettings) {
+    if (outputButton) {
+      outputButton.hidden = false;
+      updateOutputButton();
+      outputButton.addEventListener('click', () => (liveOutput ? window.stopOutput() : window.startOutput()));
+    }
+    if (outputSettings.autoStart) {
+      window.startOutput();
+    }
+  }
+
+  function rebuildLayers() {
+    layers = composeLayers(findVideoLayout(activeVideoLayoutId).layers, overlayPages, activeOverlayPageId);
+  }
+
+  let transitionDefaults = config.transition ?? {};
+  let activeTransition = null;
+
+  const TRANSITION_TARGET_NAMES = { overlay: 'overlay page', layout: 'video layout', program: 'program' };
+
+  function completeTransition(transition) {
+    if (transition.scope === 'overlay') {
+      activeOverlayPageId = transition.targetId;
+    } else if (transition.scope === 'program') {
+      activeVideoLayoutId = transition.targetId;
+      activeOverlayPageId = transition.targetPageId;
+    } else {
+      activeVideoLayoutId = transition.targetId;
+    }
+    rebuildLayers();
+    if (activeTransition === transition) {
+      activeTransition = null;
+    }
+    log(`Transition to ${TRANSITION_TARGET_NAMES[transition.scope]} ${transition.label ?? transition.targetId} complete`);
+    publishState();
+    transition.resolve();
   }
 
+  // Shared by transitionTo() and the switcher; `fields` adds scope-specific targets.
+  function startTransition(scope, targetId, options, fields = {}) {
+    let normalized;
+    try {
+      normalized = normalizeTransition(options, transitionDefaults);
+    } catch (error) {
+      log(error.message);
+      return Promise.reject(error);
+    }
+    if (activeTransition) {
+      completeTransition(activeTransition);
+    }
+
+    return new Promise((resolve) => {
+      const transition = { ...normalized, ...fields, scope, targetId, startFrame: null, resolve };
+      if (transition.type === 'cut') {
+        completeTransition(transition);
+        return;
+      }
+      activeTransition = transition;
+      log(`Starting ${transition.type} to ${transition.label ?? targetId} over ${transition.durationFrames} frames`);
+      publishState();
+    });
+  }
+
+  // Resolves once the target page/layout is fully on air. A transition that is still running
+  // when a new one is requested is completed immediately.
+  window.transitionTo = (targetId, options = {}) => {
+    const scope =
+      options.scope ??
+      (overlayPages.some((page) => page.id === targetId)
+        ? 'overlay'
+        : videoLayouts.some((layout) => layout.id === targetId)
+          ? 'layout'
+          : null);
+    const known =
+      scope === 'overlay'
+        ? overlayPages.some((page) => page.id === targetId)
+        : videoLayouts.some((layout) => layout.id === targetId);
+    if (!scope || !known) {
+      log(`Overlay page or video layout "${targetId}" not found.`);
+      return Promise.reject(new Error(`Overlay page or video layout "${targetId}" not found`));
+    }
+    return startTransition(scope, targetId, options);
+  };
+
   window.setOverlayPage = (pageId) => {
     if (!overlayPages.find((page) => page.id === pageId)) {
       log(`Overlay page "${pageId}" not found.`);
       return;
     }
-    activeOverlayPageId = pageId;
-    rebuildLayers(pageId);
-    log(`Switched overlay page to ${pageId}`);
+    window.transitionTo(pageId, { type: 'cut', scope: 'overlay' });
+  };
+
+  window.setVideoLayout = (layoutId) => {
+    if (!videoLayouts.find((layout) => layout.id === layoutId)) {
+      log(`Video layout "${layoutId}" not found.`);
+      return;
+    }
+    window.transitionTo(layoutId, { type: 'cut', scope: 'layout' });
   };
 
+  // Program/preview switcher. Program is what is on air (the active layout and overlay page);
+  // preview is the bus being set up for the next take. cut(), auto() and take() put preview on air
+  // and move the old program to preview, so repeated takes toggle between the two.
+  let switcherConfig = config.switcher ?? {};
+  const previewConfig = switcherConfig.preview ?? {};
+  const preview = {
+    layoutId: previewConfig.layoutId ?? activeVideoLayoutId,
+    pageId: previewConfig.pageId !== undefined ? previewConfig.pageId : activeOverlayPageId,
+  };
+
+  const switcherState = () => ({
+    program: { layoutId: activeVideoLayoutId, pageId: activeOverlayPageId },
+    preview: { ...preview },
+    transition: activeTransition ? { type: activeTransition.type, scope: activeTransition.scope } : null,
+  });
+
+  function swapBuses(options) {
+    if (activeTransition) {
+      completeTransition(activeTransition);
+    }
+    const target = { ...preview };
+    preview.layoutId = activeVideoLayoutId;
+    preview.pageId = activeOverlayPageId;
+    return startTransition('program', target.layoutId, options, {
+      targetPageId: target.pageId,
+      label: `${target.layoutId} / ${target.pageId ?? 'no overlay'}`,
+    });
+  }
+
+  window.switcher = {
+    state: switcherState,
+    // Picks what the next take puts on air; pass pageId: null for no overlay page.
+    setPreview({ layoutId = preview.layoutId, pageId = preview.pageId } = {}) {
+      if (!videoLayouts.some((layout) => layout.id === layoutId)) {
+        throw new Error(`Video layout "${layoutId}" not found`);
+      }
+      if (pageId !== null && !overlayPages.some((page) => page.id === pageId)) {
+        throw new Error(`Overlay page "${pageId}" not found`);
+      }
+      Object.assign(preview, { layoutId, pageId });
+      publishState();
+      return switcherState();
+    },
+    // Arms an overlay page on preview so it goes to air with the next take.
+    armOverlay(pageId) {
+      return window.switcher.setPreview({ pageId });
+    },
+    cut() {
+      return swapBuses({ type: 'cut' });
+    },
+    // Runs the switcher's transition (switcher.transition, else the scene transition); options
+    // override it for this take only.
+    auto(options = {}) {
+      return swapBuses({ ...(switcherConfig.transition ?? {}), ...options });
+    },
+    // The panel's TAKE button: a cut or an auto depending on switcher.take (default "auto").
+    take(options = {}) {
+      return (switcherConfig.take ?? 'auto') === 'cut' ? window.switcher.cut() : window.switcher.auto(options);
+    },
+  };
+
+  // Puts an overlay page (null: none) or a video layout on air, with a cut unless transition
+  // says otherwise; throws for unknown ids. Shared by the schedule and remote control.
+  function putOnAir(scope, targetId, transition = { type: 'cut' }) {
+    if (scope === 'overlay' && targetId !== null && !overlayPages.some((page) => page.id === targetId)) {
+      throw new Error(`Overlay page "${targetId}" not found`);
+    }
+    if (scope === 'layout' && !videoLayouts.some((layout) => layout.id === targetId)) {
+      throw new Error(`Video layout "${targetId}" not found`);
+    }
+    return startTransition(scope, targetId, transition, targetId === null ? { label: 'no overlay' } : {});
+  }
+
+  // Timed scene events (see schedule.js), checked every composition frame.
+  function runScheduledEvent(event) {
+    log(`Schedule: ${event.action} at ${event.clock ?? `${event.time} s`}${event.label ? ` (${event.label})` : ''}`);
+    const fail = (error) => log(`Scheduled ${event.action} failed: ${error.message}`);
+    try {
+      if (event.action === 'take') {
+        window.switcher.take().catch(fail);
+      } else {
+        const targetId = event.action === 'overlay' ? event.pageId : event.layoutId;
+        putOnAir(event.action, targetId, event.transition).catch(fail);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  }
+  const scheduler = new Scheduler(config.schedule, { run: runScheduledEvent });
+
+  // What remote control panels see (getState and the state event).
+  function controlState() {
+    return {
+      ...switcherState(),
+      overlayPages: overlayPages.map((page) => page.id),
+      videoLayouts: videoLayouts.map((layout) => layout.id),
+      recording: recorder ? 'recording' : offlineRenderActive ? 'rendering' : 'idle',
+      output: outputSettings ? (liveOutput ? 'live' : 'stopped') : null,
+    };
+  }
+
+  // Layer ids on the program bus (both sides while a transition runs) and on the preview bus.
+  function busTally() {
+    const onAir = activeTransition ? Object.values(transitionLayerSets(activeTransition)).flat() : layers;
+    const program = [...new Set(onAir.map((layer) => layer.id))];
+    const next = [...findVideoLayout(preview.layoutId).layers, ...findOverlayPage(preview.pageId).layers];
+    return { program, preview: [...new Set(next.map((layer) => layer.id))].filter((id) => !program.includes(id)) };
+  }
+
+  // Pushes state to remote control subscribers, and tally when it changed.
+  let lastTally = null;
+  function publishState() {
+    if (!remoteControl) {
+      return;
+    }
+    remoteControl.publish('state', controlState());
+    const tally = busTally();
+    if (JSON.stringify(tally) !== lastTally) {
+      lastTally = JSON.stringify(tally);
+      remoteControl.publish('tally', tally);
+    }
+  }
+
+  // Splits the scene into what is drawn below, inside (outgoing/incoming) and above the transition.
+  function transitionLayerSets(transition) {
+    const byZ = (list) => [...list].sort((a, b) => (a.zIndex ?? 0) - (b.zIndex ?? 0));
+    if (transition.scope === 'program') {
+      // Whatever the two buses share stays on air around the transition.
+      const layoutChanges = transition.targetId !== activeVideoLayoutId;
+      const pageChanges = transition.targetPageId !== activeOverlayPageId;
+      const side = (layoutId, pageId) => [
+        ...(layoutChanges ? findVideoLayout(layoutId).layers : []),
+        ...(pageChanges ? findOverlayPage(pageId).layers : []),
+      ];
+      return {
+        under: layoutChanges ? [] : byZ(findVideoLayout(activeVideoLayoutId).layers),
+        outgoing: byZ(side(activeVideoLayoutId, activeOverlayPageId)),
+        incoming: byZ(side(transition.targetId, transition.targetPageId)),
+        over: pageChanges ? [] : byZ(findOverlayPage(activeOverlayPageId).layers),
+      };
+    }
+    if (transition.scope === 'overlay') {
+      return {
+        under: byZ(findVideoLayout(activeVideoLayoutId).layers),
+        outgoing: byZ(findOverlayPage(activeOverlayPageId).layers),
+        incoming: byZ(findOverlayPage(transition.targetId).layers),
+        over: [],
+      };
+    }
+    return {
+      under: [],
+      outgoing: byZ(findVideoLayout(activeVideoLayoutId).layers),
+      incoming: byZ(findVideoLayout(transition.targetId).layers),
+      over: byZ(findOverlayPage(activeOverlayPageId).layers),
+    };
+  }
+
+  // Audio-follow-video: how much of each layer is on air, crossfaded with the transition progress.
+  // Layers outside their time window are silent.
+  function followLevels(transitionSets, progress, timelineSeconds) {
+    const levels = new Map();
+    const add = (list, level) => {
+      for (const layer of list) {
+        if (isLayerActive(layer, timelineSeconds)) {
+          levels.set(layer, Math.max(levels.get(layer) ?? 0, level));
+        }
+      }
+    };
+    if (transitionSets) {
+      add(transitionSets.under, 1);
+      add(transitionSets.over, 1);
+      add(transitionSets.outgoing, 1 - progress);
+      add(transitionSets.incoming, progress);
+    } else {
+      add(layers, 1);
+    }
+    return levels;
+  }
+
   const layoutBindGroupLayout = device.createBindGroupLayout({
     entries: [
       {
@@ -616,114 +1532,818 @@ async function main() {
     entries: [
       { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } },
       { binding: 1, visibility: GPUShaderStage.FRAGMENT, externalTexture: {} },
+      { binding: 2, visibility: GPUShaderStage.FRAGMENT, externalTexture: {} },
+      // Blurred source, LUT and backdrop copy (see LayerEffects.prepare).
+      { binding: 3, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+      { binding: 4, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float', viewDimension: '3d' } },
+      { binding: 5, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
     ],
   });
-  const pipeline = device.createRenderPipeline({
-    layout: device.createPipelineLayout({ bindGroupLayouts: [layoutBindGroupLayout, textureBindGroupLayout] }),
-    vertex: {
-      module: shaderModule,
-      entryPoint: 'vsMain',
-      buffers: [
-        {
-          arrayStride: 16,
-          attributes: [
-            { shaderLocation: 0, offset: 0, format: 'float32x2' },
-            { shaderLocation: 1, offset: 8, format: 'float32x2' },
-          ],
-        },
-      ],
-    },
-    fragment: {
-      module: shaderModule,
-      entryPoint: 'fsMain',
-      targets: [
-        {
-          format: presentationFormat,
-          blend: {
-            color: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-            alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+  // One pipeline per blend mode; drop shadows only read the layer's uniform block.
+  const createLayerPipeline = (bindGroupLayouts, vertexEntryPoint, fragmentEntryPoint, blend) =>
+    device.createRenderPipeline({
+      layout: device.createPipelineLayout({ bindGroupLayouts }),
+      vertex: {
+        module: shaderModule,
+        entryPoint: vertexEntryPoint,
+        buffers: [
+          {
+            arrayStride: 16,
+            attributes: [
+              { shaderLocation: 0, offset: 0, format: 'float32x2' },
+              { shaderLocation: 1, offset: 8, format: 'float32x2' },
+            ],
           },
-        },
-      ],
-    },
-    primitive: { topology: 'triangle-list' },
-    multisample: {
-      count: MSAA_SAMPLE_COUNT,
-    },
-  });
+        ],
+      },
+      fragment: {
+        module: shaderModule,
+        entryPoint: fragmentEntryPoint,
+        targets: [{ format: WORKING_FORMAT, blend }],
+      },
+      primitive: { topology: 'triangle-list' },
+      multisample: {
+        count: MSAA_SAMPLE_COUNT,
+      },
+    });
+  const layerPipelines = Object.fromEntries(
+    BLEND_MODES.map((mode) => [
+      mode,
+      createLayerPipeline([layoutBindGroupLayout, textureBindGroupLayout], 'vsMain', 'fsMain', blendState(mode)),
+    ])
+  );
+  const shadowPipeline = createLayerPipeline([layoutBindGroupLayout], 'vsShadow', 'fsShadow', blendState('normal'));
 
-  const layoutBindGroup = device.createBindGroup({
-    layout: layoutBindGroupLayout,
-    entries: [{ binding: 0, resource: { buffer: layoutBuffer, offset: 0, size: LAYOUT_FLOAT_BYTES } }],
-  });
+  const createLayoutBindGroup = () =>
+    device.createBindGroup({
+      layout: layoutBindGroupLayout,
+      entries: [{ binding: 0, resource: { buffer: layoutBuffer, offset: 0, size: LAYOUT_FLOAT_BYTES } }],
+    });
+  let layoutBindGroup = createLayoutBindGroup();
+
+  // Reassigns every layer's uniform slot after layers were added or removed, doubling the buffer
+  // when it runs out of slots.
+  function refreshLayoutBlocks() {
+    const list = allLayers();
+    if (list.length > layoutCapacity) {
+      while (layoutCapacity < list.length) {
+        layoutCapacity *= 2;
+      }
+      layoutBuffer.destroy();
+      layoutBuffer = device.createBuffer({
+        size: layoutCapacity * LAYOUT_STRIDE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+      });
+      layoutBindGroup = createLayoutBindGroup();
+    }
+    applyLayoutBlocks(device, layoutBuffer, list, canvasWidth, canvasHeight, currentTimelineSeconds);
+  }
   const sampler = device.createSampler({ magFilter: 'linear', minFilter: 'linear' });
 
-  const timelineOriginMs = performance.now();
-  let lastFrameIndex = -1;
-
-  function renderFrame(nowMs) {
-    const elapsedMs = nowMs - timelineOriginMs;
-    const frameIndex = Math.floor(elapsedMs / frameIntervalMs);
-    if (frameIndex <= lastFrameIndex) {
-      requestAnimationFrame(renderFrame);
-      return;
-    }
-    lastFrameIndex = frameIndex;
+  const layerEffects = new LayerEffects(device, {
+    shaderCode: await fetchShader('./blur.wgsl'),
+    width: canvasWidth,
+    height: canvasHeight,
+    log,
+  });
 
-    const targetPtsUs = frameIndex * frameIntervalMs * 1000;
-    const timelineSeconds = targetPtsUs / 1_000_000;
+  const transitionShaderCode = await fetchShader('./transitions.wgsl');
+  const transitionRenderer = new TransitionRenderer(device, {
+    shaderCode: transitionShaderCode,
+    format: WORKING_FORMAT,
+    sampleCount: MSAA_SAMPLE_COUNT,
+    width: canvasWidth,
+    height: canvasHeight,
+  });
+  const outputShaderCode = colorShaderCode + (await fetchShader('./output.wgsl'));
+  const outputTransform = new OutputTransform(device, {
+    shaderCode: outputShaderCode,
+    format: presentationFormat,
+    width: canvasWidth,
+    height: canvasHeight,
+    output: outputColor,
+  });
 
-    const currentTextureView = context.getCurrentTexture().createView();
-    const encoder = device.createCommandEncoder();
-    const colorAttachment = {
-      view: MSAA_SAMPLE_COUNT > 1 ? msaaColorView : currentTextureView,
-      loadOp: 'clear',
-      storeOp: 'store',
-      clearValue: { r: 0.015, g: 0.015, b: 0.025, a: 1 },
+  // The preview bus gets its own canvas and output pass; it is only rendered when the page has a
+  // preview canvas and the scene has a switcher section (or ?switcher=1).
+  let previewOutput = null;
+  if (previewCanvas && (config.switcher || urlParams.get('switcher') === '1')) {
+    previewCanvas.width = canvasWidth;
+    previewCanvas.height = canvasHeight;
+    const previewContext = previewCanvas.getContext('webgpu');
+    previewContext.configure({ device, format: presentationFormat, alphaMode: 'opaque' });
+    previewOutput = {
+      context: previewContext,
+      transform: new OutputTransform(device, {
+        shaderCode: outputShaderCode,
+        format: presentationFormat,
+        width: canvasWidth,
+        height: canvasHeight,
+        output: outputColor,
+      }),
     };
-    if (MSAA_SAMPLE_COUNT > 1) {
-      colorAttachment.resolveTarget = currentTextureView;
-    }
-    const pass = encoder.beginRenderPass({
-      colorAttachments: [colorAttachment],
-    });
-    pass.setPipeline(pipeline);
-    pass.setVertexBuffer(0, vertexBuffer);
-
-    if (htmlOverlayConfig && htmlOverlayFrame) {
-      const active = isLayerActive(htmlOverlayConfig, timelineSeconds);
-      htmlOverlayFrame.style.opacity = active ? String(clamp01(htmlOverlayConfig.alpha ?? 1)) : '0';
-    }
+    previewCanvas.parentElement.hidden = false;
+  }
 
-    for (const layer of layers) {
-      if (!layer.source?.isReady()) {
-        continue;
-      }
+  // target is a CompositeTarget: blur and overlay layers interrupt its pass for passes of their own.
+  function drawLayers(target, list, targetPtsUs, timelineSeconds) {
+    for (const layer of list) {
       if (!isLayerActive(layer, timelineSeconds)) {
+        // Playlists cue their first clip while they wait for time.in.
+        layer.source?.cue?.(targetPtsUs);
         continue;
       }
-      const frame = layer.source.getFrame(targetPtsUs);
+      // Monitored sources that are not live or show a frozen/black picture hand over to the
+      // layer's fallback, when it has one.
+      const healthy = layer.source?.isHealthy?.() !== false;
+      const source = !healthy && layer.fallbackSource ? layer.fallbackSource : layer.source;
+      const frame = source?.isReady() ? source.getFrame(targetPtsUs) : null;
+      // Read by the multiviewer to slate tiles that have nothing (healthy) to show.
+      layer.hasSignal = Boolean(frame) && healthy;
       if (!frame) {
+        renderStats.recordLayer(layer.id, null, source);
         continue;
       }
+      const keyFrame = layer.kind === 'fill-key' ? layer.source.getKeyFrame(targetPtsUs) : null;
+      if (layer.kind === 'fill-key' && !keyFrame) {
+        renderStats.recordLayer(layer.id, null, source);
+        continue;
+      }
+      renderStats.recordLayer(layer.id, frame, source);
+      // Replay buffers record the input's own frames, not its fallback's.
+      if (source === layer.source && !offlineRenderActive) {
+        replays.record(layer, frame, targetPtsUs);
+      }
+      // Flat colors have no shape of their own and always fill the rect.
+      const content = source instanceof ColorSource ? null : frameDisplaySize(frame, layer.pixelAspect);
+      const resized = content?.width !== layer.contentSize?.width || content?.height !== layer.contentSize?.height;
+      if (resized) {
+        layer.contentSize = content;
+      }
+      if (layer.animation || resized) {
+        writeLayoutBlock(device, layoutBuffer, layer, canvasWidth, canvasHeight, timelineSeconds);
+      }
+      writeColorBlock(device, layoutBuffer, layer, frame, outputColor);
+      if (layer.effects.dropShadow) {
+        target.pass.setPipeline(shadowPipeline);
+        target.pass.setVertexBuffer(0, vertexBuffer);
+        target.pass.setBindGroup(0, layoutBindGroup, [layer.dynamicOffset]);
+        target.pass.draw(6, 1, 0, 0);
+      }
       const externalTexture = device.importExternalTexture({ source: frame });
+      const keyTexture = keyFrame ? device.importExternalTexture({ source: keyFrame }) : externalTexture;
       const textureBindGroup = device.createBindGroup({
         layout: textureBindGroupLayout,
         entries: [
           { binding: 0, resource: sampler },
           { binding: 1, resource: externalTexture },
+          { binding: 2, resource: keyTexture },
+          ...layerEffects.prepare(target, layer, frame, externalTexture),
         ],
       });
+      const { pass } = target;
+      pass.setPipeline(layerPipelines[layer.effects.blendMode]);
+      pass.setVertexBuffer(0, vertexBuffer);
       pass.setBindGroup(0, layoutBindGroup, [layer.dynamicOffset]);
       pass.setBindGroup(1, textureBindGroup);
       pass.draw(6, 1, 0, 0);
+      if (layer.burnIn) {
+        drawBurnIn(target, layer.burnIn, layerGeometry(layer, timelineSeconds), targetPtsUs);
+      }
+    }
+  }
+
+  function layerGeometry(layer, timelineSeconds) {
+    return computeLayerGeometry(evaluateAnimation(layer.layout, layer.animation, timelineSeconds), {
+      canvasWidth,
+      canvasHeight,
+      content: layer.contentSize,
+    });
+  }
+
+  // Timecode burn-ins count frames of the composition clock, whatever rate the sources run at.
+  function drawBurnIn(target, burnIn, geometry, targetPtsUs) {
+    const frameIndex = Math.round(targetPtsUs / (frameIntervalMs * 1000));
+    generatorRenderer.drawBurnIn(target.pass, burnInBlock(burnIn, geometry, frameIndex, targetFps));
+  }
+
+  function drawMultiviewer(target, targetPtsUs, timelineSeconds) {
+    const peaks = new Map((audioMixer?.levels().inputs ?? []).map(({ id, peakDb }) => [id, peakDb]));
+    const tiles = findVideoLayout(activeVideoLayoutId).layers.map((layer) => ({
+      id: layer.id,
+      label: layer.descriptor.label,
+      tally: layer.descriptor.tally,
+      rect: evaluateAnimation(layer.layout, layer.animation, timelineSeconds),
+      signal: layer.hasSignal !== false || !isLayerActive(layer, timelineSeconds),
+      peakDb: peaks.get(layer.id) ?? null,
+    }));
+    multiviewerLayer.source.render(tiles, { timelineSeconds, timestampUs: targetPtsUs });
+    drawLayers(target, [multiviewerLayer], targetPtsUs, timelineSeconds);
+  }
+
+  // Layers are composed in linear light into the working texture; the output transform encodes
+  // that into the canvas once everything is blended.
+  function beginCompositePass(encoder, transform) {
+    return new CompositeTarget(encoder, {
+      view: MSAA_SAMPLE_COUNT > 1 ? msaaColorView : transform.compositeView,
+      resolveTarget: MSAA_SAMPLE_COUNT > 1 ? transform.compositeView : null,
+      texture: transform.composite,
+      clearValue: { ...backgroundColor, a: 1 },
+    });
+  }
+
+  function drawPreview(encoder, targetPtsUs, timelineSeconds) {
+    const target = beginCompositePass(encoder, previewOutput.transform);
+    drawLayers(target, composeLayers(findVideoLayout(preview.layoutId).layers, overlayPages, preview.pageId), targetPtsUs, timelineSeconds);
+    drawLayers(target, htmlOverlayLayers(), targetPtsUs, timelineSeconds);
+    target.end();
+    previewOutput.transform.draw(encoder, previewOutput.context.getCurrentTexture().createView());
+  }
+
+  let timelineOriginMs = performance.now();
+  let lastFrameIndex = -1;
+  let offlineRenderActive = false;
+  // Collects each frame's follow-video levels during renderOffline(), for its audio mix.
+  let offlineFrameLevels = null;
+
+  // Renders one composition frame; frameIndex drives transitions, targetPtsUs picks source frames.
+  // missedFrames counts the timeline frames skipped since the previous one (see render-stats.js).
+  function renderComposition(frameIndex, targetPtsUs, missedFrames = 0) {
+    const startedMs = performance.now();
+    renderStats.beginFrame({ frameIndex, targetPtsUs, missedFrames });
+    const timelineSeconds = targetPtsUs / 1_000_000;
+    currentTimelineSeconds = timelineSeconds;
+    scheduler.tick(timelineSeconds, offlineRenderActive ? null : new Date());
+
+    let transition = activeTransition;
+    let transitionSets = null;
+    let progress = 0;
+    if (transition) {
+      if (transition.startFrame === null) {
+        transition.startFrame = frameIndex;
+      }
+      progress = transitionProgress(transition, frameIndex);
+      if (progress >= 1) {
+        completeTransition(transition);
+        transition = null;
+      } else {
+        transitionSets = transitionLayerSets(transition);
+      }
+    }
+
+    const levels = followLevels(transitionSets, progress, timelineSeconds);
+    audioMixer?.follow(levels);
+    offlineFrameLevels?.push({ time: timelineSeconds, levels });
+
+    const currentTextureView = context.getCurrentTexture().createView();
+    const encoder = device.createCommandEncoder();
+    gpuTimer?.begin(encoder);
+    layerEffects.beginFrame();
+    generatorRenderer.beginFrame();
+    replays.beginFrame();
+
+    if (transitionSets) {
+      for (const slot of ['outgoing', 'incoming']) {
+        const offscreenTarget = transitionRenderer.beginPass(encoder, slot);
+        drawLayers(offscreenTarget, transitionSets[slot], targetPtsUs, timelineSeconds);
+        offscreenTarget.end();
+      }
+    }
+
+    const target = beginCompositePass(encoder, outputTransform);
+
+    if (transitionSets) {
+      drawLayers(target, transitionSets.under, targetPtsUs, timelineSeconds);
+      transitionRenderer.draw(target.pass, transition, progress);
+      drawLayers(target, transitionSets.over, targetPtsUs, timelineSeconds);
+    } else {
+      drawLayers(target, layers, targetPtsUs, timelineSeconds);
+    }
+    drawLayers(target, htmlOverlayLayers(), targetPtsUs, timelineSeconds);
+    if (multiviewerLayer) {
+      drawMultiviewer(target, targetPtsUs, timelineSeconds);
+    }
+    if (programBurnIn) {
+      drawBurnIn(target, programBurnIn, programGeometry, targetPtsUs);
     }
 
-    pass.end();
+    target.end();
+    outputTransform.draw(encoder, currentTextureView);
+    if (previewOutput && !offlineRenderActive) {
+      drawPreview(encoder, targetPtsUs, timelineSeconds);
+    }
+    if (!offlineRenderActive) {
+      replays.captureUndrawn(allLayers().filter((layer) => isLayerActive(layer, timelineSeconds)), targetPtsUs);
+    }
+    gpuTimer?.end(encoder);
     device.queue.submit([encoder.finish()]);
+    renderStats.endFrame({ cpuMs: performance.now() - startedMs, gpuTime: gpuTimer?.read() ?? null });
+  }
+
+  function renderFrame(nowMs) {
+    if (offlineRenderActive) {
+      requestAnimationFrame(renderFrame);
+      return;
+    }
+    const elapsedMs = nowMs - timelineOriginMs;
+    const frameIndex = Math.floor(elapsedMs / frameIntervalMs);
+    if (frameIndex <= lastFrameIndex) {
+      renderStats.idleTick();
+      requestAnimationFrame(renderFrame);
+      return;
+    }
+    const missedFrames = lastFrameIndex < 0 ? 0 : frameIndex - lastFrameIndex - 1;
+    lastFrameIndex = frameIndex;
+    renderComposition(frameIndex, frameIndex * frameIntervalMs * 1000, missedFrames);
     requestAnimationFrame(renderFrame);
   }
 
+  // The offline mix applies the follow-video levels each output frame was rendered with (see
+  // renderComposition), so schedule events and transitions move the audio with the picture. The
+  // program bus is rendered with an OfflineAudioContext; returns null when nothing is audible.
+  async function renderProgramAudio(frameLevels, frameCount) {
+    // Layers decoded with WebCodecs play no audio live, so they stay out of the offline mix too.
+    const audible = allLayers().filter((layer) => layer.kind === 'video' && layer.descriptor.decoder !== 'webcodecs');
+    if (!audible.length) {
+      return null;
+    }
+    const envelopes = new Map(audible.map((layer) => [layer, []]));
+    for (const { time, levels } of frameLevels) {
+      for (const [layer, envelope] of envelopes) {
+        const level = levels.get(layer) ?? 0;
+        if (envelope.at(-1)?.level !== level) {
+          envelope.push({ time, level });
+        }
+      }
+    }
+    log('Offline render: mixing audio…');
+    const buffer = await renderMixdown({
+      durationSeconds: frameCount / recordingFps,
+      masterGainDb: audioConfig.masterGainDb ?? 0,
+      inputs: audible.map((layer) => ({
+        url: layer.descriptor.url,
+        loop: layer.descriptor.loop,
+        audio: layer.audio,
+        envelope: envelopes.get(layer),
+      })),
+      onWarning: log,
+    });
+    return encodeAudioBuffer(buffer, { bitrate: recordingConfig.audioBitsPerSecond ?? 128_000 });
+  }
+
+  // Offline mode suspends the realtime loop and pauses every source, so frames are rendered at exact
+  // timeline positions (see seekOnAirSources). Returns the paused sources for leaveOfflineMode().
+  function enterOfflineMode() {
+    if (offlineRenderActive) {
+      throw new Error('Offline render already in progress');
+    }
+    offlineRenderActive = true;
+    if (activeTransition) {
+      completeTransition(activeTransition);
+    }
+    publishState();
+    const pausable = sourcePool.sources().filter((source) => typeof source.enterOffline === 'function');
+    pausable.forEach((source) => source.enterOffline());
+    return pausable;
+  }
+
+  function leaveOfflineMode(pausable) {
+    pausable.forEach((source) => source.leaveOffline());
+    timelineOriginMs = performance.now();
+    lastFrameIndex = -1;
+    offlineRenderActive = false;
+    publishState();
+  }
+
+  // Seeks every source on air at timestampUs; returns the layers on air.
+  async function seekOnAirSources(timestampUs) {
+    const timelineSeconds = timestampUs / 1_000_000;
+    // Scheduled events first, so the sources they put on air are seeked too.
+    scheduler.tick(timelineSeconds, null);
+    const onAir = activeTransition ? Object.values(transitionLayerSets(activeTransition)).flat() : layers;
+    const pending = new Set(onAir.filter((layer) => isLayerActive(layer, timelineSeconds)).map((layer) => layer.source));
+    await Promise.all([...pending].map((source) => source.seekFrame?.(timestampUs)));
+    return onAir;
+  }
+
+  // Frame-accurate export: the realtime loop is suspended, every source is paused and seeked to the
+  // exact PTS of each output frame, and the canvas is encoded with WebCodecs. The same scene always
+  // yields round(recording.duration * recording.fps) frames.
+  window.renderOffline = async () => {
+    const pausable = enterOfflineMode();
+    const frameCount = Math.round(recordingDurationSeconds * recordingFps);
+    const startedMs = performance.now();
+    log(`Offline render: ${frameCount} frames at ${recordingFps} fps into ${recordingContainer}…`);
+    const frameLevels = [];
+    offlineFrameLevels = frameLevels;
+    try {
+      const audio = DEBUG_FLAGS.enableAudio && window.OfflineAudioContext ? () => renderProgramAudio(frameLevels, frameCount) : null;
+      const blob = await renderOffline({
+        canvas,
+        width: canvasWidth,
+        height: canvasHeight,
+        fps: recordingFps,
+        frameCount,
+        container: recordingContainer,
+        codec: recordingCodec,
+        bitrate: recordingBitsPerSecond,
+        keyframeIntervalFrames: recordingConfig.keyframeInterval ?? null,
+        audio,
+        prepareFrame: async (index, timestampUs) => {
+          await seekOnAirSources(timestampUs);
+        },
+        drawFrame: (index, timestampUs) => {
+          renderComposition(Math.round(timestampUs / (frameIntervalMs * 1000)), timestampUs);
+        },
+        onProgress: (done, total) => {
+          if (done % recordingFps === 0 || done === total) {
+            log(`Offline render: ${done}/${total} frames`);
+          }
+        },
+      });
+      const seconds = ((performance.now() - startedMs) / 1000).toFixed(1);
+      log(`Offline render finished in ${seconds}s (${(blob.size / (1024 * 1024)).toFixed(2)} MiB).`);
+      return blob;
+    } finally {
+      offlineFrameLevels = null;
+      leaveOfflineMode(pausable);
+    }
+  };
+
+  // Golden-frame tests (see golden-frames.js): renders timeline frames (in ascending order) like the
+  // offline render and returns each as a PNG data URL of the output canvas. Layers on air wait up to
+  // readyTimeoutMs for their sources to load first.
+  window.captureFrames = async (frameIndices, { readyTimeoutMs = 10_000 } = {}) => {
+    const pausable = enterOfflineMode();
+    try {
+      const images = [];
+      for (const frameIndex of frameIndices) {
+        const timestampUs = frameIndex * frameIntervalMs * 1000;
+        const onAir = await seekOnAirSources(timestampUs);
+        const active = onAir.filter((layer) => isLayerActive(layer, timestampUs / 1_000_000));
+        const deadline = performance.now() + readyTimeoutMs;
+        while (active.some((layer) => !layer.source?.isReady())) {
+          if (performance.now() > deadline) {
+            const waiting = active.filter((layer) => !layer.source?.isReady()).map((layer) => layer.id);
+            throw new Error(`Frame ${frameIndex}: sources not ready after ${readyTimeoutMs} ms: ${waiting.join(', ')}`);
+          }
+          await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+        renderComposition(frameIndex, timestampUs);
+        // Read back in the same task, before the canvas is presented and cleared.
+        images.push(canvas.toDataURL('image/png'));
+      }
+      return images;
+    } finally {
+      leaveOfflineMode(pausable);
+    }
+  };
+
+  startOfflineRecording = async () => {
+    setRecordButton(true, 'Rendering…');
+    try {
+      const blob = await window.renderOffline();
+      downloadBlob(blob, `webgpu-composition.${recordingContainer === 'mp4' ? 'mp4' : 'webm'}`);
+    } catch (error) {
+      console.error(error);
+      log(`Offline render failed: ${error.message}`);
+    } finally {
+      setRecordButton(false, idleRecordLabel);
+    }
+  };
+
+  // Runtime scene API. Layers are addressed by id; ids only need to be unique within their layout
+  // or page, so { pageId } / { layoutId } disambiguates when the same id appears more than once.
+  const layerContainers = (target = {}) => {
+    if (target.pageId !== undefined) {
+      return overlayPages.filter((page) => page.id === target.pageId).map((container) => ({ container, role: 'overlay' }));
+    }
+    if (target.layoutId !== undefined) {
+      return videoLayouts.filter((layout) => layout.id === target.layoutId).map((container) => ({ container, role: 'base' }));
+    }
+    return [
+      ...videoLayouts.map((container) => ({ container, role: 'base' })),
+      ...overlayPages.map((container) => ({ container, role: 'overlay' })),
+    ];
+  };
+
+  function findLayer(id, target) {
+    const matches = layerContainers(target).flatMap(({ container, role }) =>
+      container.layers.filter((layer) => layer.id === id).map((layer) => ({ container, role, layer }))
+    );
+    if (!matches.length) {
+      throw new Error(`Layer "${id}" not found`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Layer id "${id}" is used more than once; pass { pageId } or { layoutId }`);
+    }
+    return matches[0];
+  }
+
+  function assertValidLayer(descriptor, role) {
+    const { valid, errors } = validateLayer(descriptor, role === 'base' ? 'video' : 'overlay');
+    if (!valid) {
+      throw new Error(`Invalid layer: ${formatProblems(errors).join('; ')}`);
+    }
+  }
+
+  function layersChanged() {
+    rebuildLayers();
+    refreshLayoutBlocks();
+    audioMixer?.sync(allLayers());
+    replays.sync(allLayers());
+    publishState();
+  }
+
+  // Adds to the on-air overlay page unless { pageId } or { layoutId } says otherwise; resolves
+  // with the layer id once its source is ready.
+  window.addLayer = async (descriptor, target = {}) => {
+    const resolvedTarget =
+      target.pageId !== undefined || target.layoutId !== undefined
+        ? target
+        : activeOverlayPageId !== null
+          ? { pageId: activeOverlayPageId }
+          : { layoutId: activeVideoLayoutId };
+    const [match] = layerContainers(resolvedTarget);
+    if (!match) {
+      throw new Error(`Overlay page or video layout "${resolvedTarget.pageId ?? resolvedTarget.layoutId}" not found`);
+    }
+    const { container, role } = match;
+    assertValidLayer(descriptor, role);
+    const id = descriptor.id ?? `${container.id}#${crypto.randomUUID()}`;
+    if (container.layers.some((layer) => layer.id === id)) {
+      throw new Error(`Layer "${id}" already exists in "${container.id}"`);
+    }
+    const layer = await createLayer(descriptor, {
+      id,
+      role,
+      pool: sourcePool,
+      defaultDurationSeconds: defaultTimelineSeconds,
+    });
+    container.layers.push(layer);
+    layersChanged();
+    log(`Added layer ${id} to ${container.id}`);
+    return id;
+  };
+
+  // Shallow-merges patch into the layer's descriptor (a patched keyframes object replaces the old
+  // one). The source is reopened only when url, loop or type change.
+  window.updateLayer = async (id, patch, target = {}) => {
+    const { layer, role } = findLayer(id, target);
+    if (patch.id !== undefined && patch.id !== id) {
+      throw new Error('Layer ids cannot be changed; remove and add the layer instead');
+    }
+    const descriptor = { ...layer.descriptor, ...patch };
+    assertValidLayer(descriptor, role);
+    await updateLayerDescriptor(layer, descriptor, { pool: sourcePool, defaultDurationSeconds: defaultTimelineSeconds });
+    layersChanged();
+  };
+
+  window.removeLayer = (id, target = {}) => {
+    const { container, layer } = findLayer(id, target);
+    container.layers = container.layers.filter((candidate) => candidate !== layer);
+    layersChanged();
+    releaseLayer(sourcePool, layer);
+    log(`Removed layer ${id} from ${container.id}`);
+  };
+
+  // Runtime data for a text layer; the scene's `text` comes back once the scene changes it.
+  window.setLayerText = (id, text, target = {}) => {
+    const { layer } = findLayer(id, target);
+    if (layer.kind !== 'text') {
+      throw new Error(`Layer "${id}" is not a text layer`);
+    }
+    layer.source.setText(text);
+  };
+
+  // Multiviewer tally border for a tile: 'program', 'preview' or 'none'; null goes back to the
+  // layer's own `tally` field.
+  window.setTally = (id, state) => {
+    if (state !== null && !TALLY_STATES.includes(state)) {
+      throw new Error(`Tally must be one of ${TALLY_STATES.join(', ')} or null`);
+    }
+    if (!multiviewerLayer) {
+      log('setTally: the scene has no multiviewer section.');
+      return;
+    }
+    multiviewerLayer.source.setTally(id, state);
+  };
+
+  // Debug view of a layer's key matte (white = opaque), without touching the scene JSON.
+  window.showMatte = (id, enabled = true, target = {}) => {
+    const { layer } = findLayer(id, target);
+    layer.showMatte = enabled;
+    refreshLayoutBlocks();
+  };
+
+  // Matches new entries to live layers by id: unchanged layers are kept as they are, changed ones
+  // are updated in place and only new ids open sources. Layers it creates and updates it prepares go
+  // into `pending`, for the caller to apply or release; nothing live changes before the returned
+  // commit function runs. That returns the removed layers, released by the caller once off air.
+  async function planContainers(containers, nextContainers, role, pending) {
+    const previous = new Map(containers.map((container) => [container.id, container]));
+    const planned = [];
+    const removed = [];
+    for (const { id, entries } of nextContainers) {
+      const container = previous.get(id) ?? { id, layers: [] };
+      previous.delete(id);
+      const existing = new Map(container.layers.map((layer) => [layer.id, layer]));
+      const nextLayers = [];
+      for (const [index, entry] of entries.entries()) {
+        const layerId = layerIdFor(entry, id, index);
+        const layer = existing.get(layerId);
+        existing.delete(layerId);
+        if (!layer) {
+          const createdLayer = await createLayer(entry, {
+            id: layerId,
+            role,
+            pool: sourcePool,
+            defaultDurationSeconds: defaultTimelineSeconds,
+          });
+          pending.created.push(createdLayer);
+          nextLayers.push(createdLayer);
+          continue;
+        }
+        if (JSON.stringify(layer.descriptor) !== JSON.stringify(entry)) {
+          pending.updates.push(
+            await prepareLayerUpdate(layer, entry, { pool: sourcePool, defaultDurationSeconds: defaultTimelineSeconds })
+          );
+        }
+        nextLayers.push(layer);
+      }
+      removed.push(...existing.values());
+      planned.push({ container, nextLayers });
+    }
+    previous.forEach((container) => removed.push(...container.layers));
+    return () => {
+      planned.forEach(({ container, nextLayers }) => {
+        container.layers = nextLayers;
+      });
+      containers.splice(0, containers.length, ...planned.map(({ container }) => container));
+      return removed;
+    };
+  }
+
+  let currentScene = config;
+  async function applyScene(scene) {
+    if (offlineRenderActive) {
+      throw new Error('Cannot load a scene while an offline render is running');
+    }
+    const sceneValidation = validateScene(scene);
+    formatProblems(sceneValidation.warnings).forEach((line) => log(`Scene warning: ${line}`));
+    if (!sceneValidation.valid) {
+      formatProblems(sceneValidation.errors).forEach((line) => log(`Scene error: ${line}`));
+      throw new Error(`Scene has ${sceneValidation.errors.length} error(s); keeping the current scene`);
+    }
+    for (const key of ['canvas', 'recording', 'output', 'control']) {
+      if (JSON.stringify(scene[key]) !== JSON.stringify(currentScene[key])) {
+        log(`Scene ${key} settings changed; reload the page to apply them.`);
+      }
+    }
+    if (activeTransition) {
+      completeTransition(activeTransition);
+    }
+
+    // Every source the new scene needs is opened before anything live changes; if one fails, the
+    // ones already opened are released and the current scene stays as it was.
+    const pending = { created: [], updates: [] };
+    let commits;
+    try {
+      commits = [
+        await planContainers(videoLayouts, videoLayoutEntries(scene), 'base', pending),
+        await planContainers(overlayPages, overlayPageEntries(scene), 'overlay', pending),
+        await planContainers(htmlOverlays, htmlOverlayEntries(scene), 'overlay', pending),
+      ];
+    } catch (error) {
+      pending.created.forEach((layer) => releaseLayer(sourcePool, layer));
+      pending.updates.forEach((update) => update.discard());
+      throw error;
+    }
+    pending.updates.forEach((update) => update.apply());
+    const removed = commits.flatMap((commit) => commit());
+    if (!videoLayouts.some((layout) => layout.id === activeVideoLayoutId)) {
+      activeVideoLayoutId = videoLayouts[0].id;
+    }
+    if (activeOverlayPageId !== null && !overlayPages.some((page) => page.id === activeOverlayPageId)) {
+      activeOverlayPageId = overlayPages[0]?.id ?? null;
+    }
+    if (!videoLayouts.some((layout) => layout.id === preview.layoutId)) {
+      preview.layoutId = activeVideoLayoutId;
+    }
+    if (preview.pageId !== null && !overlayPages.some((page) => page.id === preview.pageId)) {
+      preview.pageId = activeOverlayPageId;
+    }
+    transitionDefaults = scene.transition ?? {};
+    scheduler.setEvents(scene.schedule);
+    switcherConfig = scene.switcher ?? {};
+    audioConfig = scene.audio ?? {};
+    audioMixer?.setMasterGainDb(audioConfig.masterGainDb ?? 0);
+    setMultiviewer(normalizeMultiviewer(scene.multiviewer));
+    programBurnIn = normalizeBurnIn(scene.timecode);
+
+    layersChanged();
+    removed.forEach((layer) => releaseLayer(sourcePool, layer));
+    currentScene = scene;
+    log(`Scene updated: ${allLayers().length} layers, ${removed.length} removed.`);
+  }
+
+  // Accepts a scene object or JSON text. Loads are queued so overlapping reloads apply in order.
+  let sceneQueue = Promise.resolve();
+  window.loadScene = (input) => {
+    const load = sceneQueue.then(() => applyScene(typeof input === 'string' ? JSON.parse(input) : input));
+    sceneQueue = load.catch(() => {});
+    return load;
+  };
+
+  // Polls the config URL and applies edits without restarting (?watch=1 or "watch" in the scene).
+  const watchOption = urlParams.get('watch') === '1' ? true : config.watch ?? false;
+  if (watchOption) {
+    const intervalMs = watchOption.intervalMs ?? 1000;
+    // Each distinct file revision is tried once, so a broken edit is reported once rather than on
+    // every poll; whitespace-only edits do not touch the scene.
+    let lastText = null;
+    const poll = async () => {
+      try {
+        const text = await fetch(CONFIG_URL, { cache: 'no-store' }).then((res) => res.text());
+        if (text !== lastText) {
+          lastText = text;
+          const scene = JSON.parse(text);
+          if (JSON.stringify(scene) !== JSON.stringify(currentScene)) {
+            log(`${CONFIG_URL} changed; applying.`);
+            await window.loadScene(scene);
+          }
+        }
+      } catch (error) {
+        log(`Scene reload skipped: ${error.message}`);
+      }
+      setTimeout(poll, intervalMs);
+    };
+    setTimeout(poll, intervalMs);
+    log(`Watching ${CONFIG_URL} every ${intervalMs} ms.`);
+  }
+
+  // Remote control (see remote-control.js): the methods below, plus state and tally events
+  // whenever the buses, a transition, the layers, recording or output change.
+  const controlSettings = normalizeControl(config.control);
+  const controlUrl = urlParams.get('control') ?? controlSettings.url;
+  if (controlUrl || controlSettings.channel) {
+    remoteControl = new RemoteControl(
+      {
+        getState: () => controlState(),
+        getHealth: () => window.getSourceHealth(),
+        getStats: ({ frames }) => window.getRenderStats(frames),
+        exportStats: ({ format }) => ({ format: format ?? 'json', data: window.exportRenderStats(format) }),
+        setOverlayPage: async ({ pageId, transition }) => {
+          await putOnAir('overlay', pageId ?? null, transition);
+          return switcherState();
+        },
+        setVideoLayout: async ({ layoutId, transition }) => {
+          await putOnAir('layout', layoutId, transition);
+          return switcherState();
+        },
+        transitionTo: async ({ target, ...options }) => {
+          await window.transitionTo(target, options);
+          return switcherState();
+        },
+        setPreview: (target) => window.switcher.setPreview(target),
+        cut: async () => {
+          await window.switcher.cut();
+          return switcherState();
+        },
+        auto: async (options) => {
+          await window.switcher.auto(options);
+          return switcherState();
+        },
+        take: async (options) => {
+          await window.switcher.take(options);
+          return switcherState();
+        },
+        addLayer: async ({ layer, pageId, layoutId }) => ({ id: await window.addLayer(layer, { pageId, layoutId }) }),
+        updateLayer: ({ id, patch, pageId, layoutId }) => window.updateLayer(id, patch, { pageId, layoutId }),
+        removeLayer: ({ id, pageId, layoutId }) => window.removeLayer(id, { pageId, layoutId }),
+        setLayerText: ({ id, text, pageId, layoutId }) => window.setLayerText(id, text, { pageId, layoutId }),
+        setTally: ({ id, state }) => window.setTally(id, state),
+        markIn: ({ inputId, time }) => window.markIn(inputId, time),
+        markOut: ({ inputId, time }) => window.markOut(inputId, time),
+        playReplay: ({ inputId, ...options }) => window.playReplay(inputId, options),
+        stopReplay: ({ channel }) => window.stopReplay(channel),
+        getReplayStatus: () => window.getReplayStatus(),
+        loadScene: ({ scene }) => window.loadScene(scene),
+        startRecording: () => window.startRecording(),
+        stopRecording: () => window.stopRecording(),
+        startOutput: () => window.startOutput(),
+        stopOutput: () => window.stopOutput(),
+      },
+      { log }
+    );
+    if (controlUrl) {
+      remoteControl.connect(controlUrl);
+    }
+    if (controlSettings.channel) {
+      remoteControl.listen(controlSettings.channel);
+    }
+  }
+
   requestAnimationFrame(renderFrame);
 }
 
@@ -0,0 +1,533 @@
+// MP4 readers. Mp4StreamDemuxer takes fragmented MP4 for streamed input: bytes arrive in arbitrary
+// chunks, the init segment (ftyp + moov) describes the tracks and every moof + mdat pair yields
+// samples ready for EncodedVideoChunk. demuxMp4File() indexes a whole file, progressive or
+// fragmented, for the file decoder (see file-source.js). No DOM access, so the Node tools and
+// tests can walk the same boxes.
+const TEXT_DECODER = new TextDecoder();
+const MAX_BOX_BYTES = 64 * 1024 * 1024;
+
+// Trun/trex sample flags: sample_is_non_sync_sample.
+const NON_SYNC_SAMPLE = 0x00010000;
+
+function fourccAt(bytes, offset) {
+  return TEXT_DECODER.decode(bytes.subarray(offset, offset + 4));
+}
+
+function viewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+// Box header at `offset`, or null when fewer than a full header's bytes are available.
+// size 0 (box runs to the end of the data) is resolved against `end`.
+export function readBoxHeader(bytes, offset, end = bytes.byteLength) {
+  if (end - offset < 8) {
+    return null;
+  }
+  const view = viewOf(bytes);
+  let size = view.getUint32(offset);
+  const type = fourccAt(bytes, offset + 4);
+  let headerSize = 8;
+  if (size === 1) {
+    if (end - offset < 16) {
+      return null;
+    }
+    size = Number(view.getBigUint64(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = end - offset;
+  }
+  if (size < headerSize) {
+    throw new Error(`Malformed MP4: ${type} box at ${offset} has size ${size}`);
+  }
+  return { type, start: offset, size, headerSize, bodyStart: offset + headerSize, end: offset + size };
+}
+
+// Child boxes of a container body.
+export function readBoxes(bytes, start = 0, end = bytes.byteLength) {
+  const boxes = [];
+  let offset = start;
+  while (offset < end) {
+    const header = readBoxHeader(bytes, offset, end);
+    if (!header || header.end > end) {
+      break;
+    }
+    boxes.push(header);
+    offset = header.end;
+  }
+  return boxes;
+}
+
+function child(bytes, parent, type) {
+  return readBoxes(bytes, parent.bodyStart, parent.end).find((box) => box.type === type) ?? null;
+}
+
+// Follows a path of box types below `parent`, e.g. ['mdia', 'minf', 'stbl'].
+function descend(bytes, parent, path) {
+  let box = parent;
+  for (const type of path) {
+    box = box && child(bytes, box, type);
+  }
+  return box;
+}
+
+function hex(value, digits = 2) {
+  return value.toString(16).padStart(digits, '0');
+}
+
+function reverseBits32(value) {
+  let reversed = 0;
+  for (let bit = 0; bit < 32; bit += 1) {
+    reversed = (reversed << 1) | ((value >>> bit) & 1);
+  }
+  return reversed >>> 0;
+}
+
+// WebCodecs codec strings from decoder configuration records; the WebM reader uses them too.
+export function avcCodecString(type, avcC) {
+  return `${type}.${hex(avcC[1])}${hex(avcC[2])}${hex(avcC[3])}`;
+}
+
+export function hevcCodecString(type, hvcC) {
+  const profileSpace = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+  const tier = hvcC[1] & 0x20 ? 'H' : 'L';
+  const compatibility = reverseBits32(viewOf(hvcC).getUint32(2)).toString(16);
+  const constraints = [...hvcC.subarray(6, 12)];
+  while (constraints.length && constraints.at(-1) === 0) {
+    constraints.pop();
+  }
+  return [
+    type,
+    `${profileSpace}${hvcC[1] & 0x1f}`,
+    compatibility,
+    `${tier}${hvcC[12]}`,
+    ...constraints.map((byte) => byte.toString(16)),
+  ].join('.');
+}
+
+export function av1CodecString(av1C) {
+  const profile = av1C[1] >> 5;
+  const level = av1C[1] & 0x1f;
+  const tier = av1C[2] & 0x80 ? 'H' : 'M';
+  const bitDepth = av1C[2] & 0x40 ? (profile === 2 && av1C[2] & 0x20 ? 12 : 10) : 8;
+  return `av01.${profile}.${String(level).padStart(2, '0')}${tier}.${String(bitDepth).padStart(2, '0')}`;
+}
+
+// WebCodecs codec string (and decoder description) from a visual sample entry.
+function videoCodecConfig(bytes, entry) {
+  // VisualSampleEntry: 8 bytes SampleEntry + 70 bytes of fields before the child boxes.
+  const view = viewOf(bytes);
+  const codedWidth = view.getUint16(entry.bodyStart + 24);
+  const codedHeight = view.getUint16(entry.bodyStart + 26);
+  const configs = readBoxes(bytes, entry.bodyStart + 78, entry.end);
+  const config = (type) => {
+    const box = configs.find((candidate) => candidate.type === type);
+    return box ? bytes.slice(box.bodyStart, box.end) : null;
+  };
+  let codec = null;
+  let description = null;
+  if (entry.type === 'avc1' || entry.type === 'avc3') {
+    description = config('avcC');
+    codec = description && avcCodecString(entry.type, description);
+  } else if (entry.type === 'hvc1' || entry.type === 'hev1') {
+    description = config('hvcC');
+    codec = description && hevcCodecString(entry.type, description);
+  } else if (entry.type === 'vp09') {
+    const vpcC = config('vpcC');
+    if (vpcC) {
+      // Full box: version + flags, then profile, level, bitDepth(4) | chromaSubsampling(3) | range(1).
+      const pad = (value) => String(value).padStart(2, '0');
+      codec = `vp09.${pad(vpcC[4])}.${pad(vpcC[5])}.${pad(vpcC[6] >> 4)}`;
+    }
+  } else if (entry.type === 'av01') {
+    description = config('av1C');
+    codec = description && av1CodecString(description);
+  }
+  return { codec, codedWidth, codedHeight, description };
+}
+
+// Track list from a moov box: [{ id, kind, timescale, codec, codedWidth, codedHeight, description,
+// defaults, editShift }]. kind is 'video', 'audio' or the raw handler type; codec is null when
+// unsupported. editShift is the edit list shift that parseMoof() takes off composition times.
+export function parseMoov(bytes, moov) {
+  const view = viewOf(bytes);
+  const trex = new Map();
+  const mvex = child(bytes, moov, 'mvex');
+  for (const box of mvex ? readBoxes(bytes, mvex.bodyStart, mvex.end) : []) {
+    if (box.type === 'trex') {
+      const body = box.bodyStart + 4;
+      trex.set(view.getUint32(body), {
+        sampleDescriptionIndex: view.getUint32(body + 4),
+        sampleDuration: view.getUint32(body + 8),
+        sampleSize: view.getUint32(body + 12),
+        sampleFlags: view.getUint32(body + 16),
+      });
+    }
+  }
+
+  return readBoxes(bytes, moov.bodyStart, moov.end)
+    .filter((box) => box.type === 'trak')
+    .map((trak) => {
+      const tkhd = child(bytes, trak, 'tkhd');
+      const mdhd = descend(bytes, trak, ['mdia', 'mdhd']);
+      const hdlr = descend(bytes, trak, ['mdia', 'hdlr']);
+      const stsd = descend(bytes, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+      const tkhdVersion = bytes[tkhd.bodyStart];
+      const id = view.getUint32(tkhd.bodyStart + (tkhdVersion === 1 ? 20 : 12));
+      const mdhdVersion = bytes[mdhd.bodyStart];
+      const timescale = view.getUint32(mdhd.bodyStart + (mdhdVersion === 1 ? 20 : 12));
+      const handler = fourccAt(bytes, hdlr.bodyStart + 8);
+      const kind = handler === 'vide' ? 'video' : handler === 'soun' ? 'audio' : handler;
+      const [entry] = stsd ? readBoxes(bytes, stsd.bodyStart + 8, stsd.end) : [];
+      const config = kind === 'video' && entry ? videoCodecConfig(bytes, entry) : { codec: null };
+      return {
+        id,
+        kind,
+        timescale,
+        sampleEntry: entry?.type ?? null,
+        ...config,
+        defaults: trex.get(id) ?? {},
+        editShift: editListShift(bytes, trak),
+      };
+    });
+}
+
+// Samples of one moof, with byte ranges into `bytes`. `moofStart` is where the moof begins and
+// `positionOffset` maps absolute file positions (tfhd base_data_offset) to indexes into `bytes`. Composition
+// times are shifted by the track's edit list, as parseSampleTable()'s are.
+export function parseMoof(bytes, moof, tracks, { decodeTimes = new Map(), positionOffset = 0 } = {}) {
+  const view = viewOf(bytes);
+  const samples = [];
+  for (const traf of readBoxes(bytes, moof.bodyStart, moof.end).filter((box) => box.type === 'traf')) {
+    const tfhd = child(bytes, traf, 'tfhd');
+    const tfhdFlags = view.getUint32(tfhd.bodyStart) & 0xffffff;
+    let cursor = tfhd.bodyStart + 4;
+    const trackId = view.getUint32(cursor);
+    cursor += 4;
+    const track = tracks.find((candidate) => candidate.id === trackId);
+    const defaults = { ...(track?.defaults ?? {}) };
+    let baseOffset = moof.start;
+    if (tfhdFlags & 0x000001) {
+      baseOffset = Number(view.getBigUint64(cursor)) - positionOffset;
+      cursor += 8;
+    }
+    if (tfhdFlags & 0x000002) {
+      cursor += 4;
+    }
+    if (tfhdFlags & 0x000008) {
+      defaults.sampleDuration = view.getUint32(cursor);
+      cursor += 4;
+    }
+    if (tfhdFlags & 0x000010) {
+      defaults.sampleSize = view.getUint32(cursor);
+      cursor += 4;
+    }
+    if (tfhdFlags & 0x000020) {
+      defaults.sampleFlags = view.getUint32(cursor);
+    }
+
+    const tfdt = child(bytes, traf, 'tfdt');
+    let decodeTime = decodeTimes.get(trackId) ?? 0;
+    if (tfdt) {
+      decodeTime = bytes[tfdt.bodyStart] === 1 ? Number(view.getBigUint64(tfdt.bodyStart + 4)) : view.getUint32(tfdt.bodyStart + 4);
+    }
+
+    for (const trun of readBoxes(bytes, traf.bodyStart, traf.end).filter((box) => box.type === 'trun')) {
+      const version = bytes[trun.bodyStart];
+      const flags = view.getUint32(trun.bodyStart) & 0xffffff;
+      const count = view.getUint32(trun.bodyStart + 4);
+      let field = trun.bodyStart + 8;
+      let dataOffset = baseOffset;
+      if (flags & 0x000001) {
+        dataOffset = baseOffset + view.getInt32(field);
+        field += 4;
+      }
+      let firstSampleFlags = null;
+      if (flags & 0x000004) {
+        firstSampleFlags = view.getUint32(field);
+        field += 4;
+      }
+      const sampleFieldsSize = [0x000100, 0x000200, 0x000400, 0x000800].filter((bit) => flags & bit).length * 4;
+      if (count * sampleFieldsSize > trun.end - field) {
+        throw new Error(`Malformed MP4: trun box at ${trun.start} is too small for ${count} samples`);
+      }
+      for (let index = 0; index < count; index += 1) {
+        let duration = defaults.sampleDuration ?? 0;
+        let size = defaults.sampleSize ?? 0;
+        let sampleFlags = index === 0 && firstSampleFlags !== null ? firstSampleFlags : defaults.sampleFlags;
+        let compositionOffset = 0;
+        if (flags & 0x000100) {
+          duration = view.getUint32(field);
+          field += 4;
+        }
+        if (flags & 0x000200) {
+          size = view.getUint32(field);
+          field += 4;
+        }
+        if (flags & 0x000400) {
+          sampleFlags = view.getUint32(field);
+          field += 4;
+        }
+        if (flags & 0x000800) {
+          compositionOffset = version === 0 ? view.getUint32(field) : view.getInt32(field);
+          field += 4;
+        }
+        samples.push({
+          trackId,
+          key: sampleFlags === undefined ? true : (sampleFlags & NON_SYNC_SAMPLE) === 0,
+          decodeTime,
+          compositionTime: decodeTime + compositionOffset - (track?.editShift ?? 0),
+          duration,
+          offset: dataOffset,
+          size,
+        });
+        decodeTime += duration;
+        dataOffset += size;
+      }
+    }
+    decodeTimes.set(trackId, decodeTime);
+  }
+  return samples;
+}
+
+// Positions of the `width`-byte entries of a table box (version/flags, entry count, entries). The
+// count comes from the file, so it is checked against the box before anything is allocated for it.
+function tableEntries(bytes, box, width) {
+  if (!box) {
+    return [];
+  }
+  const count = viewOf(bytes).getUint32(box.bodyStart + 4);
+  if (count > (box.end - box.bodyStart - 8) / width) {
+    throw new Error(`Malformed MP4: ${box.type} box at ${box.start} is too small for ${count} entries`);
+  }
+  return Array.from({ length: count }, (_, index) => box.bodyStart + 8 + index * width);
+}
+
+// Presentation offset from the first edit that maps media (an empty leading edit only delays the
+// track and is ignored), in media timescale units.
+function editListShift(bytes, trak) {
+  const elst = descend(bytes, trak, ['edts', 'elst']);
+  if (!elst) {
+    return 0;
+  }
+  const view = viewOf(bytes);
+  const version = bytes[elst.bodyStart];
+  for (const field of tableEntries(bytes, elst, version === 1 ? 20 : 12)) {
+    const mediaTime = version === 1 ? Number(view.getBigInt64(field + 8)) : view.getInt32(field + 4);
+    if (mediaTime >= 0) {
+      return mediaTime;
+    }
+  }
+  return 0;
+}
+
+// Samples of a progressive (non-fragmented) track from its stbl, in decode order and in the same
+// shape as parseMoof()'s. Composition times already include the edit list shift.
+export function parseSampleTable(bytes, trak) {
+  const stbl = descend(bytes, trak, ['mdia', 'minf', 'stbl']);
+  const table = (type) => stbl && child(bytes, stbl, type);
+  const view = viewOf(bytes);
+  const malformed = (box, count) => new Error(`Malformed MP4: ${box.type} box at ${box.start} is too small for ${count} samples`);
+
+  const sizes = [];
+  const stsz = table('stsz');
+  const stz2 = table('stz2');
+  if (stsz) {
+    const fixedSize = view.getUint32(stsz.bodyStart + 4);
+    const count = view.getUint32(stsz.bodyStart + 8);
+    // Samples of a fixed size have no table; they still have to fit in the file.
+    if (fixedSize ? count * fixedSize > bytes.byteLength : count * 4 > stsz.end - stsz.bodyStart - 12) {
+      throw malformed(stsz, count);
+    }
+    for (let index = 0; index < count; index += 1) {
+      sizes.push(fixedSize || view.getUint32(stsz.bodyStart + 12 + index * 4));
+    }
+  } else if (stz2) {
+    const fieldSize = bytes[stz2.bodyStart + 7];
+    const count = view.getUint32(stz2.bodyStart + 8);
+    const first = stz2.bodyStart + 12;
+    if (Math.ceil((count * fieldSize) / 8) > stz2.end - first) {
+      throw malformed(stz2, count);
+    }
+    for (let index = 0; index < count; index += 1) {
+      if (fieldSize === 4) {
+        const byte = bytes[first + (index >> 1)];
+        sizes.push(index % 2 ? byte & 0x0f : byte >> 4);
+      } else {
+        sizes.push(fieldSize === 8 ? bytes[first + index] : view.getUint16(first + index * 2));
+      }
+    }
+  }
+  if (!sizes.length) {
+    return [];
+  }
+
+  const stco = table('stco');
+  const co64 = table('co64');
+  const chunkOffsets = stco
+    ? tableEntries(bytes, stco, 4).map((field) => view.getUint32(field))
+    : tableEntries(bytes, co64, 8).map((field) => Number(view.getBigUint64(field)));
+  const offsets = [];
+  const stsc = tableEntries(bytes, table('stsc'), 12).map((field) => ({
+    firstChunk: view.getUint32(field),
+    samplesPerChunk: view.getUint32(field + 4),
+  }));
+  stsc.forEach((run, index) => {
+    const lastChunk = Math.min(stsc[index + 1]?.firstChunk ?? Infinity, chunkOffsets.length + 1) - 1;
+    for (let chunk = run.firstChunk; chunk <= lastChunk; chunk += 1) {
+      let offset = chunkOffsets[chunk - 1];
+      for (let sample = 0; sample < run.samplesPerChunk && offsets.length < sizes.length; sample += 1) {
+        offsets.push(offset);
+        offset += sizes[offsets.length - 1];
+      }
+    }
+  });
+
+  // (sample count, value) runs, expanded to one value per sample; runs past the last sample are cut.
+  const runs = (box, read) => {
+    const values = [];
+    for (const field of tableEntries(bytes, box, 8)) {
+      const count = Math.min(view.getUint32(field), sizes.length - values.length);
+      for (let index = 0; index < count; index += 1) {
+        values.push(read(field + 4));
+      }
+    }
+    return values;
+  };
+  const durations = runs(table('stts'), (field) => view.getUint32(field));
+  // Version 0 offsets are unsigned by the spec, but writers put negative ones there as well.
+  const compositionOffsets = runs(table('ctts'), (field) => view.getInt32(field));
+  const stss = table('stss');
+  const syncSamples = stss ? new Set(tableEntries(bytes, stss, 4).map((field) => view.getUint32(field))) : null;
+  const shift = editListShift(bytes, trak);
+
+  let decodeTime = 0;
+  return offsets.map((offset, index) => {
+    const duration = durations[index] ?? durations.at(-1) ?? 0;
+    const sample = {
+      key: syncSamples ? syncSamples.has(index + 1) : true,
+      decodeTime,
+      compositionTime: decodeTime + (compositionOffsets[index] ?? 0) - shift,
+      duration,
+      offset,
+      size: sizes[index],
+    };
+    decodeTime += duration;
+    return sample;
+  });
+}
+
+// A whole MP4 file in memory, progressive or fragmented. Returns the tracks of parseMoov() with
+// their samples in decode order: { key, timestampUs, durationUs, offset, size } (byte ranges into
+// `bytes`), keeping the media timestamps of the file.
+export function demuxMp4File(bytes) {
+  const top = readBoxes(bytes);
+  const moov = top.find((box) => box.type === 'moov');
+  if (!moov) {
+    throw new Error('Malformed MP4: no moov box');
+  }
+  const tracks = parseMoov(bytes, moov);
+  const samples = new Map(tracks.map((track) => [track.id, []]));
+  readBoxes(bytes, moov.bodyStart, moov.end)
+    .filter((box) => box.type === 'trak')
+    .forEach((trak, index) => samples.get(tracks[index].id).push(...parseSampleTable(bytes, trak)));
+  const decodeTimes = new Map();
+  for (const moof of top.filter((box) => box.type === 'moof')) {
+    for (const sample of parseMoof(bytes, moof, tracks, { decodeTimes })) {
+      samples.get(sample.trackId)?.push(sample);
+    }
+  }
+  return tracks.map((track) => {
+    const toUs = (value) => Math.round((value * 1_000_000) / track.timescale);
+    return {
+      ...track,
+      samples: samples.get(track.id).map((sample) => ({
+        key: sample.key,
+        timestampUs: toUs(sample.compositionTime),
+        durationUs: toUs(sample.duration),
+        offset: sample.offset,
+        size: sample.size,
+      })),
+    };
+  });
+}
+
+// Incremental reader: push() chunks as they arrive. onTracks(tracks) fires for every init segment
+// (a reconnecting server may send a new one); onSample(track, sample) fires per sample with
+// { key, timestampUs, durationUs, data } in decode order.
+export class Mp4StreamDemuxer {
+  constructor({ onTracks, onSample }) {
+    this.onTracks = onTracks;
+    this.onSample = onSample;
+    this.buffer = new Uint8Array(0);
+    // Absolute stream position of buffer[0], for tfhd base_data_offset.
+    this.position = 0;
+    this.tracks = [];
+    this.decodeTimes = new Map();
+  }
+
+  push(chunk) {
+    const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+    const merged = new Uint8Array(this.buffer.byteLength + bytes.byteLength);
+    merged.set(this.buffer, 0);
+    merged.set(bytes, this.buffer.byteLength);
+    this.buffer = merged;
+
+    let consumed = 0;
+    for (;;) {
+      const header = readBoxHeader(this.buffer, consumed);
+      if (!header) {
+        break;
+      }
+      if (header.size > MAX_BOX_BYTES) {
+        throw new Error(`MP4 ${header.type} box of ${header.size} bytes exceeds the ${MAX_BOX_BYTES} byte limit`);
+      }
+      if (header.end > this.buffer.byteLength) {
+        break;
+      }
+      if (header.type === 'moov') {
+        this.tracks = parseMoov(this.buffer, header);
+        this.decodeTimes.clear();
+        this.onTracks(this.tracks);
+      } else if (header.type === 'moof') {
+        // Sample data lives in the mdat that follows, so wait until it is complete too.
+        const mdat = readBoxHeader(this.buffer, header.end);
+        if (!mdat || mdat.end > this.buffer.byteLength) {
+          break;
+        }
+        this.#emitFragment(header);
+        consumed = mdat.end;
+        continue;
+      }
+      consumed = header.end;
+    }
+    this.buffer = this.buffer.slice(consumed);
+    this.position += consumed;
+  }
+
+  #emitFragment(moof) {
+    const samples = parseMoof(this.buffer, moof, this.tracks, {
+      decodeTimes: this.decodeTimes,
+      positionOffset: this.position,
+    });
+    for (const sample of samples) {
+      const track = this.tracks.find((candidate) => candidate.id === sample.trackId);
+      if (!track || sample.offset < 0 || sample.offset + sample.size > this.buffer.byteLength) {
+        continue;
+      }
+      const toUs = (value) => Math.round((value * 1_000_000) / track.timescale);
+      this.onSample(track, {
+        key: sample.key,
+        timestampUs: toUs(sample.compositionTime),
+        durationUs: toUs(sample.duration),
+        data: this.buffer.slice(sample.offset, sample.offset + sample.size),
+      });
+    }
+  }
+
+  reset() {
+    this.buffer = new Uint8Array(0);
+    this.position = 0;
+    this.tracks = [];
+    this.decodeTimes.clear();
+  }
+}
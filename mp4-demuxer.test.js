@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+
+import { Mp4StreamDemuxer, demuxMp4File } from './mp4-demuxer.js';
+
+// bframes.mp4: progressive H.264 at 25 fps (timescale 12800), mdat before moov, two GOPs of I/P/B
+// frames with ctts reordering and a one-frame edit list, samples spread over chunks of 4, 4 and 2.
+// Every sample starts with 0xf0, its presentation frame number and its decode index.
+// fragmented.mp4: written by Mp4Muxer, 8 frames at 30 fps starting at 1 s, a key frame every 4.
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+
+test('progressive files keep presentation timestamps after ctts and the edit list', () => {
+  const bytes = fixture('bframes.mp4');
+  const [track] = demuxMp4File(bytes);
+  assert.equal(track.kind, 'video');
+  assert.equal(track.codec, 'avc1.64001f');
+  assert.deepEqual([track.codedWidth, track.codedHeight], [320, 180]);
+  const frameNumbers = track.samples.map((sample) => bytes[sample.offset + 1]);
+  assert.deepEqual(frameNumbers, [0, 3, 1, 2, 6, 4, 5, 7, 9, 8]);
+  assert.deepEqual(
+    track.samples.map((sample) => sample.timestampUs),
+    frameNumbers.map((frame) => frame * 40_000)
+  );
+  assert.ok(track.samples.every((sample) => sample.durationUs === 40_000));
+  assert.deepEqual(
+    track.samples.flatMap((sample, index) => (sample.key ? [index] : [])),
+    [0, 7]
+  );
+});
+
+test('progressive sample offsets follow stsc runs and stsz sizes', () => {
+  const bytes = fixture('bframes.mp4');
+  const [track] = demuxMp4File(bytes);
+  track.samples.forEach((sample, index) => {
+    assert.equal(sample.size, 4 + index);
+    assert.equal(bytes[sample.offset], 0xf0);
+    assert.equal(bytes[sample.offset + 2], index);
+  });
+});
+
+test('fragmented files read the same as they stream', () => {
+  const bytes = fixture('fragmented.mp4');
+  const [track] = demuxMp4File(bytes);
+  assert.equal(track.codec, 'avc1.42001f');
+  assert.equal(track.samples.length, 8);
+  assert.equal(track.samples[0].timestampUs, 1_000_000);
+  assert.deepEqual(
+    track.samples.map((sample) => sample.key),
+    [true, false, false, false, true, false, false, false]
+  );
+
+  const streamed = [];
+  const demuxer = new Mp4StreamDemuxer({ onTracks() {}, onSample: (_, sample) => streamed.push(sample) });
+  for (let offset = 0; offset < bytes.byteLength; offset += 100) {
+    demuxer.push(bytes.subarray(offset, offset + 100));
+  }
+  assert.deepEqual(
+    streamed.map(({ key, timestampUs, durationUs, data }) => ({ key, timestampUs, durationUs, frame: data[1] })),
+    track.samples.map(({ key, timestampUs, durationUs, offset }) => ({ key, timestampUs, durationUs, frame: bytes[offset + 1] }))
+  );
+});
+
+test('fragmented files apply the edit list of their track', () => {
+  const original = fixture('fragmented.mp4');
+  const [{ timescale }] = demuxMp4File(original);
+  // An edts with one edit starting at media time 1 s, inserted after the tkhd (which ends at 248).
+  // The trun data offsets are relative to their moof, so moving the fragments keeps them valid.
+  const edts = new Uint8Array(36);
+  const edit = new DataView(edts.buffer);
+  edit.setUint32(0, 36);
+  edts.set([0x65, 0x64, 0x74, 0x73, 0, 0, 0, 28, 0x65, 0x6c, 0x73, 0x74], 4);
+  edit.setUint32(20, 1);
+  edit.setInt32(28, timescale);
+  edit.setUint32(32, 0x10000);
+  const bytes = new Uint8Array(original.byteLength + edts.byteLength);
+  bytes.set(original.subarray(0, 248));
+  bytes.set(edts, 248);
+  bytes.set(original.subarray(248), 284);
+  const view = new DataView(bytes.buffer);
+  for (const boxStart of [32, 148]) {
+    view.setUint32(boxStart, view.getUint32(boxStart) + edts.byteLength);
+  }
+
+  const [track] = demuxMp4File(bytes);
+  assert.deepEqual(
+    track.samples.map((sample) => sample.timestampUs),
+    demuxMp4File(original)[0].samples.map((sample) => sample.timestampUs - 1_000_000)
+  );
+  const streamed = [];
+  const demuxer = new Mp4StreamDemuxer({ onTracks() {}, onSample: (_, sample) => streamed.push(sample.timestampUs) });
+  demuxer.push(bytes);
+  assert.deepEqual(streamed, track.samples.map((sample) => sample.timestampUs));
+});
+
+test('a file without moov is rejected', () => {
+  assert.throws(() => demuxMp4File(fixture('bframes.mp4').subarray(0, 100)), /no moov/);
+});
+
+test('entry counts larger than their box are rejected before anything is allocated', () => {
+  const bytes = fixture('bframes.mp4');
+  // The stco entry count (3 chunks) becomes 0xb9000003.
+  new DataView(bytes.buffer, bytes.byteOffset).setUint32(856, 0xb9000003);
+  assert.throws(() => demuxMp4File(bytes), /Malformed MP4: stco box at 844 is too small/);
+});
+
+test('stts runs past the last sample are cut at the sample count', () => {
+  const bytes = fixture('bframes.mp4');
+  // The one stts run (10 samples of 512) claims 0xffffffff samples.
+  new DataView(bytes.buffer, bytes.byteOffset).setUint32(616, 0xffffffff);
+  const [track] = demuxMp4File(bytes);
+  assert.equal(track.samples.length, 10);
+  assert.ok(track.samples.every((sample) => sample.durationUs === 40_000));
+});
@@ -0,0 +1,352 @@
+// Fragmented MP4 writer for WebCodecs output. The same object produces a downloadable file
+// (init segment + every fragment) and, through onFragment, CMAF-style chunks for live delivery.
+import { toBytes } from './webm-muxer.js';
+
+const TEXT_ENCODER = new TextEncoder();
+const VIDEO_TIMESCALE = 90_000;
+const IDENTITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.byteLength, 0);
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.byteLength;
+  }
+  return out;
+}
+
+function u8(value) {
+  return Uint8Array.of(value & 0xff);
+}
+
+function u16(value) {
+  const bytes = new Uint8Array(2);
+  new DataView(bytes.buffer).setUint16(0, value);
+  return bytes;
+}
+
+function u32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value >>> 0);
+  return bytes;
+}
+
+function i32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setInt32(0, value);
+  return bytes;
+}
+
+function u64(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(Math.max(0, Math.round(value))));
+  return bytes;
+}
+
+function fourcc(code) {
+  return TEXT_ENCODER.encode(code);
+}
+
+function box(type, ...children) {
+  const body = concat(children.flat());
+  return concat([u32(body.byteLength + 8), fourcc(type), body]);
+}
+
+function fullBox(type, version, flags, ...children) {
+  return box(type, u8(version), u8(flags >> 16), u16(flags & 0xffff), ...children);
+}
+
+function zeros(length) {
+  return new Uint8Array(length);
+}
+
+function matrix() {
+  return IDENTITY_MATRIX.map(u32);
+}
+
+// vpcC is not carried in WebCodecs metadata, so it is rebuilt from the "vp09.PP.LL.DD" codec string.
+function vpcCBox(codecString) {
+  const [, profile = '00', level = '10', bitDepth = '08'] = codecString.split('.');
+  return fullBox(
+    'vpcC',
+    1,
+    0,
+    u8(parseInt(profile, 10)),
+    u8(parseInt(level, 10)),
+    // bitDepth(4) | chromaSubsampling(3) = 4:2:0 colocated | videoFullRangeFlag(1)
+    u8((parseInt(bitDepth, 10) << 4) | (1 << 1)),
+    u8(1),
+    u8(1),
+    u8(1),
+    u16(0)
+  );
+}
+
+function visualSampleEntry(track) {
+  const { codecString, width, height, description } = track;
+  const entryType = codecString.startsWith('avc1') ? 'avc1' : codecString.startsWith('av01') ? 'av01' : 'vp09';
+  let configBox;
+  if (entryType === 'avc1') {
+    if (!description) {
+      throw new Error('H.264 in MP4 needs an avcC description (encode with avc.format = "avc")');
+    }
+    configBox = box('avcC', description);
+  } else if (entryType === 'av01') {
+    configBox = box('av1C', description ?? zeros(4));
+  } else {
+    configBox = vpcCBox(codecString);
+  }
+  const compressorName = zeros(32);
+  return box(
+    entryType,
+    zeros(6),
+    u16(1),
+    zeros(16),
+    u16(width),
+    u16(height),
+    u32(0x00480000),
+    u32(0x00480000),
+    u32(0),
+    u16(1),
+    compressorName,
+    u16(0x0018),
+    u16(0xffff),
+    configBox
+  );
+}
+
+// OpusSpecificBox built from the OpusHead that WebCodecs reports (or from scratch).
+function dOpsBox(track) {
+  const head = track.description ? new DataView(track.description.buffer, track.description.byteOffset) : null;
+  const preSkip = head && track.description.byteLength >= 12 ? head.getUint16(10, true) : 312;
+  return box('dOps', u8(0), u8(track.channels), u16(preSkip), u32(track.sampleRate), u16(0), u8(0));
+}
+
+function esdsBox(track) {
+  const config = track.description ?? zeros(0);
+  const descriptor = (tag, ...parts) => {
+    const body = concat(parts.flat());
+    return concat([u8(tag), u8(body.byteLength), body]);
+  };
+  const decoderSpecific = descriptor(0x05, config);
+  const decoderConfig = descriptor(0x04, u8(0x40), u8(0x15), zeros(3), u32(track.bitrate ?? 0), u32(track.bitrate ?? 0), decoderSpecific);
+  const slConfig = descriptor(0x06, u8(0x02));
+  return fullBox('esds', 0, 0, descriptor(0x03, u16(track.id), u8(0), decoderConfig, slConfig));
+}
+
+function audioSampleEntry(track) {
+  const isOpus = track.codecString === 'opus';
+  return box(
+    isOpus ? 'Opus' : 'mp4a',
+    zeros(6),
+    u16(1),
+    zeros(8),
+    u16(track.channels),
+    u16(16),
+    zeros(4),
+    u32(Math.min(track.sampleRate, 0xffff) * 0x10000),
+    isOpus ? dOpsBox(track) : esdsBox(track)
+  );
+}
+
+function trakBox(track) {
+  const isVideo = track.kind === 'video';
+  const tkhd = fullBox(
+    'tkhd',
+    0,
+    0x000003,
+    u32(0),
+    u32(0),
+    u32(track.id),
+    u32(0),
+    u32(0),
+    zeros(8),
+    u16(0),
+    u16(0),
+    u16(isVideo ? 0 : 0x0100),
+    u16(0),
+    matrix(),
+    u32((isVideo ? track.width : 0) * 0x10000),
+    u32((isVideo ? track.height : 0) * 0x10000)
+  );
+  const mdhd = fullBox('mdhd', 0, 0, u32(0), u32(0), u32(track.timescale), u32(0), u16(0x55c4), u16(0));
+  const hdlr = fullBox(
+    'hdlr',
+    0,
+    0,
+    u32(0),
+    fourcc(isVideo ? 'vide' : 'soun'),
+    zeros(12),
+    fourcc(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+  );
+  const mediaHeader = isVideo ? fullBox('vmhd', 0, 1, zeros(8)) : fullBox('smhd', 0, 0, zeros(4));
+  const dinf = box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+  const stbl = box(
+    'stbl',
+    fullBox('stsd', 0, 0, u32(1), isVideo ? visualSampleEntry(track) : audioSampleEntry(track)),
+    fullBox('stts', 0, 0, u32(0)),
+    fullBox('stsc', 0, 0, u32(0)),
+    fullBox('stsz', 0, 0, u32(0), u32(0)),
+    fullBox('stco', 0, 0, u32(0))
+  );
+  return box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', mediaHeader, dinf, stbl)));
+}
+
+export class Mp4Muxer {
+  // video: { codecString, width, height, frameRate, description? }
+  // audio: { codecString ("opus" or "mp4a.40.2"), sampleRate, channels, description? }
+  // onFragment(bytes, { sequence, startUs }) is called for every completed moof+mdat pair. Live
+  // senders pass retainFragments: false so fragments are not also kept for finalize().
+  constructor({ video = null, audio = null, fragmentDurationUs = 2_000_000, onFragment = null, retainFragments = true }) {
+    if (!video && !audio) {
+      throw new Error('Mp4Muxer needs at least one track');
+    }
+    this.tracks = [];
+    if (video) {
+      this.video = { ...video, kind: 'video', id: this.tracks.length + 1, timescale: VIDEO_TIMESCALE, pending: [] };
+      this.tracks.push(this.video);
+    }
+    if (audio) {
+      this.audio = { ...audio, kind: 'audio', id: this.tracks.length + 1, timescale: audio.sampleRate, pending: [] };
+      this.tracks.push(this.audio);
+    }
+    this.fragmentDurationUs = fragmentDurationUs;
+    this.onFragment = onFragment;
+    this.retainFragments = retainFragments;
+    this.sequence = 0;
+    this.fragments = [];
+    this.fragmentStartUs = null;
+  }
+
+  initSegment() {
+    const mvhd = fullBox(
+      'mvhd',
+      0,
+      0,
+      u32(0),
+      u32(0),
+      u32(1000),
+      u32(0),
+      u32(0x00010000),
+      u16(0x0100),
+      zeros(10),
+      matrix(),
+      zeros(24),
+      u32(this.tracks.length + 1)
+    );
+    const trex = this.tracks.map((track) => fullBox('trex', 0, 0, u32(track.id), u32(1), u32(0), u32(0), u32(0)));
+    return concat([
+      box('ftyp', fourcc('iso6'), u32(0), fourcc('iso6'), fourcc('cmfc'), fourcc('isom'), fourcc('mp41')),
+      box('moov', mvhd, ...this.tracks.map(trakBox), box('mvex', ...trex)),
+    ]);
+  }
+
+  #addSample(track, chunk, metadata) {
+    if (metadata?.decoderConfig?.description && !track.description) {
+      track.description = toBytes(metadata.decoderConfig.description);
+    }
+    const isVideoKey = track.kind === 'video' && chunk.type === 'key';
+    const videoDriven = Boolean(this.video);
+    if (
+      this.fragmentStartUs !== null &&
+      chunk.timestamp - this.fragmentStartUs >= this.fragmentDurationUs &&
+      (videoDriven ? isVideoKey : true)
+    ) {
+      this.flush();
+    }
+    if (this.fragmentStartUs === null) {
+      this.fragmentStartUs = chunk.timestamp;
+    }
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    track.pending.push({
+      timestampUs: chunk.timestamp,
+      durationUs: chunk.duration ?? null,
+      key: chunk.type === 'key',
+      data,
+    });
+  }
+
+  addVideoChunk(chunk, metadata) {
+    this.#addSample(this.video, chunk, metadata);
+  }
+
+  addAudioChunk(chunk, metadata) {
+    this.#addSample(this.audio, chunk, metadata);
+  }
+
+  #toTimescale(track, us) {
+    return Math.round((us * track.timescale) / 1_000_000);
+  }
+
+  // Emits the pending samples as one moof+mdat pair.
+  flush() {
+    const tracks = this.tracks.filter((track) => track.pending.length);
+    if (!tracks.length) {
+      return null;
+    }
+    this.sequence += 1;
+    const fallbackDurationUs = (track) =>
+      track.kind === 'video' && track.frameRate ? 1_000_000 / track.frameRate : 20_000;
+
+    const trafs = [];
+    const payloads = [];
+    for (const track of tracks) {
+      const samples = track.pending.map((sample, index) => {
+        const next = track.pending[index + 1];
+        const durationUs = next ? next.timestampUs - sample.timestampUs : sample.durationUs ?? fallbackDurationUs(track);
+        return { ...sample, duration: this.#toTimescale(track, durationUs) };
+      });
+      trafs.push({ track, samples });
+      payloads.push(...samples.map((sample) => sample.data));
+      track.pending = [];
+    }
+
+    const buildMoof = (dataOffsets) =>
+      box(
+        'moof',
+        fullBox('mfhd', 0, 0, u32(this.sequence)),
+        ...trafs.map(({ track, samples }, index) =>
+          box(
+            'traf',
+            fullBox('tfhd', 0, 0x020000, u32(track.id)),
+            fullBox('tfdt', 1, 0, u64(this.#toTimescale(track, samples[0].timestampUs))),
+            fullBox(
+              'trun',
+              0,
+              0x000001 | 0x000100 | 0x000200 | 0x000400,
+              u32(samples.length),
+              i32(dataOffsets[index]),
+              ...samples.map((sample) =>
+                concat([u32(sample.duration), u32(sample.data.byteLength), u32(sample.key ? 0x02000000 : 0x01010000)])
+              )
+            )
+          )
+        )
+      );
+
+    // data_offset is relative to the start of moof, so measure it once with placeholder offsets.
+    const moofSize = buildMoof(trafs.map(() => 0)).byteLength;
+    const offsets = [];
+    let offset = moofSize + 8;
+    for (const { samples } of trafs) {
+      offsets.push(offset);
+      offset += samples.reduce((sum, sample) => sum + sample.data.byteLength, 0);
+    }
+    const fragment = concat([buildMoof(offsets), box('mdat', ...payloads)]);
+    const startUs = this.fragmentStartUs;
+    this.fragmentStartUs = null;
+    if (this.retainFragments) {
+      this.fragments.push(fragment);
+    }
+    this.onFragment?.(fragment, { sequence: this.sequence, startUs });
+    return fragment;
+  }
+
+  finalize() {
+    this.flush();
+    return concat([this.initSegment(), ...this.fragments]);
+  }
+}
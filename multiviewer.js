@@ -0,0 +1,273 @@
+// Multiviewer furniture: UMD labels, tally borders, safe-area/center markers, per-tile audio meters,
+// "no signal" slates and a clock tile. It is drawn with Canvas 2D into an OffscreenCanvas and
+// composited above every layer, so it also ends up in recordings.
+import { cssColor } from './color.js';
+import { formatClock, formatTimecode } from './timecode.js';
+
+export const TALLY_STATES = ['none', 'preview', 'program'];
+export const CLOCK_MODES = ['timecode', 'time'];
+
+const LABEL_DEFAULTS = { position: 'bottom', fontSize: null, color: '#f8fafc', background: '#000000b3' };
+const SAFE_AREA_DEFAULTS = { action: 0.93, title: 0.9 };
+const TALLY_DEFAULTS = { program: '#ef4444', preview: '#22c55e', width: 6 };
+const SLATE_DEFAULTS = { text: 'NO SIGNAL', color: '#0f172a', textColor: '#64748b' };
+const CLOCK_DEFAULTS = { mode: 'timecode', label: null };
+const METER_WIDTH = 8;
+const METER_FLOOR_DB = -60;
+
+// `true` turns a section on with its defaults, `false` turns it off.
+function section(value, defaults) {
+  if (!value) {
+    return null;
+  }
+  return { ...defaults, ...(value === true ? {} : value) };
+}
+
+export function normalizeMultiviewer(settings) {
+  if (!settings) {
+    return null;
+  }
+  return {
+    grid: settings.grid ? { columns: settings.grid.columns, rows: settings.grid.rows, gap: settings.grid.gap ?? 0 } : null,
+    labels: section(settings.labels ?? true, LABEL_DEFAULTS),
+    tally: { ...TALLY_DEFAULTS, ...(settings.tally ?? {}) },
+    safeArea: section(settings.safeArea, SAFE_AREA_DEFAULTS),
+    centerCross: Boolean(settings.centerCross),
+    meters: Boolean(settings.meters),
+    slate: { ...SLATE_DEFAULTS, ...(settings.slate ?? {}) },
+    clock: section(settings.clock, CLOCK_DEFAULTS),
+  };
+}
+
+// Normalized {x, y, width, height} of every grid cell, row by row. `gap` is in canvas pixels and
+// also applies around the outer edge.
+export function gridCells({ columns, rows, gap = 0 }, canvasWidth, canvasHeight) {
+  const gapX = gap / canvasWidth;
+  const gapY = gap / canvasHeight;
+  const width = (1 - gapX * (columns + 1)) / columns;
+  const height = (1 - gapY * (rows + 1)) / rows;
+  const cells = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      cells.push({ x: gapX + column * (width + gapX), y: gapY + row * (height + gapY), width, height });
+    }
+  }
+  return cells;
+}
+
+const PLACEMENT_KEYS = ['x', 'y', 'width', 'height'];
+
+// Places entries without their own x/y/width/height into the free grid cells in order; the clock's
+// cell is skipped. Entries left over once the grid is full keep their (default full-canvas) layout.
+export function applyGridLayout(entries, settings, canvasWidth, canvasHeight) {
+  if (!settings?.grid) {
+    return entries;
+  }
+  const reserved = settings.clock?.cell;
+  const free = gridCells(settings.grid, canvasWidth, canvasHeight).filter((_, index) => index !== reserved);
+  let next = 0;
+  return entries.map((entry) => {
+    if (PLACEMENT_KEYS.some((key) => entry[key] !== undefined) || next >= free.length) {
+      return entry;
+    }
+    return { ...entry, ...free[next++] };
+  });
+}
+
+export function clockRect(settings, canvasWidth, canvasHeight) {
+  const clock = settings?.clock;
+  if (!clock) {
+    return null;
+  }
+  if (clock.cell !== undefined && settings.grid) {
+    return gridCells(settings.grid, canvasWidth, canvasHeight)[clock.cell] ?? null;
+  }
+  return { x: clock.x ?? 0, y: clock.y ?? 0, width: clock.width ?? 0.25, height: clock.height ?? 0.25 };
+}
+
+function meterColor(peakDb) {
+  return peakDb > -1 ? '#ef4444' : peakDb > -9 ? '#eab308' : '#22c55e';
+}
+
+// Acts as a layer source (isReady/getFrame/seekFrame/dispose) so it rides the regular layer pipeline.
+export class MultiviewerOverlay {
+  constructor(settings, { width, height, fps }) {
+    this.width = width;
+    this.height = height;
+    this.fps = fps;
+    this.canvas = new OffscreenCanvas(width, height);
+    this.context = this.canvas.getContext('2d');
+    this.frame = null;
+    // Runtime tally states by layer id; they win over the `tally` field of the layer descriptor.
+    this.tally = new Map();
+    this.setSettings(settings);
+  }
+
+  setSettings(settings) {
+    this.settings = settings;
+  }
+
+  setTally(id, state) {
+    if (state === null || state === undefined) {
+      this.tally.delete(id);
+    } else {
+      this.tally.set(id, state);
+    }
+  }
+
+  tallyOf(tile) {
+    return this.tally.get(tile.id) ?? tile.tally ?? 'none';
+  }
+
+  isReady() {
+    return true;
+  }
+
+  getFrame() {
+    return this.frame;
+  }
+
+  async seekFrame() {}
+
+  // tiles: [{ id, label, tally, rect (normalized x/y/width/height), signal, peakDb }] for the on-air
+  // video layout; signal is false when an active tile has no frame, or no healthy one, to show.
+  render(tiles, { timelineSeconds, timestampUs }) {
+    const { context, settings } = this;
+    context.clearRect(0, 0, this.width, this.height);
+    for (const tile of tiles) {
+      const rect = this.#pixels(tile.rect);
+      if (!tile.signal) {
+        this.#drawSlate(rect, settings.slate.text);
+      }
+      if (settings.safeArea) {
+        this.#drawSafeArea(rect);
+      }
+      if (settings.centerCross) {
+        this.#drawCenterCross(rect);
+      }
+      if (settings.meters && typeof tile.peakDb === 'number') {
+        this.#drawMeter(rect, tile.peakDb);
+      }
+      if (settings.labels) {
+        this.#drawLabel(rect, tile.label ?? tile.id);
+      }
+      this.#drawTally(rect, this.tallyOf(tile));
+    }
+    const clock = clockRect(settings, this.width, this.height);
+    if (clock) {
+      this.#drawClock(this.#pixels(clock), timelineSeconds);
+    }
+    this.frame?.close();
+    this.frame = new VideoFrame(this.canvas, { timestamp: timestampUs });
+  }
+
+  #pixels(rect) {
+    return {
+      x: (rect.x ?? 0) * this.width,
+      y: (rect.y ?? 0) * this.height,
+      width: (rect.width ?? 1) * this.width,
+      height: (rect.height ?? 1) * this.height,
+    };
+  }
+
+  #fontSize(rect) {
+    return this.settings.labels?.fontSize ?? Math.min(36, Math.max(12, Math.round(rect.height * 0.07)));
+  }
+
+  #drawSlate(rect, text) {
+    const { context } = this;
+    const { slate } = this.settings;
+    context.fillStyle = cssColor(slate.color);
+    context.fillRect(rect.x, rect.y, rect.width, rect.height);
+    context.fillStyle = cssColor(slate.textColor);
+    context.font = `600 ${this.#fontSize(rect)}px system-ui, sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, rect.x + rect.width / 2, rect.y + rect.height / 2);
+  }
+
+  #drawSafeArea(rect) {
+    const { context } = this;
+    context.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+    context.lineWidth = 1;
+    for (const fraction of [this.settings.safeArea.action, this.settings.safeArea.title]) {
+      const width = rect.width * fraction;
+      const height = rect.height * fraction;
+      context.strokeRect(rect.x + (rect.width - width) / 2 + 0.5, rect.y + (rect.height - height) / 2 + 0.5, width, height);
+    }
+  }
+
+  #drawCenterCross(rect) {
+    const { context } = this;
+    const size = Math.min(rect.width, rect.height) * 0.04;
+    const cx = Math.round(rect.x + rect.width / 2) + 0.5;
+    const cy = Math.round(rect.y + rect.height / 2) + 0.5;
+    context.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(cx - size, cy);
+    context.lineTo(cx + size, cy);
+    context.moveTo(cx, cy - size);
+    context.lineTo(cx, cy + size);
+    context.stroke();
+  }
+
+  #drawMeter(rect, peakDb) {
+    const { context } = this;
+    const inset = this.settings.tally.width + 2;
+    const height = rect.height - inset * 2;
+    const fraction = Math.min(1, Math.max(0, (peakDb - METER_FLOOR_DB) / -METER_FLOOR_DB));
+    const x = rect.x + rect.width - inset - METER_WIDTH;
+    context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    context.fillRect(x, rect.y + inset, METER_WIDTH, height);
+    context.fillStyle = meterColor(peakDb);
+    context.fillRect(x, rect.y + inset + height * (1 - fraction), METER_WIDTH, height * fraction);
+  }
+
+  #drawLabel(rect, text) {
+    const { context } = this;
+    const { labels } = this.settings;
+    const fontSize = this.#fontSize(rect);
+    const height = Math.round(fontSize * 1.5);
+    const y = labels.position === 'top' ? rect.y : rect.y + rect.height - height;
+    context.fillStyle = cssColor(labels.background);
+    context.fillRect(rect.x, y, rect.width, height);
+    context.fillStyle = cssColor(labels.color);
+    context.font = `600 ${fontSize}px system-ui, sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(String(text), rect.x + rect.width / 2, y + height / 2, rect.width - fontSize);
+  }
+
+  #drawTally(rect, state) {
+    if (state === 'none') {
+      return;
+    }
+    const { context } = this;
+    const { width } = this.settings.tally;
+    context.strokeStyle = cssColor(this.settings.tally[state]);
+    context.lineWidth = width;
+    context.strokeRect(rect.x + width / 2, rect.y + width / 2, rect.width - width, rect.height - width);
+  }
+
+  #drawClock(rect, timelineSeconds) {
+    const { context } = this;
+    const { clock, slate } = this.settings;
+    const text = clock.mode === 'time' ? formatClock() : formatTimecode(timelineSeconds, this.fps);
+    context.fillStyle = cssColor(slate.color);
+    context.fillRect(rect.x, rect.y, rect.width, rect.height);
+    context.fillStyle = '#f8fafc';
+    context.font = `600 ${Math.round(rect.height * 0.2)}px ui-monospace, monospace`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width * 0.9);
+    if (this.settings.labels) {
+      this.#drawLabel(rect, clock.label ?? (clock.mode === 'time' ? 'TIME' : 'TIMECODE'));
+    }
+  }
+
+  dispose() {
+    this.frame?.close();
+    this.frame = null;
+  }
+}
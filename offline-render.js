@@ -0,0 +1,226 @@
+import { Mp4Muxer } from './mp4-muxer.js';
+import { WebMMuxer, toBytes } from './webm-muxer.js';
+
+// Short names accepted in recording.codec; anything containing a "." is taken as a full
+// WebCodecs codec string.
+const CODEC_STRINGS = {
+  vp8: 'vp8',
+  vp9: 'vp09.00.10.08',
+  av1: 'av01.0.08M.08',
+  h264: 'avc1.640033',
+};
+const CONTAINER_CODECS = {
+  webm: ['vp8', 'vp9', 'av1'],
+  mp4: ['h264', 'vp9', 'av1'],
+};
+const MAX_QUEUED_FRAMES = 8;
+const AUDIO_BLOCK_FRAMES = 4800;
+
+function codecName(codecString) {
+  if (codecString.startsWith('avc1') || codecString.startsWith('avc3')) {
+    return 'h264';
+  }
+  if (codecString.startsWith('vp09')) {
+    return 'vp9';
+  }
+  if (codecString.startsWith('av01')) {
+    return 'av1';
+  }
+  return codecString;
+}
+
+export function resolveRecordingCodec(codec, container = 'webm') {
+  const supported = CONTAINER_CODECS[container];
+  if (!supported) {
+    throw new Error(`Unsupported recording container "${container}"`);
+  }
+  const requested = (codec || (container === 'mp4' ? 'h264' : 'vp9')).toLowerCase();
+  const alias = requested === 'avc' ? 'h264' : requested;
+  const codecString = alias.includes('.') ? alias : CODEC_STRINGS[alias];
+  const name = codecString ? codecName(codecString) : alias;
+  if (!codecString || !supported.includes(name)) {
+    throw new Error(`Codec "${codec}" cannot be recorded into ${container}`);
+  }
+  return { name, codecString };
+}
+
+export function createMuxer(container, video, audio = null) {
+  if (container === 'mp4') {
+    return new Mp4Muxer({ video, audio: audio && { ...audio, codecString: 'opus' } });
+  }
+  return new WebMMuxer({ video: { ...video, codec: video.name }, audio: audio && { ...audio, codec: 'opus' } });
+}
+
+// OpusHead stores the encoder pre-skip (in 48 kHz samples) at byte 10.
+function opusPreSkipUs(description) {
+  if (!description || description.byteLength < 12) {
+    return 0;
+  }
+  const bytes = toBytes(description);
+  return (new DataView(bytes.buffer).getUint16(10, true) / 48_000) * 1_000_000;
+}
+
+// Encodes a rendered AudioBuffer to Opus up front, so its chunks can be interleaved with the video
+// as it is encoded.
+export async function encodeAudioBuffer(buffer, { bitrate = 128_000 } = {}) {
+  if (!window.AudioEncoder) {
+    throw new Error('WebCodecs AudioEncoder is required to record audio offline.');
+  }
+  const config = {
+    codec: 'opus',
+    sampleRate: buffer.sampleRate,
+    numberOfChannels: buffer.numberOfChannels,
+    bitrate,
+  };
+  const { supported } = await AudioEncoder.isConfigSupported(config);
+  if (!supported) {
+    throw new Error(`AudioEncoder cannot encode Opus at ${buffer.sampleRate} Hz.`);
+  }
+  const chunks = [];
+  let description = null;
+  let encodeError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      if (metadata?.decoderConfig?.description && !description) {
+        description = toBytes(metadata.decoderConfig.description);
+      }
+      chunks.push({ chunk, metadata });
+    },
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+  encoder.configure(config);
+  const channels = buffer.numberOfChannels;
+  for (let offset = 0; offset < buffer.length; offset += AUDIO_BLOCK_FRAMES) {
+    const frames = Math.min(AUDIO_BLOCK_FRAMES, buffer.length - offset);
+    const planar = new Float32Array(frames * channels);
+    for (let channel = 0; channel < channels; channel += 1) {
+      planar.set(buffer.getChannelData(channel).subarray(offset, offset + frames), channel * frames);
+    }
+    const data = new AudioData({
+      format: 'f32-planar',
+      sampleRate: buffer.sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels: channels,
+      timestamp: Math.round((offset / buffer.sampleRate) * 1_000_000),
+      data: planar,
+    });
+    encoder.encode(data);
+    data.close();
+  }
+  await encoder.flush();
+  encoder.close();
+  if (encodeError) {
+    throw encodeError;
+  }
+  return {
+    chunks,
+    track: {
+      sampleRate: buffer.sampleRate,
+      channels,
+      description,
+      codecDelayUs: opusPreSkipUs(description),
+    },
+  };
+}
+
+// Steps the composition one output frame at a time: prepareFrame(index, timestampUs) must resolve
+// once every source holds its exact frame for that timestamp, drawFrame renders it to `canvas`.
+// The result always has exactly frameCount frames spaced 1/fps apart, independent of wall-clock time.
+// `audio`, when given, is called once every frame has been drawn (so it can use what the frames did)
+// and resolves to the output of encodeAudioBuffer() or null; its chunks are interleaved with the
+// video by timestamp. The encoded video is held until then and muxed at the end.
+export async function renderOffline({
+  canvas,
+  width,
+  height,
+  fps,
+  frameCount,
+  container = 'webm',
+  codec = null,
+  bitrate = null,
+  keyframeIntervalFrames = null,
+  audio = null,
+  prepareFrame,
+  drawFrame,
+  onProgress = null,
+}) {
+  if (!window.VideoEncoder) {
+    throw new Error('WebCodecs VideoEncoder is required for offline rendering.');
+  }
+  const { name, codecString } = resolveRecordingCodec(codec, container);
+  const encoderConfig = {
+    codec: codecString,
+    width,
+    height,
+    framerate: fps,
+    latencyMode: 'quality',
+  };
+  if (bitrate) {
+    encoderConfig.bitrate = bitrate;
+  }
+  if (name === 'h264') {
+    encoderConfig.avc = { format: 'avc' };
+  }
+  const { supported } = await VideoEncoder.isConfigSupported(encoderConfig);
+  if (!supported) {
+    throw new Error(`VideoEncoder cannot encode ${codecString} at ${width}x${height}.`);
+  }
+
+  const videoChunks = [];
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, metadata) => {
+      videoChunks.push({ chunk, metadata });
+    },
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+  encoder.configure(encoderConfig);
+
+  const frameDurationUs = 1_000_000 / fps;
+  const keyInterval = Math.max(1, keyframeIntervalFrames ?? Math.round(fps * 2));
+  try {
+    for (let index = 0; index < frameCount; index += 1) {
+      if (encodeError) {
+        throw encodeError;
+      }
+      const timestampUs = Math.round(index * frameDurationUs);
+      await prepareFrame(index, timestampUs);
+      drawFrame(index, timestampUs);
+      const frame = new VideoFrame(canvas, { timestamp: timestampUs, duration: Math.round(frameDurationUs) });
+      encoder.encode(frame, { keyFrame: index % keyInterval === 0 });
+      frame.close();
+      while (encoder.encodeQueueSize > MAX_QUEUED_FRAMES) {
+        await new Promise((resolve) => encoder.addEventListener('dequeue', resolve, { once: true }));
+      }
+      onProgress?.(index + 1, frameCount);
+    }
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== 'closed') {
+      encoder.close();
+    }
+  }
+  if (encodeError) {
+    throw encodeError;
+  }
+
+  const encodedAudio = audio ? await audio() : null;
+  const muxer = createMuxer(container, { name, codecString, width, height, frameRate: fps }, encodedAudio?.track);
+  const audioChunks = encodedAudio ? [...encodedAudio.chunks] : [];
+  const addAudioUntil = (timestampUs) => {
+    while (audioChunks.length && audioChunks[0].chunk.timestamp <= timestampUs) {
+      const { chunk, metadata } = audioChunks.shift();
+      muxer.addAudioChunk(chunk, metadata);
+    }
+  };
+  for (const { chunk, metadata } of videoChunks) {
+    addAudioUntil(chunk.timestamp);
+    muxer.addVideoChunk(chunk, metadata);
+  }
+  addAudioUntil(Infinity);
+  return new Blob([muxer.finalize()], { type: container === 'mp4' ? 'video/mp4' : 'video/webm' });
+}
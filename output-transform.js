@@ -0,0 +1,57 @@
+import { COLOR_TRANSFERS } from './color.js';
+
+// Layers are blended into a linear float composite; this pass encodes it for the canvas.
+export const WORKING_FORMAT = 'rgba16float';
+
+export class OutputTransform {
+  constructor(device, { shaderCode, format, width, height, output }) {
+    this.device = device;
+    const module = device.createShaderModule({ code: shaderCode });
+    this.uniformBuffer = device.createBuffer({
+      size: 16,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    this.bindGroupLayout = device.createBindGroupLayout({
+      entries: [
+        { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } },
+        { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'unfilterable-float' } },
+      ],
+    });
+    this.pipeline = device.createRenderPipeline({
+      layout: device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] }),
+      vertex: { module, entryPoint: 'vsOutput' },
+      fragment: { module, entryPoint: 'fsOutput', targets: [{ format }] },
+      primitive: { topology: 'triangle-list' },
+    });
+    this.composite = device.createTexture({
+      size: { width, height },
+      format: WORKING_FORMAT,
+      // COPY_SRC: overlay-blended layers read back what is under them (see LayerEffects).
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_SRC,
+    });
+    this.compositeView = this.composite.createView();
+    this.bindGroup = device.createBindGroup({
+      layout: this.bindGroupLayout,
+      entries: [
+        { binding: 0, resource: { buffer: this.uniformBuffer } },
+        { binding: 1, resource: this.compositeView },
+      ],
+    });
+    this.setOutput(output);
+  }
+
+  setOutput(output) {
+    this.device.queue.writeBuffer(this.uniformBuffer, 0, new Uint32Array([COLOR_TRANSFERS[output.transfer], 0, 0, 0]));
+  }
+
+  // Encodes the composite into `targetView` (the canvas texture).
+  draw(encoder, targetView) {
+    const pass = encoder.beginRenderPass({
+      colorAttachments: [{ view: targetView, loadOp: 'clear', storeOp: 'store', clearValue: { r: 0, g: 0, b: 0, a: 1 } }],
+    });
+    pass.setPipeline(this.pipeline);
+    pass.setBindGroup(0, this.bindGroup);
+    pass.draw(3);
+    pass.end();
+  }
+}
@@ -0,0 +1,25 @@
+// Output transform: encodes the linear working-space composite for the canvas (and therefore for
+// recordings). Prepended with color.wgsl by main.js.
+
+struct OutputUniform {
+    transfer: u32,
+}
+
+@group(0) @binding(0)
+var<uniform> output_uniform: OutputUniform;
+
+@group(0) @binding(1)
+var composite_texture: texture_2d<f32>;
+
+@vertex
+fn vsOutput(@builtin(vertex_index) vertex_index: u32) -> @builtin(position) vec4<f32> {
+    let uv = vec2<f32>(f32((vertex_index << 1u) & 2u), f32(vertex_index & 2u));
+    return vec4<f32>(uv * 2.0 - 1.0, 0.0, 1.0);
+}
+
+@fragment
+fn fsOutput(@builtin(position) position: vec4<f32>) -> @location(0) vec4<f32> {
+    let linear = textureLoad(composite_texture, vec2<i32>(position.xy), 0).rgb;
+    let clipped = clamp(linear, vec3<f32>(0.0), vec3<f32>(1.0));
+    return vec4<f32>(encode_transfer(clipped, output_uniform.transfer, 1.0), 1.0);
+}
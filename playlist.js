@@ -0,0 +1,262 @@
+// Playlists: a layer that plays a list of clips on the composition timeline instead of looping one
+// file from the moment it loads. The first clip starts at the layer's time.in; each clip plays from
+// its `in` to its `out` point (media seconds, the whole file by default) and `end` decides what
+// follows the last one:
+//   loop   start over with the first clip (the default)
+//   hold   keep showing the last frame of the last clip
+//   black  show black
+// Until time.in the first clip is cued, paused on its in point, so the layer goes on air with that
+// exact frame. Every clip gets its own <video> element; the next clip is cued while one plays.
+// Realtime playback re-seeks a clip that drifts away from the composition clock; offline renders
+// seek every frame. Playlists are silent by design: every clip stays muted and out of the program
+// bus and the offline mix, and the scene validator warns about `audio` settings on them.
+export const PLAYLIST_END_ACTIONS = ['loop', 'hold', 'black'];
+
+// Playing clips are re-seeked once they are this far off the composition clock.
+const DRIFT_TOLERANCE_SECONDS = 0.25;
+// Held clips show the frame just before their out point, not the one starting there.
+const LAST_FRAME_OFFSET_SECONDS = 0.001;
+
+// clips: [{ in, duration }] in media seconds; elapsed: seconds since the layer's time.in. Returns
+// { index, mediaTime, playing }, or null once an `end: "black"` playlist is over.
+export function playlistPosition(clips, end, elapsed) {
+  const total = clips.reduce((sum, clip) => sum + clip.duration, 0);
+  if (elapsed < 0 || !(total > 0)) {
+    return { index: 0, mediaTime: clips[0].in, playing: false };
+  }
+  let offset = elapsed;
+  if (offset >= total) {
+    if (end === 'black') {
+      return null;
+    }
+    if (end === 'hold') {
+      const index = clips.length - 1;
+      const last = clips[index];
+      return { index, mediaTime: last.in + Math.max(0, last.duration - LAST_FRAME_OFFSET_SECONDS), playing: false };
+    }
+    offset %= total;
+  }
+  for (const [index, clip] of clips.entries()) {
+    if (offset < clip.duration) {
+      return { index, mediaTime: clip.in + offset, playing: true };
+    }
+    offset -= clip.duration;
+  }
+  // Only reached through rounding right at the end of the list.
+  return { index: 0, mediaTime: clips[0].in, playing: true };
+}
+
+export class PlaylistSource {
+  // descriptor: the layer entry; reads playlist, end and time.in.
+  constructor(descriptor) {
+    this.descriptor = descriptor;
+    this.end = descriptor.end ?? 'loop';
+    this.start = Math.max(0, descriptor.time?.in ?? 0);
+    this.clips = null;
+    this.current = null;
+    this.frame = null;
+    this.blackFrame = null;
+    this.offline = false;
+    this.offlineFrame = null;
+    this.disposed = false;
+  }
+
+  // A clip that fails to load is skipped; only a playlist with nothing playable fails.
+  async init() {
+    const clips = await Promise.all(this.descriptor.playlist.map((item) => this.#load(item)));
+    this.clips = clips.filter((clip) => clip.duration > 0);
+    if (!this.clips.length) {
+      throw new Error('Playlist has no playable clips');
+    }
+    this.clips.forEach((clip) => this.#watch(clip));
+  }
+
+  #load(item) {
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.src = item.url;
+    return new Promise((resolve) => {
+      const onError = () => {
+        console.warn(`Playlist clip ${item.url} failed to load; skipping it`);
+        video.src = '';
+        resolve({ url: item.url, video, in: 0, duration: 0 });
+      };
+      video.addEventListener('error', onError, { once: true });
+      video.addEventListener(
+        'loadeddata',
+        () => {
+          video.removeEventListener('error', onError);
+          const mediaIn = Math.min(item.in ?? 0, video.duration);
+          const mediaOut = Math.min(item.out ?? video.duration, video.duration);
+          resolve({ url: item.url, video, in: mediaIn, duration: Math.max(0, mediaOut - mediaIn) });
+        },
+        { once: true }
+      );
+    });
+  }
+
+  // requestVideoFrameCallback fires for every frame an element presents, including after a seek
+  // while paused; only the current clip's frames are kept.
+  #watch(clip) {
+    const onFrame = (now, metadata) => {
+      if (this.disposed) {
+        return;
+      }
+      if (clip === this.current && !this.offline) {
+        this.#capture(clip, metadata.mediaTime);
+      }
+      clip.video.requestVideoFrameCallback(onFrame);
+    };
+    clip.video.requestVideoFrameCallback(onFrame);
+  }
+
+  #capture(clip, mediaTime = clip.video.currentTime) {
+    const frame = new VideoFrame(clip.video, { timestamp: Math.round(mediaTime * 1_000_000) });
+    this.frame?.close();
+    this.frame = frame;
+  }
+
+  // Sized like the last clip, so fit modes treat it like the pictures before it.
+  #black() {
+    if (!this.blackFrame) {
+      const { video } = this.clips.at(-1);
+      const canvas = new OffscreenCanvas(video.videoWidth || 16, video.videoHeight || 9);
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#000';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      this.blackFrame = new VideoFrame(canvas, { timestamp: 0 });
+    }
+    return this.blackFrame;
+  }
+
+  #setCurrent(clip) {
+    if (clip === this.current) {
+      return;
+    }
+    if (this.current && !this.current.video.paused) {
+      this.current.video.pause();
+    }
+    this.current = clip;
+    if (clip && clip.video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+      this.#capture(clip);
+    }
+  }
+
+  // Paused on mediaTime, unless it is already (being) shown.
+  #cueClip(clip, mediaTime) {
+    const { video } = clip;
+    if (!video.paused) {
+      video.pause();
+    }
+    if (!video.seeking && video.currentTime !== mediaTime) {
+      video.currentTime = mediaTime;
+    }
+  }
+
+  // Drives the elements to where the composition clock puts the playlist.
+  #sync(targetPtsUs) {
+    const position = playlistPosition(this.clips, this.end, targetPtsUs / 1_000_000 - this.start);
+    if (!position) {
+      this.#setCurrent(null);
+      return;
+    }
+    const clip = this.clips[position.index];
+    this.#setCurrent(clip);
+    const { video } = clip;
+    if (!position.playing) {
+      this.#cueClip(clip, position.mediaTime);
+    } else {
+      if (!video.seeking && Math.abs(video.currentTime - position.mediaTime) > DRIFT_TOLERANCE_SECONDS) {
+        video.currentTime = position.mediaTime;
+      }
+      if (video.paused) {
+        video.play().catch((error) => console.warn(`Playlist clip ${clip.url} failed to play`, error));
+      }
+    }
+    const next = this.clips[(position.index + 1) % this.clips.length];
+    if (position.playing && next !== clip) {
+      this.#cueClip(next, next.in);
+    }
+  }
+
+  isReady() {
+    return this.clips !== null;
+  }
+
+  getFrame(targetPtsUs) {
+    if (this.offline) {
+      return this.offlineFrame ?? this.#black();
+    }
+    this.#sync(targetPtsUs);
+    return this.current ? this.frame : this.#black();
+  }
+
+  // Called while the layer is outside its time window: before time.in the first clip is cued,
+  // after time.out nothing needs to play.
+  cue(targetPtsUs) {
+    if (this.offline || !this.clips) {
+      return;
+    }
+    if (targetPtsUs / 1_000_000 < this.start) {
+      this.#sync(targetPtsUs);
+    } else {
+      this.#setCurrent(null);
+    }
+  }
+
+  enterOffline() {
+    this.offline = true;
+    this.#setCurrent(null);
+  }
+
+  leaveOffline() {
+    this.offline = false;
+    this.offlineFrame?.close();
+    this.offlineFrame = null;
+  }
+
+  async seekFrame(targetPtsUs) {
+    const position = playlistPosition(this.clips, this.end, targetPtsUs / 1_000_000 - this.start);
+    this.offlineFrame?.close();
+    this.offlineFrame = null;
+    if (!position) {
+      return;
+    }
+    const { video, url } = this.clips[position.index];
+    if (video.currentTime !== position.mediaTime || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+      await new Promise((resolve, reject) => {
+        const onError = () => reject(new Error(`Seek failed for ${url}`));
+        video.addEventListener('error', onError, { once: true });
+        video.addEventListener(
+          'seeked',
+          () => {
+            video.removeEventListener('error', onError);
+            resolve();
+          },
+          { once: true }
+        );
+        video.currentTime = position.mediaTime;
+      });
+    }
+    this.offlineFrame = new VideoFrame(video, { timestamp: targetPtsUs });
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.frame?.close();
+    this.blackFrame?.close();
+    this.offlineFrame?.close();
+    this.frame = null;
+    this.blackFrame = null;
+    this.offlineFrame = null;
+    for (const { video } of this.clips ?? []) {
+      video.pause();
+      video.src = '';
+      video.remove();
+    }
+    this.clips = null;
+  }
+}
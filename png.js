@@ -0,0 +1,188 @@
+// PNG reading and writing for the golden-frame tests (see golden-frames.js), plus the pixel
+// comparison they use. Images are { width, height, data } with data as 8-bit RGBA rows. Node only.
+import { deflateSync, inflateSync } from 'node:zlib';
+
+const SIGNATURE = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+// Channels per pixel by color type: gray, RGB, palette, gray + alpha, RGBA.
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) {
+    return left;
+  }
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Undoes the per-row filters in place; returns the rows without their filter bytes.
+function unfilter(raw, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const rows = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const source = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = rows.subarray(y * stride, (y + 1) * stride);
+    const previous = y > 0 ? rows.subarray((y - 1) * stride, y * stride) : new Uint8Array(stride);
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+      const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+      let predicted;
+      if (filter === 0) {
+        predicted = 0;
+      } else if (filter === 1) {
+        predicted = left;
+      } else if (filter === 2) {
+        predicted = previous[x];
+      } else if (filter === 3) {
+        predicted = (left + previous[x]) >> 1;
+      } else if (filter === 4) {
+        predicted = paeth(left, previous[x], upLeft);
+      } else {
+        throw new Error(`PNG: unknown filter ${filter} in row ${y}`);
+      }
+      row[x] = (source[x] + predicted) & 0xff;
+    }
+  }
+  return rows;
+}
+
+// 8-bit, non-interlaced PNGs of any color type, as RGBA.
+export function decodePng(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < SIGNATURE.length || SIGNATURE.some((byte, index) => bytes[index] !== byte)) {
+    throw new Error('PNG: bad signature');
+  }
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const compressed = [];
+  for (let offset = SIGNATURE.length; offset + 8 <= bytes.byteLength; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const body = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      compressed.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header) {
+    throw new Error('PNG: missing IHDR');
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (bitDepth !== 8 || !channels || interlace !== 0) {
+    throw new Error(`PNG: only 8-bit non-interlaced images are supported (bit depth ${bitDepth}, color type ${colorType})`);
+  }
+  const rows = unfilter(inflateSync(Buffer.concat(compressed)), width, height, channels);
+  const data = new Uint8Array(width * height * 4);
+  for (let pixel = 0; pixel < width * height; pixel += 1) {
+    const source = pixel * channels;
+    let rgba;
+    if (colorType === 0) {
+      rgba = [rows[source], rows[source], rows[source], 255];
+    } else if (colorType === 2) {
+      rgba = [rows[source], rows[source + 1], rows[source + 2], 255];
+    } else if (colorType === 3) {
+      const entry = rows[source];
+      rgba = [palette[entry * 3], palette[entry * 3 + 1], palette[entry * 3 + 2], transparency?.[entry] ?? 255];
+    } else if (colorType === 4) {
+      rgba = [rows[source], rows[source], rows[source], rows[source + 1]];
+    } else {
+      rgba = rows.subarray(source, source + 4);
+    }
+    data.set(rgba, pixel * 4);
+  }
+  return { width, height, data };
+}
+
+function chunk(type, body) {
+  const bytes = new Uint8Array(12 + body.byteLength);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, body.byteLength);
+  bytes.set(Buffer.from(type, 'latin1'), 4);
+  bytes.set(body, 8);
+  view.setUint32(8 + body.byteLength, crc32(bytes.subarray(4, 8 + body.byteLength)));
+  return bytes;
+}
+
+// RGBA, unfiltered rows; deflate does the rest well enough for test images.
+export function encodePng({ width, height, data }) {
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 6, 0, 0, 0], 8);
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  return Buffer.concat([SIGNATURE, chunk('IHDR', header), chunk('IDAT', deflateSync(raw)), chunk('IEND', new Uint8Array(0))]);
+}
+
+// A pixel mismatches when any channel differs by more than `tolerance` (0–255). Returns the count,
+// the largest channel difference and a diff image: mismatches in red over a dimmed copy of
+// `expected`.
+export function compareImages(expected, actual, { tolerance = 0 } = {}) {
+  if (expected.width !== actual.width || expected.height !== actual.height) {
+    throw new Error(`size mismatch: expected ${expected.width}x${expected.height}, got ${actual.width}x${actual.height}`);
+  }
+  const diff = new Uint8Array(expected.data.length);
+  let mismatched = 0;
+  let maxDifference = 0;
+  for (let offset = 0; offset < expected.data.length; offset += 4) {
+    let difference = 0;
+    for (let channel = 0; channel < 4; channel += 1) {
+      difference = Math.max(difference, Math.abs(expected.data[offset + channel] - actual.data[offset + channel]));
+    }
+    maxDifference = Math.max(maxDifference, difference);
+    if (difference > tolerance) {
+      mismatched += 1;
+      diff.set([255, 0, 0, 255], offset);
+    } else {
+      const luma = Math.round(
+        0.2126 * expected.data[offset] + 0.7152 * expected.data[offset + 1] + 0.0722 * expected.data[offset + 2]
+      );
+      diff.set([luma >> 2, luma >> 2, luma >> 2, 255], offset);
+    }
+  }
+  return {
+    mismatched,
+    total: expected.width * expected.height,
+    maxDifference,
+    diff: { width: expected.width, height: expected.height, data: diff },
+  };
+}
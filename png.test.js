@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { deflateSync } from 'node:zlib';
+
+import { compareImages, decodePng, encodePng } from './png.js';
+
+const image = (width, height, pixel) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let index = 0; index < width * height; index += 1) {
+    data.set(pixel(index % width, Math.floor(index / width)), index * 4);
+  }
+  return { width, height, data };
+};
+
+// A PNG from raw (already filtered) scanlines. The decoder does not check CRCs, so they are zero.
+function rawPng(width, height, colorType, scanlines) {
+  const chunk = (type, body) => {
+    const bytes = Buffer.alloc(12 + body.length);
+    bytes.writeUInt32BE(body.length, 0);
+    bytes.write(type, 4, 'latin1');
+    body.copy(bytes, 8);
+    return bytes;
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, colorType, 0, 0, 0], 8);
+  return new Uint8Array(
+    Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', header),
+      chunk('IDAT', deflateSync(Buffer.from(scanlines.flat()))),
+      chunk('IEND', Buffer.alloc(0)),
+    ])
+  );
+}
+
+test('encoded images decode to the same pixels', () => {
+  const original = image(7, 5, (x, y) => [x * 30, y * 50, (x + y) * 10, x === y ? 0 : 200]);
+  const decoded = decodePng(encodePng(original));
+  assert.equal(decoded.width, 7);
+  assert.equal(decoded.height, 5);
+  assert.deepEqual(decoded.data, original.data);
+});
+
+test('every row filter is undone', () => {
+  // 2x5 RGB, one row per filter type: none, sub, up, average, paeth.
+  const png = rawPng(2, 5, 2, [
+    [0, 10, 20, 30, 40, 50, 60],
+    [1, 10, 20, 30, 5, 5, 5],
+    [2, 1, 1, 1, 2, 2, 2],
+    [3, 10, 10, 10, 10, 10, 10],
+    [4, 1, 2, 3, 4, 5, 6],
+  ]);
+  const { width, height, data } = decodePng(png);
+  assert.equal(width, 2);
+  assert.equal(height, 5);
+  const rows = Array.from({ length: 5 }, (_, y) => Array.from(data.subarray(y * 8, (y + 1) * 8)));
+  assert.deepEqual(rows, [
+    [10, 20, 30, 255, 40, 50, 60, 255],
+    [10, 20, 30, 255, 15, 25, 35, 255],
+    [11, 21, 31, 255, 17, 27, 37, 255],
+    // average of left (0 for the first pixel) and up
+    [15, 20, 25, 255, 26, 33, 41, 255],
+    // paeth picks up for the first pixel, then the nearest of left, up and up-left
+    [16, 22, 28, 255, 30, 38, 47, 255],
+  ]);
+});
+
+test('gray and gray + alpha images come out as RGBA', () => {
+  assert.deepEqual(Array.from(decodePng(rawPng(1, 1, 0, [[0, 77]])).data), [77, 77, 77, 255]);
+  assert.deepEqual(Array.from(decodePng(rawPng(1, 1, 4, [[0, 77, 9]])).data), [77, 77, 77, 9]);
+  const overlay = decodePng(new Uint8Array(readFileSync(new URL('./overlay.png', import.meta.url))));
+  assert.equal(overlay.width, 1920);
+  assert.equal(overlay.height, 1080);
+  assert.equal(overlay.data.length, 1920 * 1080 * 4);
+});
+
+test('unsupported PNGs are rejected', () => {
+  assert.throws(() => decodePng(new Uint8Array(16)), /bad signature/);
+  const sixteenBit = rawPng(1, 1, 2, [[0, 1, 2, 3, 4, 5, 6]]);
+  sixteenBit[24] = 16;
+  assert.throws(() => decodePng(sixteenBit), /only 8-bit/);
+});
+
+test('pixels differing by more than the tolerance are counted and marked red', () => {
+  const expected = image(4, 1, () => [100, 100, 100, 255]);
+  const actual = image(4, 1, (x) => [100 + x * 2, 100, 100, 255]);
+  const loose = compareImages(expected, actual, { tolerance: 2 });
+  assert.equal(loose.mismatched, 2);
+  assert.equal(loose.total, 4);
+  assert.equal(loose.maxDifference, 6);
+  assert.deepEqual(Array.from(loose.diff.data.subarray(8, 12)), [255, 0, 0, 255]);
+  assert.deepEqual(Array.from(loose.diff.data.subarray(0, 4)), [25, 25, 25, 255]);
+  assert.equal(compareImages(expected, actual).mismatched, 3);
+  assert.throws(() => compareImages(expected, image(2, 2, () => [0, 0, 0, 0])), /size mismatch/);
+});
@@ -0,0 +1,138 @@
+// Remote control of the renderer by automation and external panels. Messages are JSON:
+//   request   { id, method, params }        answered by { id, result } or { id, error }
+//   event     { event, data }               pushed to clients that subscribed to it
+// `subscribe` ({ events }, all by default) and `unsubscribe` are handled here; every other method
+// comes from the table main.js passes in. Two transports carry the same messages, each tagged with
+// the `client` that sent the request or receives the answer:
+//   WebSocket         the page connects to a relay (control-server.js) that tags messages per
+//                     panel and sends { client, closed: true } when a panel goes away
+//   BroadcastChannel  panels in other tabs of the same browser post tagged messages themselves and
+//                     drop answers and events meant for other clients
+export const CONTROL_EVENTS = ['state', 'tally', 'health'];
+export const DEFAULT_CONTROL_CHANNEL = 'web-render-control';
+
+const RECONNECT_DELAY_MS = 2000;
+
+export function normalizeControl(control) {
+  return {
+    url: control?.url ?? null,
+    channel: control?.channel === false ? null : control?.channel ?? DEFAULT_CONTROL_CHANNEL,
+  };
+}
+
+export class RemoteControl {
+  // methods: { name: async (params) => result }.
+  constructor(methods, { log }) {
+    this.methods = methods;
+    this.log = log;
+    // `${transport}:${client}` -> { send, events }
+    this.subscribers = new Map();
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.channel = null;
+    this.disposed = false;
+    this.warned = false;
+  }
+
+  // Keeps reconnecting to the relay until dispose().
+  connect(url) {
+    const socket = new WebSocket(url);
+    socket.addEventListener('open', () => {
+      this.warned = false;
+      this.log(`Remote control connected to ${url}`);
+    });
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        // The relay sends only JSON; a broken frame has no client to answer, so it is only logged.
+        this.log(`Remote control: ignored a message that is not JSON (${error.message})`);
+        return;
+      }
+      this.#receive('ws', message, (reply) => socket.send(JSON.stringify(reply)));
+    });
+    socket.addEventListener('close', () => {
+      this.socket = null;
+      this.#dropSubscribers('ws');
+      if (this.disposed) {
+        return;
+      }
+      if (!this.warned) {
+        this.log(`Remote control: no relay at ${url} (start it with \`node control-server.js\`); retrying.`);
+        this.warned = true;
+      }
+      this.reconnectTimer = setTimeout(() => this.connect(url), RECONNECT_DELAY_MS);
+    });
+    this.socket = socket;
+  }
+
+  listen(name) {
+    this.channel = new BroadcastChannel(name);
+    this.channel.addEventListener('message', (event) => {
+      // Only requests are for this page; answers and events come from other renderers on the channel.
+      if (event.data?.method !== undefined || event.data?.closed) {
+        this.#receive('channel', event.data, (message) => this.channel.postMessage(message));
+      }
+    });
+  }
+
+  // Sends an event to every client that subscribed to it.
+  publish(event, data) {
+    for (const subscriber of this.subscribers.values()) {
+      if (subscriber.events.has(event)) {
+        subscriber.send({ event, data });
+      }
+    }
+  }
+
+  #dropSubscribers(transport) {
+    for (const key of this.subscribers.keys()) {
+      if (key.startsWith(`${transport}:`)) {
+        this.subscribers.delete(key);
+      }
+    }
+  }
+
+  async #receive(transport, message, post) {
+    const { client, id, method, params = {} } = message ?? {};
+    const key = `${transport}:${client}`;
+    if (message?.closed) {
+      this.subscribers.delete(key);
+      return;
+    }
+    const reply = (fields) => post({ client, id, ...fields });
+    try {
+      if (method === 'subscribe') {
+        const events = params.events ?? CONTROL_EVENTS;
+        const unknown = events.filter((event) => !CONTROL_EVENTS.includes(event));
+        if (unknown.length) {
+          throw new Error(`unknown event ${unknown.join(', ')}; events are ${CONTROL_EVENTS.join(', ')}`);
+        }
+        this.subscribers.set(key, { send: (fields) => post({ client, ...fields }), events: new Set(events) });
+        reply({ result: { events } });
+        return;
+      }
+      if (method === 'unsubscribe') {
+        this.subscribers.delete(key);
+        reply({ result: null });
+        return;
+      }
+      const handler = Object.hasOwn(this.methods, method) ? this.methods[method] : null;
+      if (!handler) {
+        throw new Error(`unknown method "${method}"`);
+      }
+      reply({ result: (await handler(params)) ?? null });
+    } catch (error) {
+      reply({ error: error.message });
+    }
+  }
+
+  dispose() {
+    this.disposed = true;
+    clearTimeout(this.reconnectTimer);
+    this.socket?.close();
+    this.channel?.close();
+    this.subscribers.clear();
+  }
+}
@@ -0,0 +1,300 @@
+// Render telemetry: one record per composed frame with the CPU time spent encoding it, the GPU time
+// (timestamp queries, where the adapter has them), how many timeline frames were missed before it
+// and, per drawn layer, whether it showed a new frame, repeated the last one or had none. Sources
+// can report buffer depth, frames evicted unseen, decode latency and the composition time of the
+// presented frame through an optional getStats() hook, from which the drift against the timeline
+// is derived. The last HISTORY_FRAMES records are kept for export as JSON or CSV.
+export const STATS_FORMATS = ['json', 'csv'];
+
+const HISTORY_FRAMES = 600;
+const CSV_COLUMNS = [
+  'frameIndex',
+  'timelineSeconds',
+  'cpuMs',
+  'gpuMs',
+  'missedFrames',
+  'layerId',
+  'frame',
+  'bufferDepth',
+  'evicted',
+  'decodeLatencyMs',
+  'driftMs',
+];
+
+const round = (value, digits = 3) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// One CSV row per layer per frame; frames without layers get a row with the layer columns empty.
+export function statsToCsv(records) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const record of records) {
+    const frame = [record.frameIndex, record.timelineSeconds, record.cpuMs, record.gpuMs, record.missedFrames];
+    const layers = record.layers.length ? record.layers : [{}];
+    for (const layer of layers) {
+      const values = [layer.id, layer.frame, layer.bufferDepth, layer.evicted, layer.decodeLatencyMs, layer.driftMs];
+      rows.push([...frame, ...values].map(csvField).join(','));
+    }
+  }
+  return `${rows.join('\n')}\n`;
+}
+
+export class RenderStats {
+  constructor({ historyFrames = HISTORY_FRAMES } = {}) {
+    this.historyFrames = historyFrames;
+    this.history = [];
+    this.listeners = new Set();
+    this.lastTimestamps = new Map();
+    this.idleTicks = 0;
+    this.current = null;
+  }
+
+  // Returns a function that removes the listener again. Listeners get every finished record.
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // A display refresh that fell inside an already rendered timeline frame.
+  idleTick() {
+    this.idleTicks += 1;
+  }
+
+  beginFrame({ frameIndex, targetPtsUs, missedFrames = 0 }) {
+    this.current = {
+      frameIndex,
+      timelineSeconds: round(targetPtsUs / 1_000_000, 6),
+      targetPtsUs,
+      cpuMs: null,
+      gpuMs: null,
+      missedFrames,
+      layers: [],
+    };
+    return this.current;
+  }
+
+  // frame is what the layer drew (null when it had nothing); source may offer getStats(). Only the
+  // first draw of a layer in a frame counts, so the preview bus does not turn it into a repeat.
+  recordLayer(id, frame, source) {
+    const record = this.current;
+    if (!record || record.layers.some((layer) => layer.id === id)) {
+      return;
+    }
+    let state = 'none';
+    if (frame) {
+      state = this.lastTimestamps.get(id) === frame.timestamp ? 'repeat' : 'new';
+      this.lastTimestamps.set(id, frame.timestamp);
+    }
+    const stats = source?.getStats?.() ?? {};
+    const presentedPtsUs = stats.presentedPtsUs ?? null;
+    record.layers.push({
+      id,
+      frame: state,
+      bufferDepth: stats.bufferDepth ?? null,
+      evicted: stats.evicted ?? null,
+      decodeLatencyMs: round(stats.decodeLatencyMs),
+      driftMs: presentedPtsUs === null ? null : round((presentedPtsUs - record.targetPtsUs) / 1000),
+    });
+  }
+
+  // gpuTime: a promise of the frame's GPU time in ms (or null), see GpuTimer. Listeners are called
+  // once it is known, so records arrive in frame order with both times filled in.
+  endFrame({ cpuMs, gpuTime = null }) {
+    const record = this.current;
+    this.current = null;
+    if (!record) {
+      return;
+    }
+    record.cpuMs = round(cpuMs);
+    this.history.push(record);
+    if (this.history.length > this.historyFrames) {
+      this.history.shift();
+    }
+    const publish = () => {
+      const { targetPtsUs, ...published } = record;
+      this.listeners.forEach((listener) => {
+        try {
+          listener(published);
+        } catch (error) {
+          console.error('Render stats listener failed', error);
+        }
+      });
+    };
+    if (!gpuTime) {
+      publish();
+      return;
+    }
+    gpuTime
+      .then((ms) => {
+        record.gpuMs = round(ms);
+      })
+      .catch(() => {})
+      .finally(publish);
+  }
+
+  // Totals over the last `frames` records: times as average and maximum, layer frame counts and the
+  // latest source figures per layer.
+  summary(frames = this.history.length) {
+    const records = this.history.slice(-frames);
+    const times = (key) => {
+      const values = records.map((record) => record[key]).filter((value) => value !== null);
+      return values.length
+        ? { avg: round(values.reduce((sum, value) => sum + value, 0) / values.length), max: round(Math.max(...values)) }
+        : null;
+    };
+    const layers = new Map();
+    for (const record of records) {
+      for (const layer of record.layers) {
+        const totals = layers.get(layer.id) ?? { id: layer.id, new: 0, repeat: 0, none: 0 };
+        totals[layer.frame] += 1;
+        Object.assign(totals, {
+          bufferDepth: layer.bufferDepth,
+          evicted: layer.evicted,
+          decodeLatencyMs: layer.decodeLatencyMs,
+          driftMs: layer.driftMs,
+        });
+        layers.set(layer.id, totals);
+      }
+    }
+    return {
+      frames: records.length,
+      missedFrames: records.reduce((sum, record) => sum + record.missedFrames, 0),
+      idleTicks: this.idleTicks,
+      cpuMs: times('cpuMs'),
+      gpuMs: times('gpuMs'),
+      layers: [...layers.values()],
+    };
+  }
+
+  export(format = 'json') {
+    const records = this.history.map(({ targetPtsUs, ...record }) => record);
+    if (format === 'csv') {
+      return statsToCsv(records);
+    }
+    if (format === 'json') {
+      return JSON.stringify({ summary: this.summary(), frames: records }, null, 2);
+    }
+    throw new Error(`Unknown stats format "${format}"; use ${STATS_FORMATS.join(' or ')}`);
+  }
+}
+
+// Whole-frame GPU time from two timestamp queries written by empty compute passes at the start
+// and end of the frame's command encoder. Readback buffers are recycled; a frame that finds none
+// free is simply not measured.
+const READBACK_BUFFERS = 4;
+
+export class GpuTimer {
+  static isSupported(device) {
+    return device.features.has('timestamp-query');
+  }
+
+  constructor(device) {
+    this.querySet = device.createQuerySet({ type: 'timestamp', count: 2 });
+    this.resolveBuffer = device.createBuffer({ size: 16, usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC });
+    this.free = Array.from({ length: READBACK_BUFFERS }, () =>
+      device.createBuffer({ size: 16, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST })
+    );
+    this.pending = null;
+  }
+
+  begin(encoder) {
+    encoder.beginComputePass({ timestampWrites: { querySet: this.querySet, beginningOfPassWriteIndex: 0 } }).end();
+  }
+
+  // Call before encoder.finish(); read() after the submit returns the frame's GPU time.
+  end(encoder) {
+    encoder.beginComputePass({ timestampWrites: { querySet: this.querySet, endOfPassWriteIndex: 1 } }).end();
+    this.pending = this.free.pop() ?? null;
+    if (this.pending) {
+      encoder.resolveQuerySet(this.querySet, 0, 2, this.resolveBuffer, 0);
+      encoder.copyBufferToBuffer(this.resolveBuffer, 0, this.pending, 0, 16);
+    }
+  }
+
+  // Promise of milliseconds, or null when this frame was not measured.
+  read() {
+    const buffer = this.pending;
+    this.pending = null;
+    if (!buffer) {
+      return null;
+    }
+    return buffer.mapAsync(GPUMapMode.READ).then(
+      () => {
+        const [start, end] = new BigUint64Array(buffer.getMappedRange());
+        buffer.unmap();
+        this.free.push(buffer);
+        return Number(end - start) / 1e6;
+      },
+      (error) => {
+        this.free.push(buffer);
+        throw error;
+      }
+    );
+  }
+}
+
+// On-screen HUD: a Canvas 2D layer over the output canvas (not part of the program picture), redrawn
+// a few times a second from the last second of records.
+const HUD_INTERVAL_MS = 250;
+const FRAME_STATE_COLORS = { new: '#22c55e', repeat: '#eab308', none: '#ef4444' };
+
+export class StatsHud {
+  constructor(outputCanvas, stats, { fps }) {
+    this.stats = stats;
+    this.fps = fps;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = outputCanvas.width;
+    this.canvas.height = outputCanvas.height;
+    Object.assign(this.canvas.style, { position: 'absolute', inset: '0', pointerEvents: 'none' });
+    outputCanvas.parentElement.append(this.canvas);
+    this.context = this.canvas.getContext('2d');
+    this.timer = null;
+  }
+
+  start() {
+    this.timer ??= setInterval(() => this.draw(), HUD_INTERVAL_MS);
+    this.canvas.hidden = false;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.canvas.hidden = true;
+  }
+
+  draw() {
+    const { canvas, context } = this;
+    const summary = this.stats.summary(Math.round(this.fps));
+    const scale = canvas.height / 1080;
+    const lineHeight = 22 * scale;
+    const time = (value) => (value ? `${value.avg.toFixed(2)} / ${value.max.toFixed(2)} ms` : 'n/a');
+    const number = (value, unit = '') => (value === null || value === undefined ? '–' : `${value}${unit}`);
+    const lines = [
+      [`frames ${summary.frames}  missed ${summary.missedFrames}  idle ticks ${summary.idleTicks}`],
+      [`cpu ${time(summary.cpuMs)}  gpu ${time(summary.gpuMs)}`],
+      ...summary.layers.map((layer) => [
+        `${String(layer.id).slice(0, 24).padEnd(24)} ` +
+          `new ${String(layer.new).padStart(3)} rep ${String(layer.repeat).padStart(3)} none ${String(layer.none).padStart(3)}  ` +
+          `buf ${number(layer.bufferDepth)} evicted ${number(layer.evicted)} ` +
+          `dec ${number(layer.decodeLatencyMs, ' ms')} drift ${number(layer.driftMs, ' ms')}`,
+        layer.none ? FRAME_STATE_COLORS.none : layer.repeat > layer.new ? FRAME_STATE_COLORS.repeat : FRAME_STATE_COLORS.new,
+      ]),
+    ];
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = `${16 * scale}px ui-monospace, monospace`;
+    context.textBaseline = 'top';
+    const width = Math.max(...lines.map(([text]) => context.measureText(text).width)) + 20 * scale;
+    context.fillStyle = 'rgba(2, 6, 23, 0.75)';
+    context.fillRect(0, 0, width, lines.length * lineHeight + 12 * scale);
+    lines.forEach(([text, color = '#e2e8f0'], index) => {
+      context.fillStyle = color;
+      context.fillText(text, 10 * scale, 6 * scale + index * lineHeight);
+    });
+  }
+}
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { RenderStats, statsToCsv } from './render-stats.js';
+
+const frameAt = (timestamp) => ({ timestamp });
+const sourceWith = (stats) => ({ getStats: () => stats });
+
+// Renders one frame at 25 fps with the given { layerId: frame or null } draws.
+function renderFrame(stats, frameIndex, draws, { missedFrames = 0, source } = {}) {
+  stats.beginFrame({ frameIndex, targetPtsUs: frameIndex * 40_000, missedFrames });
+  for (const [id, frame] of Object.entries(draws)) {
+    stats.recordLayer(id, frame, source);
+  }
+  stats.endFrame({ cpuMs: 1 + frameIndex });
+}
+
+test('layers are counted as new, repeated or missing frames', () => {
+  const stats = new RenderStats();
+  renderFrame(stats, 0, { cam: frameAt(0), logo: null });
+  renderFrame(stats, 1, { cam: frameAt(0), logo: frameAt(5) });
+  renderFrame(stats, 2, { cam: frameAt(80_000), logo: frameAt(5) }, { missedFrames: 2 });
+
+  const summary = stats.summary();
+  assert.equal(summary.frames, 3);
+  assert.equal(summary.missedFrames, 2);
+  assert.deepEqual(summary.cpuMs, { avg: 2, max: 3 });
+  assert.equal(summary.gpuMs, null);
+  assert.deepEqual(
+    summary.layers.map(({ id, new: fresh, repeat, none }) => ({ id, fresh, repeat, none })),
+    [
+      { id: 'cam', fresh: 2, repeat: 1, none: 0 },
+      { id: 'logo', fresh: 1, repeat: 1, none: 1 },
+    ]
+  );
+  assert.equal(stats.summary(1).frames, 1);
+});
+
+test('only the first draw of a layer in a frame counts', () => {
+  const stats = new RenderStats();
+  stats.beginFrame({ frameIndex: 0, targetPtsUs: 0 });
+  stats.recordLayer('cam', frameAt(0));
+  stats.recordLayer('cam', frameAt(0));
+  stats.endFrame({ cpuMs: 1 });
+  assert.deepEqual(
+    stats.history[0].layers.map((layer) => layer.frame),
+    ['new']
+  );
+});
+
+test('source figures are recorded and drift is measured against the timeline', () => {
+  const stats = new RenderStats();
+  const source = sourceWith({ bufferDepth: 3, evicted: 1, decodeLatencyMs: 4.56789, presentedPtsUs: 30_000 });
+  renderFrame(stats, 1, { cam: frameAt(30_000) }, { source });
+  const [layer] = stats.history[0].layers;
+  assert.deepEqual(layer, {
+    id: 'cam',
+    frame: 'new',
+    bufferDepth: 3,
+    evicted: 1,
+    decodeLatencyMs: 4.568,
+    driftMs: -10,
+  });
+
+  renderFrame(stats, 2, { still: frameAt(0) }, { source: {} });
+  assert.deepEqual(stats.history[1].layers[0], {
+    id: 'still',
+    frame: 'new',
+    bufferDepth: null,
+    evicted: null,
+    decodeLatencyMs: null,
+    driftMs: null,
+  });
+});
+
+test('history is capped and listeners get records once the GPU time is known', async () => {
+  const stats = new RenderStats({ historyFrames: 2 });
+  const received = [];
+  const unsubscribe = stats.subscribe((record) => received.push(record));
+  renderFrame(stats, 0, {});
+  stats.beginFrame({ frameIndex: 1, targetPtsUs: 40_000 });
+  stats.endFrame({ cpuMs: 2, gpuTime: Promise.resolve(0.25) });
+  renderFrame(stats, 2, {});
+  assert.deepEqual(
+    stats.history.map((record) => record.frameIndex),
+    [1, 2]
+  );
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepEqual(
+    received.map((record) => [record.frameIndex, record.gpuMs]),
+    [
+      [0, null],
+      [2, null],
+      [1, 0.25],
+    ]
+  );
+  assert.equal('targetPtsUs' in received[0], false);
+  unsubscribe();
+  renderFrame(stats, 3, {});
+  assert.equal(received.length, 3);
+});
+
+test('CSV export has one row per layer and quotes awkward ids', () => {
+  const csv = statsToCsv([
+    { frameIndex: 0, timelineSeconds: 0, cpuMs: 1.5, gpuMs: null, missedFrames: 0, layers: [] },
+    {
+      frameIndex: 1,
+      timelineSeconds: 0.04,
+      cpuMs: 2,
+      gpuMs: 0.5,
+      missedFrames: 1,
+      layers: [
+        { id: 'cam, "main"', frame: 'new', bufferDepth: 2, evicted: 0, decodeLatencyMs: 3, driftMs: -1 },
+        { id: 'logo', frame: 'none', bufferDepth: null, evicted: null, decodeLatencyMs: null, driftMs: null },
+      ],
+    },
+  ]);
+  assert.equal(
+    csv,
+    [
+      'frameIndex,timelineSeconds,cpuMs,gpuMs,missedFrames,layerId,frame,bufferDepth,evicted,decodeLatencyMs,driftMs',
+      '0,0,1.5,,0,,,,,,',
+      '1,0.04,2,0.5,1,"cam, ""main""",new,2,0,3,-1',
+      '1,0.04,2,0.5,1,logo,none,,,,',
+      '',
+    ].join('\n')
+  );
+});
+
+test('export returns JSON or CSV and rejects other formats', () => {
+  const stats = new RenderStats();
+  renderFrame(stats, 0, { cam: frameAt(0) });
+  const json = JSON.parse(stats.export());
+  assert.equal(json.summary.frames, 1);
+  assert.equal(json.frames[0].layers[0].id, 'cam');
+  assert.equal('targetPtsUs' in json.frames[0], false);
+  assert.match(stats.export('csv'), /^frameIndex,/);
+  assert.throws(() => stats.export('xml'), /Unknown stats format "xml"/);
+});
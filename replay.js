@@ -0,0 +1,641 @@
+// Instant replay. Inputs with a `replay` setting keep the last N seconds of what they showed in a
+// ring buffer, whether on air or not: as GPU textures, or re-encoded with WebCodecs to bound memory.
+// markIn/markOut pick a clip and playReplay() plays it through the `type: "replay"` layers of a
+// channel at 100%, 50% or 25% speed, repeating frames or blending neighbours (replay.wgsl).
+// Everything is timed on the composition clock, in microseconds.
+
+export const REPLAY_STORAGE = ['encoded', 'gpu'];
+export const REPLAY_MODES = ['repeat', 'blend'];
+export const REPLAY_SPEEDS = [1, 0.5, 0.25];
+export const DEFAULT_REPLAY_CHANNEL = 'default';
+
+const DECODE_AHEAD = 8;
+const MAX_QUEUED_FRAMES = 4;
+const MAX_FREE_TEXTURES = 8;
+const TEXTURE_FORMAT = 'rgba8unorm-srgb';
+
+// replay: true, or { seconds, storage, codec, bitrate }.
+export function normalizeReplay(value) {
+  if (!value) {
+    return null;
+  }
+  const settings = value === true ? {} : value;
+  return {
+    seconds: settings.seconds ?? 10,
+    storage: REPLAY_STORAGE.includes(settings.storage) ? settings.storage : 'encoded',
+    codec: settings.codec ?? 'vp8',
+    bitrate: settings.bitrate ?? 8_000_000,
+  };
+}
+
+// Index of the last timestamp at or before positionUs (0 when all are later).
+function indexAt(timestamps, positionUs) {
+  let low = 0;
+  let high = timestamps.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (timestamps[middle] <= positionUs) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+// The stored frames shown at positionUs: the last one at or before it and, when blending, the next
+// one with how far towards it (0–1). next is null when there is nothing to blend.
+export function framesAt(timestamps, positionUs, mode = 'repeat') {
+  const index = indexAt(timestamps, positionUs);
+  const next = index + 1 < timestamps.length ? index + 1 : null;
+  const mix = next === null ? 0 : (positionUs - timestamps[index]) / (timestamps[next] - timestamps[index]);
+  if (mode !== 'blend' || mix <= 0) {
+    return { index, next: null, mix: 0 };
+  }
+  return { index, next, mix: Math.min(1, mix) };
+}
+
+// First and last entry a clip from inUs to outUs needs. Encoded entries have to start at a keyframe.
+export function clipRange(entries, inUs, outUs) {
+  const timestamps = entries.map((entry) => entry.timestampUs);
+  let start = indexAt(timestamps, inUs);
+  while (start > 0 && entries[start].key === false) {
+    start -= 1;
+  }
+  return [start, Math.max(start, indexAt(timestamps, outUs))];
+}
+
+// How many leading entries can go once the buffer only has to reach back to cutoffUs: everything
+// before the frame on screen at cutoffUs, or for encoded buffers before the keyframe leading to it.
+export function evictionCount(entries, cutoffUs) {
+  let count = 0;
+  for (let index = 1; index < entries.length && entries[index].timestampUs <= cutoffUs; index += 1) {
+    if (entries[index].key !== false) {
+      count = index;
+    }
+  }
+  return count;
+}
+
+// Source position of a clip `elapsedUs` into playback at `speed`; it stops at the out point.
+export function clipPosition(clip, speed, elapsedUs) {
+  return Math.min(clip.outUs, clip.inUs + Math.max(0, elapsedUs) * speed);
+}
+
+// One input's ring buffer. Entries are { timestampUs, texture, pins } (gpu) or { timestampUs,
+// chunk, key, config } (encoded). Textures a playing clip still uses are recycled once it lets go.
+class ReplayBuffer {
+  constructor(device, settings, { fps, log, label }) {
+    this.device = device;
+    this.settings = settings;
+    this.fps = fps;
+    this.log = log;
+    this.label = label;
+    this.entries = [];
+    this.freeTextures = [];
+    this.lastFrame = null;
+    this.lastFrameTimestamp = null;
+    this.encoder = null;
+    this.encoderSize = null;
+    this.decoderConfig = null;
+    this.framesSinceKey = 0;
+    this.dropped = 0;
+    this.failure = null;
+    this.disposed = false;
+  }
+
+  // Stores `frame` as shown at timestampUs; a frame the source repeats is stored once.
+  capture(frame, timestampUs) {
+    if (frame === this.lastFrame && frame.timestamp === this.lastFrameTimestamp) {
+      return;
+    }
+    this.lastFrame = frame;
+    this.lastFrameTimestamp = frame.timestamp;
+    if (this.settings.storage === 'gpu') {
+      this.#store(frame, timestampUs);
+    } else {
+      this.#encode(frame, timestampUs);
+    }
+  }
+
+  #store(frame, timestampUs) {
+    const width = frame.displayWidth;
+    const height = frame.displayHeight;
+    const texture = this.#takeTexture(width, height);
+    this.device.queue.copyExternalImageToTexture({ source: frame }, { texture }, [width, height]);
+    this.#append({ timestampUs, texture, pins: 0 });
+  }
+
+  #takeTexture(width, height) {
+    const index = this.freeTextures.findIndex((texture) => texture.width === width && texture.height === height);
+    if (index !== -1) {
+      return this.freeTextures.splice(index, 1)[0];
+    }
+    return this.device.createTexture({
+      size: [width, height],
+      format: TEXTURE_FORMAT,
+      usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
+    });
+  }
+
+  #recycle(entry) {
+    if (entry.pins > 0) {
+      entry.evicted = true;
+    } else if (!this.disposed && this.freeTextures.length < MAX_FREE_TEXTURES) {
+      this.freeTextures.push(entry.texture);
+    } else {
+      entry.texture.destroy();
+    }
+  }
+
+  // Keyframes once a second, so a clip never decodes more than a second it does not show.
+  #encode(frame, timestampUs) {
+    if (this.failure) {
+      return;
+    }
+    const width = frame.displayWidth;
+    const height = frame.displayHeight;
+    if (!this.encoder) {
+      this.encoder = new VideoEncoder({
+        output: (chunk, metadata) => {
+          this.decoderConfig = metadata?.decoderConfig ?? this.decoderConfig;
+          this.#append({ timestampUs: chunk.timestamp, chunk, key: chunk.type === 'key', config: this.decoderConfig });
+        },
+        error: (error) => {
+          this.failure = error;
+          this.log(`Replay buffer for ${this.label} stopped: ${error.message}`);
+        },
+      });
+    }
+    if (this.encoderSize?.width !== width || this.encoderSize?.height !== height) {
+      const { codec, bitrate } = this.settings;
+      this.encoder.configure({ codec, width, height, bitrate, framerate: this.fps, latencyMode: 'realtime' });
+      this.encoderSize = { width, height };
+      this.framesSinceKey = 0;
+    }
+    if (this.encoder.encodeQueueSize >= MAX_QUEUED_FRAMES) {
+      this.dropped += 1;
+      return;
+    }
+    const copy = new VideoFrame(frame, { timestamp: timestampUs });
+    this.encoder.encode(copy, { keyFrame: this.framesSinceKey === 0 });
+    copy.close();
+    this.framesSinceKey = (this.framesSinceKey + 1) % Math.max(1, Math.round(this.fps));
+  }
+
+  #append(entry) {
+    this.entries.push(entry);
+    const count = evictionCount(this.entries, entry.timestampUs - this.settings.seconds * 1_000_000);
+    if (count > 0) {
+      const evicted = this.entries.splice(0, count);
+      if (this.settings.storage === 'gpu') {
+        evicted.forEach((old) => this.#recycle(old));
+      }
+    }
+  }
+
+  // A clip of what is buffered between inUs and outUs (clamped to what is there).
+  clip(inUs, outUs) {
+    if (!this.entries.length) {
+      throw new Error(`Nothing has been recorded from ${this.label} yet`);
+    }
+    const [start, end] = clipRange(this.entries, inUs, outUs);
+    const entries = this.entries.slice(start, end + 1);
+    entries.forEach((entry) => {
+      entry.pins = (entry.pins ?? 0) + 1;
+    });
+    const first = entries[0].timestampUs;
+    const last = entries[entries.length - 1].timestampUs;
+    return new ReplayClip(this, entries, { inUs: Math.min(Math.max(inUs, first), last), outUs: last });
+  }
+
+  release(entries) {
+    for (const entry of entries) {
+      entry.pins -= 1;
+      if (this.settings.storage === 'gpu' && entry.evicted && entry.pins === 0) {
+        entry.evicted = false;
+        this.#recycle(entry);
+      }
+    }
+  }
+
+  status() {
+    const first = this.entries[0]?.timestampUs ?? null;
+    const last = this.entries[this.entries.length - 1]?.timestampUs ?? null;
+    return {
+      storage: this.settings.storage,
+      frames: this.entries.length,
+      fromSeconds: first === null ? null : first / 1_000_000,
+      toSeconds: last === null ? null : last / 1_000_000,
+      dropped: this.dropped,
+      error: this.failure?.message ?? null,
+    };
+  }
+
+  dispose() {
+    this.disposed = true;
+    if (this.encoder && this.encoder.state !== 'closed') {
+      this.encoder.close();
+    }
+    if (this.settings.storage === 'gpu') {
+      this.entries.splice(0).forEach((entry) => this.#recycle(entry));
+    } else {
+      this.entries = [];
+    }
+    this.freeTextures.splice(0).forEach((texture) => texture.destroy());
+  }
+}
+
+// A marked stretch of one buffer. frames() hands back GPU textures, or for encoded buffers frames
+// from a decoder that runs a few frames ahead of playback.
+class ReplayClip {
+  constructor(buffer, entries, { inUs, outUs }) {
+    this.buffer = buffer;
+    this.entries = entries;
+    this.timestamps = entries.map((entry) => entry.timestampUs);
+    this.inUs = inUs;
+    this.outUs = outUs;
+    this.decoder = null;
+    this.decoderConfig = null;
+    this.decoded = [];
+    this.nextEntry = 0;
+  }
+
+  // { a, b, mix } for positionUs (b is null without blending), or null while frames are decoding.
+  frames(positionUs, mode) {
+    if (this.buffer.settings.storage === 'gpu') {
+      const { index, next, mix } = framesAt(this.timestamps, positionUs, mode);
+      return { a: this.entries[index].texture, b: next === null ? null : this.entries[next].texture, mix };
+    }
+    this.#startDecoder();
+    while (this.decoded.length > 1 && this.decoded[1].timestamp <= positionUs) {
+      this.decoded.shift().close();
+    }
+    this.#feed();
+    if (!this.decoded.length) {
+      return null;
+    }
+    const ahead = this.decoded.slice(0, 2);
+    const { index, next, mix } = framesAt(ahead.map((frame) => frame.timestamp), positionUs, mode);
+    return { a: ahead[index], b: next === null ? null : ahead[next], mix };
+  }
+
+  #startDecoder() {
+    if (this.decoder) {
+      return;
+    }
+    this.decoder = new VideoDecoder({
+      output: (frame) => this.decoded.push(frame),
+      error: (error) => this.buffer.log(`Replay of ${this.buffer.label} could not be decoded: ${error.message}`),
+    });
+  }
+
+  #feed() {
+    while (
+      this.decoder.state !== 'closed' &&
+      this.nextEntry < this.entries.length &&
+      this.decoded.length + this.decoder.decodeQueueSize < DECODE_AHEAD
+    ) {
+      const entry = this.entries[this.nextEntry];
+      if (entry.config !== this.decoderConfig) {
+        this.decoder.configure(entry.config);
+        this.decoderConfig = entry.config;
+      }
+      this.decoder.decode(entry.chunk);
+      this.nextEntry += 1;
+    }
+  }
+
+  dispose() {
+    if (this.decoder && this.decoder.state !== 'closed') {
+      this.decoder.close();
+    }
+    this.decoded.splice(0).forEach((frame) => frame.close());
+    this.buffer.release(this.entries);
+  }
+}
+
+// The buffers of every input with `replay`, their marks, and what each channel is playing.
+export class ReplayManager {
+  constructor(device, { shaderCode, fps, log }) {
+    this.device = device;
+    this.fps = fps;
+    this.log = log;
+    this.buffers = new Map();
+    this.marks = new Map();
+    this.channels = new Map();
+    // Ids of the inputs drawLayers recorded this frame.
+    this.recorded = new Set();
+    this.module = device.createShaderModule({ code: shaderCode });
+    this.sampler = device.createSampler({ magFilter: 'linear', minFilter: 'linear' });
+    this.bindGroupLayout = device.createBindGroupLayout({
+      entries: [
+        { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } },
+        { binding: 1, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } },
+        { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+        { binding: 3, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+      ],
+    });
+    this.pipelines = new Map();
+  }
+
+  // Called whenever the scene's layers change: starts buffers for new inputs and drops the
+  // buffers (and marks) of inputs that are gone or changed their settings.
+  sync(layers) {
+    const wanted = new Map(layers.filter((layer) => layer.replay).map((layer) => [layer.id, layer.replay]));
+    for (const [id, entry] of [...this.buffers]) {
+      if (JSON.stringify(wanted.get(id)) !== JSON.stringify(entry.settings)) {
+        entry.dispose();
+        this.buffers.delete(id);
+        this.marks.delete(id);
+      }
+    }
+    for (const [id, settings] of wanted) {
+      if (!this.buffers.has(id)) {
+        this.buffers.set(id, new ReplayBuffer(this.device, settings, { fps: this.fps, log: this.log, label: id }));
+      }
+    }
+  }
+
+  // Called before each composition frame is drawn.
+  beginFrame() {
+    this.recorded.clear();
+  }
+
+  // Buffers the frame drawLayers fetched for `layer`, so recording never asks a source for a frame
+  // of its own (getFrame moves playback and presentation along).
+  record(layer, frame, targetPtsUs) {
+    const buffer = layer.replay && this.buffers.get(layer.id);
+    if (buffer) {
+      this.recorded.add(layer.id);
+      buffer.capture(frame, targetPtsUs);
+    }
+  }
+
+  // Feeds the buffered inputs among `layers` (those inside their time window) that were not drawn
+  // this frame with their newest frame. peekFrame() leaves the source as it is; inputs without it
+  // (playlists, generators, images) are only buffered while drawn.
+  captureUndrawn(layers, targetPtsUs) {
+    for (const layer of layers) {
+      const buffer = layer.replay && this.buffers.get(layer.id);
+      if (!buffer || this.recorded.has(layer.id) || !layer.source?.isReady()) {
+        continue;
+      }
+      const frame = layer.source.peekFrame?.() ?? null;
+      if (frame) {
+        buffer.capture(frame, targetPtsUs);
+      }
+    }
+  }
+
+  #buffer(inputId) {
+    const buffer = this.buffers.get(inputId);
+    if (!buffer) {
+      throw new Error(`Input "${inputId}" has no replay buffer; give the layer a replay setting`);
+    }
+    return buffer;
+  }
+
+  markIn(inputId, timestampUs) {
+    this.#buffer(inputId);
+    const marks = { ...this.marks.get(inputId), inUs: timestampUs };
+    if (marks.outUs !== undefined && marks.outUs <= timestampUs) {
+      delete marks.outUs;
+    }
+    this.marks.set(inputId, marks);
+    return this.#marksOf(inputId);
+  }
+
+  markOut(inputId, timestampUs) {
+    this.#buffer(inputId);
+    const marks = this.marks.get(inputId) ?? {};
+    if (marks.inUs !== undefined && timestampUs <= marks.inUs) {
+      throw new Error(`Out point ${timestampUs / 1_000_000} s is not after the in point ${marks.inUs / 1_000_000} s`);
+    }
+    this.marks.set(inputId, { ...marks, outUs: timestampUs });
+    return this.#marksOf(inputId);
+  }
+
+  #marksOf(inputId) {
+    const { inUs, outUs } = this.marks.get(inputId) ?? {};
+    return { in: inUs === undefined ? null : inUs / 1_000_000, out: outUs === undefined ? null : outUs / 1_000_000 };
+  }
+
+  // Plays inputId from its in point (the oldest frame without one) to its out point (the newest)
+  // on `channel`. Playback starts with the first frame a replay layer of that channel is drawn.
+  play(inputId, { speed = 1, mode = 'repeat', channel = DEFAULT_REPLAY_CHANNEL } = {}) {
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      throw new Error(`Replay speed must be one of ${REPLAY_SPEEDS.join(', ')}`);
+    }
+    if (!REPLAY_MODES.includes(mode)) {
+      throw new Error(`Replay mode must be one of ${REPLAY_MODES.join(', ')}`);
+    }
+    const { inUs = -Infinity, outUs = Infinity } = this.marks.get(inputId) ?? {};
+    const clip = this.#buffer(inputId).clip(inUs, outUs);
+    this.stop(channel);
+    this.channels.set(channel, { inputId, clip, speed, mode, startPtsUs: null, positionUs: clip.inUs, ended: false });
+    this.log(
+      `Replay ${inputId} on ${channel}: ${((clip.outUs - clip.inUs) / 1_000_000).toFixed(2)} s at ${speed * 100}%` +
+        `${mode === 'blend' ? ', blended' : ''}`
+    );
+    return this.#channelStatus(channel);
+  }
+
+  // Clears a channel; its replay layers draw nothing until the next play().
+  stop(channel = DEFAULT_REPLAY_CHANNEL) {
+    const playing = this.channels.get(channel);
+    if (playing) {
+      playing.clip.dispose();
+      this.channels.delete(channel);
+    }
+  }
+
+  // What a channel shows at targetPtsUs: null when idle, { pending: true } while decoding,
+  // otherwise the clip with the frames and blend factor from ReplayClip.frames().
+  pictureAt(channel, targetPtsUs) {
+    const playing = this.channels.get(channel);
+    if (!playing) {
+      return null;
+    }
+    playing.startPtsUs ??= targetPtsUs;
+    playing.positionUs = clipPosition(playing.clip, playing.speed, targetPtsUs - playing.startPtsUs);
+    if (playing.positionUs >= playing.clip.outUs && !playing.ended) {
+      playing.ended = true;
+      this.log(`Replay ${playing.inputId} on ${channel} reached its out point`);
+    }
+    const frames = playing.clip.frames(playing.positionUs, playing.mode);
+    return frames ? { clip: playing.clip, ...frames } : { pending: true };
+  }
+
+  #channelStatus(channel) {
+    const { inputId, clip, speed, mode, positionUs, ended } = this.channels.get(channel);
+    return {
+      channel,
+      inputId,
+      speed,
+      mode,
+      in: clip.inUs / 1_000_000,
+      out: clip.outUs / 1_000_000,
+      position: positionUs / 1_000_000,
+      ended,
+    };
+  }
+
+  status() {
+    return {
+      inputs: [...this.buffers].map(([inputId, buffer]) => ({ inputId, ...buffer.status(), marks: this.#marksOf(inputId) })),
+      channels: [...this.channels.keys()].map((channel) => this.#channelStatus(channel)),
+    };
+  }
+
+  pipeline(format) {
+    if (!this.pipelines.has(format)) {
+      this.pipelines.set(
+        format,
+        this.device.createRenderPipeline({
+          layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] }),
+          vertex: { module: this.module, entryPoint: 'vsReplay' },
+          fragment: { module: this.module, entryPoint: 'fsReplay', targets: [{ format }] },
+          primitive: { topology: 'triangle-list' },
+        })
+      );
+    }
+    return this.pipelines.get(format);
+  }
+
+  dispose() {
+    [...this.channels.keys()].forEach((channel) => this.stop(channel));
+    this.buffers.forEach((buffer) => buffer.dispose());
+    this.buffers.clear();
+  }
+}
+
+// A `type: "replay"` layer: draws whatever its channel plays, blended in linear light into a canvas
+// of its own, stamped with the composition time. Nothing is drawn while the channel is idle.
+export class ReplaySource {
+  constructor(descriptor, output) {
+    this.channel = descriptor.channel ?? DEFAULT_REPLAY_CHANNEL;
+    this.replays = output.replays;
+    this.canvas = null;
+    this.context = null;
+    this.frame = null;
+    this.shown = null;
+    // Decoded frames are copied into these before drawing; { texture, frame } each.
+    this.slots = [
+      { texture: null, frame: null },
+      { texture: null, frame: null },
+    ];
+  }
+
+  async init() {
+    const { device } = this.replays;
+    this.format = navigator.gpu.getPreferredCanvasFormat();
+    this.canvas = new OffscreenCanvas(16, 16);
+    const context = this.canvas.getContext('webgpu');
+    context.configure({ device, format: this.format, viewFormats: [`${this.format}-srgb`], alphaMode: 'opaque' });
+    this.uniform = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    this.context = context;
+  }
+
+  isReady() {
+    return Boolean(this.context);
+  }
+
+  getFrame(targetPtsUs) {
+    const picture = this.replays.pictureAt(this.channel, targetPtsUs);
+    if (!picture) {
+      this.#clear();
+      return null;
+    }
+    if (picture.pending) {
+      return this.frame;
+    }
+    const { clip, a, b, mix } = picture;
+    const shown = this.shown;
+    if (this.frame && shown?.clip === clip && shown.a === a && shown.b === b && shown.mix === mix) {
+      return this.frame;
+    }
+    this.shown = { clip, a, b, mix };
+    this.#draw(this.#textureOf(a, b), b ? this.#textureOf(b, a) : null, mix);
+    this.frame?.close();
+    this.frame = new VideoFrame(this.canvas, { timestamp: Math.round(targetPtsUs) });
+    return this.frame;
+  }
+
+  // GPU-stored frames are textures already; decoded ones go into a slot not holding `other`.
+  #textureOf(source, other) {
+    if (!(source instanceof VideoFrame)) {
+      return source;
+    }
+    let slot = this.slots.find((candidate) => candidate.frame === source);
+    if (!slot) {
+      slot = this.slots.find((candidate) => candidate.frame !== other);
+      const width = source.displayWidth;
+      const height = source.displayHeight;
+      if (slot.texture?.width !== width || slot.texture?.height !== height) {
+        slot.texture?.destroy();
+        slot.texture = this.replays.device.createTexture({
+          size: [width, height],
+          format: TEXTURE_FORMAT,
+          usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+      }
+      this.replays.device.queue.copyExternalImageToTexture({ source }, { texture: slot.texture }, [width, height]);
+      slot.frame = source;
+    }
+    return slot.texture;
+  }
+
+  #draw(textureA, textureB, mix) {
+    const { device } = this.replays;
+    if (this.canvas.width !== textureA.width || this.canvas.height !== textureA.height) {
+      this.canvas.width = textureA.width;
+      this.canvas.height = textureA.height;
+    }
+    device.queue.writeBuffer(this.uniform, 0, new Float32Array([mix, 0, 0, 0]));
+    const bindGroup = device.createBindGroup({
+      layout: this.replays.bindGroupLayout,
+      entries: [
+        { binding: 0, resource: { buffer: this.uniform } },
+        { binding: 1, resource: this.replays.sampler },
+        { binding: 2, resource: textureA.createView() },
+        { binding: 3, resource: (textureB ?? textureA).createView() },
+      ],
+    });
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: this.context.getCurrentTexture().createView({ format: `${this.format}-srgb` }),
+          loadOp: 'clear',
+          storeOp: 'store',
+          clearValue: { r: 0, g: 0, b: 0, a: 1 },
+        },
+      ],
+    });
+    pass.setPipeline(this.replays.pipeline(`${this.format}-srgb`));
+    pass.setBindGroup(0, bindGroup);
+    pass.draw(3);
+    pass.end();
+    device.queue.submit([encoder.finish()]);
+  }
+
+  #clear() {
+    this.frame?.close();
+    this.frame = null;
+    this.shown = null;
+    this.slots.forEach((slot) => {
+      slot.frame = null;
+    });
+  }
+
+  async seekFrame() {}
+
+  dispose() {
+    this.#clear();
+    this.slots.forEach((slot) => slot.texture?.destroy());
+    this.uniform?.destroy();
+    this.context?.unconfigure();
+    this.context = null;
+  }
+}
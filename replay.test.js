@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { clipPosition, clipRange, evictionCount, framesAt, normalizeReplay } from './replay.js';
+
+const entries = (keys) => keys.map((key, index) => ({ timestampUs: index * 40_000, key }));
+
+test('replay settings default to ten seconds of encoded VP8', () => {
+  assert.equal(normalizeReplay(undefined), null);
+  assert.equal(normalizeReplay(false), null);
+  assert.deepEqual(normalizeReplay(true), { seconds: 10, storage: 'encoded', codec: 'vp8', bitrate: 8_000_000 });
+  assert.deepEqual(normalizeReplay({ seconds: 4, storage: 'gpu' }), {
+    seconds: 4,
+    storage: 'gpu',
+    codec: 'vp8',
+    bitrate: 8_000_000,
+  });
+  assert.equal(normalizeReplay({ storage: 'disk' }).storage, 'encoded');
+});
+
+test('repeat holds each stored frame, blend mixes towards the next', () => {
+  const timestamps = [0, 40_000, 80_000];
+  assert.deepEqual(framesAt(timestamps, 50_000), { index: 1, next: null, mix: 0 });
+  assert.deepEqual(framesAt(timestamps, 50_000, 'blend'), { index: 1, next: 2, mix: 0.25 });
+  assert.deepEqual(framesAt(timestamps, 40_000, 'blend'), { index: 1, next: null, mix: 0 });
+  assert.deepEqual(framesAt(timestamps, -10_000, 'blend'), { index: 0, next: null, mix: 0 });
+  assert.deepEqual(framesAt(timestamps, 200_000, 'blend'), { index: 2, next: null, mix: 0 });
+});
+
+test('encoded clips start at the keyframe before the in point', () => {
+  const gpu = entries([undefined, undefined, undefined, undefined]);
+  assert.deepEqual(clipRange(gpu, 90_000, 130_000), [2, 3]);
+  const encoded = entries([true, false, false, true, false, false]);
+  assert.deepEqual(clipRange(encoded, 90_000, 170_000), [0, 4]);
+  assert.deepEqual(clipRange(encoded, 130_000, 500_000), [3, 5]);
+  assert.deepEqual(clipRange(encoded, 100_000, 50_000), [0, 1]);
+});
+
+test('eviction keeps the frame on screen at the cutoff and its keyframe', () => {
+  assert.equal(evictionCount(entries([undefined, undefined, undefined, undefined]), 90_000), 2);
+  assert.equal(evictionCount(entries([undefined, undefined]), -1), 0);
+  const encoded = entries([true, false, false, true, false, false]);
+  assert.equal(evictionCount(encoded, 110_000), 0);
+  assert.equal(evictionCount(encoded, 170_000), 3);
+});
+
+test('slow motion advances the clip at a fraction of real time and stops at the out point', () => {
+  const clip = { inUs: 1_000_000, outUs: 2_000_000 };
+  assert.equal(clipPosition(clip, 1, 400_000), 1_400_000);
+  assert.equal(clipPosition(clip, 0.25, 400_000), 1_100_000);
+  assert.equal(clipPosition(clip, 0.5, -5), 1_000_000);
+  assert.equal(clipPosition(clip, 0.5, 10_000_000), 2_000_000);
+});
@@ -0,0 +1,47 @@
+// Replay playback (see ReplaySource in replay.js): draws a stored frame, or with blending a mix of
+// two neighbouring ones, over the whole replay canvas. The textures are sRGB, so they sample as
+// linear light, and the target is an sRGB view, so the mix is encoded back on write.
+
+struct ReplayUniform {
+    // Weight of frame_b, 0–1.
+    mix_amount: f32,
+}
+
+@group(0) @binding(0)
+var<uniform> replay: ReplayUniform;
+
+@group(0) @binding(1)
+var replay_sampler: sampler;
+
+@group(0) @binding(2)
+var frame_a: texture_2d<f32>;
+
+@group(0) @binding(3)
+var frame_b: texture_2d<f32>;
+
+struct VertexOutput {
+    @builtin(position) clip_position: vec4<f32>,
+    @location(0) uv: vec2<f32>,
+};
+
+@vertex
+fn vsReplay(@builtin(vertex_index) index: u32) -> VertexOutput {
+    // One oversized triangle covers the whole target.
+    var positions = array<vec2<f32>, 3>(
+        vec2<f32>(-1.0, -1.0),
+        vec2<f32>(3.0, -1.0),
+        vec2<f32>(-1.0, 3.0),
+    );
+    let pos = positions[index];
+    var output: VertexOutput;
+    output.clip_position = vec4<f32>(pos, 0.0, 1.0);
+    output.uv = vec2<f32>(pos.x * 0.5 + 0.5, 0.5 - pos.y * 0.5);
+    return output;
+}
+
+@fragment
+fn fsReplay(input: VertexOutput) -> @location(0) vec4<f32> {
+    let a = textureSample(frame_a, replay_sampler, input.uv);
+    let b = textureSample(frame_b, replay_sampler, input.uv);
+    return vec4<f32>(mix(a.rgb, b.rgb, replay.mix_amount), 1.0);
+}
@@ -0,0 +1,138 @@
+// Layer bookkeeping that derives from the scene JSON alone: layer kinds and ids, the normalized
+// per-layer settings, time windows, source sharing keys and the draw order of the program bus. No
+// GPU or DOM access, so main.js and the unit tests share it.
+import { normalizeAnimation } from './animation.js';
+import { normalizeLayerAudio } from './audio-mixer.js';
+import { normalizeInputColor } from './color.js';
+import { normalizeBurnIn } from './generators.js';
+import { normalizeKey, normalizeKeySignal } from './keying.js';
+import { normalizeLayerEffects } from './layer-effects.js';
+import { normalizeCrop } from './layout.js';
+import { LIVE_SOURCE_TYPES, liveSourceType } from './live-sources.js';
+import { DEFAULT_REPLAY_CHANNEL, normalizeReplay } from './replay.js';
+
+// time: { in, out } in timeline seconds; out defaults to the scene duration.
+export function normalizeTimeline(time, defaultDuration) {
+  const defaultOut = defaultDuration ?? 30;
+  if (!time) {
+    return { in: 0, out: defaultOut };
+  }
+  const start = Math.max(0, time.in ?? 0);
+  const stop = Math.max(start, time.out ?? defaultOut);
+  return { in: start, out: stop };
+}
+
+// Both ends of the window are inclusive.
+export function isLayerActive(layer, timelineSeconds) {
+  if (!layer.timeline) {
+    return true;
+  }
+  return timelineSeconds >= layer.timeline.in && timelineSeconds <= layer.timeline.out;
+}
+
+// null: the source belongs to one layer and is never shared (text layers keep per-layer runtime text).
+export function sourceKeyFor(entry, kind) {
+  if (kind === 'text') {
+    return null;
+  }
+  if (kind === 'color') {
+    return JSON.stringify({ type: kind, color: entry.color });
+  }
+  if (kind === 'replay') {
+    // Every replay layer of a channel shows the same clip.
+    return JSON.stringify({ type: kind, channel: entry.channel ?? DEFAULT_REPLAY_CHANNEL });
+  }
+  if (kind === 'generator') {
+    // Without a resolution the pattern is rendered at the layer's size.
+    const { pattern, color, colors, direction, frequency, speed, dropFrame, resolution } = entry;
+    const size = resolution ?? { width: entry.width, height: entry.height };
+    return JSON.stringify({ type: kind, pattern, color, colors, direction, frequency, speed, dropFrame, size });
+  }
+  // Health settings are part of the key: layers that watch a source differently get their own.
+  if (kind === 'fill-key') {
+    const { fillUrl, keyUrl, loop = true, health } = entry;
+    return JSON.stringify({ type: kind, fillUrl, keyUrl, loop, health });
+  }
+  if (kind === 'html') {
+    // The page is rendered at the layer's size, so layers of different sizes need their own tab.
+    const { url, capture, renderer, width, height } = entry;
+    return JSON.stringify({ type: kind, url, capture, renderer, width, height });
+  }
+  if (LIVE_SOURCE_TYPES.includes(kind)) {
+    const { url, device, token, health } = entry;
+    return JSON.stringify({ type: kind, url, device, token, health });
+  }
+  if (kind === 'image') {
+    return JSON.stringify({ type: kind, url: entry.url, loop: entry.loop ?? true });
+  }
+  if (kind === 'playlist') {
+    // Playback follows the layer's time window, so layers only share a playlist on the same one.
+    const { playlist, end, time } = entry;
+    return JSON.stringify({ type: kind, playlist, end, time });
+  }
+  const { url, loop = true, health, decoder = 'element', mediaStart } = entry;
+  return JSON.stringify({ type: 'video', url, loop, health, decoder, mediaStart });
+}
+
+// Live inputs (camera, whep, fmp4) can be picked by URL scheme alone, in any layer; video layers
+// with a playlist play it instead of url. Generators and replays work in both roles.
+export function layerKind(entry, role) {
+  if (entry.type === 'generator' || entry.type === 'replay') {
+    return entry.type;
+  }
+  const kind = liveSourceType(entry) ?? (role === 'overlay' ? entry.type ?? 'video' : 'video');
+  return kind === 'video' && entry.playlist ? 'playlist' : kind;
+}
+
+// fallback: { type, url, color, loop, ... } is drawn in place of the layer while its source is
+// unhealthy. Without a url it is a color fallback; `type: "image"` makes a slate image.
+export function fallbackKind(fallback) {
+  return liveSourceType(fallback) ?? fallback.type ?? (fallback.url ? 'video' : 'color');
+}
+
+// Layers without an id are named after their layout or page and position.
+export function layerIdFor(entry, containerId, index) {
+  return entry.id ?? `${containerId}#${index}`;
+}
+
+// Everything about a layer that derives from its JSON descriptor alone.
+export function describeLayer(entry, role, defaultDurationSeconds) {
+  const kind = layerKind(entry, role);
+  return {
+    kind,
+    layout: {
+      x: entry.x,
+      y: entry.y,
+      width: entry.width,
+      height: entry.height,
+      crop: entry.crop,
+      alpha: entry.alpha ?? 1,
+      zoom: entry.zoom ?? entry.contentZoom ?? entry.contentScale ?? entry.scale ?? 1,
+      rotationDegrees: entry.rotationDegrees ?? entry.rotate ?? entry.rotation ?? 0,
+      anchor: entry.anchor,
+      fit: entry.fit ?? 'stretch',
+      letterbox: entry.letterbox ?? null,
+    },
+    pixelAspect: entry.pixelAspect ?? null,
+    animation: normalizeAnimation(entry.keyframes, { crop: normalizeCrop }),
+    audio: normalizeLayerAudio(entry.audio),
+    colorSpace: normalizeInputColor(entry.colorSpace),
+    key: normalizeKey(entry.key),
+    keySignal: kind === 'fill-key' ? normalizeKeySignal(entry.keySignal) : null,
+    effects: normalizeLayerEffects(entry),
+    burnIn: normalizeBurnIn(entry.timecode),
+    replay: normalizeReplay(entry.replay),
+    zIndex: entry.zIndex ?? (role === 'overlay' ? 10 : 0),
+    timeline: normalizeTimeline(entry.time, defaultDurationSeconds),
+  };
+}
+
+// Program draw order: the layout's videos plus the active overlay page (the first one when the id is
+// unknown, none for null), by zIndex. The sort is stable, so equal zIndex keeps scene order.
+export function composeLayers(videoLayers, overlayPages, activePageId) {
+  const activePage =
+    activePageId === null
+      ? { layers: [] }
+      : overlayPages.find((page) => page.id === activePageId) ?? (overlayPages.length ? overlayPages[0] : { layers: [] });
+  return [...videoLayers, ...(activePage.layers ?? [])].sort((a, b) => (a.zIndex ?? 0) - (b.zIndex ?? 0));
+}
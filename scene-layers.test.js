@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  composeLayers,
+  describeLayer,
+  fallbackKind,
+  isLayerActive,
+  layerIdFor,
+  layerKind,
+  normalizeTimeline,
+  sourceKeyFor,
+} from './scene-layers.js';
+
+test('a time window defaults to the whole scene and never runs backwards', () => {
+  assert.deepEqual(normalizeTimeline(undefined, 12), { in: 0, out: 12 });
+  assert.deepEqual(normalizeTimeline(null), { in: 0, out: 30 });
+  assert.deepEqual(normalizeTimeline({ in: 2 }, 12), { in: 2, out: 12 });
+  assert.deepEqual(normalizeTimeline({ in: -1, out: 4 }, 12), { in: 0, out: 4 });
+  assert.deepEqual(normalizeTimeline({ in: 5, out: 3 }, 12), { in: 5, out: 5 });
+});
+
+test('a layer is active inside its window, ends included', () => {
+  const layer = { timeline: { in: 1, out: 2 } };
+  assert.equal(isLayerActive(layer, 0.999), false);
+  assert.equal(isLayerActive(layer, 1), true);
+  assert.equal(isLayerActive(layer, 2), true);
+  assert.equal(isLayerActive(layer, 2.001), false);
+  assert.equal(isLayerActive({}, 1000), true);
+});
+
+test('the program is the layout plus the active page, ordered by zIndex', () => {
+  const videos = [
+    { id: 'a', zIndex: 0 },
+    { id: 'b', zIndex: 5 },
+    { id: 'c', zIndex: 0 },
+  ];
+  const pages = [
+    { id: 'lower-third', layers: [{ id: 'name', zIndex: 10 }, { id: 'bug', zIndex: 2 }] },
+    { id: 'score', layers: [{ id: 'scorebug', zIndex: -1 }] },
+  ];
+  const ids = (layers) => layers.map((layer) => layer.id);
+  assert.deepEqual(ids(composeLayers(videos, pages, 'lower-third')), ['a', 'c', 'bug', 'b', 'name']);
+  assert.deepEqual(ids(composeLayers(videos, pages, 'score')), ['scorebug', 'a', 'c', 'b']);
+  assert.deepEqual(ids(composeLayers(videos, pages, 'missing')), ['a', 'c', 'bug', 'b', 'name']);
+  assert.deepEqual(ids(composeLayers(videos, pages, null)), ['a', 'c', 'b']);
+  assert.deepEqual(ids(composeLayers(videos, [], 'lower-third')), ['a', 'c', 'b']);
+  assert.deepEqual(ids(videos), ['a', 'b', 'c']);
+});
+
+test('layer kinds come from the role, the type, a playlist or a live URL', () => {
+  assert.equal(layerKind({ url: 'clip.mp4', type: 'image' }, 'base'), 'video');
+  assert.equal(layerKind({ url: 'logo.png', type: 'image' }, 'overlay'), 'image');
+  assert.equal(layerKind({ url: 'clip.mp4' }, 'overlay'), 'video');
+  assert.equal(layerKind({ playlist: [{ url: 'a.mp4' }] }, 'base'), 'playlist');
+  assert.equal(layerKind({ url: 'whep://ingest.example.com/cam1' }, 'base'), 'whep');
+  assert.equal(layerKind({ type: 'generator', pattern: 'smpte-bars' }, 'base'), 'generator');
+  assert.equal(fallbackKind({ type: 'generator', pattern: 'ebu-bars' }), 'generator');
+  assert.equal(layerKind({ type: 'replay' }, 'overlay'), 'replay');
+  assert.equal(fallbackKind({ color: '#102030' }), 'color');
+  assert.equal(fallbackKind({ url: 'slate.mp4' }), 'video');
+  assert.equal(fallbackKind({ type: 'image', url: 'slate.png' }), 'image');
+  assert.equal(layerIdFor({ id: 'cam' }, 'default', 3), 'cam');
+  assert.equal(layerIdFor({}, 'default', 3), 'default#3');
+});
+
+test('layers share a source only when everything that shapes it matches', () => {
+  const video = (entry) => sourceKeyFor(entry, 'video');
+  assert.equal(video({ url: 'a.mp4', x: 0 }), video({ url: 'a.mp4', x: 100, loop: true }));
+  assert.notEqual(video({ url: 'a.mp4' }), video({ url: 'a.mp4', loop: false }));
+  assert.notEqual(video({ url: 'a.mp4' }), video({ url: 'a.mp4', decoder: 'webcodecs' }));
+  assert.notEqual(video({ url: 'a.mp4' }), video({ url: 'a.mp4', health: { stallTimeout: 1 } }));
+  assert.equal(sourceKeyFor({ text: 'hello' }, 'text'), null);
+  const html = (width) => sourceKeyFor({ url: 'page.html', width, height: 100 }, 'html');
+  assert.notEqual(html(200), html(300));
+  const generator = (entry) => sourceKeyFor({ type: 'generator', pattern: 'zoneplate', ...entry }, 'generator');
+  assert.equal(generator({ width: 0.5, x: 0 }), generator({ width: 0.5, x: 0.5 }));
+  assert.notEqual(generator({ width: 0.5 }), generator({ width: 0.25 }));
+  assert.notEqual(generator({}), generator({ speed: 2 }));
+  const replay = (entry) => sourceKeyFor({ type: 'replay', ...entry }, 'replay');
+  assert.equal(replay({}), replay({ channel: 'default', x: 100 }));
+  assert.notEqual(replay({}), replay({ channel: 'B' }));
+});
+
+test('describeLayer fills in the defaults for its role', () => {
+  const base = describeLayer({ url: 'a.mp4', scale: 2, rotate: 90 }, 'base', 10);
+  assert.equal(base.kind, 'video');
+  assert.equal(base.zIndex, 0);
+  assert.deepEqual(base.timeline, { in: 0, out: 10 });
+  assert.equal(base.layout.alpha, 1);
+  assert.equal(base.layout.zoom, 2);
+  assert.equal(base.layout.rotationDegrees, 90);
+  assert.equal(base.layout.fit, 'stretch');
+  assert.equal(base.keySignal, null);
+  assert.equal(base.burnIn, null);
+  assert.equal(describeLayer({ url: 'a.mp4', timecode: true }, 'base', 10).burnIn.position, 'bottom');
+  assert.equal(base.replay, null);
+  assert.equal(describeLayer({ url: 'a.mp4', replay: true }, 'base', 10).replay.storage, 'encoded');
+
+  const overlay = describeLayer({ type: 'image', url: 'logo.png', alpha: 0.5, time: { in: 1, out: 3 } }, 'overlay', 10);
+  assert.equal(overlay.kind, 'image');
+  assert.equal(overlay.zIndex, 10);
+  assert.equal(overlay.layout.alpha, 0.5);
+  assert.deepEqual(overlay.timeline, { in: 1, out: 3 });
+});
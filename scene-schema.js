@@ -0,0 +1,1344 @@
+// Formal description of compose.json / multiviewer.json plus a validator that reports every problem
+// with its JSON path. No DOM access, so it runs in the page before any source is created and
+// headless from Node (see validate-scene.js).
+import { ANIMATABLE_PROPERTIES, parseEasing } from './animation.js';
+import { COLOR_MATRICES, COLOR_RANGES, COLOR_TRANSFERS, TONE_MAPPINGS } from './color.js';
+import { FILE_DECODERS } from './file-source.js';
+import { BURN_IN_POSITIONS, GENERATOR_PATTERNS, GRADIENT_DIRECTIONS } from './generators.js';
+import { HTML_CAPTURE_MODES } from './html-layer.js';
+import { CHROMA_ONLY_KEYS, KEY_TYPES, LUMA_ONLY_KEYS } from './keying.js';
+import { BLEND_MODES, EFFECT_TYPES, MASK_SHAPES } from './layer-effects.js';
+import { FIT_MODES } from './layout.js';
+import { OUTPUT_PROTOCOLS, WHIP_CODECS } from './live-output.js';
+import { LIVE_SOURCE_TYPES, liveSourceType } from './live-sources.js';
+import { CLOCK_MODES, TALLY_STATES } from './multiviewer.js';
+import { MONITORED_SOURCE_KINDS } from './source-health.js';
+import { resolveRecordingCodec } from './offline-render.js';
+import { PLAYLIST_END_ACTIONS } from './playlist.js';
+import { REPLAY_STORAGE } from './replay.js';
+import { SCHEDULE_ACTIONS, parseTimeOfDay } from './schedule.js';
+import { TEXT_ALIGNS, TEXT_ONLY_KEYS, TEXT_VERTICAL_ALIGNS } from './text-layer.js';
+import { TRANSITION_DIRECTIONS, TRANSITION_TYPES } from './transitions.js';
+
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const unit = (extra = {}) => number({ minimum: 0, maximum: 1, ...extra });
+const COLOR = { type: 'string', pattern: '^#([0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$' };
+
+const CROP = {
+  anyOf: [
+    { type: 'array', items: unit(), minItems: 4, maxItems: 4 },
+    {
+      type: 'object',
+      properties: { x: unit(), y: unit(), width: unit(), height: unit() },
+    },
+  ],
+};
+
+// html layers (see html-layer.js): how the page is captured, and the html-renderer.js endpoint.
+const HTML_SOURCE_PROPERTIES = {
+  capture: { enum: HTML_CAPTURE_MODES },
+  renderer: { type: 'string', pattern: '^wss?://' },
+};
+const HTML_ONLY_KEYS = Object.keys(HTML_SOURCE_PROPERTIES);
+
+// Live inputs (see live-sources.js), keyed by the source type that reads them.
+const LIVE_SOURCE_PROPERTIES = {
+  camera: {
+    device: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', minLength: 1 },
+        label: { type: 'string', minLength: 1 },
+        width: { type: 'integer', minimum: 1 },
+        height: { type: 'integer', minimum: 1 },
+        frameRate: number({ exclusiveMinimum: 0 }),
+        audio: { type: 'boolean' },
+      },
+    },
+  },
+  whep: {
+    token: { type: 'string' },
+    iceServers: { type: 'array', items: { type: 'object' } },
+  },
+};
+
+// Generator layers and fallbacks (see generators.js), plus color: the fill of `solid` and the
+// digits of `counter` and `timecode`.
+const GENERATOR_PROPERTIES = {
+  pattern: { enum: GENERATOR_PATTERNS },
+  colors: { type: 'array', items: COLOR, minItems: 2, maxItems: 2 },
+  direction: { enum: GRADIENT_DIRECTIONS },
+  frequency: number({ exclusiveMinimum: 0, maximum: 1 }),
+  speed: number(),
+  dropFrame: { type: 'boolean' },
+  resolution: {
+    type: 'object',
+    required: ['width', 'height'],
+    properties: {
+      width: { type: 'integer', minimum: 1, maximum: 8192 },
+      height: { type: 'integer', minimum: 1, maximum: 8192 },
+    },
+  },
+};
+const GENERATOR_ONLY_KEYS = Object.keys(GENERATOR_PROPERTIES);
+// Settings that only some patterns read.
+const GENERATOR_PATTERN_KEYS = {
+  color: ['solid', 'counter', 'timecode'],
+  colors: ['gradient', 'counter', 'timecode'],
+  direction: ['gradient', 'sweep'],
+  frequency: ['zoneplate', 'sweep'],
+  speed: ['zoneplate', 'sweep'],
+  dropFrame: ['timecode'],
+};
+
+// Per-layer effects (see layer-effects.js): which settings each effect type reads.
+const EFFECT_PROPERTIES = {
+  adjust: {
+    brightness: number({ minimum: -1, maximum: 1 }),
+    contrast: number({ minimum: 0, maximum: 4 }),
+    saturation: number({ minimum: 0, maximum: 4 }),
+  },
+  blur: { radius: number({ minimum: 0, maximum: 256 }) },
+  lut: { url: { type: 'string', minLength: 1 }, intensity: unit() },
+};
+const EFFECT_REQUIRED = { blur: 'radius', lut: 'url' };
+
+const KEYFRAME_VALUE_SCHEMAS = {
+  crop: CROP,
+  alpha: unit(),
+};
+
+export const SCENE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'web-render scene',
+  type: 'object',
+  properties: {
+    canvas: {
+      type: 'object',
+      properties: {
+        width: { type: 'integer', minimum: 1, maximum: 8192 },
+        height: { type: 'integer', minimum: 1, maximum: 8192 },
+        fps: number({ exclusiveMinimum: 0, maximum: 240 }),
+        duration: number({ exclusiveMinimum: 0 }),
+        background: COLOR,
+        colorSpace: {
+          type: 'object',
+          properties: {
+            transfer: { enum: ['srgb', 'bt1886'] },
+            toneMapping: { enum: Object.keys(TONE_MAPPINGS) },
+            referenceWhiteNits: number({ exclusiveMinimum: 0, maximum: 10000 }),
+          },
+        },
+      },
+    },
+    recording: {
+      type: 'object',
+      properties: {
+        duration: number({ exclusiveMinimum: 0 }),
+        fps: number({ exclusiveMinimum: 0, maximum: 240 }),
+        videoBitsPerSecond: { type: 'integer', minimum: 1 },
+        audioBitsPerSecond: { type: 'integer', minimum: 1 },
+        codec: { type: 'string' },
+        container: { enum: ['webm', 'mp4'] },
+        mode: { enum: ['realtime', 'offline'] },
+        keyframeInterval: { type: 'integer', minimum: 1 },
+      },
+      aliases: { bitrate: 'videoBitsPerSecond', videoBitrate: 'videoBitsPerSecond' },
+    },
+    output: {
+      type: 'object',
+      required: ['protocol', 'url'],
+      properties: {
+        protocol: { enum: OUTPUT_PROTOCOLS },
+        url: { type: 'string', pattern: '^(https?|wss?)://' },
+        token: { type: 'string' },
+        iceServers: { type: 'array', items: { type: 'object' } },
+        codec: { type: 'string' },
+        fps: number({ exclusiveMinimum: 0, maximum: 240 }),
+        videoBitsPerSecond: { type: 'integer', minimum: 1 },
+        audioBitsPerSecond: { type: 'integer', minimum: 1 },
+        keyframeInterval: { type: 'integer', minimum: 1 },
+        segmentDuration: number({ exclusiveMinimum: 0 }),
+        reconnectDelay: number({ exclusiveMinimum: 0 }),
+        autoStart: { type: 'boolean' },
+      },
+    },
+    control: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', pattern: '^wss?://' },
+        channel: { anyOf: [{ type: 'string', minLength: 1 }, { type: 'boolean' }] },
+      },
+    },
+    videos: { type: 'array', items: { $ref: '#/$defs/videoLayer' } },
+    videoLayoutId: { type: 'string', minLength: 1 },
+    videoLayouts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          videos: { type: 'array', items: { $ref: '#/$defs/videoLayer' } },
+        },
+      },
+    },
+    transition: { $ref: '#/$defs/transition' },
+    // Program timecode burn-in (see generators.js).
+    timecode: { $ref: '#/$defs/burnIn' },
+    schedule: { type: 'array', items: { $ref: '#/$defs/scheduleEvent' } },
+    overlayPages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          layers: { type: 'array', items: { $ref: '#/$defs/overlayLayer' } },
+        },
+      },
+    },
+    audio: {
+      type: 'object',
+      properties: {
+        masterGainDb: number({ maximum: 24 }),
+        monitor: { type: 'boolean' },
+        meters: { type: 'boolean' },
+      },
+    },
+    watch: {
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: { intervalMs: { type: 'integer', minimum: 100 } },
+        },
+      ],
+    },
+    switcher: {
+      type: 'object',
+      properties: {
+        program: { $ref: '#/$defs/switcherBus' },
+        preview: { $ref: '#/$defs/switcherBus' },
+        take: { enum: ['auto', 'cut'] },
+        transition: { $ref: '#/$defs/transition' },
+      },
+    },
+    multiviewer: {
+      type: 'object',
+      properties: {
+        grid: {
+          type: 'object',
+          required: ['columns', 'rows'],
+          properties: {
+            columns: { type: 'integer', minimum: 1, maximum: 16 },
+            rows: { type: 'integer', minimum: 1, maximum: 16 },
+            gap: number({ minimum: 0 }),
+          },
+        },
+        labels: {
+          anyOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              properties: {
+                position: { enum: ['top', 'bottom'] },
+                fontSize: number({ exclusiveMinimum: 0 }),
+                color: COLOR,
+                background: COLOR,
+              },
+            },
+          ],
+        },
+        tally: {
+          type: 'object',
+          properties: {
+            program: COLOR,
+            preview: COLOR,
+            width: number({ minimum: 0, maximum: 64 }),
+          },
+        },
+        safeArea: {
+          anyOf: [
+            { type: 'boolean' },
+            { type: 'object', properties: { action: unit(), title: unit() } },
+          ],
+        },
+        centerCross: { type: 'boolean' },
+        meters: { type: 'boolean' },
+        slate: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            color: COLOR,
+            textColor: COLOR,
+          },
+        },
+        clock: {
+          type: 'object',
+          properties: {
+            mode: { enum: CLOCK_MODES },
+            label: { type: 'string' },
+            cell: { type: 'integer', minimum: 0 },
+            x: number(),
+            y: number(),
+            width: number({ exclusiveMinimum: 0 }),
+            height: number({ exclusiveMinimum: 0 }),
+          },
+        },
+      },
+    },
+    htmlOverlay: {
+      anyOf: [
+        { type: 'null' },
+        // Composited as an html layer above every overlay page.
+        {
+          type: 'object',
+          required: ['url'],
+          extends: '#/$defs/layerCommon',
+          properties: HTML_SOURCE_PROPERTIES,
+        },
+      ],
+    },
+  },
+  $defs: {
+    // pageId null = no overlay page on that bus.
+    switcherBus: {
+      type: 'object',
+      properties: {
+        layoutId: { type: 'string', minLength: 1 },
+        pageId: { anyOf: [{ type: 'null' }, { type: 'string', minLength: 1 }] },
+      },
+    },
+    time: {
+      type: 'object',
+      properties: { in: number({ minimum: 0 }), out: number({ minimum: 0 }) },
+    },
+    // in/out are media seconds inside the clip (see playlist.js).
+    playlistClip: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string', minLength: 1 },
+        in: number({ minimum: 0 }),
+        out: number({ exclusiveMinimum: 0 }),
+      },
+    },
+    // Exactly one of time (timeline seconds) and clock (time of day); see checkSchedule.
+    scheduleEvent: {
+      type: 'object',
+      required: ['action'],
+      properties: {
+        time: number({ minimum: 0 }),
+        clock: { type: 'string', minLength: 1 },
+        action: { enum: SCHEDULE_ACTIONS },
+        pageId: { anyOf: [{ type: 'null' }, { type: 'string', minLength: 1 }] },
+        layoutId: { type: 'string', minLength: 1 },
+        transition: { $ref: '#/$defs/transition' },
+        label: { type: 'string' },
+      },
+    },
+    keyframes: {
+      type: 'object',
+      properties: Object.fromEntries(
+        ANIMATABLE_PROPERTIES.map((property) => [
+          property,
+          {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['time', 'value'],
+              properties: {
+                time: number({ minimum: 0 }),
+                value: KEYFRAME_VALUE_SCHEMAS[property] ?? number(),
+                easing: {
+                  anyOf: [{ type: 'string' }, { type: 'array', items: number(), minItems: 4, maxItems: 4 }],
+                },
+              },
+            },
+          },
+        ])
+      ),
+    },
+    transition: {
+      type: 'object',
+      properties: {
+        type: { enum: [...TRANSITION_TYPES, 'dissolve', 'dip-to-color'] },
+        durationFrames: { type: 'integer', minimum: 0 },
+        direction: { enum: TRANSITION_DIRECTIONS },
+        softness: unit(),
+        color: COLOR,
+      },
+    },
+    layerAudio: {
+      type: 'object',
+      properties: {
+        gainDb: number({ maximum: 24 }),
+        muted: { type: 'boolean' },
+        pan: number({ minimum: -1, maximum: 1 }),
+        followVideo: { type: 'boolean' },
+      },
+    },
+    inputColorSpace: {
+      type: 'object',
+      properties: {
+        matrix: { enum: ['auto', ...Object.keys(COLOR_MATRICES).filter((matrix) => matrix !== 'rgb')] },
+        range: { enum: ['auto', ...Object.keys(COLOR_RANGES)] },
+        transfer: { enum: ['auto', ...Object.keys(COLOR_TRANSFERS)] },
+      },
+    },
+    key: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: KEY_TYPES },
+        color: COLOR,
+        similarity: unit(),
+        smoothness: unit(),
+        spill: unit(),
+        clip: unit(),
+        gain: number({ minimum: 0 }),
+        invert: { type: 'boolean' },
+        choke: number({ minimum: 0, maximum: 16 }),
+        showMatte: { type: 'boolean' },
+      },
+    },
+    health: {
+      type: 'object',
+      properties: {
+        stallTimeout: number({ exclusiveMinimum: 0 }),
+        connectTimeout: number({ exclusiveMinimum: 0 }),
+        freezeDuration: number({ exclusiveMinimum: 0 }),
+        freezeThreshold: unit(),
+        blackDuration: number({ exclusiveMinimum: 0 }),
+        blackLevel: unit(),
+        retryDelay: number({ exclusiveMinimum: 0 }),
+        maxRetryDelay: number({ exclusiveMinimum: 0 }),
+      },
+    },
+    fallback: {
+      type: 'object',
+      properties: {
+        type: { enum: ['image', 'color', 'video', 'generator', ...LIVE_SOURCE_TYPES] },
+        url: { type: 'string', minLength: 1 },
+        color: COLOR,
+        loop: { type: 'boolean' },
+        ...GENERATOR_PROPERTIES,
+        ...LIVE_SOURCE_PROPERTIES.camera,
+        ...LIVE_SOURCE_PROPERTIES.whep,
+      },
+    },
+    replay: {
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            seconds: number({ exclusiveMinimum: 0, maximum: 600 }),
+            storage: { enum: REPLAY_STORAGE },
+            codec: { type: 'string', minLength: 1 },
+            bitrate: { type: 'integer', minimum: 1 },
+          },
+        },
+      ],
+    },
+    burnIn: {
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            position: { enum: BURN_IN_POSITIONS },
+            size: number({ exclusiveMinimum: 0, maximum: 1 }),
+            dropFrame: { type: 'boolean' },
+            color: COLOR,
+            background: COLOR,
+          },
+        },
+      ],
+    },
+    mask: {
+      type: 'object',
+      required: ['shape'],
+      properties: {
+        shape: { enum: MASK_SHAPES },
+        radius: number({ minimum: 0 }),
+        feather: number({ minimum: 0 }),
+      },
+    },
+    border: {
+      type: 'object',
+      required: ['width'],
+      properties: { width: number({ minimum: 0 }), color: COLOR },
+    },
+    dropShadow: {
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: { color: COLOR, blur: number({ minimum: 0 }), offsetX: number(), offsetY: number() },
+        },
+      ],
+    },
+    effect: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: EFFECT_TYPES },
+        ...Object.assign({}, ...Object.values(EFFECT_PROPERTIES)),
+      },
+    },
+    layerCommon: {
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        url: { type: 'string', minLength: 1 },
+        x: number(),
+        y: number(),
+        width: number({ exclusiveMinimum: 0 }),
+        height: number({ exclusiveMinimum: 0 }),
+        crop: CROP,
+        alpha: unit(),
+        zoom: number({ exclusiveMinimum: 0 }),
+        rotationDegrees: number(),
+        // Rotation pivot within the layer rect (0..1; outside is allowed), center by default.
+        anchor: { type: 'object', properties: { x: number(), y: number() } },
+        fit: { enum: FIT_MODES },
+        letterbox: COLOR,
+        pixelAspect: number({ exclusiveMinimum: 0 }),
+        zIndex: number(),
+        loop: { type: 'boolean' },
+        // Video files: decoded by a <video> element or in-page with WebCodecs (see file-source.js).
+        decoder: { enum: FILE_DECODERS },
+        mediaStart: number({ minimum: 0 }),
+        playlist: { type: 'array', minItems: 1, items: { $ref: '#/$defs/playlistClip' } },
+        end: { enum: PLAYLIST_END_ACTIONS },
+        time: { $ref: '#/$defs/time' },
+        keyframes: { $ref: '#/$defs/keyframes' },
+        audio: { $ref: '#/$defs/layerAudio' },
+        colorSpace: { $ref: '#/$defs/inputColorSpace' },
+        key: { $ref: '#/$defs/key' },
+        health: { $ref: '#/$defs/health' },
+        fallback: { $ref: '#/$defs/fallback' },
+        blendMode: { enum: BLEND_MODES },
+        mask: { $ref: '#/$defs/mask' },
+        border: { $ref: '#/$defs/border' },
+        dropShadow: { $ref: '#/$defs/dropShadow' },
+        effects: { type: 'array', items: { $ref: '#/$defs/effect' } },
+        // Timecode burn-in over the layer (see generators.js).
+        timecode: { $ref: '#/$defs/burnIn' },
+        // Instant replay (see replay.js): buffer this input, or which channel a replay layer shows.
+        replay: { $ref: '#/$defs/replay' },
+        channel: { type: 'string', minLength: 1 },
+        ...GENERATOR_PROPERTIES,
+        ...LIVE_SOURCE_PROPERTIES.camera,
+        ...LIVE_SOURCE_PROPERTIES.whep,
+      },
+      aliases: {
+        contentZoom: 'zoom',
+        contentScale: 'zoom',
+        scale: 'zoom',
+        rotate: 'rotationDegrees',
+        rotation: 'rotationDegrees',
+      },
+    },
+    // url is required except for cameras, playlists, generators and replays (see checkVideoSource).
+    videoLayer: {
+      type: 'object',
+      extends: '#/$defs/layerCommon',
+      properties: {
+        type: { enum: ['video', 'generator', 'replay', ...LIVE_SOURCE_TYPES] },
+        color: COLOR,
+        // Multiviewer tile furniture.
+        label: { type: 'string' },
+        tally: { enum: TALLY_STATES },
+      },
+    },
+    keySignal: {
+      type: 'object',
+      properties: {
+        clip: unit(),
+        gain: number({ minimum: 0 }),
+        invert: { type: 'boolean' },
+      },
+    },
+    // url is required for image/video/html overlays and fillUrl + keyUrl for fill-key ones; text,
+    // generator and replay layers need neither (see checkOverlaySource).
+    overlayLayer: {
+      type: 'object',
+      extends: '#/$defs/layerCommon',
+      properties: {
+        type: { enum: ['image', 'video', 'fill-key', 'text', 'html', 'generator', 'replay', ...LIVE_SOURCE_TYPES] },
+        ...HTML_SOURCE_PROPERTIES,
+        fillUrl: { type: 'string', minLength: 1 },
+        keyUrl: { type: 'string', minLength: 1 },
+        keySignal: { $ref: '#/$defs/keySignal' },
+        // Text layers (see text-layer.js); sizes are in canvas pixels.
+        text: { type: 'string' },
+        font: {
+          type: 'object',
+          properties: {
+            family: { type: 'string', minLength: 1 },
+            weight: { anyOf: [{ type: 'integer', minimum: 1, maximum: 1000 }, { enum: ['normal', 'bold'] }] },
+            size: number({ exclusiveMinimum: 0 }),
+            style: { enum: ['normal', 'italic'] },
+            lineHeight: number({ exclusiveMinimum: 0 }),
+          },
+        },
+        color: COLOR,
+        outline: {
+          type: 'object',
+          properties: { color: COLOR, width: number({ minimum: 0 }) },
+        },
+        shadow: {
+          anyOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              properties: { color: COLOR, blur: number({ minimum: 0 }), offsetX: number(), offsetY: number() },
+            },
+          ],
+        },
+        background: {
+          type: 'object',
+          required: ['color'],
+          properties: { color: COLOR, radius: number({ minimum: 0 }) },
+        },
+        align: { enum: TEXT_ALIGNS },
+        verticalAlign: { enum: TEXT_VERTICAL_ALIGNS },
+        wrap: { type: 'boolean' },
+        padding: number({ minimum: 0 }),
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function resolveRef(root, ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node?.[key], root);
+}
+
+// Flattens $ref/extends so each schema node lists every allowed property and alias.
+function resolveSchema(root, schema) {
+  let resolved = schema.$ref ? { ...resolveRef(root, schema.$ref), ...schema, $ref: undefined } : schema;
+  if (resolved.extends) {
+    const base = resolveSchema(root, resolveRef(root, resolved.extends));
+    resolved = {
+      ...base,
+      ...resolved,
+      properties: { ...base.properties, ...resolved.properties },
+      aliases: { ...base.aliases, ...resolved.aliases },
+      extends: undefined,
+    };
+  }
+  return resolved;
+}
+
+function validateNode(value, schemaNode, path, report, root) {
+  const schema = resolveSchema(root, schemaNode);
+  const where = path || '(root)';
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((option) => {
+      const attempt = { errors: [], warnings: [] };
+      validateNode(value, option, path, attempt, root);
+      return attempt;
+    });
+    const match = attempts.find((attempt) => attempt.errors.length === 0);
+    if (match) {
+      report.warnings.push(...match.warnings);
+      return;
+    }
+    // Report the option that got furthest: the one whose type matched, if any.
+    const typed = schema.anyOf.findIndex((option) => {
+      const resolved = resolveSchema(root, option);
+      return !resolved.type || matchesType(value, resolved.type);
+    });
+    if (typed >= 0) {
+      report.errors.push(...attempts[typed].errors);
+    } else {
+      const types = schema.anyOf.map((option) => resolveSchema(root, option).type).join(' or ');
+      report.errors.push({ path: where, message: `expected ${types}, got ${typeOf(value)}` });
+    }
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report.errors.push({
+      path: where,
+      message: `must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}; got ${JSON.stringify(value)}`,
+    });
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    report.errors.push({ path: where, message: `expected ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      report.errors.push({ path: where, message: 'must be a finite number' });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report.errors.push({ path: where, message: `${value} is below the minimum of ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report.errors.push({ path: where, message: `${value} is above the maximum of ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      report.errors.push({ path: where, message: `${value} must be greater than ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report.errors.push({ path: where, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report.errors.push({ path: where, message: `${JSON.stringify(value)} does not match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report.errors.push({ path: where, message: `needs at least ${schema.minItems} items, got ${value.length}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report.errors.push({ path: where, message: `allows at most ${schema.maxItems} items, got ${value.length}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, joinPath(path, index), report, root));
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        report.errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = joinPath(path, key);
+      if (schema.properties[key]) {
+        validateNode(child, schema.properties[key], childPath, report, root);
+        continue;
+      }
+      const canonical = schema.aliases?.[key];
+      if (canonical) {
+        if (value[canonical] !== undefined) {
+          report.warnings.push({ path: childPath, message: `ignored because "${canonical}" is also set` });
+        } else {
+          report.warnings.push({ path: childPath, message: `deprecated alias, use "${canonical}"` });
+          validateNode(child, schema.properties[canonical], childPath, report, root);
+        }
+        continue;
+      }
+      const suggestion = suggestKey(key, Object.keys(schema.properties));
+      report.errors.push({
+        path: childPath,
+        message: `unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+      });
+    }
+  }
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const tolerance = key.length < 3 ? 0 : Math.max(2, Math.floor(key.length / 3));
+  return bestDistance <= tolerance ? best : null;
+}
+
+function checkTime(time, path, report) {
+  if (time && typeof time.in === 'number' && typeof time.out === 'number' && time.out < time.in) {
+    report.errors.push({ path: `${path}.time.out`, message: `time.out < time.in (${time.out} < ${time.in})` });
+  }
+}
+
+function checkCrop(crop, path, report) {
+  if (Array.isArray(crop) && crop.length === 4) {
+    const [x0, y0, x1, y1] = crop;
+    if (x1 <= x0) {
+      report.errors.push({ path: `${path}[2]`, message: `crop right edge ${x1} must be greater than left edge ${x0}` });
+    }
+    if (y1 <= y0) {
+      report.errors.push({ path: `${path}[3]`, message: `crop bottom edge ${y1} must be greater than top edge ${y0}` });
+    }
+  } else if (crop && typeof crop === 'object') {
+    if ((crop.x ?? 0) + (crop.width ?? 1) > 1 + 1e-9) {
+      report.errors.push({ path: `${path}.width`, message: 'crop x + width exceeds 1' });
+    }
+    if ((crop.y ?? 0) + (crop.height ?? 1) > 1 + 1e-9) {
+      report.errors.push({ path: `${path}.height`, message: 'crop y + height exceeds 1' });
+    }
+  }
+}
+
+function checkLayer(layer, path, report) {
+  if (!layer || typeof layer !== 'object') {
+    return;
+  }
+  checkTime(layer.time, path, report);
+  checkCrop(layer.crop, `${path}.crop`, report);
+  const rgbLayer = ['image', 'text', 'html'].includes(layer.type);
+  if (rgbLayer && layer.audio) {
+    report.warnings.push({ path: `${path}.audio`, message: `${layer.type} layers have no audio; settings are ignored` });
+  }
+  if (layer.key && KEY_TYPES.includes(layer.key.type)) {
+    const foreign = layer.key.type === 'chroma' ? LUMA_ONLY_KEYS : CHROMA_ONLY_KEYS;
+    foreign
+      .filter((key) => key in layer.key)
+      .forEach((key) => {
+        report.warnings.push({ path: `${path}.key.${key}`, message: `ignored by ${layer.key.type} keys` });
+      });
+  }
+  const overridesYuv = ['matrix', 'range'].some((key) => (layer.colorSpace?.[key] ?? 'auto') !== 'auto');
+  if (rgbLayer && overridesYuv) {
+    report.warnings.push({ path: `${path}.colorSpace`, message: `${layer.type} layers are RGB; only transfer applies` });
+  }
+  checkLayerEffects(layer, path, report);
+  if (layer.letterbox !== undefined && !['contain', 'none'].includes(layer.fit)) {
+    report.warnings.push({ path: `${path}.letterbox`, message: `only shows with fit "contain" or "none"` });
+  }
+  for (const [property, track] of Object.entries(layer.keyframes ?? {})) {
+    if (!Array.isArray(track)) {
+      continue;
+    }
+    track.forEach((keyframe, index) => {
+      const keyframePath = `${path}.keyframes.${property}[${index}]`;
+      if (property === 'crop') {
+        checkCrop(keyframe?.value, `${keyframePath}.value`, report);
+      }
+      if (keyframe?.easing !== undefined) {
+        try {
+          parseEasing(keyframe.easing);
+        } catch (error) {
+          report.errors.push({ path: `${keyframePath}.easing`, message: error.message });
+        }
+      }
+    });
+  }
+}
+
+// Each effect type at most once, with its own settings only; blur always runs first.
+function checkLayerEffects(layer, path, report) {
+  if (layer.mask?.radius !== undefined && layer.mask.shape !== 'roundedRect') {
+    report.warnings.push({ path: `${path}.mask.radius`, message: 'only used by roundedRect masks' });
+  }
+  if (!Array.isArray(layer.effects)) {
+    return;
+  }
+  const seen = new Map();
+  layer.effects.forEach((effect, index) => {
+    const effectPath = `${path}.effects[${index}]`;
+    if (!EFFECT_TYPES.includes(effect?.type)) {
+      return;
+    }
+    if (seen.has(effect.type)) {
+      report.errors.push({
+        path: `${effectPath}.type`,
+        message: `only one ${effect.type} effect per layer (also at ${path}.effects[${seen.get(effect.type)}])`,
+      });
+    }
+    seen.set(effect.type, index);
+    const required = EFFECT_REQUIRED[effect.type];
+    if (required && effect[required] === undefined) {
+      report.errors.push({ path: `${effectPath}.${required}`, message: 'is required' });
+    }
+    Object.keys(effect)
+      .filter((key) => key !== 'type' && !(key in EFFECT_PROPERTIES[effect.type]))
+      .forEach((key) => report.warnings.push({ path: `${effectPath}.${key}`, message: `not used by ${effect.type} effects` }));
+    if (effect.type === 'blur' && index > 0) {
+      report.warnings.push({ path: effectPath, message: 'blur is applied to the source before the other effects' });
+    }
+    if (effect.type === 'blur' && layer.type === 'fill-key') {
+      report.warnings.push({ path: effectPath, message: 'blurs the fill only; the key input stays sharp' });
+    }
+  });
+}
+
+// health and fallback only matter for sources that are monitored (see source-health.js).
+function checkSourceHealth(layer, path, report, kind) {
+  const monitored = MONITORED_SOURCE_KINDS.includes(kind);
+  for (const key of ['health', 'fallback']) {
+    if (key in layer && !monitored) {
+      report.warnings.push({ path: `${path}.${key}`, message: `${kind} layers are not monitored; ignored` });
+    }
+  }
+  const fallback = layer.fallback;
+  if (!fallback || typeof fallback !== 'object') {
+    return;
+  }
+  if (kind === 'fill-key') {
+    report.errors.push({ path: `${path}.fallback`, message: 'fill + key layers have no fallback' });
+  }
+  const fallbackKind = liveSourceType(fallback) ?? fallback.type ?? (fallback.url ? 'video' : 'color');
+  checkGenerator(fallback, `${path}.fallback`, report, fallbackKind);
+  if (fallbackKind === 'color') {
+    if (fallback.color === undefined) {
+      report.errors.push({ path: `${path}.fallback.color`, message: 'is required' });
+    }
+  } else if (fallbackKind !== 'generator') {
+    if (fallback.url === undefined && fallbackKind !== 'camera') {
+      report.errors.push({ path: `${path}.fallback.url`, message: 'is required' });
+    }
+    if (fallback.color !== undefined) {
+      report.warnings.push({ path: `${path}.fallback.color`, message: `only used by color fallbacks, not ${fallbackKind}` });
+    }
+  }
+  checkLiveSource(fallback, `${path}.fallback`, report);
+}
+
+// Live-input settings only apply to their own source type; fMP4 inputs carry no audio.
+function checkLiveSource(layer, path, report) {
+  const live = liveSourceType(layer);
+  for (const [type, properties] of Object.entries(LIVE_SOURCE_PROPERTIES)) {
+    if (live === type) {
+      continue;
+    }
+    Object.keys(properties)
+      .filter((key) => key in layer)
+      .forEach((key) => report.warnings.push({ path: `${path}.${key}`, message: `only used by ${type} inputs` }));
+  }
+  if (live === 'fmp4' && layer.audio) {
+    report.warnings.push({ path: `${path}.audio`, message: 'fmp4 inputs are decoded without audio; settings are ignored' });
+  }
+}
+
+// decoder and mediaStart only apply to plain video files; WebCodecs decoding has no audio.
+function checkFileDecoder(layer, path, report, kind) {
+  if (kind !== 'video') {
+    ['decoder', 'mediaStart']
+      .filter((key) => key in layer)
+      .forEach((key) => report.warnings.push({ path: `${path}.${key}`, message: `only used by video files, not ${kind} layers` }));
+    return;
+  }
+  if (layer.mediaStart !== undefined && layer.decoder !== 'webcodecs') {
+    report.warnings.push({ path: `${path}.mediaStart`, message: 'only used with decoder "webcodecs"' });
+  }
+  if (layer.decoder === 'webcodecs' && layer.audio) {
+    report.warnings.push({ path: `${path}.audio`, message: 'decoder "webcodecs" plays no audio; settings are ignored' });
+  }
+}
+
+// A playlist replaces url on video layers (see playlist.js).
+function checkPlaylist(layer, path, report, kind) {
+  if (layer.playlist === undefined) {
+    if (layer.end !== undefined) {
+      report.warnings.push({ path: `${path}.end`, message: 'only used by playlists' });
+    }
+    return kind;
+  }
+  if (kind !== 'video') {
+    report.errors.push({ path: `${path}.playlist`, message: `${kind} layers cannot play a playlist` });
+    return kind;
+  }
+  if (layer.url !== undefined) {
+    report.warnings.push({ path: `${path}.url`, message: 'ignored; the playlist plays instead' });
+  }
+  if (layer.loop !== undefined) {
+    report.warnings.push({ path: `${path}.loop`, message: 'ignored by playlists; use end' });
+  }
+  if (layer.audio) {
+    report.warnings.push({ path: `${path}.audio`, message: 'playlists play no audio; settings are ignored' });
+  }
+  if (Array.isArray(layer.playlist)) {
+    layer.playlist.forEach((clip, index) => {
+      if (typeof clip?.in === 'number' && typeof clip?.out === 'number' && clip.out <= clip.in) {
+        report.errors.push({ path: `${path}.playlist[${index}].out`, message: `out must be after in (${clip.out} <= ${clip.in})` });
+      }
+    });
+  }
+  return 'playlist';
+}
+
+// Generators (see generators.js) draw a pattern instead of reading a url.
+function checkGenerator(layer, path, report, kind) {
+  if (kind !== 'generator') {
+    GENERATOR_ONLY_KEYS.filter((key) => key in layer).forEach((key) => {
+      report.warnings.push({ path: `${path}.${key}`, message: 'only used by generators' });
+    });
+    return;
+  }
+  if (layer.pattern === undefined) {
+    report.errors.push({ path: `${path}.pattern`, message: 'is required' });
+  }
+  if (layer.url !== undefined) {
+    report.warnings.push({ path: `${path}.url`, message: 'ignored by generators' });
+  }
+  for (const [key, patterns] of Object.entries(GENERATOR_PATTERN_KEYS)) {
+    if (key in layer && GENERATOR_PATTERNS.includes(layer.pattern) && !patterns.includes(layer.pattern)) {
+      report.warnings.push({ path: `${path}.${key}`, message: `not used by the ${layer.pattern} pattern` });
+    }
+  }
+}
+
+// Replay layers play a channel (see replay.js); other inputs can keep a replay buffer, addressed by
+// the layer id.
+function checkReplay(layer, path, report, kind) {
+  if (kind === 'replay') {
+    ['url', 'replay']
+      .filter((key) => key in layer)
+      .forEach((key) => report.warnings.push({ path: `${path}.${key}`, message: 'ignored by replay layers' }));
+    return;
+  }
+  if (layer.channel !== undefined) {
+    report.warnings.push({ path: `${path}.channel`, message: 'only used by replay layers' });
+  }
+  if (!layer.replay) {
+    return;
+  }
+  if (kind === 'fill-key') {
+    report.warnings.push({ path: `${path}.replay`, message: 'fill + key layers cannot be replayed; ignored' });
+  }
+  if (layer.id === undefined) {
+    report.warnings.push({ path: `${path}.replay`, message: 'give the layer an id to address its replay buffer' });
+  }
+  if (layer.replay.storage === 'gpu' && (layer.replay.seconds ?? 10) > 30) {
+    report.warnings.push({
+      path: `${path}.replay.seconds`,
+      message: 'gpu storage keeps every frame uncompressed; consider storage "encoded"',
+    });
+  }
+}
+
+function sourceKindOf(layer, otherwise) {
+  if (layer.type === 'generator' || layer.type === 'replay') {
+    return layer.type;
+  }
+  return liveSourceType(layer) ?? otherwise;
+}
+
+function checkVideoSource(layer, path, report) {
+  if (!layer || typeof layer !== 'object') {
+    return;
+  }
+  const kind = checkPlaylist(layer, path, report, sourceKindOf(layer, 'video'));
+  checkFileDecoder(layer, path, report, kind);
+  checkGenerator(layer, path, report, kind);
+  checkReplay(layer, path, report, kind);
+  if (layer.color !== undefined && kind !== 'generator') {
+    report.warnings.push({ path: `${path}.color`, message: 'only used by generators' });
+  }
+  if (layer.url === undefined && !['camera', 'playlist', 'generator', 'replay'].includes(kind)) {
+    report.errors.push({ path: `${path}.url`, message: 'is required' });
+  }
+  checkLiveSource(layer, path, report);
+  checkSourceHealth(layer, path, report, kind);
+}
+
+function checkOverlaySource(layer, path, report) {
+  if (!layer || typeof layer !== 'object') {
+    return;
+  }
+  if (layer.type !== 'text') {
+    // Generators read color too.
+    const ignored = layer.type === 'generator' ? TEXT_ONLY_KEYS.filter((key) => key !== 'color') : TEXT_ONLY_KEYS;
+    ignored.filter((key) => key in layer).forEach((key) => {
+      report.warnings.push({ path: `${path}.${key}`, message: 'only used by text layers' });
+    });
+  }
+  if (layer.type !== 'html') {
+    HTML_ONLY_KEYS.filter((key) => key in layer).forEach((key) => {
+      report.warnings.push({ path: `${path}.${key}`, message: 'only used by html layers' });
+    });
+  }
+  const kind = checkPlaylist(layer, path, report, sourceKindOf(layer, layer.type ?? 'video'));
+  checkFileDecoder(layer, path, report, kind);
+  checkGenerator(layer, path, report, kind);
+  checkReplay(layer, path, report, kind);
+  if (layer.type === 'text') {
+    if (layer.url !== undefined) {
+      report.warnings.push({ path: `${path}.url`, message: 'ignored by text layers' });
+    }
+    return;
+  }
+  checkLiveSource(layer, path, report);
+  checkSourceHealth(layer, path, report, kind);
+  if (layer.type !== 'fill-key') {
+    if (layer.url === undefined && !['camera', 'playlist', 'generator', 'replay'].includes(kind)) {
+      report.errors.push({ path: `${path}.url`, message: 'is required' });
+    }
+    ['fillUrl', 'keyUrl', 'keySignal']
+      .filter((key) => key in layer)
+      .forEach((key) => report.warnings.push({ path: `${path}.${key}`, message: 'only used by fill-key layers' }));
+    return;
+  }
+  ['fillUrl', 'keyUrl']
+    .filter((key) => layer[key] === undefined)
+    .forEach((key) => report.errors.push({ path: `${path}.${key}`, message: 'is required' }));
+  if (layer.url !== undefined) {
+    report.warnings.push({ path: `${path}.url`, message: 'ignored by fill-key layers; use fillUrl and keyUrl' });
+  }
+}
+
+// The semantic checks walk only the lists the structural pass accepted; it has already reported
+// anything else (say "videos": "x") at its path.
+function listOf(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function checkUniqueIds(items, path, report, what) {
+  const seen = new Map();
+  listOf(items).forEach((item, index) => {
+    if (typeof item?.id !== 'string') {
+      return;
+    }
+    if (seen.has(item.id)) {
+      report.errors.push({
+        path: `${path}[${index}].id`,
+        message: `duplicate ${what} id "${item.id}" (also at ${path}[${seen.get(item.id)}])`,
+      });
+    } else {
+      seen.set(item.id, index);
+    }
+  });
+}
+
+// Cross-field rules a structural schema cannot express.
+function checkSemantics(scene, report) {
+  listOf(scene.videos).forEach((layer, index) => {
+    checkVideoSource(layer, `videos[${index}]`, report);
+    checkLayer(layer, `videos[${index}]`, report);
+  });
+  checkUniqueIds(scene.videos, 'videos', report, 'layer');
+  listOf(scene.videoLayouts).forEach((layout, layoutIndex) => {
+    const base = `videoLayouts[${layoutIndex}]`;
+    listOf(layout?.videos).forEach((layer, index) => {
+      checkVideoSource(layer, `${base}.videos[${index}]`, report);
+      checkLayer(layer, `${base}.videos[${index}]`, report);
+    });
+    checkUniqueIds(layout?.videos, `${base}.videos`, report, 'layer');
+  });
+  checkUniqueIds(scene.videoLayouts, 'videoLayouts', report, 'video layout');
+  listOf(scene.overlayPages).forEach((page, pageIndex) => {
+    const base = `overlayPages[${pageIndex}]`;
+    listOf(page?.layers).forEach((layer, index) => {
+      checkOverlaySource(layer, `${base}.layers[${index}]`, report);
+      checkLayer(layer, `${base}.layers[${index}]`, report);
+    });
+    checkUniqueIds(page?.layers, `${base}.layers`, report, 'layer');
+  });
+  checkUniqueIds(scene.overlayPages, 'overlayPages', report, 'overlay page');
+
+  const layoutIds = new Set([scene.videoLayoutId ?? 'default', ...listOf(scene.videoLayouts).map((l) => l?.id)]);
+  listOf(scene.overlayPages).forEach((page, index) => {
+    if (layoutIds.has(page?.id)) {
+      report.warnings.push({
+        path: `overlayPages[${index}].id`,
+        message: `"${page.id}" is also a video layout id; transitionTo() will pick the overlay page`,
+      });
+    }
+  });
+
+  if (scene.htmlOverlay) {
+    checkLayer({ ...scene.htmlOverlay, type: 'html' }, 'htmlOverlay', report);
+  }
+  checkMultiviewer(scene, report);
+  checkSchedule(scene, layoutIds, report);
+  for (const bus of ['program', 'preview']) {
+    const target = scene.switcher?.[bus];
+    if (typeof target?.layoutId === 'string' && !layoutIds.has(target.layoutId)) {
+      report.errors.push({ path: `switcher.${bus}.layoutId`, message: `unknown video layout "${target.layoutId}"` });
+    }
+    if (typeof target?.pageId === 'string' && !listOf(scene.overlayPages).some((page) => page?.id === target.pageId)) {
+      report.errors.push({ path: `switcher.${bus}.pageId`, message: `unknown overlay page "${target.pageId}"` });
+    }
+  }
+
+  const recording = scene.recording;
+  if (recording && typeof recording === 'object' && (recording.codec === undefined || typeof recording.codec === 'string')) {
+    try {
+      resolveRecordingCodec(recording.codec ?? null, recording.container ?? 'webm');
+    } catch (error) {
+      report.errors.push({ path: 'recording.codec', message: error.message });
+    }
+  }
+  checkOutput(scene.output, report);
+}
+
+// Every event needs one moment and the target its action puts on air.
+function checkSchedule(scene, layoutIds, report) {
+  listOf(scene.schedule).forEach((event, index) => {
+    const path = `schedule[${index}]`;
+    if (!event || typeof event !== 'object') {
+      return;
+    }
+    if ((event.time === undefined) === (event.clock === undefined)) {
+      report.errors.push({ path, message: 'needs exactly one of time (timeline seconds) and clock (time of day)' });
+    }
+    if (typeof event.clock === 'string' && parseTimeOfDay(event.clock) === null) {
+      report.errors.push({ path: `${path}.clock`, message: `${JSON.stringify(event.clock)} is not a time of day (HH:MM or HH:MM:SS)` });
+    }
+    const targets = { overlay: 'pageId', layout: 'layoutId', take: null };
+    if (!(event.action in targets)) {
+      return;
+    }
+    const target = targets[event.action];
+    if (target && event[target] === undefined) {
+      report.errors.push({ path: `${path}.${target}`, message: 'is required' });
+    }
+    Object.values(targets)
+      .filter((key) => key && key !== target && key in event)
+      .forEach((key) => report.warnings.push({ path: `${path}.${key}`, message: `not used by ${event.action} events` }));
+    if (event.action === 'take' && event.transition !== undefined) {
+      report.warnings.push({ path: `${path}.transition`, message: 'take events use the switcher transition' });
+    }
+    if (event.action === 'overlay' && typeof event.pageId === 'string' && !listOf(scene.overlayPages).some((page) => page?.id === event.pageId)) {
+      report.errors.push({ path: `${path}.pageId`, message: `unknown overlay page "${event.pageId}"` });
+    }
+    if (event.action === 'layout' && typeof event.layoutId === 'string' && !layoutIds.has(event.layoutId)) {
+      report.errors.push({ path: `${path}.layoutId`, message: `unknown video layout "${event.layoutId}"` });
+    }
+  });
+}
+
+// Settings that only one transport uses are flagged for the other, so they don't look honoured.
+function checkOutput(output, report) {
+  if (!output || typeof output !== 'object' || !OUTPUT_PROTOCOLS.includes(output.protocol)) {
+    return;
+  }
+  const ignored = (key, message) => {
+    if (key in output) {
+      report.warnings.push({ path: `output.${key}`, message });
+    }
+  };
+  const overSocket = /^wss?:/i.test(output.url ?? '');
+  if (output.protocol === 'whip') {
+    if (overSocket) {
+      report.errors.push({ path: 'output.url', message: 'WHIP endpoints are http:// or https:// URLs' });
+    }
+    if (typeof output.codec === 'string' && !WHIP_CODECS[output.codec.toLowerCase()]) {
+      report.errors.push({ path: 'output.codec', message: `WHIP codecs are ${Object.keys(WHIP_CODECS).join(', ')}` });
+    }
+    ignored('keyframeInterval', 'WebRTC chooses key frames itself; ignored for whip');
+    ignored('segmentDuration', 'only used by cmaf output over HTTP');
+    return;
+  }
+  // A codec that is not a string already has its schema error.
+  if (output.codec === undefined || typeof output.codec === 'string') {
+    try {
+      resolveRecordingCodec(output.codec ?? null, 'mp4');
+    } catch (error) {
+      report.errors.push({ path: 'output.codec', message: error.message });
+    }
+  }
+  ignored('iceServers', 'only used by whip output');
+  if (overSocket) {
+    ignored('token', 'browsers cannot send headers over a WebSocket; put it in the URL instead');
+    ignored('segmentDuration', 'WebSocket output sends one chunk per frame; ignored');
+  }
+}
+
+function checkMultiviewer(scene, report) {
+  const multiviewer = scene.multiviewer;
+  if (!multiviewer || typeof multiviewer !== 'object') {
+    return;
+  }
+  const grid = multiviewer.grid;
+  const cellCount = Number.isInteger(grid?.columns) && Number.isInteger(grid?.rows) ? grid.columns * grid.rows : null;
+  const clock = multiviewer.clock;
+  if (clock?.cell !== undefined) {
+    if (!grid) {
+      report.errors.push({ path: 'multiviewer.clock.cell', message: 'needs multiviewer.grid' });
+    } else if (cellCount !== null && clock.cell >= cellCount) {
+      report.errors.push({ path: 'multiviewer.clock.cell', message: `grid only has cells 0..${cellCount - 1}` });
+    }
+  }
+  if (cellCount === null) {
+    return;
+  }
+  const freeCells = cellCount - (clock?.cell !== undefined ? 1 : 0);
+  const layouts = [
+    { path: 'videos', videos: scene.videos },
+    ...listOf(scene.videoLayouts).map((layout, index) => ({ path: `videoLayouts[${index}].videos`, videos: layout?.videos })),
+  ];
+  for (const { path, videos } of layouts) {
+    const unplaced = listOf(videos).filter(
+      (layer) => layer && ['x', 'y', 'width', 'height'].every((key) => layer[key] === undefined)
+    );
+    if (unplaced.length > freeCells) {
+      report.warnings.push({
+        path,
+        message: `${unplaced.length} tiles for ${freeCells} free grid cells; the rest fill the whole canvas`,
+      });
+    }
+  }
+}
+
+// Returns { valid, errors, warnings }; each problem is { path, message }.
+export function validateScene(scene) {
+  const report = { errors: [], warnings: [] };
+  validateNode(scene, SCENE_SCHEMA, '', report, SCENE_SCHEMA);
+  if (typeOf(scene) === 'object') {
+    checkSemantics(scene, report);
+  }
+  return { valid: report.errors.length === 0, ...report };
+}
+
+// Validates a single layer descriptor, as passed to the runtime addLayer()/updateLayer() API.
+export function validateLayer(layer, kind = 'overlay') {
+  const report = { errors: [], warnings: [] };
+  const schema = { $ref: `#/$defs/${kind === 'video' ? 'videoLayer' : 'overlayLayer'}` };
+  validateNode(layer, schema, 'layer', report, SCENE_SCHEMA);
+  if (kind === 'video') {
+    checkVideoSource(layer, 'layer', report);
+  } else {
+    checkOverlaySource(layer, 'layer', report);
+  }
+  checkLayer(layer, 'layer', report);
+  return { valid: report.errors.length === 0, ...report };
+}
+
+export function formatProblems(problems) {
+  return problems.map(({ path, message }) => `${path}: ${message}`);
+}
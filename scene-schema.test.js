@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { validateScene } from './scene-schema.js';
+
+const video = (fields) => ({ videos: [{ id: 'cam', url: './cam.mp4', ...fields }] });
+
+test('a time window that ends before it starts is reported at time.out', () => {
+  assert.deepEqual(validateScene(video({ time: { in: 5, out: 2 } })).errors, [
+    { path: 'videos[0].time.out', message: 'time.out < time.in (2 < 5)' },
+  ]);
+});
+
+test('unknown keys are errors with a hint for near misses', () => {
+  assert.deepEqual(validateScene(video({ widht: 0.5 })).errors, [
+    { path: 'videos[0].widht', message: 'unknown key (did you mean "width"?)' },
+  ]);
+  assert.deepEqual(validateScene({ cnavas: {} }).errors, [{ path: 'cnavas', message: 'unknown key (did you mean "canvas"?)' }]);
+});
+
+test('crop edges must stay inside the frame and in order', () => {
+  assert.deepEqual(validateScene(video({ crop: [0, 0, 1.5, 1] })).errors, [
+    { path: 'videos[0].crop[2]', message: '1.5 is above the maximum of 1' },
+  ]);
+  assert.deepEqual(validateScene(video({ crop: [0.5, 0, 0.2, 1] })).errors, [
+    { path: 'videos[0].crop[2]', message: 'crop right edge 0.2 must be greater than left edge 0.5' },
+  ]);
+  assert.equal(validateScene(video({ crop: [0.25, 0.25, 0.75, 0.75] })).valid, true);
+});
+
+test('a recording codec that is not a string only gets its type error', () => {
+  assert.deepEqual(validateScene({ recording: { codec: 5 } }).errors, [
+    { path: 'recording.codec', message: 'expected string, got integer' },
+  ]);
+  assert.deepEqual(validateScene({ recording: { codec: 'h264' } }).errors, [
+    { path: 'recording.codec', message: 'Codec "h264" cannot be recorded into webm' },
+  ]);
+});
+
+test('layer lists of the wrong type are reported at their path instead of throwing', () => {
+  assert.deepEqual(validateScene({ videos: 'x' }).errors, [{ path: 'videos', message: 'expected array, got string' }]);
+  const { valid, errors } = validateScene({
+    videoLayouts: [{ id: 'wide', videos: 'x' }],
+    overlayPages: [{ id: 'lower-third', layers: 5 }],
+  });
+  assert.equal(valid, false);
+  assert.deepEqual(
+    errors.map(({ path }) => path),
+    ['videoLayouts[0].videos', 'overlayPages[0].layers']
+  );
+  for (const key of ['videoLayouts', 'overlayPages']) {
+    assert.deepEqual(validateScene({ [key]: {} }).errors, [{ path: key, message: 'expected array, got object' }]);
+  }
+});
+
+test('a schedule that is not a list is reported at its path', () => {
+  assert.deepEqual(validateScene({ schedule: 'x' }).errors, [{ path: 'schedule', message: 'expected array, got string' }]);
+  assert.deepEqual(validateScene({ schedule: {} }).errors, [{ path: 'schedule', message: 'expected array, got object' }]);
+});
+
+test('audio settings on a playlist layer are flagged as ignored', () => {
+  const { valid, warnings } = validateScene({
+    videos: [{ id: 'clips', playlist: [{ url: './a.mp4' }], audio: { gainDb: -6 } }],
+  });
+  assert.equal(valid, true);
+  assert.deepEqual(warnings, [{ path: 'videos[0].audio', message: 'playlists play no audio; settings are ignored' }]);
+});
+
+test('an output codec that is not a string only gets its type error', () => {
+  for (const protocol of ['whip', 'cmaf']) {
+    assert.deepEqual(validateScene({ output: { protocol, url: 'http://127.0.0.1/out', codec: 5 } }).errors, [
+      { path: 'output.codec', message: 'expected string, got integer' },
+    ]);
+  }
+  assert.deepEqual(
+    validateScene({ output: { protocol: 'whip', url: 'http://127.0.0.1/out', codec: 'h265' } }).errors.map(({ path }) => path),
+    ['output.codec']
+  );
+});
@@ -0,0 +1,80 @@
+// Timed scene events (`schedule` in the scene). Each event fires once when its moment passes:
+//   time   seconds on the composition timeline (fires again when the timeline restarts, e.g. for an
+//          offline render)
+//   clock  local wall-clock time of day, "HH:MM" or "HH:MM:SS" (realtime only, once a day)
+// and does one of:
+//   overlay  put `pageId` on air (null takes the overlay page off)
+//   layout   put video layout `layoutId` on air
+//   take     the switcher's TAKE: preview goes to program
+// overlay and layout cut unless the event has a `transition`; take uses the switcher's own.
+export const SCHEDULE_ACTIONS = ['overlay', 'layout', 'take'];
+
+const SECONDS_PER_DAY = 86_400;
+
+// Seconds since midnight, or null when the text is not a valid time of day.
+export function parseTimeOfDay(text) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/.exec(text ?? '');
+  if (!match) {
+    return null;
+  }
+  const [hours, minutes, seconds] = [Number(match[1]), Number(match[2]), Number(match[3] ?? 0)];
+  if (hours > 23 || minutes > 59 || seconds >= 60) {
+    return null;
+  }
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+function secondsOfDay(date) {
+  return date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds() + date.getMilliseconds() / 1000;
+}
+
+export class Scheduler {
+  // run(event) performs one due event; events are the scene's `schedule` entries.
+  constructor(events, { run }) {
+    this.run = run;
+    this.events = [];
+    this.lastTimeline = null;
+    this.lastClock = null;
+    this.setEvents(events);
+  }
+
+  // Keeps the clocks, so a scene reload does not fire events whose moment already passed.
+  setEvents(events = []) {
+    this.events = events.map((event) => ({
+      ...event,
+      clockSeconds: event.clock !== undefined ? parseTimeOfDay(event.clock) : null,
+    }));
+  }
+
+  // Runs every event whose moment lies in (previous tick, this tick], in order. now is the wall
+  // clock as a Date, or null while it does not apply (offline renders); the next real tick then
+  // starts counting afresh instead of catching up.
+  tick(timelineSeconds, now = new Date()) {
+    const due = [];
+    // The first tick and a timeline that jumped back include everything up to timelineSeconds.
+    const from = this.lastTimeline === null || timelineSeconds < this.lastTimeline ? -Infinity : this.lastTimeline;
+    this.events
+      .filter((event) => typeof event.time === 'number' && event.time > from && event.time <= timelineSeconds)
+      .sort((a, b) => a.time - b.time)
+      .forEach((event) => due.push(event));
+    this.lastTimeline = timelineSeconds;
+
+    if (!now) {
+      this.lastClock = null;
+    } else {
+      const clock = secondsOfDay(now);
+      if (this.lastClock !== null) {
+        // Measured from the previous tick, so a span across midnight sorts correctly.
+        const since = (seconds) => (seconds - this.lastClock + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+        const span = since(clock);
+        this.events
+          .filter((event) => event.clockSeconds !== null && since(event.clockSeconds) > 0 && since(event.clockSeconds) <= span)
+          .sort((a, b) => since(a.clockSeconds) - since(b.clockSeconds))
+          .forEach((event) => due.push(event));
+      }
+      this.lastClock = clock;
+    }
+    due.forEach((event) => this.run(event));
+    return due;
+  }
+}
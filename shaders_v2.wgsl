@@ -1,15 +1,56 @@
 struct LayoutUniform {
-    scale: vec2<f32>,
-    translate: vec2<f32>,
-    uv_scale: vec2<f32>,
-    uv_offset: vec2<f32>,
-    alpha: f32,
-    // Rotation in radians, applied around the quad center in clip space.
-    rotation: f32,
-    // Padding to keep the struct size aligned to 12 floats (48 bytes).
-    _padding: vec2<f32>,
+    // Layer geometry, see layout.js; positions are canvas pixels with y down:
+    // (center x, center y, half width, half height),
+    rect: vec4<f32>,
+    // (rotation pivot x, y relative to the center, rotation in radians (counter-clockwise), alpha),
+    transform: vec4<f32>,
+    // (canvas width, canvas height, 0, 0),
+    canvas: vec4<f32>,
+    // (uv scale, uv offset) from the quad's 0..1 to source UVs,
+    uv_transform: vec4<f32>,
+    // the crop window (min u, min v, max u, max v); outside it is letterbox,
+    picture: vec4<f32>,
+    // and the linear premultiplied letterbox color.
+    letterbox: vec4<f32>,
+    // Input color handling, see input_to_working() in color.wgsl:
+    // (matrix, range, transfer, reinterpret) the scene wants the source decoded with,
+    source_color: vec4<f32>,
+    // (matrix, range, transfer, 0) the browser used for texture_external,
+    decoded_color: vec4<f32>,
+    // (reference white nits, tone mapping, 0, 0).
+    tone: vec4<f32>,
+    // Keying, see keying.js: (key r, g, b in sRGB, mode),
+    key_color: vec4<f32>,
+    // chroma: (similarity, smoothness, spill, choke px); luma: (clip, gain, invert, choke px),
+    key_params: vec4<f32>,
+    // (show matte, 0, 0, 0).
+    key_debug: vec4<f32>,
+    // Fill + key pairs: (enabled, clip, gain, invert) applied to key_texture's luminance.
+    key_signal: vec4<f32>,
+    // Masks, borders, shadows and effects, see layer-effects.js. Sizes are canvas pixels:
+    // (mask shape, corner radius, feather, blend mode),
+    mask: vec4<f32>,
+    // linear premultiplied border and drop shadow colors,
+    border_color: vec4<f32>,
+    shadow_color: vec4<f32>,
+    // (shadow offset x, offset y (down), shadow blur, border width),
+    shadow: vec4<f32>,
+    // (blurred source, LUT before adjust, 0, 0),
+    effect_flags: vec4<f32>,
+    // (brightness, contrast, saturation, LUT intensity).
+    grade: vec4<f32>,
 }
 
+const KEY_NONE: u32 = 0u;
+const KEY_CHROMA: u32 = 1u;
+const KEY_LUMA: u32 = 2u;
+
+const KEY_LUMA_WEIGHTS: vec3<f32> = vec3<f32>(0.2126, 0.7152, 0.0722);
+
+const MASK_NONE: u32 = 0u;
+const MASK_ELLIPSE: u32 = 3u;
+const BLEND_OVERLAY: u32 = 4u;
+
 @group(0) @binding(0)
 var<uniform> layout_uniform: LayoutUniform;
 
@@ -19,6 +60,23 @@ var video_sampler: sampler;
 @group(1) @binding(1)
 var video_texture: texture_external;
 
+// Separate key input of a fill + key pair; other layers bind video_texture here again.
+@group(1) @binding(2)
+var key_texture: texture_external;
+
+// The remaining bindings hold small placeholders unless the layer uses them:
+// the source after the blur passes (premultiplied), read instead of video_texture,
+@group(1) @binding(3)
+var blurred_texture: texture_2d<f32>;
+
+// the layer's .cube LUT,
+@group(1) @binding(4)
+var lut_texture: texture_3d<f32>;
+
+// and a copy of what is underneath the layer, for overlay blending.
+@group(1) @binding(5)
+var backdrop_texture: texture_2d<f32>;
+
 struct VertexInput {
     @location(0) position: vec2<f32>,
     @location(1) uv: vec2<f32>,
@@ -27,35 +85,245 @@ struct VertexInput {
 struct VertexOutput {
     @builtin(position) clip_position: vec4<f32>,
     @location(0) uv: vec2<f32>,
+    // Position relative to the layer center in canvas pixels, y down, before rotation.
+    @location(1) local: vec2<f32>,
 };
 
+// Counter-clockwise on screen, in y-down pixel coordinates.
+fn rotate(pos: vec2<f32>, angle: f32) -> vec2<f32> {
+    let s = sin(angle);
+    let c = cos(angle);
+    return vec2<f32>(pos.x * c + pos.y * s, pos.y * c - pos.x * s);
+}
+
+// Rotates in pixels around the pivot, so rotated layers stay rectangular on any canvas shape,
+// then maps to clip space. layerToCanvas() in layout.js is the same transform.
+fn place(local: vec2<f32>) -> vec4<f32> {
+    let pivot = layout_uniform.transform.xy;
+    let pixel = layout_uniform.rect.xy + pivot + rotate(local - pivot, layout_uniform.transform.z);
+    let clip = pixel / layout_uniform.canvas.xy * 2.0 - 1.0;
+    return vec4<f32>(clip.x, -clip.y, 0.0, 1.0);
+}
+
 @vertex
 fn vsMain(input: VertexInput) -> VertexOutput {
     var output: VertexOutput;
+    output.local = vec2<f32>(input.position.x, -input.position.y) * layout_uniform.rect.zw;
+    output.clip_position = place(output.local);
+    output.uv = input.uv * layout_uniform.uv_transform.xy + layout_uniform.uv_transform.zw;
+    return output;
+}
 
-    // Start from a unit quad in clip space, scale to target rect, then rotate, then translate.
-    var pos = input.position;
-    pos *= layout_uniform.scale;
+// The shadow quad is the layer's grown by the blur radius and offset on every side.
+@vertex
+fn vsShadow(input: VertexInput) -> VertexOutput {
+    var output: VertexOutput;
+    let margin = layout_uniform.shadow.z + max(abs(layout_uniform.shadow.x), abs(layout_uniform.shadow.y));
+    output.local = vec2<f32>(input.position.x, -input.position.y) * (layout_uniform.rect.zw + margin);
+    output.clip_position = place(output.local);
+    output.uv = vec2<f32>(0.0);
+    return output;
+}
 
-    let angle = layout_uniform.rotation;
-    let s = sin(angle);
-    let c = cos(angle);
+// Signed distance in pixels to the edge of the mask shape (negative inside). Layers without a
+// mask use their rectangle, which is what borders and shadows follow.
+fn shape_distance(local: vec2<f32>) -> f32 {
+    let half_size = layout_uniform.rect.zw;
+    if (u32(layout_uniform.mask.x) == MASK_ELLIPSE) {
+        // Scaled circle distance: exact on the axes, close enough for feathering elsewhere.
+        let radii = max(half_size, vec2<f32>(1e-3));
+        return (length(local / radii) - 1.0) * min(radii.x, radii.y);
+    }
+    let radius = min(layout_uniform.mask.y, min(half_size.x, half_size.y));
+    let q = abs(local) - half_size + radius;
+    return length(max(q, vec2<f32>(0.0))) + min(max(q.x, q.y), 0.0) - radius;
+}
 
-    let rotated = vec2<f32>(
-        pos.x * c - pos.y * s,
-        pos.x * s + pos.y * c,
-    );
+// How much of the pixel at `uv` lies inside the picture rather than the letterbox (fit modes
+// contain and none), with a one pixel ramp at its edges.
+fn picture_coverage(uv: vec2<f32>) -> f32 {
+    let picture = layout_uniform.picture;
+    let inside = min(uv - picture.xy, picture.zw - uv);
+    let pixels = inside * 2.0 * layout_uniform.rect.zw / layout_uniform.uv_transform.xy;
+    return clamp(min(pixels.x, pixels.y) + 0.5, 0.0, 1.0);
+}
 
-    let final_pos = rotated + layout_uniform.translate;
-    output.clip_position = vec4<f32>(final_pos, 0.0, 1.0);
-    output.uv = input.uv * layout_uniform.uv_scale + layout_uniform.uv_offset;
-    return output;
+// Coverage from a distance: a one pixel ramp at the edge, or `feather` pixels wide inwards.
+fn edge_coverage(distance: f32, feather: f32) -> f32 {
+    return clamp((0.5 - distance) / max(feather, 1.0), 0.0, 1.0);
+}
+
+fn rgb_to_cbcr(rgb: vec3<f32>) -> vec2<f32> {
+    let y = dot(rgb, KEY_LUMA_WEIGHTS);
+    return vec2<f32>((rgb.b - y) / 1.8556, (rgb.r - y) / 1.5748);
+}
+
+// Distance from the key color in CbCr beyond `similarity`; 0 on the key color.
+fn chroma_distance(rgb: vec3<f32>) -> f32 {
+    let distance = length(rgb_to_cbcr(rgb) - rgb_to_cbcr(layout_uniform.key_color.rgb));
+    return distance - layout_uniform.key_params.x;
+}
+
+fn raw_matte(rgb: vec3<f32>) -> f32 {
+    if (u32(layout_uniform.key_color.w) == KEY_LUMA) {
+        let params = layout_uniform.key_params;
+        let matte = clamp((dot(rgb, KEY_LUMA_WEIGHTS) - params.x) * params.y, 0.0, 1.0);
+        return select(matte, 1.0 - matte, params.z > 0.5);
+    }
+    let smoothness = max(layout_uniform.key_params.y, 1e-4);
+    return pow(clamp(chroma_distance(rgb) / smoothness, 0.0, 1.0), 1.5);
+}
+
+// Edge choke erodes the matte by taking the minimum over four taps `choke` source pixels away.
+fn key_matte(uv: vec2<f32>, rgb: vec3<f32>) -> f32 {
+    var matte = raw_matte(rgb);
+    let choke = layout_uniform.key_params.w;
+    if (choke > 0.0) {
+        let texel = choke / vec2<f32>(textureDimensions(video_texture));
+        let offsets = array<vec2<f32>, 4>(
+            vec2<f32>(texel.x, 0.0),
+            vec2<f32>(-texel.x, 0.0),
+            vec2<f32>(0.0, texel.y),
+            vec2<f32>(0.0, -texel.y),
+        );
+        for (var i = 0; i < 4; i++) {
+            let neighbour = textureSampleBaseClampToEdge(video_texture, video_sampler, uv + offsets[i]).rgb;
+            matte = min(matte, raw_matte(neighbour));
+        }
+    }
+    return matte;
+}
+
+// Pulls pixels close to the key color towards grey so green/blue fringes do not survive the key.
+fn suppress_spill(rgb: vec3<f32>) -> vec3<f32> {
+    let spill = max(layout_uniform.key_params.z, 1e-4);
+    let amount = pow(clamp(chroma_distance(rgb) / spill, 0.0, 1.0), 1.5);
+    return mix(vec3<f32>(dot(rgb, KEY_LUMA_WEIGHTS)), rgb, amount);
+}
+
+fn key_signal_alpha(uv: vec2<f32>) -> f32 {
+    let signal = layout_uniform.key_signal;
+    let key = textureSampleBaseClampToEdge(key_texture, video_sampler, uv).rgb;
+    let alpha = clamp((dot(key, KEY_LUMA_WEIGHTS) - signal.y) * signal.z, 0.0, 1.0);
+    return select(alpha, 1.0 - alpha, signal.w > 0.5);
+}
+
+fn sample_source(uv: vec2<f32>) -> vec4<f32> {
+    if (layout_uniform.effect_flags.x > 0.5) {
+        let blurred = textureSampleLevel(blurred_texture, video_sampler, uv, 0.0);
+        return vec4<f32>(blurred.rgb / max(blurred.a, 1e-4), blurred.a);
+    }
+    return textureSampleBaseClampToEdge(video_texture, video_sampler, uv);
+}
+
+// Brightness, contrast and saturation on gamma-encoded values, like the CSS filters.
+fn adjust(encoded: vec3<f32>) -> vec3<f32> {
+    let grade = layout_uniform.grade;
+    let contrasted = (encoded - 0.5) * grade.y + 0.5 + grade.x;
+    let luma = dot(contrasted, KEY_LUMA_WEIGHTS);
+    return max(mix(vec3<f32>(luma), contrasted, grade.z), vec3<f32>(0.0));
+}
+
+fn apply_lut(encoded: vec3<f32>) -> vec3<f32> {
+    // Sample texel centers so the domain ends map to the first and last entries.
+    let size = f32(textureDimensions(lut_texture).x);
+    let coord = (clamp(encoded, vec3<f32>(0.0), vec3<f32>(1.0)) * (size - 1.0) + 0.5) / size;
+    let graded = textureSampleLevel(lut_texture, video_sampler, coord, 0.0).rgb;
+    return mix(encoded, graded, layout_uniform.grade.w);
+}
+
+// The effect stack works on sRGB-encoded values, which is what .cube looks are authored for.
+fn apply_effects(linear: vec3<f32>) -> vec3<f32> {
+    let grade = layout_uniform.grade;
+    let adjusting = any(grade.xyz != vec3<f32>(0.0, 1.0, 1.0));
+    if (!adjusting && grade.w <= 0.0) {
+        return linear;
+    }
+    var encoded = linear_to_srgb(linear);
+    if (layout_uniform.effect_flags.y > 0.5) {
+        encoded = apply_lut(encoded);
+    }
+    if (adjusting) {
+        encoded = adjust(encoded);
+    }
+    if (grade.w > 0.0 && layout_uniform.effect_flags.y < 0.5) {
+        encoded = apply_lut(encoded);
+    }
+    return srgb_to_linear(encoded);
+}
+
+fn overlay_channel(backdrop: vec3<f32>, source: vec3<f32>) -> vec3<f32> {
+    let multiplied = 2.0 * backdrop * source;
+    let screened = 1.0 - 2.0 * (1.0 - backdrop) * (1.0 - source);
+    return select(screened, multiplied, backdrop <= vec3<f32>(0.5));
+}
+
+// Overlay in sRGB-encoded values (as in image editors) against the copied backdrop; the result
+// goes through the normal premultiplied blend like any other color.
+fn blend_overlay(position: vec2<f32>, linear: vec3<f32>) -> vec3<f32> {
+    let backdrop = textureLoad(backdrop_texture, vec2<i32>(position), 0);
+    if (backdrop.a <= 0.0) {
+        return linear;
+    }
+    let base = linear_to_srgb(backdrop.rgb / backdrop.a);
+    return srgb_to_linear(overlay_channel(base, linear_to_srgb(linear)));
+}
+
+@fragment
+fn fsShadow(input: VertexOutput) -> @location(0) vec4<f32> {
+    // The offset is given on screen, so it is turned back into the layer's unrotated frame.
+    let offset = rotate(layout_uniform.shadow.xy, -layout_uniform.transform.z);
+    let distance = shape_distance(input.local - offset);
+    let blur = max(layout_uniform.shadow.z, 1.0);
+    let coverage = 1.0 - smoothstep(-blur * 0.5, blur * 0.5, distance);
+    return layout_uniform.shadow_color * coverage * layout_uniform.transform.w;
 }
 
 @fragment
 fn fsMain(input: VertexOutput) -> @location(0) vec4<f32> {
-    let sample = textureSampleBaseClampToEdge(video_texture, video_sampler, input.uv);
-    let final_alpha = clamp(sample.a * layout_uniform.alpha, 0.0, 1.0);
-    return vec4<f32>(sample.rgb, final_alpha);
+    let sample = sample_source(input.uv);
+    var rgb = sample.rgb;
+    var matte = 1.0;
+    var source_alpha = sample.a;
+    if (layout_uniform.key_signal.x > 0.5) {
+        source_alpha = key_signal_alpha(input.uv);
+    }
+    let key_mode = u32(layout_uniform.key_color.w);
+    if (key_mode != KEY_NONE) {
+        matte = key_matte(input.uv, sample.rgb);
+        if (key_mode == KEY_CHROMA) {
+            rgb = suppress_spill(rgb);
+        }
+    }
+    if (layout_uniform.key_debug.x > 0.5) {
+        // Matte view: opaque grey, linearized so the default sRGB output shows the matte value.
+        return vec4<f32>(srgb_to_linear(vec3<f32>(matte * source_alpha)), 1.0);
+    }
+
+    let linear = apply_effects(input_to_working(
+        rgb,
+        layout_uniform.source_color,
+        layout_uniform.decoded_color,
+        layout_uniform.tone,
+    ));
+    var content = vec4<f32>(linear, 1.0) * clamp(source_alpha * matte, 0.0, 1.0);
+    content = mix(layout_uniform.letterbox, content, picture_coverage(input.uv));
+
+    // The border lies inside the shape and covers the content under it.
+    let distance = shape_distance(input.local);
+    let border_width = layout_uniform.shadow.w;
+    if (border_width > 0.0) {
+        let border = clamp(distance + border_width + 0.5, 0.0, 1.0);
+        content = mix(content, layout_uniform.border_color, border);
+    }
+    var coverage = layout_uniform.transform.w;
+    if (u32(layout_uniform.mask.x) != MASK_NONE) {
+        coverage *= edge_coverage(distance, layout_uniform.mask.z);
+    }
+    if (u32(layout_uniform.mask.w) == BLEND_OVERLAY && content.a > 0.0) {
+        content = vec4<f32>(blend_overlay(input.clip_position.xy, content.rgb / content.a) * content.a, content.a);
+    }
+    // Premultiplied linear output; the pipeline's blend state does the rest of the blend mode.
+    return content * coverage;
 }
 
@@ -0,0 +1,269 @@
+// Health monitoring for sources that deliver moving pictures (videos, fill + key pairs and live
+// inputs). MonitoredSource wraps one behind the same source contract and tracks its state:
+//   connecting  an init() attempt is under way (also after every reconnect)
+//   live        new frames are arriving
+//   stalled     no new frame for stallTimeout seconds; the source is recreated with backoff
+//   ended       a non-looping file played to its end
+//   error       init() failed, timed out or the source reported a failure; retried with backoff
+// and, separately, what the picture looks like: 'ok', 'frozen' (content unchanged for
+// freezeDuration) or 'black' (mean luma below blackLevel for blackDuration). The picture checks
+// sample a small thumbnail a few times a second and are off unless their duration is set.
+//
+// Optional hooks on the wrapped source: peekFrame() returns the newest frame without presenting
+// it, getFailure() an Error once the source has broken down, isEnded() whether playback finished,
+// isIdle() whether it holds back on purpose because no layer has asked for frames lately.
+import { LIVE_SOURCE_TYPES } from './live-sources.js';
+
+export const HEALTH_STATES = ['connecting', 'live', 'stalled', 'ended', 'error'];
+export const PICTURE_STATES = ['ok', 'frozen', 'black'];
+export const MONITORED_SOURCE_KINDS = ['video', 'fill-key', ...LIVE_SOURCE_TYPES];
+
+const CHECK_INTERVAL_MS = 250;
+const ANALYSIS_INTERVAL_MS = 500;
+const THUMBNAIL_WIDTH = 32;
+const THUMBNAIL_HEIGHT = 18;
+
+export function normalizeHealth(health) {
+  const seconds = (value, fallback) => (value ?? fallback) * 1000;
+  return {
+    stallTimeoutMs: seconds(health?.stallTimeout, 3),
+    connectTimeoutMs: seconds(health?.connectTimeout, 10),
+    freezeDurationMs: health?.freezeDuration ? health.freezeDuration * 1000 : null,
+    freezeThreshold: health?.freezeThreshold ?? 0.004,
+    blackDurationMs: health?.blackDuration ? health.blackDuration * 1000 : null,
+    blackLevel: health?.blackLevel ?? 0.06,
+    retryDelayMs: seconds(health?.retryDelay, 1),
+    maxRetryDelayMs: seconds(health?.maxRetryDelay, 30),
+  };
+}
+
+export class MonitoredSource {
+  // create() returns a fresh, uninitialised source for every attempt. onChange(source, health,
+  // previous) runs after every change of state or picture.
+  constructor(create, settings, { label, onChange = null }) {
+    this.create = create;
+    this.settings = settings;
+    this.label = label;
+    this.onChange = onChange;
+    this.inner = null;
+    this.state = null;
+    this.picture = 'ok';
+    this.reason = null;
+    this.since = null;
+    this.failures = 0;
+    this.attemptStartedAt = 0;
+    this.lastTimestamp = null;
+    this.lastProgressAt = 0;
+    this.retryTimer = null;
+    this.checkTimer = null;
+    this.offline = false;
+    this.disposed = false;
+    this.thumbnail = null;
+    this.thumbnailContext = null;
+    this.lastAnalysisAt = 0;
+    this.frozenSince = null;
+    this.blackSince = null;
+  }
+
+  get health() {
+    return { state: this.state, picture: this.picture, reason: this.reason, since: this.since };
+  }
+
+  isHealthy() {
+    return this.state === 'live' && this.picture === 'ok';
+  }
+
+  // Never rejects: a failed first attempt leaves the source in 'error' and retrying, so one bad
+  // input cannot stop the rest of the scene from loading. Resolves after connectTimeout at the
+  // latest.
+  async init() {
+    this.checkTimer = setInterval(() => this.#check(), CHECK_INTERVAL_MS);
+    await Promise.race([
+      this.#attempt(),
+      new Promise((resolve) => setTimeout(resolve, this.settings.connectTimeoutMs)),
+    ]);
+  }
+
+  async #attempt() {
+    this.retryTimer = null;
+    this.inner?.dispose();
+    const source = this.create();
+    this.inner = source;
+    this.attemptStartedAt = performance.now();
+    this.lastTimestamp = null;
+    this.#resetPicture();
+    this.#update({ state: 'connecting', reason: null });
+    try {
+      await source.init();
+    } catch (error) {
+      if (source === this.inner && !this.disposed) {
+        this.#retry('error', error.message);
+      }
+    }
+  }
+
+  #retry(state, reason) {
+    clearTimeout(this.retryTimer);
+    const delay = Math.min(this.settings.retryDelayMs * 2 ** this.failures, this.settings.maxRetryDelayMs);
+    this.failures += 1;
+    this.#update({ state, reason: `${reason}; reconnecting in ${(delay / 1000).toFixed(1)} s` });
+    this.retryTimer = setTimeout(() => this.#attempt(), delay);
+  }
+
+  #update({ state = this.state, picture = this.picture, reason = this.reason }) {
+    if (state === this.state && picture === this.picture) {
+      return;
+    }
+    const previous = this.health;
+    Object.assign(this, { state, picture, reason, since: Date.now() });
+    this.onChange?.(this, this.health, previous);
+  }
+
+  #check() {
+    const source = this.inner;
+    if (this.disposed || this.offline || !source || (this.state === 'error' && this.retryTimer)) {
+      return;
+    }
+    const now = performance.now();
+    const failure = source.getFailure?.();
+    if (failure) {
+      this.#retry('error', failure.message);
+      return;
+    }
+    const frame = source.isReady() ? source.peekFrame?.() ?? null : null;
+    if (frame && frame.timestamp !== this.lastTimestamp) {
+      this.lastTimestamp = frame.timestamp;
+      this.lastProgressAt = now;
+      if (this.state !== 'live') {
+        // Frames are flowing again: a pending reconnect for a stall is no longer needed.
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.failures = 0;
+        this.#update({ state: 'live', reason: null });
+      }
+    } else if (source.isEnded?.()) {
+      this.#update({ state: 'ended', reason: null });
+      return;
+    } else if (source.isIdle?.()) {
+      this.lastProgressAt = now;
+    } else if (this.state === 'live' && now - this.lastProgressAt > this.settings.stallTimeoutMs) {
+      this.#retry('stalled', `no new frame for ${(this.settings.stallTimeoutMs / 1000).toFixed(1)} s`);
+      return;
+    } else if (this.state === 'connecting' && now - this.attemptStartedAt > this.settings.connectTimeoutMs) {
+      this.#retry('error', `no frame after ${(this.settings.connectTimeoutMs / 1000).toFixed(1)} s`);
+      return;
+    }
+    if (this.state === 'live' && frame && now - this.lastAnalysisAt >= ANALYSIS_INTERVAL_MS) {
+      this.lastAnalysisAt = now;
+      this.#analyse(frame, now);
+    }
+  }
+
+  #resetPicture() {
+    this.thumbnail = null;
+    this.frozenSince = null;
+    this.blackSince = null;
+    this.picture = 'ok';
+  }
+
+  // Mean luma and mean absolute difference to the previous thumbnail, both on gamma-encoded 0..1.
+  #analyse(frame, now) {
+    const { freezeDurationMs, blackDurationMs } = this.settings;
+    if (!freezeDurationMs && !blackDurationMs) {
+      return;
+    }
+    this.thumbnailContext ??= new OffscreenCanvas(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT).getContext('2d', {
+      willReadFrequently: true,
+    });
+    let pixels;
+    try {
+      this.thumbnailContext.drawImage(frame, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+      pixels = this.thumbnailContext.getImageData(0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT).data;
+    } catch (error) {
+      // Closed frames and cross-origin pictures without CORS can't be read back.
+      return;
+    }
+    const count = THUMBNAIL_WIDTH * THUMBNAIL_HEIGHT;
+    const thumbnail = new Float32Array(count);
+    const previous = this.thumbnail;
+    let luma = 0;
+    let difference = 0;
+    for (let index = 0; index < count; index += 1) {
+      const offset = index * 4;
+      const value = (0.2126 * pixels[offset] + 0.7152 * pixels[offset + 1] + 0.0722 * pixels[offset + 2]) / 255;
+      thumbnail[index] = value;
+      luma += value;
+      if (previous) {
+        difference += Math.abs(value - previous[index]);
+      }
+    }
+    this.thumbnail = thumbnail;
+    luma /= count;
+    difference /= count;
+
+    this.blackSince = blackDurationMs && luma < this.settings.blackLevel ? this.blackSince ?? now : null;
+    if (freezeDurationMs && previous) {
+      this.frozenSince = difference < this.settings.freezeThreshold ? this.frozenSince ?? now : null;
+    }
+    let picture = 'ok';
+    if (this.blackSince !== null && now - this.blackSince >= blackDurationMs) {
+      picture = 'black';
+    } else if (this.frozenSince !== null && now - this.frozenSince >= freezeDurationMs) {
+      picture = 'frozen';
+    }
+    this.#update({ picture });
+  }
+
+  isReady() {
+    return Boolean(this.inner?.isReady());
+  }
+
+  getFrame(targetPtsUs) {
+    return this.inner?.isReady() ? this.inner.getFrame(targetPtsUs) : null;
+  }
+
+  getKeyFrame(targetPtsUs) {
+    return this.inner?.getKeyFrame?.(targetPtsUs) ?? null;
+  }
+
+  // Passed through for replay buffers of inputs that are not drawn (see replay.js).
+  peekFrame() {
+    return this.inner?.isReady() ? this.inner.peekFrame?.() ?? null : null;
+  }
+
+  getAudioTrack() {
+    return this.inner?.getAudioTrack?.() ?? null;
+  }
+
+  getStats() {
+    return this.inner?.getStats?.() ?? null;
+  }
+
+  get stream() {
+    return this.inner?.stream ?? null;
+  }
+
+  // Offline renders pause playback on purpose, so nothing counts as stalled meanwhile.
+  enterOffline() {
+    this.offline = true;
+    this.inner?.enterOffline?.();
+  }
+
+  leaveOffline() {
+    this.offline = false;
+    this.lastProgressAt = performance.now();
+    this.inner?.leaveOffline?.();
+  }
+
+  async seekFrame(targetPtsUs) {
+    await this.inner?.seekFrame(targetPtsUs);
+  }
+
+  dispose() {
+    this.disposed = true;
+    clearInterval(this.checkTimer);
+    clearTimeout(this.retryTimer);
+    this.inner?.dispose();
+    this.inner = null;
+  }
+}
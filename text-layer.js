@@ -0,0 +1,192 @@
+// Text overlay layers, rasterized with Canvas 2D at the layer's pixel size. The raster is only
+// redrawn when the expanded text or the style changes; templates such as {clock} therefore cost
+// one redraw per second, not one per frame.
+import { cssColor } from './color.js';
+import { formatClock, formatTimecode } from './timecode.js';
+
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+export const TEXT_VERTICAL_ALIGNS = ['top', 'middle', 'bottom'];
+export const TEXT_ONLY_KEYS = ['text', 'font', 'color', 'outline', 'shadow', 'background', 'align', 'verticalAlign', 'wrap', 'padding'];
+
+const FONT_DEFAULTS = { family: 'system-ui, sans-serif', weight: 600, size: 48, style: 'normal', lineHeight: 1.2 };
+const SHADOW_DEFAULTS = { color: '#000000b3', blur: 8, offsetX: 2, offsetY: 2 };
+
+export function normalizeTextStyle(entry) {
+  return {
+    font: { ...FONT_DEFAULTS, ...(entry.font ?? {}) },
+    color: entry.color ?? '#ffffff',
+    outline: entry.outline ? { color: '#000000', width: 2, ...entry.outline } : null,
+    shadow: entry.shadow ? { ...SHADOW_DEFAULTS, ...(entry.shadow === true ? {} : entry.shadow) } : null,
+    background: entry.background ? { radius: 0, ...entry.background } : null,
+    align: entry.align ?? 'left',
+    verticalAlign: entry.verticalAlign ?? 'middle',
+    wrap: entry.wrap ?? true,
+    padding: entry.padding ?? 0,
+  };
+}
+
+// Template fields: {timecode} (composition clock), {clock} (wall-clock time), {date} and {seconds}
+// (whole seconds on the timeline). Unknown fields are left as written.
+export function expandTextTemplate(template, { timelineSeconds, fps, now = new Date() }) {
+  const fields = {
+    timecode: () => formatTimecode(timelineSeconds, fps),
+    clock: () => formatClock(now),
+    date: () => now.toLocaleDateString(),
+    seconds: () => String(Math.floor(timelineSeconds)),
+  };
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (fields[name] ? fields[name]() : match));
+}
+
+// Greedy word wrap; a word wider than the line stays on its own line and is clipped.
+function wrapLines(context, text, maxWidth, wrap) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    if (!wrap) {
+      lines.push(paragraph);
+      continue;
+    }
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && context.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+export class TextSource {
+  // The raster matches the layer's rect in canvas pixels; fps drives {timecode}.
+  constructor(descriptor, { canvasWidth, canvasHeight, fps }) {
+    this.canvasWidth = canvasWidth;
+    this.canvasHeight = canvasHeight;
+    this.fps = fps;
+    this.canvas = null;
+    this.context = null;
+    this.frame = null;
+    this.override = null;
+    this.setDescriptor(descriptor);
+  }
+
+  // Runtime text from setLayerText() wins until the descriptor's own text changes.
+  setDescriptor(descriptor) {
+    if (descriptor.text !== this.descriptor?.text) {
+      this.override = null;
+    }
+    this.descriptor = descriptor;
+    this.style = normalizeTextStyle(descriptor);
+    this.width = Math.max(1, Math.round((descriptor.width ?? 1) * this.canvasWidth));
+    this.height = Math.max(1, Math.round((descriptor.height ?? 1) * this.canvasHeight));
+    this.renderedKey = null;
+  }
+
+  setText(text) {
+    this.override = String(text);
+    this.renderedKey = null;
+  }
+
+  get fontString() {
+    const { font } = this.style;
+    return `${font.style} ${font.weight} ${font.size}px ${font.family}`;
+  }
+
+  async init() {
+    this.canvas = new OffscreenCanvas(this.width, this.height);
+    this.context = this.canvas.getContext('2d');
+    // Web fonts declared by the page are fetched on first use; wait so the first raster uses them.
+    await document.fonts?.load(this.fontString).catch(() => {});
+  }
+
+  isReady() {
+    return Boolean(this.context);
+  }
+
+  getFrame(targetPtsUs) {
+    const text = expandTextTemplate(this.override ?? this.descriptor.text ?? '', {
+      timelineSeconds: targetPtsUs / 1_000_000,
+      fps: this.fps,
+    });
+    const key = `${this.width}x${this.height}|${text}`;
+    if (key !== this.renderedKey || !this.frame) {
+      this.#render(text);
+      this.renderedKey = key;
+    }
+    return this.frame;
+  }
+
+  async seekFrame() {}
+
+  #render(text) {
+    if (this.canvas.width !== this.width || this.canvas.height !== this.height) {
+      this.canvas.width = this.width;
+      this.canvas.height = this.height;
+    }
+    const { context, style, width, height } = this;
+    context.clearRect(0, 0, width, height);
+    if (style.background) {
+      context.fillStyle = cssColor(style.background.color);
+      context.beginPath();
+      context.roundRect(0, 0, width, height, style.background.radius);
+      context.fill();
+    }
+
+    context.font = this.fontString;
+    context.textBaseline = 'middle';
+    context.textAlign = style.align;
+    context.lineJoin = 'round';
+    const inner = width - style.padding * 2;
+    const lineHeight = style.font.size * style.font.lineHeight;
+    const lines = wrapLines(context, text, inner, style.wrap);
+    const blockHeight = lines.length * lineHeight;
+    const top =
+      style.verticalAlign === 'top'
+        ? style.padding
+        : style.verticalAlign === 'bottom'
+          ? height - style.padding - blockHeight
+          : (height - blockHeight) / 2;
+    const x = style.align === 'left' ? style.padding : style.align === 'right' ? width - style.padding : width / 2;
+
+    context.save();
+    context.beginPath();
+    context.rect(style.padding, 0, inner, height);
+    context.clip();
+    lines.forEach((line, index) => {
+      const y = top + (index + 0.5) * lineHeight;
+      // The shadow goes on the outermost stroke only, so it is not drawn twice.
+      this.#setShadow(style.shadow);
+      if (style.outline) {
+        context.strokeStyle = cssColor(style.outline.color);
+        context.lineWidth = style.outline.width * 2;
+        context.strokeText(line, x, y);
+        this.#setShadow(null);
+      }
+      context.fillStyle = cssColor(style.color);
+      context.fillText(line, x, y);
+      this.#setShadow(null);
+    });
+    context.restore();
+
+    this.frame?.close();
+    this.frame = new VideoFrame(this.canvas, { timestamp: 0 });
+  }
+
+  #setShadow(shadow) {
+    const { context } = this;
+    context.shadowColor = shadow ? cssColor(shadow.color) : 'transparent';
+    context.shadowBlur = shadow?.blur ?? 0;
+    context.shadowOffsetX = shadow?.offsetX ?? 0;
+    context.shadowOffsetY = shadow?.offsetY ?? 0;
+  }
+
+  dispose() {
+    this.frame?.close();
+    this.frame = null;
+    this.context = null;
+    this.canvas = null;
+  }
+}
@@ -0,0 +1,48 @@
+// Clock strings shared by the multiviewer clock tile, text layer templates and timecode burn-in.
+
+// Non-drop-frame HH:MM:SS:FF on the composition clock.
+export function formatTimecode(seconds, fps) {
+  const frameRate = Math.max(1, Math.round(fps));
+  const totalFrames = Math.floor(seconds * frameRate + 1e-6);
+  const frames = totalFrames % frameRate;
+  const totalSeconds = Math.floor(totalFrames / frameRate);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(totalSeconds / 3600) % 24)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(frames)}`;
+}
+
+// Local wall-clock time as HH:MM:SS.
+export function formatClock(date = new Date()) {
+  return date.toLocaleTimeString([], { hour12: false });
+}
+
+// NTSC-family rates (29.97, 59.94: 30000/1001 and 60000/1001) are the ones drop-frame timecode is
+// defined for.
+export function isDropFrameRate(fps) {
+  const nominal = Math.round(fps);
+  return nominal % 30 === 0 && Math.abs(fps - (nominal * 1000) / 1001) < 1e-3;
+}
+
+// SMPTE HH:MM:SS:FF for frame `frameIndex` of a `fps` stream, counting at the nominal (rounded)
+// rate. Drop-frame skips frame numbers 0 and 1 (0–3 at 59.94) at the start of every minute except
+// each tenth, so the count keeps up with wall-clock time; it is written with a ';' before the
+// frames and ignored at rates it is not defined for.
+export function smpteTimecode(frameIndex, fps, { dropFrame = false } = {}) {
+  const nominal = Math.max(1, Math.round(fps));
+  let frame = Math.max(0, Math.floor(frameIndex));
+  const drop = dropFrame && nominal % 30 === 0;
+  if (drop) {
+    const dropped = nominal / 15;
+    const framesPerMinute = nominal * 60 - dropped;
+    const framesPerTenMinutes = nominal * 600 - dropped * 9;
+    const tens = Math.floor(frame / framesPerTenMinutes);
+    const remainder = frame % framesPerTenMinutes;
+    frame += dropped * 9 * tens;
+    if (remainder > dropped) {
+      frame += dropped * Math.floor((remainder - dropped) / framesPerMinute);
+    }
+  }
+  const totalSeconds = Math.floor(frame / nominal);
+  const pad = (value) => String(value).padStart(2, '0');
+  const clock = `${pad(Math.floor(totalSeconds / 3600) % 24)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+  return `${clock}${drop ? ';' : ':'}${pad(frame % nominal)}`;
+}
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { formatTimecode, isDropFrameRate, smpteTimecode } from './timecode.js';
+
+const NTSC = 30000 / 1001;
+
+test('non-drop timecode counts frames at the rounded rate', () => {
+  assert.equal(smpteTimecode(0, 25), '00:00:00:00');
+  assert.equal(smpteTimecode(25 * 3600 + 3, 25), '01:00:00:03');
+  assert.equal(smpteTimecode(1800, NTSC), '00:01:00:00');
+  // Wraps at 24 hours.
+  assert.equal(smpteTimecode(24 * 3600 * 30 + 1, 30), '00:00:00:01');
+  assert.equal(smpteTimecode(61, 30), formatTimecode(61 / 30, 30));
+});
+
+test('drop-frame timecode skips two frame numbers a minute except every tenth', () => {
+  const dropFrame = (frame, fps = NTSC) => smpteTimecode(frame, fps, { dropFrame: true });
+  assert.equal(dropFrame(1799), '00:00:59;29');
+  assert.equal(dropFrame(1800), '00:01:00;02');
+  assert.equal(dropFrame(3597), '00:01:59;29');
+  assert.equal(dropFrame(3598), '00:02:00;02');
+  assert.equal(dropFrame(17981), '00:09:59;29');
+  assert.equal(dropFrame(17982), '00:10:00;00');
+  // One hour of 29.97 is 107892 frames, so the timecode stays on the clock.
+  assert.equal(dropFrame(107892), '01:00:00;00');
+  // 59.94 drops four.
+  assert.equal(dropFrame(3600, 60000 / 1001), '00:01:00;04');
+  // Not defined at 25 fps; counted as non-drop.
+  assert.equal(dropFrame(1500, 25), '00:01:00:00');
+});
+
+test('drop-frame rates are the 1000/1001 multiples of 30', () => {
+  assert.equal(isDropFrameRate(NTSC), true);
+  assert.equal(isDropFrameRate(60000 / 1001), true);
+  assert.equal(isDropFrameRate(29.97), true);
+  assert.equal(isDropFrameRate(30), false);
+  assert.equal(isDropFrameRate(24000 / 1001), false);
+  assert.equal(isDropFrameRate(25), false);
+});
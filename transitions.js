@@ -0,0 +1,156 @@
+import { linearizeColor, parseColor } from './color.js';
+import { CompositeTarget } from './layer-effects.js';
+
+export const TRANSITION_TYPES = ['cut', 'mix', 'dip', 'wipe', 'push', 'slide'];
+export const TRANSITION_DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+const TYPE_ALIASES = { dissolve: 'mix', 'dip-to-color': 'dip' };
+// Must match TransitionUniform.mode / .direction in transitions.wgsl.
+const MODE_CODES = { mix: 0, dip: 1, wipe: 2, push: 3, slide: 4 };
+const DIRECTION_CODES = { left: 0, right: 1, up: 2, down: 3 };
+const UNIFORM_BYTES = 32;
+
+export function normalizeTransition(options = {}, defaults = {}) {
+  const merged = { ...defaults, ...options };
+  const requestedType = merged.type ?? 'cut';
+  const type = TYPE_ALIASES[requestedType] ?? requestedType;
+  if (!TRANSITION_TYPES.includes(type)) {
+    throw new Error(`Unknown transition type "${requestedType}"`);
+  }
+  const direction = merged.direction ?? 'left';
+  if (!TRANSITION_DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown transition direction "${direction}"`);
+  }
+  const durationFrames = type === 'cut' ? 0 : Math.max(0, Math.round(merged.durationFrames ?? 30));
+  return {
+    type: durationFrames === 0 ? 'cut' : type,
+    durationFrames,
+    direction,
+    softness: Math.min(1, Math.max(0, merged.softness ?? 0)),
+    color: parseColor(merged.color ?? '#000000'),
+  };
+}
+
+export function transitionProgress(transition, frameIndex) {
+  if (transition.startFrame === null || transition.durationFrames <= 0) {
+    return 0;
+  }
+  return Math.min(1, Math.max(0, (frameIndex - transition.startFrame) / transition.durationFrames));
+}
+
+// Renders the outgoing and incoming layer sets into their own targets and blends them with
+// fsTransition into whatever pass is currently being recorded.
+export class TransitionRenderer {
+  constructor(device, { shaderCode, format, sampleCount, width, height }) {
+    this.device = device;
+    this.format = format;
+    this.sampleCount = sampleCount;
+    this.width = width;
+    this.height = height;
+    this.targets = null;
+    this.bindGroup = null;
+
+    const module = device.createShaderModule({ code: shaderCode });
+    this.uniformBuffer = device.createBuffer({
+      size: UNIFORM_BYTES,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    this.sampler = device.createSampler({ magFilter: 'linear', minFilter: 'linear' });
+    this.bindGroupLayout = device.createBindGroupLayout({
+      entries: [
+        { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } },
+        { binding: 1, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } },
+        { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+        { binding: 3, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+      ],
+    });
+    this.pipeline = device.createRenderPipeline({
+      layout: device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] }),
+      vertex: { module, entryPoint: 'vsFullscreen' },
+      fragment: {
+        module,
+        entryPoint: 'fsTransition',
+        targets: [
+          {
+            format,
+            blend: {
+              color: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+              alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+            },
+          },
+        ],
+      },
+      primitive: { topology: 'triangle-list' },
+      multisample: { count: sampleCount },
+    });
+  }
+
+  #createTarget() {
+    const size = { width: this.width, height: this.height };
+    const resolved = this.device.createTexture({
+      size,
+      format: this.format,
+      // COPY_SRC: overlay-blended layers read back what is under them (see LayerEffects).
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_SRC,
+    });
+    const multisampled =
+      this.sampleCount > 1
+        ? this.device.createTexture({
+            size,
+            sampleCount: this.sampleCount,
+            format: this.format,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT,
+          })
+        : null;
+    return {
+      resolved,
+      resolvedView: resolved.createView(),
+      multisampledView: multisampled?.createView() ?? null,
+    };
+  }
+
+  #ensureTargets() {
+    if (!this.targets) {
+      this.targets = { outgoing: this.#createTarget(), incoming: this.#createTarget() };
+      this.bindGroup = this.device.createBindGroup({
+        layout: this.bindGroupLayout,
+        entries: [
+          { binding: 0, resource: { buffer: this.uniformBuffer } },
+          { binding: 1, resource: this.sampler },
+          { binding: 2, resource: this.targets.outgoing.resolvedView },
+          { binding: 3, resource: this.targets.incoming.resolvedView },
+        ],
+      });
+    }
+    return this.targets;
+  }
+
+  // slot is "outgoing" or "incoming"; returns a CompositeTarget the caller draws its layers into
+  // and ends.
+  beginPass(encoder, slot) {
+    const target = this.#ensureTargets()[slot];
+    return new CompositeTarget(encoder, {
+      view: target.multisampledView ?? target.resolvedView,
+      resolveTarget: target.multisampledView ? target.resolvedView : null,
+      texture: target.resolved,
+      clearValue: { r: 0, g: 0, b: 0, a: 0 },
+    });
+  }
+
+  draw(pass, transition, progress) {
+    this.#ensureTargets();
+    const data = new ArrayBuffer(UNIFORM_BYTES);
+    const floats = new Float32Array(data);
+    const uints = new Uint32Array(data);
+    // The targets hold linear working-space color, so the dip color is linearized first.
+    const { r, g, b, a } = linearizeColor(transition.color);
+    floats.set([r * a, g * a, b * a, a, progress, transition.softness]);
+    uints[6] = MODE_CODES[transition.type] ?? MODE_CODES.mix;
+    uints[7] = DIRECTION_CODES[transition.direction] ?? DIRECTION_CODES.left;
+    this.device.queue.writeBuffer(this.uniformBuffer, 0, data);
+
+    pass.setPipeline(this.pipeline);
+    pass.setBindGroup(0, this.bindGroup);
+    pass.draw(3, 1, 0, 0);
+  }
+}
@@ -0,0 +1,99 @@
+struct TransitionUniform {
+    // Premultiplied dip color.
+    color: vec4<f32>,
+    progress: f32,
+    // Width of the wipe edge as a fraction of the frame.
+    softness: f32,
+    // 0 = mix, 1 = dip, 2 = wipe, 3 = push, 4 = slide (see transitions.js).
+    mode: u32,
+    // 0 = left, 1 = right, 2 = up, 3 = down.
+    direction: u32,
+}
+
+@group(0) @binding(0)
+var<uniform> transition: TransitionUniform;
+
+@group(0) @binding(1)
+var transition_sampler: sampler;
+
+@group(0) @binding(2)
+var outgoing_texture: texture_2d<f32>;
+
+@group(0) @binding(3)
+var incoming_texture: texture_2d<f32>;
+
+struct VertexOutput {
+    @builtin(position) clip_position: vec4<f32>,
+    @location(0) uv: vec2<f32>,
+};
+
+@vertex
+fn vsFullscreen(@builtin(vertex_index) index: u32) -> VertexOutput {
+    // One oversized triangle covers the whole target.
+    var positions = array<vec2<f32>, 3>(
+        vec2<f32>(-1.0, -1.0),
+        vec2<f32>(3.0, -1.0),
+        vec2<f32>(-1.0, 3.0),
+    );
+    let pos = positions[index];
+    var output: VertexOutput;
+    output.clip_position = vec4<f32>(pos, 0.0, 1.0);
+    output.uv = vec2<f32>(pos.x * 0.5 + 0.5, 0.5 - pos.y * 0.5);
+    return output;
+}
+
+fn direction_vector() -> vec2<f32> {
+    switch transition.direction {
+        case 0u: { return vec2<f32>(-1.0, 0.0); }
+        case 1u: { return vec2<f32>(1.0, 0.0); }
+        case 2u: { return vec2<f32>(0.0, -1.0); }
+        default: { return vec2<f32>(0.0, 1.0); }
+    }
+}
+
+// Samples outside the unit square are transparent so pushed frames leave nothing behind.
+fn sample_clipped(source_texture: texture_2d<f32>, uv: vec2<f32>) -> vec4<f32> {
+    let inside = all(uv >= vec2<f32>(0.0)) && all(uv <= vec2<f32>(1.0));
+    let sample = textureSampleLevel(source_texture, transition_sampler, clamp(uv, vec2<f32>(0.0), vec2<f32>(1.0)), 0.0);
+    return select(vec4<f32>(0.0), sample, inside);
+}
+
+@fragment
+fn fsTransition(input: VertexOutput) -> @location(0) vec4<f32> {
+    let p = clamp(transition.progress, 0.0, 1.0);
+    let uv = input.uv;
+    let outgoing = textureSampleLevel(outgoing_texture, transition_sampler, uv, 0.0);
+    let incoming = textureSampleLevel(incoming_texture, transition_sampler, uv, 0.0);
+
+    switch transition.mode {
+        case 0u: {
+            return mix(outgoing, incoming, p);
+        }
+        case 1u: {
+            if (p < 0.5) {
+                return mix(outgoing, transition.color, p * 2.0);
+            }
+            return mix(transition.color, incoming, p * 2.0 - 1.0);
+        }
+        case 2u: {
+            let dir = direction_vector();
+            // Coordinate along the wipe direction, 0 where the edge enters and 1 where it leaves.
+            let along = dot(uv - vec2<f32>(0.5), dir) + 0.5;
+            let soft = max(transition.softness, 0.0001);
+            let edge = p * (1.0 + soft) - soft * 0.5;
+            let reveal = 1.0 - smoothstep(edge - soft * 0.5, edge + soft * 0.5, along);
+            return mix(outgoing, incoming, reveal);
+        }
+        case 3u: {
+            let dir = direction_vector();
+            let pushed_out = sample_clipped(outgoing_texture, uv - dir * p);
+            let pushed_in = sample_clipped(incoming_texture, uv + dir * (1.0 - p));
+            return pushed_in + pushed_out * (1.0 - pushed_in.a);
+        }
+        default: {
+            let dir = direction_vector();
+            let slid_in = sample_clipped(incoming_texture, uv + dir * (1.0 - p));
+            return slid_in + outgoing * (1.0 - slid_in.a);
+        }
+    }
+}
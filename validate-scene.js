@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Lints scene files headless, e.g. in CI:
+//   node validate-scene.js compose.json multiviewer.json
+//   node validate-scene.js --print-schema > scene.schema.json
+import { readFile } from 'node:fs/promises';
+import { SCENE_SCHEMA, formatProblems, validateScene } from './scene-schema.js';
+
+async function main(args) {
+  if (args.includes('--print-schema')) {
+    process.stdout.write(`${JSON.stringify(SCENE_SCHEMA, null, 2)}\n`);
+    return 0;
+  }
+  const strict = args.includes('--strict');
+  const files = args.filter((arg) => !arg.startsWith('--'));
+  if (!files.length) {
+    console.error('usage: node validate-scene.js [--strict] <scene.json>... | --print-schema');
+    return 2;
+  }
+
+  let failed = false;
+  for (const file of files) {
+    let scene;
+    try {
+      scene = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      failed = true;
+      continue;
+    }
+    const { errors, warnings } = validateScene(scene);
+    formatProblems(errors).forEach((line) => console.error(`${file}: error: ${line}`));
+    formatProblems(warnings).forEach((line) => console.error(`${file}: warning: ${line}`));
+    if (errors.length || (strict && warnings.length)) {
+      failed = true;
+    } else {
+      console.log(`${file}: ok${warnings.length ? ` (${warnings.length} warnings)` : ''}`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,291 @@
+// WebM (Matroska) reader for whole files in memory: indexes the tracks and every block so the file
+// decoder (see file-source.js) can feed VideoDecoder directly. Clusters of unknown size, as written
+// by live muxers such as MediaRecorder, are followed up to the next top-level element. Laced blocks
+// are only skipped, which is fine for video. No DOM access, so it runs under Node as well.
+import { av1CodecString, avcCodecString, hevcCodecString } from './mp4-demuxer.js';
+
+const IDS = {
+  EBML: 0x1a45dfa3,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  BlockDuration: 0x9b,
+  ReferenceBlock: 0xfb,
+  Cues: 0x1c53bb6b,
+  Chapters: 0x1043a770,
+  Attachments: 0x1941a469,
+  Tags: 0x1254c367,
+};
+
+// Elements that end a Cluster of unknown size.
+const SEGMENT_CHILDREN = new Set(
+  ['SeekHead', 'Info', 'Tracks', 'Cluster', 'Cues', 'Chapters', 'Attachments', 'Tags'].map((name) => IDS[name])
+);
+const TRACK_TYPES = { 1: 'video', 2: 'audio', 17: 'subtitle' };
+const TEXT_DECODER = new TextDecoder();
+
+// Variable-length integer at `offset`: { value, length }. IDs keep their length marker; sizes drop
+// it, and a size with all value bits set (unknown size) comes back as null.
+function readVint(bytes, offset, { keepMarker = false } = {}) {
+  const first = bytes[offset];
+  if (first === undefined || first === 0) {
+    throw new Error(`Malformed WebM: bad variable-length integer at ${offset}`);
+  }
+  const length = Math.clz32(first) - 23;
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+  for (let index = 1; index < length; index += 1) {
+    const byte = bytes[offset + index];
+    value = value * 256 + byte;
+    allOnes &&= byte === 0xff;
+  }
+  return { value: !keepMarker && allOnes ? null : value, length };
+}
+
+// Element header at `offset`: { id, start, bodyStart, end, unknownSize }. Unknown sizes run to
+// `parentEnd` until resolved by the caller.
+function readElement(bytes, offset, parentEnd) {
+  const id = readVint(bytes, offset, { keepMarker: true });
+  const size = readVint(bytes, offset + id.length);
+  const bodyStart = offset + id.length + size.length;
+  const end = size.value === null ? parentEnd : bodyStart + size.value;
+  if (end > parentEnd) {
+    throw new Error(`Malformed WebM: element 0x${id.value.toString(16)} at ${offset} runs past its parent`);
+  }
+  return { id: id.value, start: offset, bodyStart, end, unknownSize: size.value === null };
+}
+
+function readChildren(bytes, start, end) {
+  const children = [];
+  for (let offset = start; offset < end; ) {
+    const element = readElement(bytes, offset, end);
+    children.push(element);
+    offset = element.end;
+  }
+  return children;
+}
+
+function readUint(bytes, element) {
+  let value = 0;
+  for (let offset = element.bodyStart; offset < element.end; offset += 1) {
+    value = value * 256 + bytes[offset];
+  }
+  return value;
+}
+
+function readFloat(bytes, element) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + element.bodyStart, element.end - element.bodyStart);
+  return view.byteLength === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+function readString(bytes, element) {
+  return TEXT_DECODER.decode(bytes.subarray(element.bodyStart, element.end)).replace(/\0+$/, '');
+}
+
+// VP9 CodecPrivate is a list of (id, length, value) features: 1 profile, 2 level, 3 bit depth.
+function vp9CodecString(codecPrivate) {
+  const features = { 1: 0, 2: 10, 3: 8 };
+  for (let offset = 0; codecPrivate && offset + 2 < codecPrivate.byteLength; offset += 2 + codecPrivate[offset + 1]) {
+    features[codecPrivate[offset]] = codecPrivate[offset + 2];
+  }
+  const pad = (value) => String(value).padStart(2, '0');
+  return `vp09.${pad(features[1])}.${pad(features[2])}.${pad(features[3])}`;
+}
+
+// WebCodecs codec string and description for a Matroska codec ID, codec null when unsupported.
+function videoCodecConfig(codecId, codecPrivate) {
+  if (codecId === 'V_VP8') {
+    return { codec: 'vp8', description: null };
+  }
+  if (codecId === 'V_VP9') {
+    return { codec: vp9CodecString(codecPrivate), description: null };
+  }
+  if (codecId === 'V_AV1' && codecPrivate) {
+    return { codec: av1CodecString(codecPrivate), description: codecPrivate };
+  }
+  if (codecId === 'V_MPEG4/ISO/AVC' && codecPrivate) {
+    return { codec: avcCodecString('avc1', codecPrivate), description: codecPrivate };
+  }
+  if (codecId === 'V_MPEGH/ISO/HEVC' && codecPrivate) {
+    return { codec: hevcCodecString('hvc1', codecPrivate), description: codecPrivate };
+  }
+  return { codec: null, description: null };
+}
+
+function parseTrackEntry(bytes, entry) {
+  const fields = readChildren(bytes, entry.bodyStart, entry.end);
+  const field = (id) => fields.find((candidate) => candidate.id === id);
+  const codecId = field(IDS.CodecID) ? readString(bytes, field(IDS.CodecID)) : null;
+  const codecPrivateElement = field(IDS.CodecPrivate);
+  const codecPrivate = codecPrivateElement ? bytes.slice(codecPrivateElement.bodyStart, codecPrivateElement.end) : null;
+  const kind = TRACK_TYPES[readUint(bytes, field(IDS.TrackType))] ?? 'other';
+  const track = {
+    id: readUint(bytes, field(IDS.TrackNumber)),
+    kind,
+    codecId,
+    codec: null,
+    description: null,
+    // Nanoseconds.
+    defaultDuration: field(IDS.DefaultDuration) ? readUint(bytes, field(IDS.DefaultDuration)) : null,
+  };
+  if (kind === 'video') {
+    const video = field(IDS.Video);
+    const settings = video ? readChildren(bytes, video.bodyStart, video.end) : [];
+    const setting = (id) => settings.find((candidate) => candidate.id === id);
+    Object.assign(track, videoCodecConfig(codecId, codecPrivate), {
+      codedWidth: setting(IDS.PixelWidth) ? readUint(bytes, setting(IDS.PixelWidth)) : 0,
+      codedHeight: setting(IDS.PixelHeight) ? readUint(bytes, setting(IDS.PixelHeight)) : 0,
+    });
+  }
+  return track;
+}
+
+// Block header: track number, int16 timecode relative to the cluster and flags; the frame follows.
+function parseBlock(bytes, element) {
+  const track = readVint(bytes, element.bodyStart);
+  const headerEnd = element.bodyStart + track.length + 3;
+  const flags = bytes[headerEnd - 1];
+  return {
+    trackId: track.value,
+    relativeTimecode: new DataView(bytes.buffer, bytes.byteOffset).getInt16(element.bodyStart + track.length),
+    flags,
+    laced: (flags & 0x06) !== 0,
+    offset: headerEnd,
+    size: element.end - headerEnd,
+  };
+}
+
+// Cluster children, cut at the first top-level element when the cluster's size is unknown.
+function clusterChildren(bytes, cluster, segmentEnd) {
+  const children = [];
+  let offset = cluster.bodyStart;
+  while (offset < cluster.end) {
+    const element = readElement(bytes, offset, segmentEnd);
+    if (cluster.unknownSize && SEGMENT_CHILDREN.has(element.id)) {
+      break;
+    }
+    children.push(element);
+    offset = element.end;
+  }
+  cluster.end = offset;
+  return children;
+}
+
+// Samples without a BlockDuration last until the next frame in presentation order. The last one
+// gets the track's default duration, runs to the end of the file or repeats the gap before it.
+function fillDurations(samples, defaultDurationUs, endUs) {
+  const ordered = [...samples].sort((a, b) => a.timestampUs - b.timestampUs);
+  ordered.forEach((sample, index) => {
+    if (sample.durationUs !== null) {
+      return;
+    }
+    const next = ordered[index + 1];
+    if (next) {
+      sample.durationUs = next.timestampUs - sample.timestampUs;
+    } else if (defaultDurationUs !== null) {
+      sample.durationUs = defaultDurationUs;
+    } else if (endUs > sample.timestampUs) {
+      sample.durationUs = endUs - sample.timestampUs;
+    } else {
+      sample.durationUs = index > 0 ? sample.timestampUs - ordered[index - 1].timestampUs : 0;
+    }
+  });
+}
+
+// A whole WebM file in memory. Returns the tracks ({ id, kind, codecId, codec, description,
+// codedWidth, codedHeight }) with their samples in decode order: { key, timestampUs, durationUs,
+// offset, size } (byte ranges into `bytes`).
+export function demuxWebMFile(bytes) {
+  if (bytes.byteLength < 4 || new DataView(bytes.buffer, bytes.byteOffset).getUint32(0) !== IDS.EBML) {
+    throw new Error('Malformed WebM: missing EBML header');
+  }
+  const header = readElement(bytes, 0, bytes.byteLength);
+  const segment = readElement(bytes, header.end, bytes.byteLength);
+  if (segment.id !== IDS.Segment) {
+    throw new Error('Malformed WebM: no Segment after the EBML header');
+  }
+
+  let timecodeScale = 1_000_000;
+  let duration = null;
+  let tracks = [];
+  const samples = new Map();
+  for (let offset = segment.bodyStart; offset < segment.end; ) {
+    const element = readElement(bytes, offset, segment.end);
+    if (element.id === IDS.Info) {
+      for (const field of readChildren(bytes, element.bodyStart, element.end)) {
+        if (field.id === IDS.TimecodeScale) {
+          timecodeScale = readUint(bytes, field);
+        } else if (field.id === IDS.Duration) {
+          duration = readFloat(bytes, field);
+        }
+      }
+    } else if (element.id === IDS.Tracks) {
+      tracks = readChildren(bytes, element.bodyStart, element.end)
+        .filter((entry) => entry.id === IDS.TrackEntry)
+        .map((entry) => parseTrackEntry(bytes, entry));
+      tracks.forEach((track) => samples.set(track.id, []));
+    } else if (element.id === IDS.Cluster) {
+      const children = clusterChildren(bytes, element, segment.end);
+      const timecode = children.find((child) => child.id === IDS.Timecode);
+      const clusterTimecode = timecode ? readUint(bytes, timecode) : 0;
+      const toUs = (value) => Math.round((value * timecodeScale) / 1000);
+      for (const child of children) {
+        let block;
+        let key;
+        let blockDuration = null;
+        if (child.id === IDS.SimpleBlock) {
+          block = parseBlock(bytes, child);
+          key = (block.flags & 0x80) !== 0;
+        } else if (child.id === IDS.BlockGroup) {
+          const parts = readChildren(bytes, child.bodyStart, child.end);
+          const blockElement = parts.find((part) => part.id === IDS.Block);
+          if (!blockElement) {
+            continue;
+          }
+          block = parseBlock(bytes, blockElement);
+          key = !parts.some((part) => part.id === IDS.ReferenceBlock);
+          const durationElement = parts.find((part) => part.id === IDS.BlockDuration);
+          blockDuration = durationElement ? toUs(readUint(bytes, durationElement)) : null;
+        } else {
+          continue;
+        }
+        if (block.laced) {
+          continue;
+        }
+        samples.get(block.trackId)?.push({
+          key,
+          timestampUs: toUs(clusterTimecode + block.relativeTimecode),
+          durationUs: blockDuration,
+          offset: block.offset,
+          size: block.size,
+        });
+      }
+    }
+    offset = element.end;
+  }
+
+  const endUs = duration === null ? null : Math.round((duration * timecodeScale) / 1000);
+  return tracks.map((track) => {
+    const trackSamples = samples.get(track.id);
+    const defaultDurationUs = track.defaultDuration === null ? null : Math.round(track.defaultDuration / 1000);
+    fillDurations(trackSamples, defaultDurationUs, endUs);
+    return { ...track, samples: trackSamples };
+  });
+}
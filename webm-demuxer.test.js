@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+
+import { demuxWebMFile } from './webm-demuxer.js';
+
+// recorded.webm: laid out like a MediaRecorder file, with a Segment and two Clusters of unknown
+// size, 12 VP8 frames at ~30 fps (millisecond timecodes) interleaved with Opus blocks. The fourth
+// frame of each cluster is a BlockGroup with a ReferenceBlock. Frames are 0xf0 and their number.
+const fixture = (path) => new Uint8Array(readFileSync(new URL(path, import.meta.url)));
+
+test('unknown-size clusters are read up to the next cluster', () => {
+  const bytes = fixture('./fixtures/recorded.webm');
+  const [video, audio] = demuxWebMFile(bytes);
+  assert.deepEqual([video.kind, video.codec, video.codedWidth, video.codedHeight], ['video', 'vp8', 320, 180]);
+  assert.equal(audio.kind, 'audio');
+  assert.equal(audio.codec, null);
+  assert.deepEqual(
+    video.samples.map((sample) => bytes[sample.offset + 1]),
+    Array.from({ length: 12 }, (_, frame) => frame)
+  );
+  assert.equal(video.samples[6].timestampUs, 198_000);
+  assert.equal(audio.samples.length, 12);
+});
+
+test('key flags come from SimpleBlock flags and ReferenceBlocks', () => {
+  const [video] = demuxWebMFile(fixture('./fixtures/recorded.webm'));
+  assert.deepEqual(
+    video.samples.flatMap((sample, index) => (sample.key ? [index] : [])),
+    [0, 6]
+  );
+});
+
+test('durations run to the next frame, and the last one repeats the gap before it', () => {
+  const [video] = demuxWebMFile(fixture('./fixtures/recorded.webm'));
+  video.samples.slice(0, -1).forEach((sample, index) => {
+    assert.equal(sample.durationUs, video.samples[index + 1].timestampUs - sample.timestampUs);
+  });
+  assert.equal(video.samples.at(-1).durationUs, 34_000);
+});
+
+test('files with sized elements use the track default duration', () => {
+  const [video] = demuxWebMFile(fixture('./overlay.webm'));
+  assert.equal(video.codec, 'vp09.00.10.08');
+  assert.equal(video.samples.length, 50);
+  assert.ok(video.samples[0].key);
+  assert.ok(video.samples.every((sample, index) => sample.timestampUs === index * 40_000 && sample.durationUs === 40_000));
+});
+
+test('anything but EBML is rejected', () => {
+  assert.throws(() => demuxWebMFile(fixture('./fixtures/bframes.mp4')), /missing EBML header/);
+});
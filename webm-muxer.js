@@ -0,0 +1,315 @@
+// Minimal WebM (Matroska) writer for WebCodecs output. Blocks are kept in memory and the file is
+// assembled on finalize(), so every element size, the duration and the cue table are exact.
+
+const IDS = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  CodecDelay: 0x56aa,
+  SeekPreRoll: 0x56bb,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Audio: 0xe1,
+  SamplingFrequency: 0xb5,
+  Channels: 0x9f,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+};
+
+const CODEC_IDS = {
+  vp8: 'V_VP8',
+  vp9: 'V_VP9',
+  av1: 'V_AV1',
+  opus: 'A_OPUS',
+  vorbis: 'A_VORBIS',
+};
+
+const TEXT_ENCODER = new TextEncoder();
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+// Cluster timecodes are ms and block offsets are int16, so clusters must stay below ~32 s.
+const MAX_CLUSTER_MS = 30_000;
+const AUDIO_CLUSTER_MS = 5_000;
+
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.byteLength, 0);
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.byteLength;
+  }
+  return out;
+}
+
+function encodeId(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value & 0xff);
+  }
+  return Uint8Array.from(bytes);
+}
+
+function encodeSize(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) {
+    length += 1;
+  }
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i -= 1) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+export function encodeUint(value, width = 0) {
+  const bytes = [];
+  for (let rest = Math.floor(value); rest > 0; rest = Math.floor(rest / 256)) {
+    bytes.unshift(rest % 256);
+  }
+  while (bytes.length < Math.max(width, 1)) {
+    bytes.unshift(0);
+  }
+  return Uint8Array.from(bytes);
+}
+
+function encodeFloat(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+function element(id, payload) {
+  const body = Array.isArray(payload) ? concat(payload) : payload;
+  return concat([encodeId(id), encodeSize(body.byteLength), body]);
+}
+
+const uintElement = (id, value, width) => element(id, encodeUint(value, width));
+const floatElement = (id, value) => element(id, encodeFloat(value));
+const stringElement = (id, value) => element(id, TEXT_ENCODER.encode(value));
+
+export function toBytes(buffer) {
+  if (ArrayBuffer.isView(buffer)) {
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength).slice();
+  }
+  return new Uint8Array(buffer).slice();
+}
+
+function randomTrackUid() {
+  return Math.floor(Math.random() * 2 ** 48) + 1;
+}
+
+export class WebMMuxer {
+  // video: { codec, width, height, frameRate, description? }
+  // audio: { codec, sampleRate, channels, description?, codecDelayUs? }
+  constructor({ video = null, audio = null, writingApp = 'web-render' }) {
+    if (!video && !audio) {
+      throw new Error('WebMMuxer needs at least one track');
+    }
+    for (const track of [video, audio]) {
+      if (track && !CODEC_IDS[track.codec]) {
+        throw new Error(`WebM does not support codec "${track.codec}"`);
+      }
+    }
+    this.video = video;
+    this.audio = audio;
+    this.writingApp = writingApp;
+    this.blocks = [];
+    this.endUs = 0;
+  }
+
+  #addChunk(track, chunk, durationUs) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    this.blocks.push({ track, timestampUs: chunk.timestamp, key: chunk.type === 'key', data });
+    this.endUs = Math.max(this.endUs, chunk.timestamp + (chunk.duration ?? durationUs ?? 0));
+  }
+
+  addVideoChunk(chunk, metadata) {
+    if (metadata?.decoderConfig?.description && !this.video.description) {
+      this.video.description = toBytes(metadata.decoderConfig.description);
+    }
+    this.#addChunk(VIDEO_TRACK, chunk, this.video.frameRate ? 1_000_000 / this.video.frameRate : 0);
+  }
+
+  addAudioChunk(chunk, metadata) {
+    if (metadata?.decoderConfig?.description && !this.audio.description) {
+      this.audio.description = toBytes(metadata.decoderConfig.description);
+    }
+    this.#addChunk(AUDIO_TRACK, chunk, 0);
+  }
+
+  #trackEntries() {
+    const entries = [];
+    if (this.video) {
+      const children = [
+        uintElement(IDS.TrackNumber, VIDEO_TRACK),
+        uintElement(IDS.TrackUID, randomTrackUid()),
+        uintElement(IDS.TrackType, 1),
+        uintElement(IDS.FlagLacing, 0),
+        stringElement(IDS.CodecID, CODEC_IDS[this.video.codec]),
+      ];
+      if (this.video.description) {
+        children.push(element(IDS.CodecPrivate, this.video.description));
+      }
+      if (this.video.frameRate) {
+        children.push(uintElement(IDS.DefaultDuration, Math.round(1e9 / this.video.frameRate)));
+      }
+      children.push(
+        element(IDS.Video, [
+          uintElement(IDS.PixelWidth, this.video.width),
+          uintElement(IDS.PixelHeight, this.video.height),
+        ])
+      );
+      entries.push(element(IDS.TrackEntry, children));
+    }
+    if (this.audio) {
+      const children = [
+        uintElement(IDS.TrackNumber, AUDIO_TRACK),
+        uintElement(IDS.TrackUID, randomTrackUid()),
+        uintElement(IDS.TrackType, 2),
+        uintElement(IDS.FlagLacing, 0),
+        stringElement(IDS.CodecID, CODEC_IDS[this.audio.codec]),
+      ];
+      if (this.audio.description) {
+        children.push(element(IDS.CodecPrivate, this.audio.description));
+      }
+      if (this.audio.codec === 'opus') {
+        children.push(uintElement(IDS.CodecDelay, Math.round((this.audio.codecDelayUs ?? 0) * 1000)));
+        children.push(uintElement(IDS.SeekPreRoll, 80_000_000));
+      }
+      children.push(
+        element(IDS.Audio, [
+          floatElement(IDS.SamplingFrequency, this.audio.sampleRate),
+          uintElement(IDS.Channels, this.audio.channels),
+        ])
+      );
+      entries.push(element(IDS.TrackEntry, children));
+    }
+    return entries;
+  }
+
+  // Clusters start on every video keyframe (every few seconds for audio-only files) and are split
+  // before the int16 block offset overflows.
+  #clusters() {
+    const ordered = [...this.blocks].sort((a, b) => a.timestampUs - b.timestampUs || a.track - b.track);
+    const clusters = [];
+    let current = null;
+    for (const block of ordered) {
+      const timecodeMs = Math.round(block.timestampUs / 1000);
+      const isCuePoint = this.video ? block.track === VIDEO_TRACK && block.key : true;
+      const startsCluster =
+        !current ||
+        (this.video ? isCuePoint : timecodeMs - current.timecodeMs >= AUDIO_CLUSTER_MS) ||
+        timecodeMs - current.timecodeMs > MAX_CLUSTER_MS;
+      if (startsCluster) {
+        current = { timecodeMs, blocks: [], cue: isCuePoint };
+        clusters.push(current);
+      }
+      current.blocks.push(block);
+    }
+    return clusters.map((cluster) => {
+      const children = [uintElement(IDS.Timecode, cluster.timecodeMs)];
+      for (const block of cluster.blocks) {
+        const header = new Uint8Array(4);
+        header[0] = 0x80 | block.track;
+        new DataView(header.buffer).setInt16(1, Math.round(block.timestampUs / 1000) - cluster.timecodeMs);
+        header[3] = block.key ? 0x80 : 0x00;
+        children.push(element(IDS.SimpleBlock, [header, block.data]));
+      }
+      return { timecodeMs: cluster.timecodeMs, cue: cluster.cue, bytes: element(IDS.Cluster, children) };
+    });
+  }
+
+  finalize() {
+    const info = element(IDS.Info, [
+      uintElement(IDS.TimecodeScale, 1_000_000),
+      stringElement(IDS.MuxingApp, this.writingApp),
+      stringElement(IDS.WritingApp, this.writingApp),
+      floatElement(IDS.Duration, this.endUs / 1000),
+    ]);
+    const tracks = element(IDS.Tracks, this.#trackEntries());
+    const clusters = this.#clusters();
+
+    // Seek positions use a fixed 8-byte width so the SeekHead size is known before the offsets are.
+    const seekEntry = (id, position) =>
+      element(IDS.Seek, [element(IDS.SeekID, encodeId(id)), uintElement(IDS.SeekPosition, position, 8)]);
+    const seekHeadSize = element(IDS.SeekHead, [
+      seekEntry(IDS.Info, 0),
+      seekEntry(IDS.Tracks, 0),
+      seekEntry(IDS.Cues, 0),
+    ]).byteLength;
+
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + info.byteLength;
+    let position = tracksPosition + tracks.byteLength;
+    const cuePoints = [];
+    for (const cluster of clusters) {
+      if (cluster.cue) {
+        cuePoints.push(
+          element(IDS.CuePoint, [
+            uintElement(IDS.CueTime, cluster.timecodeMs),
+            element(IDS.CueTrackPositions, [
+              uintElement(IDS.CueTrack, this.video ? VIDEO_TRACK : AUDIO_TRACK),
+              uintElement(IDS.CueClusterPosition, position),
+            ]),
+          ])
+        );
+      }
+      position += cluster.bytes.byteLength;
+    }
+    const cues = element(IDS.Cues, cuePoints);
+    const seekHead = element(IDS.SeekHead, [
+      seekEntry(IDS.Info, infoPosition),
+      seekEntry(IDS.Tracks, tracksPosition),
+      seekEntry(IDS.Cues, position),
+    ]);
+
+    const header = element(IDS.EBML, [
+      uintElement(IDS.EBMLVersion, 1),
+      uintElement(IDS.EBMLReadVersion, 1),
+      uintElement(IDS.EBMLMaxIDLength, 4),
+      uintElement(IDS.EBMLMaxSizeLength, 8),
+      stringElement(IDS.DocType, 'webm'),
+      uintElement(IDS.DocTypeVersion, 4),
+      uintElement(IDS.DocTypeReadVersion, 2),
+    ]);
+    const segment = element(IDS.Segment, [seekHead, info, tracks, ...clusters.map((c) => c.bytes), cues]);
+    return concat([header, segment]);
+  }
+}
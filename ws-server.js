@@ -0,0 +1,218 @@
+// Minimal RFC 6455 WebSockets for the Node tools, so they need no npm packages: the server
+// handshake, a client for control-client.js, fragmented or unfragmented frames, ping/pong and
+// close. No extensions or subprotocols.
+import { createHash, randomBytes } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import http from 'node:http';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+function acceptKey(key) {
+  return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// Frames are never fragmented; only clients mask theirs.
+function encodeFrame(opcode, payload, masked = false) {
+  const length = payload.length;
+  const extended = length < 126 ? 0 : length < 65536 ? 2 : 8;
+  const header = Buffer.alloc(2 + extended);
+  header[0] = 0x80 | opcode;
+  if (extended === 0) {
+    header[1] = length;
+  } else if (extended === 2) {
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  if (!masked) {
+    return Buffer.concat([header, payload]);
+  }
+  header[1] |= 0x80;
+  const mask = randomBytes(4);
+  const body = Buffer.from(payload);
+  for (let index = 0; index < body.length; index += 1) {
+    body[index] ^= mask[index % 4];
+  }
+  return Buffer.concat([header, mask, body]);
+}
+
+// Events: 'message' (data: string for text frames, Buffer for binary ones) and 'close' (code).
+// masked: this end is the client.
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket, { masked = false } = {}) {
+    super();
+    this.socket = socket;
+    this.masked = masked;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentOpcode = null;
+    this.closed = false;
+    socket.on('data', (chunk) => this.#receive(chunk));
+    socket.on('close', () => this.#finish(1006));
+    socket.on('error', () => this.#finish(1006));
+  }
+
+  get open() {
+    return !this.closed;
+  }
+
+  send(data) {
+    if (this.closed) {
+      return;
+    }
+    const binary = typeof data !== 'string';
+    const payload = binary ? Buffer.from(data) : Buffer.from(data, 'utf8');
+    this.socket.write(encodeFrame(binary ? OPCODES.binary : OPCODES.text, payload, this.masked));
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.closed) {
+      return;
+    }
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OPCODES.close, payload, this.masked));
+    this.#finish(code);
+  }
+
+  #finish(code) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.emit('close', code);
+  }
+
+  #receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      const frame = this.#readFrame();
+      if (!frame) {
+        return;
+      }
+      this.#handleFrame(frame);
+      if (this.closed) {
+        return;
+      }
+    }
+  }
+
+  #readFrame() {
+    const { buffer } = this;
+    if (buffer.length < 2) {
+      return null;
+    }
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      this.close(1009, 'message too big');
+      return null;
+    }
+    const maskOffset = offset;
+    if (masked) {
+      offset += 4;
+    }
+    if (buffer.length < offset + length) {
+      return null;
+    }
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let index = 0; index < payload.length; index += 1) {
+        payload[index] ^= buffer[maskOffset + (index % 4)];
+      }
+    }
+    this.buffer = buffer.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+
+  #handleFrame({ fin, opcode, payload }) {
+    if (opcode === OPCODES.ping) {
+      this.socket.write(encodeFrame(OPCODES.pong, payload, this.masked));
+      return;
+    }
+    if (opcode === OPCODES.pong) {
+      return;
+    }
+    if (opcode === OPCODES.close) {
+      this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+      return;
+    }
+    if (opcode !== OPCODES.continuation) {
+      this.fragmentOpcode = opcode;
+      this.fragments = [];
+    }
+    this.fragments.push(payload);
+    if (!fin) {
+      return;
+    }
+    const message = Buffer.concat(this.fragments);
+    this.fragments = [];
+    this.emit('message', this.fragmentOpcode === OPCODES.text ? message.toString('utf8') : message);
+  }
+}
+
+// Completes the handshake for an HTTP 'upgrade' request; returns null (and rejects the socket)
+// when it is not a WebSocket request.
+export function acceptWebSocket(request, socket) {
+  const key = request.headers['sec-websocket-key'];
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  socket.write(
+    ['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${acceptKey(key)}`, '', ''].join('\r\n')
+  );
+  socket.setNoDelay(true);
+  return new WebSocketConnection(socket);
+}
+
+// Opens a ws:// connection; rejects when the server does not upgrade it.
+export function connectWebSocket(url) {
+  const key = randomBytes(16).toString('base64');
+  const request = http.request(new URL(url.replace(/^ws:/, 'http:')), {
+    headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': key },
+  });
+  return new Promise((resolve, reject) => {
+    request.on('upgrade', (response, socket, head) => {
+      if (response.headers['sec-websocket-accept'] !== acceptKey(key)) {
+        socket.destroy();
+        reject(new Error(`${url}: bad WebSocket handshake`));
+        return;
+      }
+      socket.setNoDelay(true);
+      const connection = new WebSocketConnection(socket, { masked: true });
+      if (head.length) {
+        socket.unshift(head);
+      }
+      resolve(connection);
+    });
+    request.on('response', (response) => {
+      response.resume();
+      reject(new Error(`${url}: HTTP ${response.statusCode} instead of a WebSocket upgrade`));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}